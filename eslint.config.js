@@ -45,6 +45,11 @@ export default [
         MutationObserver: 'readonly',
         IntersectionObserver: 'readonly',
         ResizeObserver: 'readonly',
+        Worker: 'readonly',
+        MessageEvent: 'readonly',
+        AbortController: 'readonly',
+        AbortSignal: 'readonly',
+        self: 'readonly',
         requestAnimationFrame: 'readonly',
         cancelAnimationFrame: 'readonly',
         Promise: 'readonly',
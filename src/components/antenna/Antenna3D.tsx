@@ -7,11 +7,25 @@ import { Canvas } from '@react-three/fiber'
 import { OrbitControls, Grid, PerspectiveCamera } from '@react-three/drei'
 import { Group, Mesh } from 'three'
 import type { PresetElement } from '@/types/antenna/presets'
+import type { BoomMaterial, BoomParams, InstallationParams } from '@/utils/nec2c'
+import { getElementSections } from '@/utils/antenna/elementGeometry'
+import {
+  DEFAULT_INSTALLATION,
+  findGroundPreset,
+  getArrayCopies,
+  getBayCount,
+  GROUND_PRESETS,
+  hasGround,
+  type GroundParams,
+} from '@/utils/antenna/installation'
 import { useThemeStore } from '@/stores/ui/themeStore'
 
 interface Antenna3DProps {
   elements: PresetElement[]
   frequency: number
+  boom?: BoomParams | null
+  ground?: GroundParams
+  installation?: InstallationParams
   showGrid?: boolean
   showLabels?: boolean
 }
@@ -20,10 +34,28 @@ interface AntennaElementProps {
   element: PresetElement
   index: number
   boomCenter: number
+  height: number // mm above the boom axis
+}
+
+const BOOM_COLORS: Record<BoomMaterial, string> = {
+  aluminum: '#34495e',
+  steel: '#5d6d7e',
+  nonconductive: '#c8b273',
+}
+
+const MAST_RADIUS = 25 // mm
+
+// Convert mm to scene units (1 unit = 100mm for better visualization)
+const scaleToScene = (mm: number) => mm / 100
+
+function getGroundColor(ground: GroundParams) {
+  if (ground.groundType === 'perfect') return '#9ca3af'
+  // Sea water conducts a thousand times better than any soil
+  return (ground.groundConductivity ?? 0) >= 1 ? '#1e6091' : '#7a5c3a'
 }
 
 // Individual antenna element component
-function AntennaElement({ element, boomCenter }: AntennaElementProps) {
+function AntennaElement({ element, boomCenter, height }: AntennaElementProps) {
   const meshRef = useRef<Mesh>(null)
 
   // Colors for different element types
@@ -40,32 +72,53 @@ function AntennaElement({ element, boomCenter }: AntennaElementProps) {
     }
   }
 
-  // Convert mm to scene units (1 unit = 100mm for better visualization)
-  const scaleToScene = (mm: number) => mm / 100
+  // Telescoping tubes from the boom outwards; the first one spans the boom
+  const sections = getElementSections(element)
+  const tubes: { center: number; length: number; diameter: number }[] = []
+  let offset = 0
+  sections.forEach((section, i) => {
+    if (i === 0) {
+      tubes.push({ center: 0, length: 2 * section.length, diameter: section.diameter })
+    } else {
+      const center = offset + section.length / 2
+      tubes.push({ center, length: section.length, diameter: section.diameter })
+      tubes.push({ center: -center, length: section.length, diameter: section.diameter })
+    }
+    offset += section.length
+  })
 
   return (
-    <group position={[scaleToScene(element.position - boomCenter), 0, 0]}>
-      {/* Element cylinder - now vertical (along Y axis) */}
-      <mesh
-        ref={meshRef}
-        rotation={[0, 0, 0]} // No rotation needed, cylinder is vertical by default
-      >
-        <cylinderGeometry
-          args={[
-            scaleToScene(element.diameter / 2),
-            scaleToScene(element.diameter / 2),
-            scaleToScene(element.length),
-            16,
-          ]}
-        />
-        <meshStandardMaterial color={getElementColor()} metalness={0.6} roughness={0.2} />
-      </mesh>
+    <group position={[scaleToScene(element.position - boomCenter), 0, scaleToScene(height)]}>
+      {/* Element tubes - vertical (along Y axis) */}
+      {tubes.map((tube, i) => (
+        <mesh
+          key={i}
+          ref={i === 0 ? meshRef : undefined}
+          position={[0, scaleToScene(tube.center), 0]}
+        >
+          <cylinderGeometry
+            args={[
+              scaleToScene(tube.diameter / 2),
+              scaleToScene(tube.diameter / 2),
+              scaleToScene(tube.length),
+              16,
+            ]}
+          />
+          <meshStandardMaterial color={getElementColor()} metalness={0.6} roughness={0.2} />
+        </mesh>
+      ))}
     </group>
   )
 }
 
-// Main antenna assembly
-function AntennaAssembly({ elements }: { elements: PresetElement[] }) {
+// One Yagi: boom and elements in NEC coordinates, boom along X
+function AntennaAssembly({
+  elements,
+  boom,
+}: {
+  elements: PresetElement[]
+  boom?: BoomParams | null
+}) {
   const groupRef = useRef<Group>(null)
 
   // Calculate boom length based on element positions
@@ -73,13 +126,14 @@ function AntennaAssembly({ elements }: { elements: PresetElement[] }) {
   const maxPos = Math.max(...elements.map(e => e.position))
   const boomLength = maxPos - minPos
   const boomCenter = (minPos + maxPos) / 2
+  const boomRadius = boom ? boom.diameter / 2 : 5 // 5mm radius when no boom is modelled
 
-  const scaleToScene = (mm: number) => mm / 100
+  // Elements mounted on top of the boom sit on its surface
+  const elementHeight = (element: PresetElement) =>
+    boom?.mounting === 'on-boom' ? boomRadius + getElementSections(element)[0].diameter / 2 : 0
 
   return (
-    // Rotate entire antenna assembly 90 degrees around X-axis (boom axis)
-    // so elements are horizontal (parallel to ground)
-    <group ref={groupRef} rotation={[-Math.PI / 2, 0, 0]}>
+    <group ref={groupRef}>
       {/* Boom - now centered at origin */}
       <mesh
         position={[0, 0, 0]}
@@ -87,13 +141,17 @@ function AntennaAssembly({ elements }: { elements: PresetElement[] }) {
       >
         <cylinderGeometry
           args={[
-            scaleToScene(5), // 5mm radius for boom
-            scaleToScene(5),
+            scaleToScene(boomRadius),
+            scaleToScene(boomRadius),
             scaleToScene(boomLength * 1.1), // Slightly longer than elements span
-            8,
+            16,
           ]}
         />
-        <meshStandardMaterial color="#34495e" metalness={0.3} roughness={0.5} />
+        <meshStandardMaterial
+          color={BOOM_COLORS[boom?.material ?? 'aluminum']}
+          metalness={boom?.material === 'nonconductive' ? 0 : 0.3}
+          roughness={0.5}
+        />
       </mesh>
 
       {/* Antenna elements - positioned relative to boom center */}
@@ -103,6 +161,7 @@ function AntennaAssembly({ elements }: { elements: PresetElement[] }) {
           element={element}
           index={index}
           boomCenter={boomCenter}
+          height={elementHeight(element)}
         />
       ))}
 
@@ -110,7 +169,11 @@ function AntennaAssembly({ elements }: { elements: PresetElement[] }) {
       {elements.map((element, index) => (
         <mesh
           key={`connector-${index}`}
-          position={[scaleToScene(element.position - boomCenter), 0, 0]}
+          position={[
+            scaleToScene(element.position - boomCenter),
+            0,
+            scaleToScene(elementHeight(element)),
+          ]}
         >
           <boxGeometry args={[scaleToScene(15), scaleToScene(15), scaleToScene(15)]} />
           <meshStandardMaterial color="#2c3e50" metalness={0.3} roughness={0.5} />
@@ -120,9 +183,98 @@ function AntennaAssembly({ elements }: { elements: PresetElement[] }) {
   )
 }
 
-export function Antenna3D({ elements, frequency, showGrid = true }: Antenna3DProps) {
+// Every bay of the installation, with the mast from the ground up to the top row
+function AntennaArray({
+  elements,
+  boom,
+  installation,
+  showMast,
+}: {
+  elements: PresetElement[]
+  boom?: BoomParams | null
+  installation: InstallationParams
+  showMast: boolean
+}) {
+  const copies = getArrayCopies(installation)
+
+  // Rows of bays and how far each row reaches to the sides, in mm
+  const rows = new Map<number, number[]>()
+  copies.forEach(({ offset: [, y, z] }) => rows.set(z, [...(rows.get(z) ?? []), y]))
+  const top = Math.max(...rows.keys())
+  const mastLength = installation.height * 1000 + top
+
+  return (
+    // Rotate the NEC frame (Z up) into the scene (Y up)
+    <group rotation={[-Math.PI / 2, 0, 0]}>
+      {copies.map((copy, index) => (
+        <group
+          key={index}
+          position={copy.offset.map(scaleToScene) as [number, number, number]}
+          // A quarter turn about the boom stands the elements upright
+          rotation={[copy.vertical ? Math.PI / 2 : 0, 0, 0]}
+        >
+          <AntennaAssembly elements={elements} boom={boom} />
+        </group>
+      ))}
+
+      {showMast && (
+        <>
+          <mesh
+            position={[0, 0, scaleToScene(top - mastLength / 2)]}
+            rotation={[Math.PI / 2, 0, 0]}
+          >
+            <cylinderGeometry
+              args={[
+                scaleToScene(MAST_RADIUS),
+                scaleToScene(MAST_RADIUS),
+                scaleToScene(mastLength),
+                16,
+              ]}
+            />
+            <meshStandardMaterial color="#7f8c8d" metalness={0.4} roughness={0.6} />
+          </mesh>
+
+          {/* Cross bars carrying bays side by side */}
+          {Array.from(rows).map(([z, ys]) => {
+            const span = Math.max(...ys) - Math.min(...ys)
+            if (span === 0) return null
+            return (
+              <mesh key={z} position={[0, 0, scaleToScene(z)]}>
+                <cylinderGeometry
+                  args={[
+                    scaleToScene(MAST_RADIUS * 0.8),
+                    scaleToScene(MAST_RADIUS * 0.8),
+                    scaleToScene(span),
+                    16,
+                  ]}
+                />
+                <meshStandardMaterial color="#7f8c8d" metalness={0.4} roughness={0.6} />
+              </mesh>
+            )
+          })}
+        </>
+      )}
+    </group>
+  )
+}
+
+export function Antenna3D({
+  elements,
+  frequency,
+  boom,
+  ground = GROUND_PRESETS['free-space'].ground,
+  installation = DEFAULT_INSTALLATION,
+  showGrid = true,
+}: Antenna3DProps) {
   const { resolvedTheme } = useThemeStore()
 
+  // Over ground the array stands on its mast at the mounting height
+  const overGround = hasGround(ground)
+  const lift = overGround ? scaleToScene(installation.height * 1000) : 0
+  const groundSize = Math.max(40, lift * 4)
+  const groundPreset = findGroundPreset(ground)
+  const bays = getBayCount(installation.stack)
+
   // Calculate wavelength for reference
   const wavelength = (299792458 / (frequency * 1e6)) * 1000 // in mm
 
@@ -148,7 +300,7 @@ export function Antenna3D({ elements, frequency, showGrid = true }: Antenna3DPro
         scene={{ background: null }}
         style={{ backgroundColor }}
       >
-        <PerspectiveCamera makeDefault position={[8, 6, 8]} fov={50} />
+        <PerspectiveCamera makeDefault position={[8, 6 + lift, 8]} fov={50} />
 
         {/* Lighting - adjusted for theme */}
         <ambientLight intensity={isDark ? 0.3 : 0.5} />
@@ -161,7 +313,22 @@ export function Antenna3D({ elements, frequency, showGrid = true }: Antenna3DPro
         <directionalLight position={[-10, -10, -5]} intensity={isDark ? 0.2 : 0.3} />
 
         {/* Antenna */}
-        <AntennaAssembly elements={elements} />
+        <group position={[0, lift, 0]}>
+          <AntennaArray
+            elements={elements}
+            boom={boom}
+            installation={installation}
+            showMast={overGround}
+          />
+        </group>
+
+        {/* Ground */}
+        {overGround && (
+          <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.01, 0]}>
+            <planeGeometry args={[groundSize, groundSize]} />
+            <meshStandardMaterial color={getGroundColor(ground)} transparent opacity={0.35} />
+          </mesh>
+        )}
 
         {/* Grid - themed colors */}
         {showGrid && (
@@ -182,12 +349,13 @@ export function Antenna3D({ elements, frequency, showGrid = true }: Antenna3DPro
 
         {/* Controls */}
         <OrbitControls
+          target={[0, lift, 0]}
           enablePan={true}
           enableZoom={true}
           enableRotate={true}
           maxPolarAngle={Math.PI * 0.9}
           minDistance={2}
-          maxDistance={50}
+          maxDistance={Math.max(50, lift * 3)}
         />
       </Canvas>
 
@@ -199,6 +367,14 @@ export function Antenna3D({ elements, frequency, showGrid = true }: Antenna3DPro
           <div>Wavelength: {(wavelength / 1000).toFixed(2)} m</div>
           <div>Elements: {elements.length}</div>
           <div>Boom length: {(boomLength / 1000).toFixed(2)} m</div>
+          {boom && <div>Boom diameter: {boom.diameter} mm</div>}
+          {overGround && (
+            <div>
+              Height: {installation.height} m over{' '}
+              {groundPreset ? GROUND_PRESETS[groundPreset].label.toLowerCase() : 'imported ground'}
+            </div>
+          )}
+          {bays > 1 && <div>Bays: {bays}</div>}
         </div>
       </div>
 
@@ -226,7 +402,14 @@ export function Antenna3D({ elements, frequency, showGrid = true }: Antenna3DPro
         <div className="font-semibold mb-1">View</div>
         <div className="text-gray-600 dark:text-gray-300 space-y-0.5">
           <div>Boom: X-axis (horizontal)</div>
-          <div>Elements: Z-axis (horizontal)</div>
+          <div>
+            Elements:{' '}
+            {installation.polarization === 'horizontal'
+              ? 'Z-axis (horizontal)'
+              : installation.polarization === 'vertical'
+                ? 'Y-axis (vertical)'
+                : 'Z and Y axes (crossed)'}
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,302 @@
+/**
+ * Feed System Designer Component
+ */
+
+import { Button, ButtonGroup, Card, CardBody, Input, Select, SelectItem } from '@heroui/react'
+import { CalculatorIcon } from '@heroicons/react/24/outline'
+import type { FeedMatch, FeedParams } from '@/utils/nec2c'
+import { getSeriesComponent } from '@/utils/antenna/feedMatch'
+
+interface FeedDesignerProps {
+  frequency: number
+  feed: FeedParams
+  onFeedChange: (feed: FeedParams) => void
+  onSolveMatch: () => void
+  isSolving?: boolean
+  error?: string | null
+}
+
+// 50 and 75 Ω coax, and 28 Ω for bays of a stacked array
+const referenceImpedances = [50, 75, 28]
+
+const drivenTypes = [
+  { value: 'split', label: 'Split dipole' },
+  { value: 'folded', label: 'Folded dipole' },
+]
+
+const matchTypes = [
+  { value: 'none', label: 'None (direct feed)' },
+  { value: 'hairpin', label: 'Hairpin (beta) match' },
+  { value: 'gamma', label: 'Gamma match' },
+]
+
+const inputClassNames = { inputWrapper: 'bg-white dark:bg-gray-800' }
+const selectClassNames = { trigger: 'bg-white dark:bg-gray-800' }
+const unit = (text: string) => (
+  <span className="text-xs text-gray-500 dark:text-gray-400">{text}</span>
+)
+
+/**
+ * Starting values for a new match, sized for the frequency. The solved
+ * values replace them as soon as the match is solved.
+ */
+function createMatch(type: FeedMatch['type'], wavelength: number): FeedMatch {
+  if (type === 'hairpin') {
+    return {
+      type,
+      spacing: Math.round(wavelength / 80),
+      wireDiameter: 4,
+      length: Math.round(wavelength / 20),
+      seriesReactance: 0,
+    }
+  }
+  return {
+    type,
+    rodDiameter: 4,
+    spacing: Math.round(wavelength / 50),
+    rodLength: Math.round(wavelength / 20),
+    capacitance: 0,
+  }
+}
+
+export function FeedDesigner({
+  frequency,
+  feed,
+  onFeedChange,
+  onSolveMatch,
+  isSolving = false,
+  error,
+}: FeedDesignerProps) {
+  const wavelength = (299792458 / (frequency * 1e6)) * 1000 // in mm
+  const { match, folded } = feed
+  const number = (value: string) => parseFloat(value) || 0
+
+  const setDrivenType = (type: string) => {
+    const foldedDipole =
+      type === 'folded' ? { spacing: Math.round(wavelength / 40), diameter: 10 } : undefined
+    // A gamma match needs the plain element, so folding drops it
+    const keepMatch = type === 'folded' && match?.type === 'gamma' ? undefined : match
+    onFeedChange({ ...feed, folded: foldedDipole, match: keepMatch })
+  }
+
+  const setMatchType = (type: string) => {
+    if (type === 'none') {
+      onFeedChange({ ...feed, match: undefined })
+      return
+    }
+    onFeedChange({ ...feed, match: createMatch(type as FeedMatch['type'], wavelength) })
+    onSolveMatch()
+  }
+
+  const updateMatch = (changes: Partial<FeedMatch>) => {
+    if (match) onFeedChange({ ...feed, match: { ...match, ...changes } as FeedMatch })
+  }
+
+  const renderSeriesComponent = (reactance: number) => {
+    if (reactance === 0) return 'none'
+    const { inductance, capacitance } = getSeriesComponent(reactance, frequency)
+    return capacitance > 0
+      ? `${(capacitance * 1e12).toFixed(1)} pF capacitor`
+      : `${(inductance * 1e9).toFixed(1)} nH inductor`
+  }
+
+  return (
+    <Card className="bg-gray-50 dark:bg-gray-700">
+      <CardBody className="space-y-4">
+        <h3 className="font-semibold text-sm text-gray-900 dark:text-gray-100">Feed System</h3>
+
+        <div className="flex items-end gap-2">
+          <Input
+            size="sm"
+            type="number"
+            label="Reference impedance"
+            value={feed.referenceImpedance.toString()}
+            onValueChange={value => onFeedChange({ ...feed, referenceImpedance: number(value) })}
+            endContent={unit('Ω')}
+            classNames={inputClassNames}
+          />
+          <ButtonGroup size="sm" variant="flat">
+            {referenceImpedances.map(impedance => (
+              <Button
+                key={impedance}
+                color={feed.referenceImpedance === impedance ? 'primary' : 'default'}
+                onPress={() => onFeedChange({ ...feed, referenceImpedance: impedance })}
+              >
+                {impedance}
+              </Button>
+            ))}
+          </ButtonGroup>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <Select
+            size="sm"
+            label="Driven element"
+            selectedKeys={[folded ? 'folded' : 'split']}
+            onSelectionChange={keys => setDrivenType(Array.from(keys)[0] as string)}
+            classNames={selectClassNames}
+          >
+            {drivenTypes.map(type => (
+              <SelectItem key={type.value}>{type.label}</SelectItem>
+            ))}
+          </Select>
+          <Select
+            size="sm"
+            label="Matching network"
+            selectedKeys={[match?.type ?? 'none']}
+            disabledKeys={folded ? ['gamma'] : []}
+            onSelectionChange={keys => setMatchType(Array.from(keys)[0] as string)}
+            classNames={selectClassNames}
+          >
+            {matchTypes.map(type => (
+              <SelectItem key={type.value}>{type.label}</SelectItem>
+            ))}
+          </Select>
+
+          {folded && (
+            <>
+              <Input
+                size="sm"
+                type="number"
+                label="Fold spacing"
+                value={folded.spacing.toString()}
+                onValueChange={value =>
+                  onFeedChange({ ...feed, folded: { ...folded, spacing: number(value) } })
+                }
+                endContent={unit('mm')}
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Unfed conductor diameter"
+                value={folded.diameter.toString()}
+                onValueChange={value =>
+                  onFeedChange({ ...feed, folded: { ...folded, diameter: number(value) } })
+                }
+                endContent={unit('mm')}
+                classNames={inputClassNames}
+              />
+            </>
+          )}
+
+          {match?.type === 'hairpin' && (
+            <>
+              <Input
+                size="sm"
+                type="number"
+                label="Hairpin spacing"
+                value={match.spacing.toString()}
+                onValueChange={value => updateMatch({ spacing: number(value) })}
+                endContent={unit('mm')}
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Hairpin wire diameter"
+                value={match.wireDiameter.toString()}
+                onValueChange={value => updateMatch({ wireDiameter: number(value) })}
+                endContent={unit('mm')}
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Hairpin length"
+                value={match.length.toString()}
+                onValueChange={value => updateMatch({ length: number(value) })}
+                endContent={unit('mm')}
+                description="From the feed point to the shorting bar"
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Series reactance"
+                value={match.seriesReactance.toString()}
+                onValueChange={value => updateMatch({ seriesReactance: number(value) })}
+                endContent={unit('Ω')}
+                description={renderSeriesComponent(match.seriesReactance)}
+                classNames={inputClassNames}
+              />
+            </>
+          )}
+
+          {match?.type === 'gamma' && (
+            <>
+              <Input
+                size="sm"
+                type="number"
+                label="Rod diameter"
+                value={match.rodDiameter.toString()}
+                onValueChange={value => updateMatch({ rodDiameter: number(value) })}
+                endContent={unit('mm')}
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Rod spacing"
+                value={match.spacing.toString()}
+                onValueChange={value => updateMatch({ spacing: number(value) })}
+                endContent={unit('mm')}
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Rod length"
+                value={match.rodLength.toString()}
+                onValueChange={value => updateMatch({ rodLength: number(value) })}
+                endContent={unit('mm')}
+                description="From the element center to the strap"
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Series capacitor"
+                value={match.capacitance.toString()}
+                onValueChange={value => updateMatch({ capacitance: number(value) })}
+                endContent={unit('pF')}
+                classNames={inputClassNames}
+              />
+            </>
+          )}
+        </div>
+
+        {match && (
+          <div className="flex items-center gap-3">
+            <Button
+              size="sm"
+              color="primary"
+              variant="flat"
+              startContent={<CalculatorIcon className="w-4 h-4" />}
+              isLoading={isSolving}
+              onPress={onSolveMatch}
+            >
+              Solve match
+            </Button>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Component values are solved from the simulated feed-point impedance for{' '}
+              {feed.referenceImpedance} Ω.
+              {match.type === 'hairpin' &&
+                ' A negative series reactance is normally made by shortening the driven element.'}
+              {match.type === 'gamma' &&
+                ' NEC-2 under-reports gain with a gamma rod modelled, so compare gain without it.'}
+            </p>
+          </div>
+        )}
+
+        {error && (
+          <p className="p-2 text-xs rounded bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-200">
+            {error}
+          </p>
+        )}
+      </CardBody>
+    </Card>
+  )
+}
+
+export default FeedDesigner
@@ -1,6 +1,6 @@
 // File export modal component for antenna design files
 
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useEffect } from 'react'
 import {
   Modal,
   ModalContent,
@@ -22,15 +22,25 @@ import {
   CheckCircleIcon,
   ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline'
-import { AntennaParams } from '@/utils/nec2c'
-import { SupportedFileFormat, FileExportOptions, FILE_FORMATS } from '@/types/antenna/fileFormats'
+import { AntennaParams, SimulationResults, SweepResults } from '@/utils/nec2c'
+import {
+  SupportedFileFormat,
+  FileExportOptions,
+  FILE_FORMATS,
+  EXPORT_FORMATS,
+} from '@/types/antenna/fileFormats'
 import { exportAntennaFile, downloadFile } from '@/utils/antenna/fileFormats'
+import { isSameDesign } from '@/utils/antenna/resultExport'
 
 interface FileExportModalProps {
   isOpen: boolean
   onClose: () => void
   antennaParams: AntennaParams
   defaultFilename?: string
+  simulationResults?: SimulationResults | null // for pattern CSV
+  simulationParams?: AntennaParams | null // design the simulation was run for
+  sweepResults?: SweepResults | null // for Touchstone
+  sweepParams?: AntennaParams | null // design the sweep was run for
 }
 
 export function FileExportModal({
@@ -38,8 +48,15 @@ export function FileExportModal({
   onClose,
   antennaParams,
   defaultFilename = 'antenna_design',
+  simulationResults = null,
+  simulationParams = null,
+  sweepResults = null,
+  sweepParams = null,
 }: FileExportModalProps) {
   const [format, setFormat] = useState<SupportedFileFormat>('json')
+  const [referenceImpedance, setReferenceImpedance] = useState(
+    antennaParams.feed?.referenceImpedance ?? 50
+  )
   const [filename, setFilename] = useState(defaultFilename)
   const [name, setName] = useState('')
   const [description, setDescription] = useState('')
@@ -49,6 +66,16 @@ export function FileExportModal({
   const [exportSuccess, setExportSuccess] = useState<boolean | null>(null)
   const [exportError, setExportError] = useState<string | null>(null)
 
+  // Start from the design's reference impedance each time the modal opens
+  const designImpedance = antennaParams.feed?.referenceImpedance ?? 50
+  useEffect(() => {
+    if (isOpen) setReferenceImpedance(designImpedance)
+  }, [isOpen, designImpedance])
+
+  // Results of an earlier version of the design are not exported
+  const currentSimulation = isSameDesign(simulationParams, antennaParams) ? simulationResults : null
+  const currentSweep = isSameDesign(sweepParams, antennaParams) ? sweepResults : null
+
   const handleExport = useCallback(async () => {
     if (isExporting) return
 
@@ -72,6 +99,8 @@ export function FileExportModal({
           author: author.trim() || undefined,
         },
         includeSimulationResults: includeSimulation,
+        referenceImpedance,
+        results: { simulation: currentSimulation, sweep: currentSweep },
       }
 
       console.log('Exporting with options:', options)
@@ -107,6 +136,9 @@ export function FileExportModal({
     description,
     author,
     includeSimulation,
+    referenceImpedance,
+    currentSimulation,
+    currentSweep,
     antennaParams,
     onClose,
   ])
@@ -120,6 +152,16 @@ export function FileExportModal({
   }, [isExporting, onClose])
 
   const fileExtension = FILE_FORMATS[format]?.extension || ''
+  // Result formats need results of the design as it is now
+  const missingFormats: SupportedFileFormat[] = [
+    ...(sweepResults ? [] : ['s1p' as const]),
+    ...(simulationResults ? [] : ['csv' as const]),
+  ]
+  const staleFormats: SupportedFileFormat[] = [
+    ...(sweepResults && !currentSweep ? ['s1p' as const] : []),
+    ...(simulationResults && !currentSimulation ? ['csv' as const] : []),
+  ]
+  const unavailableFormats = [...missingFormats, ...staleFormats]
 
   return (
     <Modal
@@ -181,14 +223,17 @@ export function FileExportModal({
                     const formatInfo = FILE_FORMATS[selectedFormat]
                     return `${formatInfo.name} (${formatInfo.extension}) - ${formatInfo.description}`
                   }}
+                  disabledKeys={unavailableFormats}
                   classNames={{
                     trigger: 'bg-gray-50 dark:bg-gray-700',
                     value: 'text-foreground',
                   }}
                 >
-                  <SelectItem key="yc6">{FILE_FORMATS.yc6.name} (.yc6)</SelectItem>
-                  <SelectItem key="nec">{FILE_FORMATS.nec.name} (.nec)</SelectItem>
-                  <SelectItem key="json">{FILE_FORMATS.json.name} (.json)</SelectItem>
+                  {EXPORT_FORMATS.map(key => (
+                    <SelectItem key={key}>
+                      {`${FILE_FORMATS[key].name} (${FILE_FORMATS[key].extension})`}
+                    </SelectItem>
+                  ))}
                 </Select>
               </div>
 
@@ -205,6 +250,20 @@ export function FileExportModal({
                 />
               </div>
 
+              {/* Touchstone reference impedance */}
+              {format === 's1p' && (
+                <Input
+                  type="number"
+                  label="Reference impedance"
+                  value={referenceImpedance.toString()}
+                  onValueChange={value => setReferenceImpedance(parseFloat(value) || 0)}
+                  endContent={<span className="text-sm text-gray-500">Ω</span>}
+                  classNames={{
+                    inputWrapper: 'bg-gray-50 dark:bg-gray-700',
+                  }}
+                />
+              )}
+
               {/* Metadata (for JSON format) */}
               {format === 'json' && (
                 <div className="space-y-4 p-4 bg-gray-50 dark:bg-gray-800 rounded-lg">
@@ -258,13 +317,16 @@ export function FileExportModal({
                 {format === 'yc6' && (
                   <p>
                     <strong>YagiCAD format:</strong> Compatible with YagiCAD software. Includes
-                    frequency and element positions/dimensions.
+                    frequency and element positions/dimensions. Telescoping elements are written
+                    with their average diameter and the boom model is not included.
                   </p>
                 )}
                 {format === 'nec' && (
                   <p>
                     <strong>NEC format:</strong> Standard Numerical Electromagnetics Code input
-                    file. Can be used with NEC simulation tools.
+                    file. Can be used with NEC simulation tools. Telescoping sections become
+                    separate wires, the boom model is applied and the feed is written as it is
+                    simulated, including any matching network.
                   </p>
                 )}
                 {format === 'json' && (
@@ -273,6 +335,38 @@ export function FileExportModal({
                     Recommended for sharing and backup.
                   </p>
                 )}
+                {format === 'maa' && (
+                  <p>
+                    <strong>MMANA-GAL format:</strong> Wire table in meters with the sources, the
+                    gamma match capacitor as a load, the ground and the height. MMANA-GAL has no
+                    transmission lines, so a hairpin match is left out.
+                  </p>
+                )}
+                {format === 's1p' && (
+                  <p>
+                    <strong>Touchstone:</strong> S11 of the last frequency sweep against the
+                    reference impedance, for circuit simulators and VNA software.
+                  </p>
+                )}
+                {format === 'csv' && (
+                  <p>
+                    <strong>Pattern CSV:</strong> Azimuth and elevation cuts of the last simulation
+                    in dBi, with the vertical and horizontal components where available.
+                  </p>
+                )}
+                {missingFormats.length > 0 && (
+                  <p>
+                    Run a simulation or a frequency sweep to export its results as{' '}
+                    {missingFormats.map(key => FILE_FORMATS[key].name).join(' or ')}.
+                  </p>
+                )}
+                {staleFormats.length > 0 && (
+                  <p>
+                    {staleFormats.map(key => FILE_FORMATS[key].name).join(' and ')} results are from
+                    an earlier version of the design; wait for the simulation or run the sweep
+                    again.
+                  </p>
+                )}
               </div>
             </ModalBody>
             <ModalFooter className="flex gap-2 justify-end">
@@ -307,7 +401,11 @@ export function FileExportModal({
                   variant="solid"
                   onPress={handleExport}
                   isLoading={isExporting}
-                  disabled={isExporting || !antennaParams.elements?.length}
+                  disabled={
+                    isExporting ||
+                    !antennaParams.elements?.length ||
+                    unavailableFormats.includes(format)
+                  }
                   startContent={
                     !isExporting ? <ArrowDownTrayIcon className="w-4 h-4" /> : undefined
                   }
@@ -16,18 +16,23 @@ import {
   DocumentIcon,
   ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline'
-import { FileParseResult, FILE_FORMATS } from '@/types/antenna/fileFormats'
+import { FileParseResult, FILE_FORMATS, IMPORT_FORMATS, NECData } from '@/types/antenna/fileFormats'
 import { parseAntennaFile, createDroppedFileInfo } from '@/utils/antenna/fileFormats'
 import { AntennaParams } from '@/utils/nec2c'
 
 interface FileUploadDropzoneProps {
   onFileLoaded: (antennaParams: AntennaParams, metadata?: Record<string, unknown>) => void
+  onDeckLoaded?: (deck: NECData | null) => void // NEC, MMANA-GAL and EZNEC imports keep the deck
   className?: string
   disabled?: boolean
 }
 
+// Result formats such as Touchstone are export-only
+const importExtensions = IMPORT_FORMATS.map(format => FILE_FORMATS[format].extension)
+
 export function FileUploadDropzone({
   onFileLoaded,
+  onDeckLoaded,
   className = '',
   disabled = false,
 }: FileUploadDropzoneProps) {
@@ -44,14 +49,10 @@ export function FileUploadDropzone({
       const fileInfo = createDroppedFileInfo(file)
 
       // Check file format
-      if (fileInfo.format === 'unknown') {
+      if (fileInfo.format === 'unknown' || !FILE_FORMATS[fileInfo.format].canImport) {
         setParseResult({
           success: false,
-          error: `Unsupported file format. Please select a valid antenna design file: ${Object.values(
-            FILE_FORMATS
-          )
-            .map(f => f.extension)
-            .join(', ')}`,
+          error: `Unsupported file format. Please select a valid antenna design file: ${importExtensions.join(', ')}`,
         })
         setShowErrorModal(true)
         return
@@ -73,6 +74,10 @@ export function FileUploadDropzone({
         const result = await parseAntennaFile(file)
         setParseResult(result)
 
+        if (result.success) {
+          onDeckLoaded?.(result.necDeck ?? null)
+        }
+
         if (result.success && result.data) {
           onFileLoaded(result.data, result.metadata)
 
@@ -93,7 +98,7 @@ export function FileUploadDropzone({
         setIsProcessing(false)
       }
     },
-    [onFileLoaded, disabled]
+    [onFileLoaded, onDeckLoaded, disabled]
   )
 
   const handleDragOver = useCallback(
@@ -129,9 +134,7 @@ export function FileUploadDropzone({
 
     const input = document.createElement('input')
     input.type = 'file'
-    input.accept = Object.values(FILE_FORMATS)
-      .map(f => f.extension)
-      .join(',')
+    input.accept = importExtensions.join(',')
     input.onchange = e => {
       const target = e.target as HTMLInputElement
       if (target.files) {
@@ -178,12 +181,12 @@ export function FileUploadDropzone({
                     Drag and drop a file here, or click to browse
                   </p>
                   <div className="flex flex-wrap justify-center gap-2 text-xs text-gray-500 dark:text-gray-500">
-                    {Object.values(FILE_FORMATS).map(format => (
+                    {importExtensions.map(extension => (
                       <span
-                        key={format.extension}
+                        key={extension}
                         className="px-2 py-1 bg-gray-100 dark:bg-gray-700 rounded"
                       >
-                        {format.extension}
+                        {extension}
                       </span>
                     ))}
                   </div>
@@ -209,7 +212,9 @@ export function FileUploadDropzone({
             {parseResult?.success ? (
               <div className="space-y-3">
                 <p className="text-sm text-gray-600 dark:text-gray-400">
-                  File loaded successfully, but there were some warnings:
+                  {parseResult.data
+                    ? 'File loaded successfully, but there were some warnings:'
+                    : 'This NEC deck could not be mapped to a Yagi design. The raw deck was kept and can be simulated as-is.'}
                 </p>
                 <div className="bg-yellow-50 dark:bg-yellow-900/20 p-3 rounded-lg">
                   <ul className="text-sm text-yellow-800 dark:text-yellow-200 space-y-1">
@@ -232,9 +237,10 @@ export function FileUploadDropzone({
                 <div className="text-xs text-gray-500 dark:text-gray-400">
                   <p>Supported formats:</p>
                   <ul className="mt-1 space-y-1">
-                    {Object.entries(FILE_FORMATS).map(([key, format]) => (
+                    {IMPORT_FORMATS.map(key => (
                       <li key={key}>
-                        <strong>{format.extension}</strong> - {format.description}
+                        <strong>{FILE_FORMATS[key].extension}</strong> -{' '}
+                        {FILE_FORMATS[key].description}
                       </li>
                     ))}
                   </ul>
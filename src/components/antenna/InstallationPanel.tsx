@@ -0,0 +1,259 @@
+/**
+ * Installation Component - height over ground, polarization and stacking
+ */
+
+import { Button, ButtonGroup, Card, CardBody, Input, Select, SelectItem } from '@heroui/react'
+import type { InstallationParams, Polarization, StackParams } from '@/utils/nec2c'
+import {
+  findGroundPreset,
+  getBayCount,
+  GROUND_PRESETS,
+  hasGround,
+  type GroundParams,
+  type GroundPreset,
+} from '@/utils/antenna/installation'
+
+interface InstallationPanelProps {
+  frequency: number
+  ground: GroundParams
+  installation: InstallationParams
+  onGroundChange: (ground: GroundParams) => void
+  onInstallationChange: (installation: InstallationParams) => void
+  isDisabled?: boolean
+}
+
+const polarizations: { value: Polarization; label: string }[] = [
+  { value: 'horizontal', label: 'Horizontal' },
+  { value: 'vertical', label: 'Vertical' },
+  { value: 'cross', label: 'Cross (X-pol)' },
+]
+
+// Rows x columns
+const layouts = [
+  { key: '1x1', label: 'Single antenna' },
+  { key: '2x1', label: '2 stacked' },
+  { key: '1x2', label: '2 side by side' },
+  { key: '4x1', label: '4 stacked' },
+  { key: '1x4', label: '4 side by side' },
+  { key: '2x2', label: '4 in a 2 x 2 box' },
+]
+
+const inputClassNames = { inputWrapper: 'bg-white dark:bg-gray-800' }
+const selectClassNames = { trigger: 'bg-white dark:bg-gray-800' }
+const unit = (text: string) => (
+  <span className="text-xs text-gray-500 dark:text-gray-400">{text}</span>
+)
+
+/**
+ * A stack of the given layout, one wavelength apart in both directions
+ * unless spacings were set before
+ */
+function createStack(layout: string, wavelength: number, previous?: StackParams): StackParams {
+  const [rows, columns] = layout.split('x').map(Number)
+  return {
+    rows,
+    columns,
+    verticalSpacing: previous?.verticalSpacing || Math.round(wavelength),
+    horizontalSpacing: previous?.horizontalSpacing || Math.round(wavelength),
+  }
+}
+
+export function InstallationPanel({
+  frequency,
+  ground,
+  installation,
+  onGroundChange,
+  onInstallationChange,
+  isDisabled = false,
+}: InstallationPanelProps) {
+  const wavelength = 299792.458 / frequency // mm
+  const { polarization, stack } = installation
+  const preset = findGroundPreset(ground) ?? 'custom'
+  const bays = getBayCount(stack)
+
+  const update = (changes: Partial<InstallationParams>) =>
+    onInstallationChange({ ...installation, ...changes })
+  const updateStack = (changes: Partial<StackParams>) =>
+    stack && update({ stack: { ...stack, ...changes } })
+
+  const setPolarization = (value: Polarization) =>
+    update({
+      polarization: value,
+      // The vertical elements sit a little along the boom, clear of the horizontal ones
+      ...(value === 'cross' && {
+        crossOffset: installation.crossOffset ?? Math.round(wavelength / 20),
+        crossPhase: installation.crossPhase ?? 0,
+      }),
+    })
+
+  const setLayout = (layout: string) =>
+    update({ stack: layout === '1x1' ? undefined : createStack(layout, wavelength, stack) })
+
+  const setPhase = (bay: number, phase: number) => {
+    const phases = stack?.phases ?? Array.from({ length: bays }, () => 0)
+    updateStack({ phases: phases.map((p, i) => (i === bay ? phase : p)) })
+  }
+
+  const groundOptions = [
+    ...(Object.keys(GROUND_PRESETS) as GroundPreset[]).map(key => ({
+      key,
+      label: GROUND_PRESETS[key].label,
+    })),
+    // A ground read from a file that matches no preset
+    ...(preset === 'custom'
+      ? [
+          {
+            key: 'custom',
+            label: `Imported (σ ${ground.groundConductivity} S/m, εr ${ground.groundDielectric})`,
+          },
+        ]
+      : []),
+  ]
+
+  return (
+    <Card className="bg-gray-50 dark:bg-gray-700">
+      <CardBody className="space-y-4">
+        <h3 className="font-semibold text-sm text-gray-900 dark:text-gray-100">Installation</h3>
+
+        <div className="grid grid-cols-2 gap-3">
+          <Select
+            size="sm"
+            label="Ground"
+            selectedKeys={[preset]}
+            onSelectionChange={keys => {
+              const key = Array.from(keys)[0] as GroundPreset | 'custom' | undefined
+              if (key && key !== 'custom') onGroundChange(GROUND_PRESETS[key].ground)
+            }}
+            isDisabled={isDisabled}
+            classNames={selectClassNames}
+          >
+            {groundOptions.map(o => (
+              <SelectItem key={o.key}>{o.label}</SelectItem>
+            ))}
+          </Select>
+          <Input
+            size="sm"
+            type="number"
+            label="Height"
+            value={installation.height.toString()}
+            onValueChange={value => update({ height: parseFloat(value) || 0 })}
+            endContent={unit('m')}
+            description="Center of the array above ground"
+            isDisabled={isDisabled || !hasGround(ground)}
+            classNames={inputClassNames}
+          />
+        </div>
+
+        {/* Polarization */}
+        <div className="space-y-2">
+          <span className="text-sm text-gray-700 dark:text-gray-300">Polarization</span>
+          <ButtonGroup size="sm" variant="flat" fullWidth isDisabled={isDisabled}>
+            {polarizations.map(p => (
+              <Button
+                key={p.value}
+                color={polarization === p.value ? 'primary' : 'default'}
+                onPress={() => setPolarization(p.value)}
+              >
+                {p.label}
+              </Button>
+            ))}
+          </ButtonGroup>
+          {polarization === 'cross' && (
+            <div className="grid grid-cols-2 gap-3">
+              <Input
+                size="sm"
+                type="number"
+                label="Vertical elements offset"
+                value={(installation.crossOffset ?? 0).toString()}
+                onValueChange={value => update({ crossOffset: parseFloat(value) || 0 })}
+                endContent={unit('mm')}
+                description="Along the boom"
+                isDisabled={isDisabled}
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Vertical feed phase"
+                value={(installation.crossPhase ?? 0).toString()}
+                onValueChange={value => update({ crossPhase: parseFloat(value) || 0 })}
+                endContent={unit('°')}
+                description="±90° circular, 0° or 180° slant"
+                isDisabled={isDisabled}
+                classNames={inputClassNames}
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Stacking */}
+        <div className="space-y-2">
+          <Select
+            size="sm"
+            label="Stacking"
+            selectedKeys={[stack ? `${stack.rows}x${stack.columns}` : '1x1']}
+            onSelectionChange={keys => {
+              const key = Array.from(keys)[0] as string | undefined
+              if (key) setLayout(key)
+            }}
+            isDisabled={isDisabled}
+            classNames={selectClassNames}
+          >
+            {layouts.map(l => (
+              <SelectItem key={l.key}>{l.label}</SelectItem>
+            ))}
+          </Select>
+          {stack && (
+            <>
+              <div className="grid grid-cols-2 gap-3">
+                <Input
+                  size="sm"
+                  type="number"
+                  label="Vertical spacing"
+                  value={stack.verticalSpacing.toString()}
+                  onValueChange={value => updateStack({ verticalSpacing: parseFloat(value) || 0 })}
+                  endContent={unit('mm')}
+                  isDisabled={isDisabled || stack.rows === 1}
+                  classNames={inputClassNames}
+                />
+                <Input
+                  size="sm"
+                  type="number"
+                  label="Horizontal spacing"
+                  value={stack.horizontalSpacing.toString()}
+                  onValueChange={value =>
+                    updateStack({ horizontalSpacing: parseFloat(value) || 0 })
+                  }
+                  endContent={unit('mm')}
+                  isDisabled={isDisabled || stack.columns === 1}
+                  classNames={inputClassNames}
+                />
+              </div>
+              <div className="grid grid-cols-4 gap-2">
+                {Array.from({ length: bays }, (_, bay) => (
+                  <Input
+                    key={bay}
+                    size="sm"
+                    type="number"
+                    label={`Bay ${bay + 1}`}
+                    value={(stack.phases?.[bay] ?? 0).toString()}
+                    onValueChange={value => setPhase(bay, parseFloat(value) || 0)}
+                    endContent={unit('°')}
+                    isDisabled={isDisabled}
+                    classNames={inputClassNames}
+                  />
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Feed phase of each bay, numbered from the bottom row and from -Y to +Y. Stacking
+                gain is reported against a single antenna at the same height.
+              </p>
+            </>
+          )}
+        </div>
+      </CardBody>
+    </Card>
+  )
+}
+
+export default InstallationPanel
@@ -0,0 +1,118 @@
+import { useEffect, useRef, useState } from 'react'
+import { Button, Card, CardBody, CardHeader, Divider } from '@heroui/react'
+import { PlayIcon } from '@heroicons/react/24/outline'
+import type { NECData } from '@/types/antenna/fileFormats'
+import type { SweepPoint } from '@/utils/nec2c'
+import { getNEC2WorkerPool, isAbortError } from '@/utils/nec2cWorkerPool'
+import { serializeNECDeck } from '@/utils/antenna/necDeck'
+
+interface NECDeckSummaryProps {
+  deck: NECData
+  referenceImpedance?: number // ohms, for VSWR
+}
+
+/**
+ * Summary of an imported NEC deck. The deck can be simulated unchanged,
+ * which also covers decks that could not be mapped to a Yagi design.
+ */
+export function NECDeckSummary({ deck, referenceImpedance = 50 }: NECDeckSummaryProps) {
+  const [points, setPoints] = useState<SweepPoint[] | null>(null)
+  const [isRunning, setIsRunning] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const controllerRef = useRef<AbortController | null>(null)
+
+  // A new deck invalidates the previous run
+  useEffect(() => {
+    setPoints(null)
+    setError(null)
+    return () => controllerRef.current?.abort()
+  }, [deck, referenceImpedance])
+
+  const handleSimulate = async () => {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setIsRunning(true)
+    setError(null)
+
+    try {
+      // nec2c has no SY card, so symbols are substituted before the run
+      const input = serializeNECDeck(deck, { resolveSymbols: true })
+      setPoints(
+        await getNEC2WorkerPool().simulateDeck(input, referenceImpedance, controller.signal)
+      )
+    } catch (err) {
+      if (isAbortError(err)) return
+      setError(err instanceof Error ? err.message : 'Unknown simulation error')
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null
+        setIsRunning(false)
+      }
+    }
+  }
+
+  const title = deck.comments[0] || 'Imported NEC deck'
+
+  return (
+    <Card className="bg-white dark:bg-gray-800">
+      <CardHeader className="flex justify-between items-center gap-3">
+        <div className="min-w-0">
+          <h3 className="font-semibold text-gray-900 dark:text-gray-100 truncate">{title}</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {deck.cards.length} cards · {deck.wires.length} wires · {deck.excitations.length}{' '}
+            sources · {deck.frequency} MHz
+          </p>
+        </div>
+        <Button
+          color="primary"
+          variant="flat"
+          size="sm"
+          startContent={<PlayIcon className="w-4 h-4" />}
+          isLoading={isRunning}
+          onPress={handleSimulate}
+        >
+          Simulate deck as-is
+        </Button>
+      </CardHeader>
+      {(points || error) && <Divider />}
+      <CardBody className="p-0">
+        {error && (
+          <p className="m-3 p-3 text-sm rounded bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-200">
+            {error}
+          </p>
+        )}
+        {points && (
+          <table className="w-full text-sm font-mono text-gray-800 dark:text-gray-200">
+            <thead className="text-xs text-gray-500 dark:text-gray-400">
+              <tr>
+                <th className="px-3 py-2 text-left">MHz</th>
+                <th className="px-3 py-2 text-right">Gain dBi</th>
+                <th className="px-3 py-2 text-right">F/B dB</th>
+                <th className="px-3 py-2 text-right">Z Ω</th>
+                <th className="px-3 py-2 text-right">VSWR ({referenceImpedance} Ω)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {points.map(point => (
+                <tr key={point.frequency} className="border-t border-gray-100 dark:border-gray-700">
+                  <td className="px-3 py-1">{point.frequency.toFixed(3)}</td>
+                  <td className="px-3 py-1 text-right">{point.gain.toFixed(2)}</td>
+                  <td className="px-3 py-1 text-right">{point.frontToBackRatio.toFixed(2)}</td>
+                  <td className="px-3 py-1 text-right">
+                    {point.inputImpedance.resistance.toFixed(1)}
+                    {point.inputImpedance.reactance < 0 ? ' - j' : ' + j'}
+                    {Math.abs(point.inputImpedance.reactance).toFixed(1)}
+                  </td>
+                  <td className="px-3 py-1 text-right">{point.vswr.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </CardBody>
+    </Card>
+  )
+}
+
+export default NECDeckSummary
@@ -0,0 +1,192 @@
+/**
+ * Optimization progress: convergence chart and Pareto front picker
+ */
+
+import { useEffect, useState } from 'react'
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  type ChartOptions,
+  type ChartData,
+} from 'chart.js'
+import { Line, Scatter } from 'react-chartjs-2'
+import { Button, Card, CardBody, Select, SelectItem } from '@heroui/react'
+import { CheckIcon } from '@heroicons/react/24/outline'
+import type {
+  ObjectiveMetric,
+  OptimizationCandidate,
+  OptimizationObjective,
+  OptimizerGeneration,
+} from '@/utils/antenna/optimizer'
+import { useThemeStore } from '@/stores/ui/themeStore'
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend)
+
+interface OptimizationProgressProps {
+  history: OptimizerGeneration[]
+  front: OptimizationCandidate[]
+  objectives: OptimizationObjective[]
+  onApply: (candidate: OptimizationCandidate) => void
+}
+
+const metricLabels: Record<ObjectiveMetric, string> = {
+  gain: 'Gain (dBi)',
+  frontToBackRatio: 'F/B (dB)',
+  vswr: 'VSWR',
+}
+
+const objectiveLabel = ({ metric, aggregate }: OptimizationObjective) =>
+  `${aggregate === 'worst' ? 'Worst' : 'Mean'} ${metricLabels[metric]}`
+
+export function OptimizationProgress({
+  history,
+  front,
+  objectives,
+  onApply,
+}: OptimizationProgressProps) {
+  const { resolvedTheme } = useThemeStore()
+  const isDark = resolvedTheme === 'dark'
+  const textColor = isDark ? '#d1d5db' : '#374151'
+  const gridColor = isDark ? '#374151' : '#e5e7eb'
+  const [selected, setSelected] = useState(0)
+  const [axes, setAxes] = useState<[number, number]>([0, 1])
+
+  // A new front starts at its recommended design, which is the one applied
+  useEffect(() => setSelected(0), [front])
+
+  const axis = (text: string) => ({
+    title: { display: true, text, color: textColor },
+    ticks: { color: textColor },
+    grid: { color: gridColor },
+  })
+
+  const convergenceOptions: ChartOptions<'line'> = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      title: { display: true, text: 'Convergence', color: textColor },
+      legend: { labels: { color: textColor } },
+    },
+    scales: { x: axis('Generation'), y: axis('Score') },
+  }
+
+  const convergenceData: ChartData<'line', number[]> = {
+    labels: history.map(g => g.generation.toString()),
+    datasets: [
+      {
+        label: 'Best',
+        data: history.map(g => g.best.score),
+        borderColor: '#2563eb',
+        backgroundColor: '#2563eb',
+        pointRadius: 2,
+      },
+      {
+        label: 'Population mean',
+        data: history.map(g => g.meanScore),
+        borderColor: '#9ca3af',
+        backgroundColor: '#9ca3af',
+        borderDash: [4, 4],
+        pointRadius: 0,
+      },
+    ],
+  }
+
+  // A picker only makes sense once a run has finished with several designs
+  const canPick = front.length > 1 && objectives.length > 1
+  const [xIndex, yIndex] = axes.map(i => Math.min(i, objectives.length - 1))
+  const current = front[Math.min(selected, front.length - 1)]
+
+  const paretoOptions: ChartOptions<'scatter'> = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      title: { display: true, text: 'Pareto front', color: textColor },
+      legend: { display: false },
+    },
+    scales: {
+      x: axis(objectives[xIndex] ? objectiveLabel(objectives[xIndex]) : ''),
+      y: axis(objectives[yIndex] ? objectiveLabel(objectives[yIndex]) : ''),
+    },
+    onClick: (_event, elements) => {
+      if (elements.length > 0) setSelected(elements[0].index)
+    },
+  }
+
+  const paretoData: ChartData<'scatter'> = {
+    datasets: [
+      {
+        label: 'Designs',
+        data: front.map(c => ({ x: c.objectives[xIndex], y: c.objectives[yIndex] })),
+        pointRadius: front.map((_, i) => (i === selected ? 7 : 4)),
+        backgroundColor: front.map((_, i) => (i === selected ? '#16a34a' : '#2563eb')),
+      },
+    ],
+  }
+
+  if (history.length === 0) return null
+
+  return (
+    <Card className="bg-white dark:bg-gray-800">
+      <CardBody className="space-y-4">
+        <div className="h-56">
+          <Line options={convergenceOptions} data={convergenceData} />
+        </div>
+
+        {canPick && current && (
+          <>
+            <div className="grid grid-cols-2 gap-3">
+              {(['X axis', 'Y axis'] as const).map((label, a) => (
+                <Select
+                  key={label}
+                  size="sm"
+                  label={label}
+                  selectedKeys={[axes[a].toString()]}
+                  onSelectionChange={keys => {
+                    const next: [number, number] = [...axes]
+                    next[a] = Number(Array.from(keys)[0])
+                    setAxes(next)
+                  }}
+                >
+                  {objectives.map((objective, i) => (
+                    <SelectItem key={i.toString()}>{objectiveLabel(objective)}</SelectItem>
+                  ))}
+                </Select>
+              ))}
+            </div>
+            <div className="h-56">
+              <Scatter options={paretoOptions} data={paretoData} />
+            </div>
+            <div className="flex items-center justify-between gap-3">
+              <p className="text-xs font-mono text-gray-700 dark:text-gray-300">
+                Design {Math.min(selected, front.length - 1) + 1} of {front.length}: Gain{' '}
+                {current.performance.gain.toFixed(2)} dBi, F/B{' '}
+                {current.performance.frontToBackRatio.toFixed(2)} dB, VSWR{' '}
+                {current.performance.vswr.toFixed(2)}
+              </p>
+              <Button
+                size="sm"
+                color="primary"
+                variant="flat"
+                startContent={<CheckIcon className="w-4 h-4" />}
+                onPress={() => onApply(current)}
+              >
+                Apply design
+              </Button>
+            </div>
+          </>
+        )}
+      </CardBody>
+    </Card>
+  )
+}
+
+export default OptimizationProgress
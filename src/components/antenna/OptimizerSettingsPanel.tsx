@@ -0,0 +1,333 @@
+/**
+ * Optimizer Settings Component - algorithm, objectives, band and constraints
+ */
+
+import {
+  Button,
+  ButtonGroup,
+  Card,
+  CardBody,
+  Checkbox,
+  Input,
+  Select,
+  SelectItem,
+  Switch,
+} from '@heroui/react'
+import type { FrequencySweep } from '@/utils/nec2c'
+import {
+  getTargetObjectives,
+  type ObjectiveAggregate,
+  type ObjectiveMetric,
+  type OptimizationTarget,
+  type OptimizerAlgorithm,
+  type OptimizerConstraints,
+  type OptimizerSettings,
+} from '@/utils/antenna/optimizer'
+
+interface OptimizerSettingsPanelProps {
+  frequency: number
+  settings: OptimizerSettings
+  onSettingsChange: (settings: OptimizerSettings) => void
+  isDisabled?: boolean
+}
+
+const algorithms: { value: OptimizerAlgorithm; label: string; description: string }[] = [
+  {
+    value: 'ga',
+    label: 'Genetic algorithm',
+    description: 'Global search for the best weighted score.',
+  },
+  {
+    value: 'nsga2',
+    label: 'NSGA-II (Pareto)',
+    description: 'Finds the trade-off front between the objectives to pick a design from.',
+  },
+  {
+    value: 'nelder-mead',
+    label: 'Nelder-Mead',
+    description: 'Local refinement of the current design. Generations are iterations.',
+  },
+]
+
+const metrics: { value: ObjectiveMetric; label: string }[] = [
+  { value: 'gain', label: 'Gain' },
+  { value: 'frontToBackRatio', label: 'F/B ratio' },
+  { value: 'vswr', label: 'VSWR' },
+]
+
+const targets: { value: OptimizationTarget; label: string }[] = [
+  { value: 'gain', label: 'Max Gain' },
+  { value: 'fbRatio', label: 'Max F/B' },
+  { value: 'balanced', label: 'Balanced' },
+]
+
+const inputClassNames = { inputWrapper: 'bg-white dark:bg-gray-800' }
+const selectClassNames = { trigger: 'bg-white dark:bg-gray-800' }
+const unit = (text: string) => (
+  <span className="text-xs text-gray-500 dark:text-gray-400">{text}</span>
+)
+
+// Empty inputs mean "no limit"
+const optionalNumber = (value: string) => (value.trim() === '' ? undefined : parseFloat(value))
+const optionalText = (value?: number) => (value === undefined ? '' : value.toString())
+
+/**
+ * Five points across ±1% of the design frequency
+ */
+function createDefaultBand(frequency: number): FrequencySweep {
+  const startFrequency = Number((frequency * 0.99).toFixed(3))
+  const stopFrequency = Number((frequency * 1.01).toFixed(3))
+  return {
+    startFrequency,
+    stopFrequency,
+    stepFrequency: Number(((stopFrequency - startFrequency) / 4).toFixed(4)),
+  }
+}
+
+export function OptimizerSettingsPanel({
+  frequency,
+  settings,
+  onSettingsChange,
+  isDisabled = false,
+}: OptimizerSettingsPanelProps) {
+  const { algorithm, objectives, band, constraints } = settings
+
+  const update = (changes: Partial<OptimizerSettings>) =>
+    onSettingsChange({ ...settings, ...changes })
+  const updateConstraints = (changes: Partial<OptimizerConstraints>) =>
+    update({ constraints: { ...constraints, ...changes } })
+
+  const toggleMetric = (metric: ObjectiveMetric, enabled: boolean) => {
+    const rest = objectives.filter(o => o.metric !== metric)
+    const added = { metric, aggregate: 'worst' as const, weight: metric === 'vswr' ? 1 : 0.5 }
+    const next = enabled ? [...rest, added] : rest
+    // Keep the objectives in the order of the table
+    update({
+      objectives: metrics.flatMap(m => next.filter(o => o.metric === m.value)),
+    })
+  }
+
+  const updateObjective = (
+    metric: ObjectiveMetric,
+    changes: { aggregate?: ObjectiveAggregate; weight?: number }
+  ) =>
+    update({
+      objectives: objectives.map(o => (o.metric === metric ? { ...o, ...changes } : o)),
+    })
+
+  return (
+    <Card className="bg-gray-50 dark:bg-gray-700">
+      <CardBody className="space-y-4">
+        <h3 className="font-semibold text-sm text-gray-900 dark:text-gray-100">Optimizer</h3>
+
+        <Select
+          size="sm"
+          label="Algorithm"
+          selectedKeys={[algorithm]}
+          onSelectionChange={keys =>
+            update({ algorithm: Array.from(keys)[0] as OptimizerAlgorithm })
+          }
+          description={algorithms.find(a => a.value === algorithm)?.description}
+          isDisabled={isDisabled}
+          classNames={selectClassNames}
+        >
+          {algorithms.map(a => (
+            <SelectItem key={a.value}>{a.label}</SelectItem>
+          ))}
+        </Select>
+
+        {/* Objectives */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-700 dark:text-gray-300">Objectives</span>
+            <ButtonGroup size="sm" variant="flat" isDisabled={isDisabled}>
+              {targets.map(target => (
+                <Button
+                  key={target.value}
+                  onPress={() => update({ objectives: getTargetObjectives(target.value) })}
+                >
+                  {target.label}
+                </Button>
+              ))}
+            </ButtonGroup>
+          </div>
+          {metrics.map(metric => {
+            const objective = objectives.find(o => o.metric === metric.value)
+            return (
+              <div key={metric.value} className="grid grid-cols-3 gap-2 items-center">
+                <Checkbox
+                  size="sm"
+                  isSelected={!!objective}
+                  isDisabled={isDisabled || (!!objective && objectives.length === 1)}
+                  onValueChange={enabled => toggleMetric(metric.value, enabled)}
+                >
+                  {metric.label}
+                </Checkbox>
+                <Select
+                  size="sm"
+                  aria-label={`${metric.label} over the band`}
+                  selectedKeys={[objective?.aggregate ?? 'worst']}
+                  onSelectionChange={keys =>
+                    updateObjective(metric.value, {
+                      aggregate: Array.from(keys)[0] as ObjectiveAggregate,
+                    })
+                  }
+                  isDisabled={isDisabled || !objective}
+                  classNames={selectClassNames}
+                >
+                  <SelectItem key="worst">Worst case</SelectItem>
+                  <SelectItem key="mean">Average</SelectItem>
+                </Select>
+                <Input
+                  size="sm"
+                  type="number"
+                  aria-label={`${metric.label} weight`}
+                  value={(objective?.weight ?? 0).toString()}
+                  onValueChange={value =>
+                    updateObjective(metric.value, { weight: parseFloat(value) || 0 })
+                  }
+                  startContent={unit('×')}
+                  isDisabled={isDisabled || !objective}
+                  classNames={inputClassNames}
+                />
+              </div>
+            )
+          })}
+        </div>
+
+        {/* Band */}
+        <div className="space-y-2">
+          <Switch
+            size="sm"
+            isSelected={!!band}
+            isDisabled={isDisabled}
+            onValueChange={enabled =>
+              update({ band: enabled ? createDefaultBand(frequency) : undefined })
+            }
+          >
+            <span className="text-sm">Evaluate across a band</span>
+          </Switch>
+          {band && (
+            <div className="grid grid-cols-3 gap-2">
+              {(
+                [
+                  ['startFrequency', 'Start'],
+                  ['stopFrequency', 'Stop'],
+                  ['stepFrequency', 'Step'],
+                ] as const
+              ).map(([key, label]) => (
+                <Input
+                  key={key}
+                  size="sm"
+                  type="number"
+                  label={label}
+                  value={band[key].toString()}
+                  onValueChange={value =>
+                    update({ band: { ...band, [key]: parseFloat(value) || 0 } })
+                  }
+                  endContent={unit('MHz')}
+                  isDisabled={isDisabled}
+                  classNames={inputClassNames}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Constraints */}
+        <div className="grid grid-cols-2 gap-3">
+          <Input
+            size="sm"
+            type="number"
+            label="Max boom length"
+            placeholder="No limit"
+            value={optionalText(constraints.maxBoomLength)}
+            onValueChange={value => updateConstraints({ maxBoomLength: optionalNumber(value) })}
+            endContent={unit('mm')}
+            isDisabled={isDisabled}
+            classNames={inputClassNames}
+          />
+          <Input
+            size="sm"
+            type="number"
+            label="Min element spacing"
+            placeholder="0.02 λ"
+            value={optionalText(constraints.minSpacing)}
+            onValueChange={value => updateConstraints({ minSpacing: optionalNumber(value) })}
+            endContent={unit('mm')}
+            isDisabled={isDisabled}
+            classNames={inputClassNames}
+          />
+          <Input
+            size="sm"
+            type="number"
+            label="Max VSWR"
+            placeholder="No limit"
+            value={optionalText(constraints.maxVswr)}
+            onValueChange={value => updateConstraints({ maxVswr: optionalNumber(value) })}
+            isDisabled={isDisabled}
+            classNames={inputClassNames}
+          />
+          <Input
+            size="sm"
+            type="number"
+            label="Element length range"
+            placeholder="No limit"
+            value={optionalText(constraints.lengthRange)}
+            onValueChange={value => updateConstraints({ lengthRange: optionalNumber(value) })}
+            startContent={unit('±')}
+            endContent={unit('%')}
+            isDisabled={isDisabled}
+            classNames={inputClassNames}
+          />
+        </div>
+        <Switch
+          size="sm"
+          isSelected={!!constraints.lockDriven}
+          isDisabled={isDisabled}
+          onValueChange={lockDriven => updateConstraints({ lockDriven })}
+        >
+          <span className="text-sm">Lock the driven element length</span>
+        </Switch>
+
+        {/* Run */}
+        <div className="grid grid-cols-3 gap-3">
+          <Input
+            size="sm"
+            type="number"
+            label="Population"
+            value={settings.populationSize.toString()}
+            onValueChange={value => update({ populationSize: parseInt(value) || 0 })}
+            isDisabled={isDisabled || algorithm === 'nelder-mead'}
+            classNames={inputClassNames}
+          />
+          <Input
+            size="sm"
+            type="number"
+            label={algorithm === 'nelder-mead' ? 'Iterations' : 'Generations'}
+            value={settings.generations.toString()}
+            onValueChange={value => update({ generations: parseInt(value) || 0 })}
+            isDisabled={isDisabled}
+            classNames={inputClassNames}
+          />
+          <Input
+            size="sm"
+            type="number"
+            label="Seed"
+            placeholder="Random"
+            value={optionalText(settings.seed)}
+            onValueChange={value => update({ seed: optionalNumber(value) })}
+            isDisabled={isDisabled}
+            classNames={inputClassNames}
+          />
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Elements keep their order and the driven element stays at its position. Enter the seed of
+          a previous run to reproduce it.
+        </p>
+      </CardBody>
+    </Card>
+  )
+}
+
+export default OptimizerSettingsPanel
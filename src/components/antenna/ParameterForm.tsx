@@ -3,15 +3,33 @@
  */
 
 import { useState } from 'react'
-import { Button, Card, CardBody, Input, Select, SelectItem, ScrollShadow } from '@heroui/react'
-import { PlusIcon, TrashIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline'
+import {
+  Button,
+  Card,
+  CardBody,
+  Input,
+  Select,
+  SelectItem,
+  ScrollShadow,
+  Switch,
+} from '@heroui/react'
+import {
+  PlusIcon,
+  TrashIcon,
+  DocumentDuplicateIcon,
+  Square3Stack3DIcon,
+} from '@heroicons/react/24/outline'
 import type { PresetElement } from '@/types/antenna/presets'
+import type { BoomParams, ElementSection } from '@/utils/nec2c'
+import { getBoomCorrection, getElementSections } from '@/utils/antenna/elementGeometry'
 
 interface ParameterFormProps {
   frequency: number
   elements: PresetElement[]
   onFrequencyChange: (frequency: number) => void
   onElementsChange: (elements: PresetElement[]) => void
+  boom?: BoomParams | null
+  onBoomChange?: (boom: BoomParams | null) => void
 }
 
 const elementTypes = [
@@ -20,11 +38,37 @@ const elementTypes = [
   { value: 'director', label: 'Director', color: '#45b7d1' },
 ] as const
 
+const boomMaterials = [
+  { value: 'aluminum', label: 'Aluminum' },
+  { value: 'steel', label: 'Steel' },
+  { value: 'nonconductive', label: 'Non-conductive' },
+] as const
+
+const boomMountings = [
+  { value: 'insulated', label: 'Through boom, insulated' },
+  { value: 'bonded', label: 'Through boom, bonded' },
+  { value: 'on-boom', label: 'On top of boom' },
+] as const
+
+const boomModels = [
+  { value: 'correction', label: 'Boom correction' },
+  { value: 'explicit', label: 'Model boom wire' },
+] as const
+
+const defaultBoom: BoomParams = {
+  diameter: 20,
+  material: 'aluminum',
+  mounting: 'insulated',
+  model: 'correction',
+}
+
 export function ParameterForm({
   frequency,
   elements,
   onFrequencyChange,
   onElementsChange,
+  boom = null,
+  onBoomChange,
 }: ParameterFormProps) {
   const [errors, setErrors] = useState<Record<string, string>>({})
 
@@ -86,6 +130,41 @@ export function ParameterForm({
     onElementsChange(newElements)
   }
 
+  // Replace the telescoping sections of an element; none left means a plain tube
+  const updateSections = (index: number, sections: ElementSection[]) => {
+    const newElements = [...elements]
+    newElements[index] = {
+      ...newElements[index],
+      sections: sections.length > 0 ? sections : undefined,
+    }
+    onElementsChange(newElements)
+  }
+
+  // Split a plain element into a wider inner tube and its original tip
+  const addSections = (index: number) => {
+    const { length, diameter } = elements[index]
+    updateSections(index, [
+      { length: Math.round(length / 4), diameter: Math.round(diameter * 1.5 * 10) / 10 },
+      { length: Math.round(length / 4), diameter },
+    ])
+  }
+
+  const updateSection = (
+    index: number,
+    sectionIndex: number,
+    field: keyof ElementSection,
+    value: string
+  ) => {
+    const sections = [...(elements[index].sections ?? [])]
+    sections[sectionIndex] = { ...sections[sectionIndex], [field]: parseFloat(value) || 0 }
+    updateSections(index, sections)
+  }
+
+  const updateBoom = (field: keyof BoomParams, value: string) => {
+    if (!boom) return
+    onBoomChange?.({ ...boom, [field]: field === 'diameter' ? parseFloat(value) || 0 : value })
+  }
+
   // Sort elements by position
   const sortedElements = [...elements].sort((a, b) => a.position - b.position)
 
@@ -118,6 +197,88 @@ export function ParameterForm({
         </CardBody>
       </Card>
 
+      {/* Boom */}
+      {onBoomChange && (
+        <Card className="bg-gray-50 dark:bg-gray-700">
+          <CardBody className="space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="font-semibold text-sm text-gray-900 dark:text-gray-100">Boom</h3>
+              <Switch
+                size="sm"
+                isSelected={!!boom}
+                onValueChange={enabled => onBoomChange(enabled ? defaultBoom : null)}
+              >
+                <span className="text-sm">Include boom effect</span>
+              </Switch>
+            </div>
+
+            {boom && (
+              <div className="grid grid-cols-2 gap-3">
+                <Input
+                  size="sm"
+                  type="number"
+                  label="Diameter"
+                  value={boom.diameter.toString()}
+                  onValueChange={value => updateBoom('diameter', value)}
+                  endContent={<span className="text-xs text-gray-500 dark:text-gray-400">mm</span>}
+                  classNames={{
+                    inputWrapper: 'bg-white dark:bg-gray-800',
+                  }}
+                />
+                <Select
+                  size="sm"
+                  label="Material"
+                  selectedKeys={[boom.material]}
+                  onSelectionChange={keys => updateBoom('material', Array.from(keys)[0] as string)}
+                  classNames={{
+                    trigger: 'bg-white dark:bg-gray-800',
+                  }}
+                >
+                  {boomMaterials.map(material => (
+                    <SelectItem key={material.value}>{material.label}</SelectItem>
+                  ))}
+                </Select>
+                <Select
+                  size="sm"
+                  label="Element mounting"
+                  selectedKeys={[boom.mounting]}
+                  onSelectionChange={keys => updateBoom('mounting', Array.from(keys)[0] as string)}
+                  classNames={{
+                    trigger: 'bg-white dark:bg-gray-800',
+                  }}
+                >
+                  {boomMountings.map(mounting => (
+                    <SelectItem key={mounting.value}>{mounting.label}</SelectItem>
+                  ))}
+                </Select>
+                <Select
+                  size="sm"
+                  label="Model"
+                  selectedKeys={[boom.model]}
+                  onSelectionChange={keys => updateBoom('model', Array.from(keys)[0] as string)}
+                  classNames={{
+                    trigger: 'bg-white dark:bg-gray-800',
+                  }}
+                >
+                  {boomModels.map(model => (
+                    <SelectItem key={model.value}>{model.label}</SelectItem>
+                  ))}
+                </Select>
+              </div>
+            )}
+
+            {boom && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Element lengths are as built.{' '}
+                {boom.model === 'correction'
+                  ? 'A metal boom shortens every element electrically by the standard boom correction.'
+                  : 'The boom is simulated as a wire along the element centers.'}
+              </p>
+            )}
+          </CardBody>
+        </Card>
+      )}
+
       {/* Elements */}
       <Card className="bg-gray-50 dark:bg-gray-700">
         <CardBody className="space-y-4">
@@ -145,6 +306,12 @@ export function ParameterForm({
               <div className="space-y-4">
                 {sortedElements.map((element, index) => {
                   const originalIndex = elements.findIndex(e => e === element)
+                  const boomCorrection = getBoomCorrection(
+                    boom ?? undefined,
+                    frequency,
+                    element.type
+                  )
+                  const tubes = element.sections ? getElementSections(element) : []
 
                   return (
                     <Card key={originalIndex} className="bg-white dark:bg-gray-800">
@@ -164,6 +331,17 @@ export function ParameterForm({
                           </div>
 
                           <div className="flex gap-1">
+                            {!element.sections && (
+                              <Button
+                                isIconOnly
+                                size="sm"
+                                variant="flat"
+                                aria-label="Telescoping sections"
+                                onPress={() => addSections(originalIndex)}
+                              >
+                                <Square3Stack3DIcon className="w-4 h-4" />
+                              </Button>
+                            )}
                             <Button
                               isIconOnly
                               size="sm"
@@ -236,6 +414,8 @@ export function ParameterForm({
                             label="Diameter"
                             value={element.diameter.toString()}
                             onValueChange={value => updateElement(originalIndex, 'diameter', value)}
+                            isDisabled={!!element.sections}
+                            description={element.sections ? 'Set per section' : undefined}
                             endContent={
                               <span className="text-xs text-gray-500 dark:text-gray-400">mm</span>
                             }
@@ -245,10 +425,97 @@ export function ParameterForm({
                           />
                         </div>
 
+                        {/* Telescoping sections, from the boom outwards */}
+                        {element.sections && (
+                          <div className="space-y-2">
+                            <div className="flex items-center justify-between">
+                              <span className="text-xs font-medium text-gray-700 dark:text-gray-300">
+                                Sections (each half, from the boom)
+                              </span>
+                              <Button
+                                size="sm"
+                                variant="light"
+                                startContent={<PlusIcon className="w-3 h-3" />}
+                                onPress={() => {
+                                  const sections = element.sections ?? []
+                                  const tip = sections[sections.length - 1]
+                                  updateSections(originalIndex, [...sections, { ...tip }])
+                                }}
+                              >
+                                Add Section
+                              </Button>
+                            </div>
+                            {element.sections.map((section, sectionIndex) => {
+                              const isTip = sectionIndex === element.sections!.length - 1
+                              // The tip tube takes whatever length is left to the element tip
+                              const fitted = tubes[sectionIndex]
+                              const length = isTip ? (fitted?.length ?? 0) : section.length
+                              return (
+                                <div key={sectionIndex} className="flex gap-2 items-start">
+                                  <Input
+                                    size="sm"
+                                    type="number"
+                                    label={isTip ? 'Tip length' : `Section ${sectionIndex + 1}`}
+                                    value={isTip ? length.toFixed(1) : length.toString()}
+                                    onValueChange={value =>
+                                      updateSection(originalIndex, sectionIndex, 'length', value)
+                                    }
+                                    isDisabled={isTip}
+                                    description={fitted ? undefined : 'Beyond the element tip'}
+                                    endContent={
+                                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                                        mm
+                                      </span>
+                                    }
+                                    classNames={{
+                                      inputWrapper: 'bg-gray-50 dark:bg-gray-700',
+                                    }}
+                                  />
+                                  <Input
+                                    size="sm"
+                                    type="number"
+                                    label="Diameter"
+                                    value={section.diameter.toString()}
+                                    onValueChange={value =>
+                                      updateSection(originalIndex, sectionIndex, 'diameter', value)
+                                    }
+                                    endContent={
+                                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                                        mm
+                                      </span>
+                                    }
+                                    classNames={{
+                                      inputWrapper: 'bg-gray-50 dark:bg-gray-700',
+                                    }}
+                                  />
+                                  <Button
+                                    isIconOnly
+                                    size="sm"
+                                    color="danger"
+                                    variant="light"
+                                    className="mt-1"
+                                    aria-label="Remove section"
+                                    onPress={() =>
+                                      updateSections(
+                                        originalIndex,
+                                        element.sections!.filter((_, i) => i !== sectionIndex)
+                                      )
+                                    }
+                                  >
+                                    <TrashIcon className="w-4 h-4" />
+                                  </Button>
+                                </div>
+                              )
+                            })}
+                          </div>
+                        )}
+
                         {/* Wavelength ratios */}
                         <div className="text-xs text-gray-500 dark:text-gray-400 pt-1">
                           Length: {(element.length / wavelength).toFixed(3)}λ • Position:{' '}
                           {(element.position / wavelength).toFixed(3)}λ
+                          {boomCorrection > 0 &&
+                            ` • Boom correction: ${boomCorrection.toFixed(1)} mm`}
                         </div>
                       </CardBody>
                     </Card>
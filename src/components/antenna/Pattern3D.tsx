@@ -0,0 +1,129 @@
+/**
+ * 3D Radiation Pattern Viewer - gain surface built from a full theta/phi grid
+ */
+
+import { useEffect, useMemo } from 'react'
+import { Canvas } from '@react-three/fiber'
+import { OrbitControls, PerspectiveCamera } from '@react-three/drei'
+import { BufferGeometry, Color, DoubleSide, Float32BufferAttribute } from 'three'
+import type { FarFieldPattern } from '@/utils/nec2c'
+import { useThemeStore } from '@/stores/ui/themeStore'
+
+interface Pattern3DProps {
+  farField: FarFieldPattern
+  dynamicRange?: number // dB below the maximum mapped to the origin
+}
+
+const SURFACE_RADIUS = 3 // scene units for the maximum gain
+
+/**
+ * Build an indexed surface from the grid. NEC coordinates (Z up) are mapped to
+ * three.js coordinates (Y up): x -> x, y -> -z, z -> y.
+ */
+function buildPatternGeometry(farField: FarFieldPattern, dynamicRange: number): BufferGeometry {
+  const thetas = Array.from(new Set(farField.points.map(p => p.theta))).sort((a, b) => a - b)
+  const phis = Array.from(new Set(farField.points.map(p => p.phi))).sort((a, b) => a - b)
+
+  const gains = new Map<string, number>()
+  let maxGain = -Infinity
+  for (const p of farField.points) {
+    gains.set(`${p.theta},${p.phi}`, p.totalGainDb)
+    maxGain = Math.max(maxGain, p.totalGainDb)
+  }
+  const floor = maxGain - dynamicRange
+
+  // Repeat the first phi column at the end to close the surface
+  const phiColumns = [...phis, phis[0] + 360]
+
+  const positions: number[] = []
+  const colors: number[] = []
+  const color = new Color()
+
+  for (const theta of thetas) {
+    for (const phi of phiColumns) {
+      const gain = gains.get(`${theta},${phi % 360}`) ?? gains.get(`${theta},${phi}`) ?? floor
+      const level = Math.max(0, Math.min(1, (gain - floor) / dynamicRange))
+      const r = level * SURFACE_RADIUS
+      const t = (theta * Math.PI) / 180
+      const p = (phi * Math.PI) / 180
+
+      const x = r * Math.sin(t) * Math.cos(p)
+      const y = r * Math.sin(t) * Math.sin(p)
+      const z = r * Math.cos(t)
+      positions.push(x, z, -y)
+
+      // Blue (low) to red (high)
+      color.setHSL((1 - level) * 0.66, 0.9, 0.5)
+      colors.push(color.r, color.g, color.b)
+    }
+  }
+
+  const indices: number[] = []
+  const columns = phiColumns.length
+  for (let i = 0; i < thetas.length - 1; i++) {
+    for (let j = 0; j < columns - 1; j++) {
+      const a = i * columns + j
+      const b = a + 1
+      const c = a + columns
+      const d = c + 1
+      indices.push(a, c, b, b, c, d)
+    }
+  }
+
+  const geometry = new BufferGeometry()
+  geometry.setAttribute('position', new Float32BufferAttribute(positions, 3))
+  geometry.setAttribute('color', new Float32BufferAttribute(colors, 3))
+  geometry.setIndex(indices)
+  geometry.computeVertexNormals()
+  return geometry
+}
+
+export function Pattern3D({ farField, dynamicRange = 30 }: Pattern3DProps) {
+  const { resolvedTheme } = useThemeStore()
+  const isDark = resolvedTheme === 'dark'
+  const backgroundColor = isDark ? '#0a0a0a' : '#f8fafc'
+
+  const geometry = useMemo(
+    () => buildPatternGeometry(farField, dynamicRange),
+    [farField, dynamicRange]
+  )
+
+  // Release the GPU buffers of a replaced surface
+  useEffect(() => () => geometry.dispose(), [geometry])
+
+  return (
+    <div className="w-full h-full min-h-[400px] rounded-lg relative">
+      <Canvas gl={{ alpha: false, antialias: true }} style={{ backgroundColor }}>
+        <PerspectiveCamera makeDefault position={[6, 4, 6]} fov={50} />
+        <ambientLight intensity={isDark ? 0.5 : 0.7} />
+        <directionalLight position={[10, 10, 5]} intensity={0.8} />
+
+        <mesh geometry={geometry}>
+          <meshStandardMaterial vertexColors side={DoubleSide} metalness={0.1} roughness={0.6} />
+        </mesh>
+        <mesh geometry={geometry}>
+          <meshBasicMaterial
+            color={isDark ? '#ffffff' : '#000000'}
+            wireframe
+            opacity={0.08}
+            transparent
+          />
+        </mesh>
+
+        {/* Boom direction (+X) and zenith (+Z in NEC) */}
+        <axesHelper args={[SURFACE_RADIUS * 1.2]} />
+
+        <OrbitControls enablePan={false} minDistance={2} maxDistance={20} />
+      </Canvas>
+
+      <div className="absolute top-4 left-4 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm p-3 rounded-lg text-xs border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300">
+        <div className="font-semibold mb-1">3D Gain Surface</div>
+        <div>Red: maximum gain, blue: -{dynamicRange} dB</div>
+        <div>
+          Grid: {farField.thetaStep}° θ × {farField.phiStep}° φ
+        </div>
+        <div>Red axis: boom (+X), green axis: zenith</div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,109 @@
+/**
+ * 2D polar radiation pattern plot (SVG)
+ */
+
+import { useMemo } from 'react'
+import { useThemeStore } from '@/stores/ui/themeStore'
+
+export interface PolarSample {
+  angle: number // plot angle in degrees, 0 = right, counter-clockwise
+  gainDb: number // dBi
+}
+
+interface PolarPlotProps {
+  title: string
+  samples: PolarSample[]
+  dynamicRange?: number // dB below the maximum shown at the center
+  angleLabels?: Record<number, string> // labels for the 0/90/180/270 spokes
+  color?: string
+}
+
+const SIZE = 320
+const CENTER = SIZE / 2
+const RADIUS = SIZE / 2 - 28
+
+export function PolarPlot({
+  title,
+  samples,
+  dynamicRange = 30,
+  angleLabels,
+  color = '#4ecdc4',
+}: PolarPlotProps) {
+  const { resolvedTheme } = useThemeStore()
+  const isDark = resolvedTheme === 'dark'
+  const gridColor = isDark ? '#4b5563' : '#d1d5db'
+  const textColor = isDark ? '#d1d5db' : '#374151'
+
+  const maxGain = useMemo(
+    () => samples.reduce((max, s) => Math.max(max, s.gainDb), -Infinity),
+    [samples]
+  )
+
+  // Map gain to radius: maximum on the outer ring, maxGain - dynamicRange at the center
+  const toRadius = (gainDb: number) =>
+    Math.max(0, Math.min(1, (gainDb - (maxGain - dynamicRange)) / dynamicRange)) * RADIUS
+
+  const toPoint = (angle: number, r: number) => {
+    const rad = (angle * Math.PI) / 180
+    return [CENTER + r * Math.cos(rad), CENTER - r * Math.sin(rad)]
+  }
+
+  const path = isFinite(maxGain)
+    ? samples
+        .map((s, i) => {
+          const [x, y] = toPoint(s.angle, toRadius(s.gainDb))
+          return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`
+        })
+        .join(' ') + ' Z'
+    : ''
+
+  const rings = [0, 1, 2, 3].map(i => (RADIUS * (3 - i)) / 3)
+  const spokes = Array.from({ length: 12 }, (_, i) => i * 30)
+
+  return (
+    <div className="flex flex-col items-center">
+      <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">{title}</h3>
+      <svg
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        className="w-full max-w-[320px]"
+        role="img"
+        aria-label={title}
+      >
+        {rings.map((r, i) => (
+          <g key={`ring-${i}`}>
+            <circle cx={CENTER} cy={CENTER} r={r} fill="none" stroke={gridColor} />
+            {r > 0 && (
+              <text x={CENTER + 2} y={CENTER - r + 10} fontSize="9" fill={textColor}>
+                {i === 0 ? '0' : `-${(dynamicRange / 3) * i}`} dB
+              </text>
+            )}
+          </g>
+        ))}
+        {spokes.map(angle => {
+          const [x, y] = toPoint(angle, RADIUS)
+          const [lx, ly] = toPoint(angle, RADIUS + 14)
+          const label = angleLabels?.[angle] ?? `${angle}°`
+          return (
+            <g key={`spoke-${angle}`}>
+              <line x1={CENTER} y1={CENTER} x2={x} y2={y} stroke={gridColor} strokeWidth={0.5} />
+              <text
+                x={lx}
+                y={ly}
+                fontSize="9"
+                fill={textColor}
+                textAnchor="middle"
+                dominantBaseline="middle"
+              >
+                {label}
+              </text>
+            </g>
+          )
+        })}
+        {path && <path d={path} fill={color} fillOpacity={0.15} stroke={color} strokeWidth={2} />}
+      </svg>
+      {isFinite(maxGain) && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">0 dB = {maxGain.toFixed(2)} dBi</p>
+      )}
+    </div>
+  )
+}
@@ -1,5 +1,9 @@
 import { Card, CardBody, CardHeader, Divider, Spinner } from '@heroui/react'
 import { useSimulationStore } from '@/stores/simulation.store'
+import type { Impedance } from '@/utils/nec2c'
+
+const formatImpedance = ({ resistance, reactance }: Impedance) =>
+  `${resistance.toFixed(2)} ${reactance < 0 ? '-' : '+'} j${Math.abs(reactance).toFixed(2)} Ω`
 
 /**
  * Displays the results of the antenna simulation.
@@ -55,14 +59,27 @@ export function SimulationResultsDisplay() {
       )
     }
 
-    // Format results for display
-    const formattedResults = `
-Gain:               ${results.gain.toFixed(2)} dBi
-Front-to-Back Ratio: ${results.frontToBackRatio.toFixed(2)} dB
-VSWR:               ${results.vswr.toFixed(2)}
-Input Impedance:    ${results.inputImpedance.resistance.toFixed(2)} + j${results.inputImpedance.reactance.toFixed(2)} Ω
-Efficiency:         ${results.efficiency.toFixed(1)} %
-    `.trim()
+    // Format results for display. With a matching network the input impedance
+    // is the matched one and the driven element's own impedance is listed too.
+    const impedanceLines = results.feedImpedance
+      ? `Matched Impedance:  ${formatImpedance(results.inputImpedance)}
+Feed-point (raw):   ${formatImpedance(results.feedImpedance)}`
+      : `Input Impedance:    ${formatImpedance(results.inputImpedance)}`
+    // Over ground and for stacked arrays, where the lobe points and what the bays add
+    const installationLines = [
+      results.takeOffAngle !== undefined &&
+        `Take-off Angle:     ${results.takeOffAngle.toFixed(1)}°`,
+      results.stackingGain !== undefined &&
+        `Stacking Gain:      ${results.stackingGain.toFixed(2)} dB`,
+    ].filter(Boolean)
+    const formattedResults = [
+      `Gain:               ${results.gain.toFixed(2)} dBi`,
+      ...installationLines,
+      `Front-to-Back Ratio: ${results.frontToBackRatio.toFixed(2)} dB`,
+      `${`VSWR (${results.referenceImpedance} Ω):`.padEnd(20)}${results.vswr.toFixed(2)}`,
+      impedanceLines,
+      `Efficiency:         ${results.efficiency.toFixed(1)} %`,
+    ].join('\n')
 
     return (
       <div className="p-4 m-2 rounded-lg bg-green-50 dark:bg-green-900 border border-green-200 dark:border-green-700">
@@ -0,0 +1,165 @@
+/**
+ * Frequency sweep charts (gain, F/B, VSWR and impedance versus frequency)
+ */
+
+import { useMemo } from 'react'
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  type ChartOptions,
+  type ChartData,
+} from 'chart.js'
+import { Line } from 'react-chartjs-2'
+import type { SweepPoint } from '@/utils/nec2c'
+import type { UsableBandwidth } from '@/utils/antenna/sweep'
+import { useThemeStore } from '@/stores/ui/themeStore'
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend)
+
+interface SweepChartsProps {
+  points: SweepPoint[]
+  maxVswr: number
+  usableBandwidth: UsableBandwidth | null
+}
+
+interface SweepChartProps {
+  title: string
+  yLabel: string
+  points: SweepPoint[]
+  datasets: ChartData<'line', number[]>['datasets']
+  isDark: boolean
+}
+
+function SweepChart({ title, yLabel, points, datasets, isDark }: SweepChartProps) {
+  const textColor = isDark ? '#d1d5db' : '#374151'
+  const gridColor = isDark ? '#374151' : '#e5e7eb'
+
+  const options: ChartOptions<'line'> = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      title: { display: true, text: title, color: textColor },
+      legend: { labels: { color: textColor } },
+    },
+    scales: {
+      x: {
+        title: { display: true, text: 'Frequency (MHz)', color: textColor },
+        ticks: { color: textColor },
+        grid: { color: gridColor },
+      },
+      y: {
+        title: { display: true, text: yLabel, color: textColor },
+        ticks: { color: textColor },
+        grid: { color: gridColor },
+      },
+    },
+  }
+
+  const data: ChartData<'line', number[]> = {
+    labels: points.map(p => p.frequency.toFixed(3)),
+    datasets,
+  }
+
+  return (
+    <div className="h-64">
+      <Line options={options} data={data} />
+    </div>
+  )
+}
+
+export function SweepCharts({ points, maxVswr, usableBandwidth }: SweepChartsProps) {
+  const { resolvedTheme } = useThemeStore()
+  const isDark = resolvedTheme === 'dark'
+
+  const sortedPoints = useMemo(
+    () => [...points].sort((a, b) => a.frequency - b.frequency),
+    [points]
+  )
+
+  // Highlight the samples inside the usable band
+  const inBand = sortedPoints.map(
+    p =>
+      !!usableBandwidth &&
+      p.frequency >= usableBandwidth.startFrequency &&
+      p.frequency <= usableBandwidth.stopFrequency
+  )
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+      <SweepChart
+        title="Gain and F/B Ratio"
+        yLabel="dB"
+        points={sortedPoints}
+        isDark={isDark}
+        datasets={[
+          {
+            label: 'Gain (dBi)',
+            data: sortedPoints.map(p => p.gain),
+            borderColor: '#4ecdc4',
+            backgroundColor: '#4ecdc4',
+            pointRadius: inBand.map(v => (v ? 3 : 1)),
+          },
+          {
+            label: 'F/B (dB)',
+            data: sortedPoints.map(p => p.frontToBackRatio),
+            borderColor: '#ff6b6b',
+            backgroundColor: '#ff6b6b',
+            pointRadius: inBand.map(v => (v ? 3 : 1)),
+          },
+        ]}
+      />
+      <SweepChart
+        title="VSWR"
+        yLabel="VSWR"
+        points={sortedPoints}
+        isDark={isDark}
+        datasets={[
+          {
+            label: 'VSWR',
+            data: sortedPoints.map(p => p.vswr),
+            borderColor: '#45b7d1',
+            backgroundColor: '#45b7d1',
+            pointRadius: inBand.map(v => (v ? 3 : 1)),
+          },
+          {
+            label: `Limit (${maxVswr})`,
+            data: sortedPoints.map(() => maxVswr),
+            borderColor: '#9ca3af',
+            borderDash: [6, 4],
+            pointRadius: 0,
+          },
+        ]}
+      />
+      <SweepChart
+        title="Input Impedance"
+        yLabel="Ω"
+        points={sortedPoints}
+        isDark={isDark}
+        datasets={[
+          {
+            label: 'Resistance (R)',
+            data: sortedPoints.map(p => p.inputImpedance.resistance),
+            borderColor: '#f59e0b',
+            backgroundColor: '#f59e0b',
+            pointRadius: 2,
+          },
+          {
+            label: 'Reactance (X)',
+            data: sortedPoints.map(p => p.inputImpedance.reactance),
+            borderColor: '#8b5cf6',
+            backgroundColor: '#8b5cf6',
+            pointRadius: 2,
+          },
+        ]}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,379 @@
+/**
+ * Yagi Generator Component - NBS TN-688 and DL6WU-spaced designs with a simulated preview
+ */
+
+import { useEffect, useMemo, useState } from 'react'
+import {
+  Button,
+  ButtonGroup,
+  Card,
+  CardBody,
+  Input,
+  ScrollShadow,
+  Select,
+  SelectItem,
+  Spinner,
+} from '@heroui/react'
+import { CheckIcon } from '@heroicons/react/24/outline'
+import type { PresetElement } from '@/types/antenna/presets'
+import type { BoomMounting, BoomParams, SimulationResults } from '@/utils/nec2c'
+import { getNEC2WorkerPool, isAbortError } from '@/utils/nec2cWorkerPool'
+import {
+  generateYagi,
+  type GeneratedYagi,
+  type YagiDesignMethod,
+} from '@/utils/antenna/yagiGenerator'
+
+export interface GeneratedDesign {
+  frequency: number
+  elements: PresetElement[]
+  boom: BoomParams | null
+}
+
+interface YagiGeneratorProps {
+  initialFrequency: number
+  onAccept: (design: GeneratedDesign) => void
+  isDisabled?: boolean
+}
+
+type SizeBy = 'elements' | 'boom'
+
+const methods: { value: YagiDesignMethod; label: string; description: string }[] = [
+  {
+    value: 'nbs',
+    label: 'NBS TN-688',
+    description:
+      'Six optimized designs of 3 to 17 elements on 0.4 to 4.2 λ booms, from TN-688 Table 1. The driven element and the diameter and boom corrections are not from TN-688.',
+  },
+  {
+    value: 'dl6wu',
+    label: 'DL6WU spacing',
+    description:
+      'Long Yagis of any length on DL6WU spacing. Element lengths and the diameter and boom corrections are not from DL6WU.',
+  },
+]
+
+// The boom is aluminum; mountings as in the parameter form
+const boomMountings: { value: BoomMounting | 'none'; label: string }[] = [
+  { value: 'none', label: 'No metal boom' },
+  { value: 'insulated', label: 'Through boom, insulated' },
+  { value: 'bonded', label: 'Through boom, bonded' },
+  { value: 'on-boom', label: 'On top of boom' },
+]
+
+const typeLabels: Record<PresetElement['type'], string> = {
+  reflector: 'Reflector',
+  driven: 'Driven',
+  director: 'Director',
+}
+
+// Rapid edits are coalesced into one preview run
+const PREVIEW_DEBOUNCE_MS = 300
+
+const inputClassNames = { inputWrapper: 'bg-white dark:bg-gray-800' }
+const selectClassNames = { trigger: 'bg-white dark:bg-gray-800' }
+const unit = (text: string) => (
+  <span className="text-xs text-gray-500 dark:text-gray-400">{text}</span>
+)
+
+export function YagiGenerator({
+  initialFrequency,
+  onAccept,
+  isDisabled = false,
+}: YagiGeneratorProps) {
+  const [method, setMethod] = useState<YagiDesignMethod>('dl6wu')
+  const [frequency, setFrequency] = useState(initialFrequency)
+  const [sizeBy, setSizeBy] = useState<SizeBy>('elements')
+  const [elementCount, setElementCount] = useState(12)
+  const [boomLength, setBoomLength] = useState(4000)
+  const [elementDiameter, setElementDiameter] = useState(6)
+  const [mounting, setMounting] = useState<BoomMounting | 'none'>('insulated')
+  const [boomDiameter, setBoomDiameter] = useState(20)
+
+  const [preview, setPreview] = useState<SimulationResults | null>(null)
+  const [isPreviewing, setIsPreviewing] = useState(false)
+  const [previewError, setPreviewError] = useState<string | null>(null)
+
+  const boom = useMemo<BoomParams | null>(
+    () =>
+      mounting === 'none'
+        ? null
+        : { diameter: boomDiameter, material: 'aluminum', mounting, model: 'correction' },
+    [mounting, boomDiameter]
+  )
+
+  const { design, error } = useMemo((): { design?: GeneratedYagi; error?: string } => {
+    try {
+      return {
+        design: generateYagi({
+          method,
+          frequency,
+          ...(sizeBy === 'elements' ? { elementCount } : { boomLength }),
+          elementDiameter,
+          boom: boom ?? undefined,
+        }),
+      }
+    } catch (err) {
+      return { error: err instanceof Error ? err.message : 'Invalid design parameters' }
+    }
+  }, [method, frequency, sizeBy, elementCount, boomLength, elementDiameter, boom])
+
+  // Simulate every new design; a newer one cancels the run in progress
+  useEffect(() => {
+    setPreview(null)
+    setPreviewError(null)
+    if (!design) {
+      setIsPreviewing(false)
+      return
+    }
+
+    const controller = new AbortController()
+    setIsPreviewing(true)
+    const timer = setTimeout(async () => {
+      try {
+        setPreview(
+          await getNEC2WorkerPool().simulate(
+            {
+              frequency,
+              elements: design.elements,
+              groundType: 'none',
+              boom: boom ?? undefined,
+            },
+            {},
+            controller.signal
+          )
+        )
+      } catch (err) {
+        if (isAbortError(err)) return
+        setPreviewError(err instanceof Error ? err.message : 'Unknown simulation error')
+      }
+      setIsPreviewing(false)
+    }, PREVIEW_DEBOUNCE_MS)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [design, frequency, boom])
+
+  const wavelength = 299792.458 / frequency // mm
+  const impedance = preview?.inputImpedance
+
+  return (
+    <div className="space-y-4">
+      <Select
+        size="sm"
+        label="Design method"
+        selectedKeys={[method]}
+        onSelectionChange={keys => {
+          const key = Array.from(keys)[0] as YagiDesignMethod | undefined
+          if (key) setMethod(key)
+        }}
+        description={methods.find(m => m.value === method)?.description}
+        isDisabled={isDisabled}
+        classNames={selectClassNames}
+      >
+        {methods.map(m => (
+          <SelectItem key={m.value}>{m.label}</SelectItem>
+        ))}
+      </Select>
+
+      <div className="grid grid-cols-2 gap-3">
+        <Input
+          size="sm"
+          type="number"
+          label="Frequency"
+          value={frequency.toString()}
+          onValueChange={value => setFrequency(parseFloat(value) || 0)}
+          endContent={unit('MHz')}
+          isDisabled={isDisabled}
+          classNames={inputClassNames}
+        />
+        <Input
+          size="sm"
+          type="number"
+          label="Element diameter"
+          value={elementDiameter.toString()}
+          onValueChange={value => setElementDiameter(parseFloat(value) || 0)}
+          endContent={unit('mm')}
+          isDisabled={isDisabled}
+          classNames={inputClassNames}
+        />
+      </div>
+
+      {/* Size */}
+      <div className="space-y-2">
+        <ButtonGroup size="sm" variant="flat" fullWidth isDisabled={isDisabled}>
+          <Button
+            color={sizeBy === 'elements' ? 'primary' : 'default'}
+            onPress={() => setSizeBy('elements')}
+          >
+            Element count
+          </Button>
+          <Button
+            color={sizeBy === 'boom' ? 'primary' : 'default'}
+            onPress={() => setSizeBy('boom')}
+          >
+            Boom length
+          </Button>
+        </ButtonGroup>
+        {sizeBy === 'elements' ? (
+          <Input
+            size="sm"
+            type="number"
+            label="Elements"
+            value={elementCount.toString()}
+            onValueChange={value => setElementCount(parseInt(value) || 0)}
+            description={method === 'nbs' ? '3, 5, 6, 12, 15 or 17' : '3 to 50'}
+            isDisabled={isDisabled}
+            classNames={inputClassNames}
+          />
+        ) : (
+          <Input
+            size="sm"
+            type="number"
+            label="Target boom length"
+            value={boomLength.toString()}
+            onValueChange={value => setBoomLength(parseFloat(value) || 0)}
+            endContent={unit('mm')}
+            description={`${(boomLength / wavelength).toFixed(2)} λ, reflector to last director`}
+            isDisabled={isDisabled}
+            classNames={inputClassNames}
+          />
+        )}
+      </div>
+
+      {/* Boom */}
+      <div className="grid grid-cols-2 gap-3">
+        <Select
+          size="sm"
+          label="Boom"
+          selectedKeys={[mounting]}
+          onSelectionChange={keys => {
+            const key = Array.from(keys)[0] as BoomMounting | 'none' | undefined
+            if (key) setMounting(key)
+          }}
+          isDisabled={isDisabled}
+          classNames={selectClassNames}
+        >
+          {boomMountings.map(m => (
+            <SelectItem key={m.value}>{m.label}</SelectItem>
+          ))}
+        </Select>
+        <Input
+          size="sm"
+          type="number"
+          label="Boom diameter"
+          value={boomDiameter.toString()}
+          onValueChange={value => setBoomDiameter(parseFloat(value) || 0)}
+          endContent={unit('mm')}
+          isDisabled={isDisabled || mounting === 'none'}
+          classNames={inputClassNames}
+        />
+      </div>
+
+      {error && (
+        <p className="p-3 text-sm rounded bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-200">
+          {error}
+        </p>
+      )}
+
+      {design && (
+        <Card className="bg-gray-50 dark:bg-gray-700">
+          <CardBody className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="font-semibold text-sm text-gray-900 dark:text-gray-100">
+                {design.elements.length} elements · {(design.boomLength / 1000).toFixed(2)} m boom
+              </h3>
+              {isPreviewing && <Spinner size="sm" />}
+            </div>
+
+            {/* Simulated preview */}
+            {preview && impedance && (
+              <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm text-gray-700 dark:text-gray-300">
+                <span>Gain</span>
+                <span className="font-mono text-right">
+                  {preview.gain.toFixed(2)} dBi ({(preview.gain - 2.15).toFixed(2)} dBd)
+                </span>
+                {design.referenceGain !== undefined && (
+                  <>
+                    <span>Published gain</span>
+                    <span className="font-mono text-right">
+                      {design.referenceGain.toFixed(2)} dBd
+                    </span>
+                  </>
+                )}
+                <span>F/B Ratio</span>
+                <span className="font-mono text-right">
+                  {preview.frontToBackRatio.toFixed(2)} dB
+                </span>
+                <span>Impedance</span>
+                <span className="font-mono text-right">
+                  {impedance.resistance.toFixed(1)}
+                  {impedance.reactance < 0 ? ' - j' : ' + j'}
+                  {Math.abs(impedance.reactance).toFixed(1)} Ω
+                </span>
+                <span>VSWR ({preview.referenceImpedance} Ω)</span>
+                <span className="font-mono text-right">{preview.vswr.toFixed(2)}</span>
+              </div>
+            )}
+            {previewError && (
+              <p className="text-sm text-red-600 dark:text-red-400">{previewError}</p>
+            )}
+            {design.warnings.map(warning => (
+              <p key={warning} className="text-xs text-amber-600 dark:text-amber-400">
+                {warning}
+              </p>
+            ))}
+            {design.notes.length > 0 && (
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                <p className="font-medium">Not from the published method</p>
+                <ul className="list-disc pl-4">
+                  {design.notes.map(note => (
+                    <li key={note}>{note}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <ScrollShadow className="max-h-[240px]">
+              <table className="w-full text-sm font-mono text-gray-800 dark:text-gray-200">
+                <thead className="text-xs text-gray-500 dark:text-gray-400">
+                  <tr>
+                    <th className="py-1 text-left">Element</th>
+                    <th className="py-1 text-right">Position mm</th>
+                    <th className="py-1 text-right">Length mm</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {design.elements.map((element, index) => (
+                    <tr key={index} className="border-t border-gray-100 dark:border-gray-600">
+                      <td className="py-1">
+                        {typeLabels[element.type]}
+                        {element.type === 'director' && ` ${index - 1}`}
+                      </td>
+                      <td className="py-1 text-right">{element.position.toFixed(1)}</td>
+                      <td className="py-1 text-right">{element.length.toFixed(1)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </ScrollShadow>
+
+            <Button
+              color="primary"
+              size="sm"
+              startContent={<CheckIcon className="w-4 h-4" />}
+              isDisabled={isDisabled}
+              onPress={() => onAccept({ frequency, elements: design.elements, boom })}
+            >
+              Use This Design
+            </Button>
+          </CardBody>
+        </Card>
+      )}
+    </div>
+  )
+}
+
+export default YagiGenerator
@@ -3,70 +3,123 @@
  */
 
 import { useState } from 'react'
-import { Card, CardBody, Tab, Tabs, Button, Select, SelectItem } from '@heroui/react'
+import { Card, CardBody, Tab, Tabs, Button } from '@heroui/react'
 import {
   CubeIcon,
   AdjustmentsHorizontalIcon,
   BeakerIcon,
   ArrowDownTrayIcon,
   DocumentArrowUpIcon,
+  SparklesIcon,
+  XMarkIcon,
 } from '@heroicons/react/24/outline'
 import { PresetSelector } from '../antenna/PresetSelector'
 import { ParameterForm } from '../antenna/ParameterForm'
+import { FeedDesigner } from '../antenna/FeedDesigner'
+import { YagiGenerator, type GeneratedDesign } from '../antenna/YagiGenerator'
 import { Antenna3D } from '../antenna/Antenna3D'
 import { FileUploadDropzone } from '../antenna/FileUploadDropzone'
+import { NECDeckSummary } from '../antenna/NECDeckSummary'
 import { FileExportModal } from '../antenna/FileExportModal'
 import { SimulationResultsDisplay } from '../antenna/SimulationResultsDisplay'
+import { InstallationPanel } from '../antenna/InstallationPanel'
+import { OptimizerSettingsPanel } from '../antenna/OptimizerSettingsPanel'
+import { OptimizationProgress } from '../antenna/OptimizationProgress'
 import { useAntennaStore } from '@/stores/antenna/antennaStore'
 import { useSimulationStore } from '@/stores/simulation.store'
 import type { AntennaPreset } from '@/types/antenna/presets'
 import type { AntennaParams } from '@/utils/nec2c'
-import type { OptimizationTarget } from '@/utils/antenna/optimizer'
+import { DEFAULT_INSTALLATION } from '@/utils/antenna/installation'
+import { generateYagi } from '@/utils/antenna/yagiGenerator'
 
-type DesignMode = 'preset' | 'manual' | 'import'
+type DesignMode = 'preset' | 'generate' | 'manual' | 'import'
 
 export function DesignTab() {
   const {
     frequency,
     elements,
     selectedPresetId,
+    importedDeck,
+    boom,
+    feed,
+    ground,
+    installation,
+    isSolvingMatch,
+    matchError,
+    optimizerSettings,
     setFrequency,
     setElements,
     setSelectedPresetId,
+    setImportedDeck,
+    setBoom,
+    setFeed,
+    setGround,
+    setInstallation,
+    solveMatch,
+    setOptimizerSettings,
     resetDesign,
     runOptimization,
+    cancelOptimization,
   } = useAntennaStore()
-  const { isOptimizing } = useSimulationStore()
+  const {
+    isOptimizing,
+    optimizationHistory,
+    paretoFront,
+    paretoObjectives,
+    results,
+    resultsParams,
+    sweepResults,
+    sweepParams,
+  } = useSimulationStore()
 
   const [designMode, setDesignMode] = useState<DesignMode>('preset')
   const [showExportModal, setShowExportModal] = useState(false)
-  const [optimizationTarget, setOptimizationTarget] = useState<OptimizationTarget>('balanced')
 
   // Handle preset selection
   const handlePresetSelect = (preset: AntennaPreset) => {
     setSelectedPresetId(preset.id)
+    setImportedDeck(null)
     setFrequency(preset.frequency)
     setElements(preset.elements)
+    // A match tuned to the previous driven element does not fit the new one
+    setFeed({ referenceImpedance: feed.referenceImpedance })
   }
 
   // Handle manual mode switch
   const handleManualMode = () => {
     setDesignMode('manual')
     setSelectedPresetId(undefined)
-    // If no elements exist, start with a simple 3-element design
+    // If no elements exist, start with the 3-element NBS design for the frequency
     if (elements.length === 0) {
-      setElements([
-        { type: 'reflector', position: -200, length: 500, diameter: 10 },
-        { type: 'driven', position: 0, length: 480, diameter: 10 },
-        { type: 'director', position: 150, length: 460, diameter: 10 },
-      ])
+      setElements(
+        generateYagi({ method: 'nbs', frequency, elementCount: 3, elementDiameter: 10 }).elements
+      )
     }
   }
 
+  // Handle an accepted generator design
+  const handleGenerated = (design: GeneratedDesign) => {
+    setSelectedPresetId(undefined)
+    setImportedDeck(null)
+    setFrequency(design.frequency)
+    setElements(design.elements)
+    setBoom(design.boom)
+    setFeed({ referenceImpedance: feed.referenceImpedance })
+    setDesignMode('manual')
+  }
+
   // Handle file import
   const handleFileLoaded = (antennaParams: AntennaParams, metadata?: Record<string, unknown>) => {
     setFrequency(antennaParams.frequency)
     setElements(antennaParams.elements)
+    setBoom(antennaParams.boom ?? null)
+    setFeed(antennaParams.feed ?? { referenceImpedance: 50 })
+    setGround({
+      groundType: antennaParams.groundType ?? 'none',
+      groundConductivity: antennaParams.groundConductivity,
+      groundDielectric: antennaParams.groundDielectric,
+    })
+    setInstallation(antennaParams.installation ?? DEFAULT_INSTALLATION)
     setSelectedPresetId(undefined)
     setDesignMode('manual')
     console.log('File loaded:', { antennaParams, metadata })
@@ -78,7 +131,7 @@ export function DesignTab() {
   }
 
   const handleOptimize = () => {
-    runOptimization(optimizationTarget)
+    runOptimization()
   }
 
   return (
@@ -110,6 +163,15 @@ export function DesignTab() {
                   </div>
                 }
               />
+              <Tab
+                key="generate"
+                title={
+                  <div className="flex items-center gap-2">
+                    <SparklesIcon className="w-4 h-4" />
+                    <span>Generate</span>
+                  </div>
+                }
+              />
               <Tab
                 key="manual"
                 title={
@@ -152,15 +214,45 @@ export function DesignTab() {
                   </div>
                 )}
               </>
-            ) : designMode === 'manual' ? (
-              <ParameterForm
-                frequency={frequency}
-                elements={elements}
-                onFrequencyChange={setFrequency}
-                onElementsChange={setElements}
+            ) : designMode === 'generate' ? (
+              <YagiGenerator
+                initialFrequency={frequency}
+                onAccept={handleGenerated}
+                isDisabled={isOptimizing}
               />
+            ) : designMode === 'manual' ? (
+              <div className="space-y-4">
+                <ParameterForm
+                  frequency={frequency}
+                  elements={elements}
+                  onFrequencyChange={setFrequency}
+                  onElementsChange={setElements}
+                  boom={boom}
+                  onBoomChange={setBoom}
+                />
+                <FeedDesigner
+                  frequency={frequency}
+                  feed={feed}
+                  onFeedChange={setFeed}
+                  onSolveMatch={solveMatch}
+                  isSolving={isSolvingMatch}
+                  error={matchError}
+                />
+              </div>
             ) : (
-              <FileUploadDropzone onFileLoaded={handleFileLoaded} className="min-h-[200px]" />
+              <div className="space-y-4">
+                <FileUploadDropzone
+                  onFileLoaded={handleFileLoaded}
+                  onDeckLoaded={setImportedDeck}
+                  className="min-h-[200px]"
+                />
+                {importedDeck && (
+                  <NECDeckSummary
+                    deck={importedDeck}
+                    referenceImpedance={feed.referenceImpedance}
+                  />
+                )}
+              </div>
             )}
           </CardBody>
         </Card>
@@ -179,22 +271,17 @@ export function DesignTab() {
             >
               {isOptimizing ? 'Optimizing...' : 'Optimize'}
             </Button>
-            <Select
-              aria-label="Optimization Target"
-              size="sm"
-              placeholder="Target"
-              className="max-w-[150px]"
-              selectedKeys={[optimizationTarget]}
-              onSelectionChange={keys =>
-                setOptimizationTarget(Array.from(keys)[0] as OptimizationTarget)
-              }
-              isDisabled={elements.length === 0 || isOptimizing}
-            >
-              <SelectItem key="gain">Max Gain</SelectItem>
-              <SelectItem key="fbRatio">Max F/B Ratio</SelectItem>
-              <SelectItem key="balanced">Balanced</SelectItem>
-            </Select>
-
+            {isOptimizing && (
+              <Button
+                color="danger"
+                variant="flat"
+                size="sm"
+                startContent={<XMarkIcon className="w-4 h-4" />}
+                onPress={cancelOptimization}
+              >
+                Cancel
+              </Button>
+            )}
             <Button color="default" variant="flat" size="sm" onPress={resetDesign}>
               Reset
             </Button>
@@ -213,6 +300,26 @@ export function DesignTab() {
             </Button>
           </CardBody>
         </Card>
+
+        {elements.length > 0 && (
+          <InstallationPanel
+            frequency={frequency}
+            ground={ground}
+            installation={installation}
+            onGroundChange={setGround}
+            onInstallationChange={setInstallation}
+            isDisabled={isOptimizing}
+          />
+        )}
+
+        {elements.length > 0 && (
+          <OptimizerSettingsPanel
+            frequency={frequency}
+            settings={optimizerSettings}
+            onSettingsChange={setOptimizerSettings}
+            isDisabled={isOptimizing}
+          />
+        )}
       </div>
 
       {/* Right Panel - 3D Visualization & Results */}
@@ -223,6 +330,9 @@ export function DesignTab() {
               <Antenna3D
                 elements={elements}
                 frequency={frequency}
+                boom={boom}
+                ground={ground}
+                installation={installation}
                 showGrid={true}
                 showLabels={false}
               />
@@ -240,14 +350,32 @@ export function DesignTab() {
 
         {/* Simulation Results - ADDED to right panel */}
         <SimulationResultsDisplay />
+
+        <OptimizationProgress
+          history={optimizationHistory}
+          front={paretoFront}
+          objectives={paretoObjectives}
+          onApply={candidate => setElements(candidate.elements)}
+        />
       </div>
 
       {/* File Export Modal */}
       <FileExportModal
         isOpen={showExportModal}
         onClose={() => setShowExportModal(false)}
-        antennaParams={{ frequency, elements, groundType: 'perfect' }}
+        antennaParams={{
+          frequency,
+          elements,
+          ...ground,
+          boom: boom ?? undefined,
+          feed,
+          installation,
+        }}
         defaultFilename="uda_antenna_design"
+        simulationResults={results}
+        simulationParams={resultsParams}
+        sweepResults={sweepResults}
+        sweepParams={sweepParams}
       />
     </div>
   )
@@ -1,8 +1,209 @@
+/**
+ * Pattern Tab Component - Polar plots, 3D pattern and beam metrics
+ */
+
+import { useMemo } from 'react'
+import { Card, CardBody, Select, SelectItem, Spinner, Switch } from '@heroui/react'
+import { GlobeAltIcon, RadioIcon } from '@heroicons/react/24/outline'
+import { PolarPlot, type PolarSample } from '../antenna/PolarPlot'
+import { Pattern3D } from '../antenna/Pattern3D'
+import { useAntennaStore } from '@/stores/antenna/antennaStore'
+import { useSimulationStore } from '@/stores/simulation.store'
+import type { PolarizationData, SimulationResults } from '@/utils/nec2c'
+
+const gridResolutions = [
+  { key: '10', label: '10° grid' },
+  { key: '5', label: '5° grid' },
+  { key: '2', label: '2° grid' },
+] as const
+
+const formatDb = (value: number | null | undefined) =>
+  value === null || value === undefined ? '—' : `${value.toFixed(2)} dB`
+
+const formatDegrees = (value: number | null | undefined) =>
+  value === null || value === undefined ? '—' : `${value.toFixed(1)}°`
+
+/**
+ * Polarization in the direction of maximum gain
+ */
+function polarizationAtMax(results: SimulationResults): PolarizationData | undefined {
+  const direction = results.patternMetrics?.maxDirection
+  if (!direction) return undefined
+
+  const gridPoint = results.farField?.points.find(
+    p => p.theta === direction.theta && p.phi === direction.phi
+  )
+  if (gridPoint) return gridPoint.polarization
+
+  return results.patterns.horizontal.find(p => p.angle === direction.phi)?.polarization
+}
+
 export function PatternTab() {
+  const { elements, installation, farFieldGrid, setFarFieldGrid } = useAntennaStore()
+  const { results, isLoading } = useSimulationStore()
+
+  // E-plane: azimuth cut, phi = 0 (boom forward) at the right of the plot
+  const ePlaneSamples = useMemo<PolarSample[]>(
+    () => results?.patterns.horizontal.map(p => ({ angle: p.angle, gainDb: p.gainDb })) ?? [],
+    [results]
+  )
+
+  // H-plane: vertical cut, plotted as elevation so the horizon is at 0°/180°
+  const hPlaneSamples = useMemo<PolarSample[]>(
+    () => results?.patterns.vertical.map(p => ({ angle: 90 - p.angle, gainDb: p.gainDb })) ?? [],
+    [results]
+  )
+
+  // Vertical elements swap the E- and H-planes; over ground the azimuth cut
+  // is taken at the take-off angle
+  const [azimuthPlane, elevationPlane] =
+    installation.polarization === 'vertical' ? ['H', 'E'] : ['E', 'H']
+  const azimuthTitle =
+    results?.takeOffAngle !== undefined
+      ? `${azimuthPlane}-plane (Azimuth at ${results.takeOffAngle.toFixed(0)}°)`
+      : `${azimuthPlane}-plane (Azimuth)`
+
+  const metrics = results?.patternMetrics
+  const polarization = results ? polarizationAtMax(results) : undefined
+
+  const handleResolutionChange = (key: string) => {
+    const step = parseFloat(key)
+    setFarFieldGrid({ thetaStep: step, phiStep: step })
+  }
+
+  if (elements.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64 mt-6 text-gray-500 dark:text-gray-400">
+        <div className="text-center">
+          <RadioIcon className="w-12 h-12 mx-auto mb-3 opacity-50" />
+          <p>Create an antenna design to see its radiation pattern.</p>
+        </div>
+      </div>
+    )
+  }
+
   return (
-    <div>
-      <h2 className="text-2xl font-bold mb-4">Radiation Pattern</h2>
-      <p>View radiation patterns here.</p>
+    <div className="space-y-6 mt-6">
+      {/* Pattern request settings */}
+      <Card className="bg-white dark:bg-gray-800">
+        <CardBody className="flex flex-row flex-wrap gap-4 items-center">
+          <Switch
+            size="sm"
+            isSelected={farFieldGrid !== null}
+            onValueChange={enabled =>
+              setFarFieldGrid(enabled ? { thetaStep: 5, phiStep: 5 } : null)
+            }
+          >
+            <span className="text-sm">Full-sphere pattern</span>
+          </Switch>
+          <Select
+            aria-label="Far-field grid resolution"
+            size="sm"
+            className="max-w-[150px]"
+            selectedKeys={[String(farFieldGrid?.thetaStep ?? 5)]}
+            onSelectionChange={keys => handleResolutionChange(Array.from(keys)[0] as string)}
+            isDisabled={farFieldGrid === null}
+          >
+            {gridResolutions.map(r => (
+              <SelectItem key={r.key}>{r.label}</SelectItem>
+            ))}
+          </Select>
+          {isLoading && (
+            <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+              <Spinner size="sm" color="primary" />
+              Running simulation...
+            </div>
+          )}
+        </CardBody>
+      </Card>
+
+      {!results ? (
+        <p className="text-center text-gray-500 dark:text-gray-400">
+          Simulation results will be displayed here.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Polar plots */}
+            <Card className="bg-white dark:bg-gray-800 lg:col-span-2">
+              <CardBody className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <PolarPlot
+                  title={azimuthTitle}
+                  samples={ePlaneSamples}
+                  angleLabels={{ 0: 'Front', 180: 'Back' }}
+                />
+                <PolarPlot
+                  title={`${elevationPlane}-plane (Elevation)`}
+                  samples={hPlaneSamples}
+                  angleLabels={{ 0: 'Front', 90: 'Zenith', 180: 'Back' }}
+                  color="#45b7d1"
+                />
+              </CardBody>
+            </Card>
+
+            {/* Beam metrics */}
+            <Card className="bg-white dark:bg-gray-800">
+              <CardBody className="space-y-3">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                  Beam Metrics
+                </h2>
+                <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm font-mono text-gray-800 dark:text-gray-200">
+                  <dt>Max gain</dt>
+                  <dd>{metrics ? `${metrics.maxDirection.gainDb.toFixed(2)} dBi` : '—'}</dd>
+                  <dt>Direction</dt>
+                  <dd>
+                    {metrics
+                      ? `θ ${metrics.maxDirection.theta.toFixed(0)}° φ ${metrics.maxDirection.phi.toFixed(0)}°`
+                      : '—'}
+                  </dd>
+                  <dt>E-plane -3 dB</dt>
+                  <dd>{formatDegrees(metrics?.ePlane.beamwidth)}</dd>
+                  <dt>H-plane -3 dB</dt>
+                  <dd>{formatDegrees(metrics?.hPlane.beamwidth)}</dd>
+                  <dt>E-plane sidelobe</dt>
+                  <dd>{formatDb(metrics?.ePlane.firstSidelobeLevel)}</dd>
+                  <dt>H-plane sidelobe</dt>
+                  <dd>{formatDb(metrics?.hPlane.firstSidelobeLevel)}</dd>
+                  <dt>F/B</dt>
+                  <dd>{formatDb(results.frontToBackRatio)}</dd>
+                  <dt>F/R</dt>
+                  <dd>{formatDb(metrics?.frontToRearRatio)}</dd>
+                  <dt>Polarization</dt>
+                  <dd>
+                    {polarization
+                      ? `${polarization.sense}, tilt ${polarization.tilt.toFixed(0)}°`
+                      : '—'}
+                  </dd>
+                  <dt>Axial ratio</dt>
+                  <dd>{polarization ? polarization.axialRatio.toFixed(3) : '—'}</dd>
+                </dl>
+                {!results.farField && (
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    F/R uses the azimuth cut only. Enable the full-sphere pattern to average over
+                    the whole rear hemisphere.
+                  </p>
+                )}
+              </CardBody>
+            </Card>
+          </div>
+
+          {/* 3D pattern */}
+          <Card className="min-h-[450px] bg-white dark:bg-gray-800">
+            <CardBody className="p-0">
+              {results.farField && results.farField.points.length > 0 ? (
+                <Pattern3D farField={results.farField} />
+              ) : (
+                <div className="flex items-center justify-center h-[450px] text-gray-500 dark:text-gray-400">
+                  <div className="text-center">
+                    <GlobeAltIcon className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                    <p>Enable the full-sphere pattern to view the 3D gain surface.</p>
+                  </div>
+                </div>
+              )}
+            </CardBody>
+          </Card>
+        </>
+      )}
     </div>
   )
-} 
\ No newline at end of file
+}
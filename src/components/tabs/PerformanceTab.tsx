@@ -1,8 +1,197 @@
+/**
+ * Performance Tab Component - Frequency sweep and bandwidth analysis
+ */
+
+import { useEffect, useMemo, useState } from 'react'
+import { Button, Card, CardBody, Input, Spinner } from '@heroui/react'
+import { ChartBarIcon, PlayIcon } from '@heroicons/react/24/outline'
+import { SweepCharts } from '../antenna/SweepCharts'
+import { useAntennaStore } from '@/stores/antenna/antennaStore'
+import { useSimulationStore } from '@/stores/simulation.store'
+import { getSweepPointCount, MAX_SWEEP_POINTS, type FrequencySweep } from '@/utils/nec2c'
+import {
+  calculateUsableBandwidth,
+  createDefaultSweep,
+  DEFAULT_BANDWIDTH_THRESHOLDS,
+  type BandwidthThresholds,
+} from '@/utils/antenna/sweep'
+
 export function PerformanceTab() {
+  const { frequency, elements, runSweep } = useAntennaStore()
+  const { sweepResults, isSweeping, sweepError } = useSimulationStore()
+
+  const [sweep, setSweep] = useState<FrequencySweep>(() => createDefaultSweep(frequency))
+  const [thresholds, setThresholds] = useState<BandwidthThresholds>(DEFAULT_BANDWIDTH_THRESHOLDS)
+
+  // Re-center the sweep whenever the design frequency changes
+  useEffect(() => {
+    setSweep(createDefaultSweep(frequency))
+  }, [frequency])
+
+  const pointCount = getSweepPointCount(sweep)
+  const isSweepValid =
+    sweep.startFrequency > 0 &&
+    sweep.stopFrequency >= sweep.startFrequency &&
+    sweep.stepFrequency > 0 &&
+    pointCount <= MAX_SWEEP_POINTS
+
+  const usableBandwidth = useMemo(
+    () => (sweepResults ? calculateUsableBandwidth(sweepResults.points, thresholds) : null),
+    [sweepResults, thresholds]
+  )
+
+  const updateSweep = (field: keyof FrequencySweep, value: string) => {
+    setSweep(prev => ({ ...prev, [field]: parseFloat(value) || 0 }))
+  }
+
+  const updateThreshold = (field: keyof BandwidthThresholds, value: string) => {
+    setThresholds(prev => ({ ...prev, [field]: parseFloat(value) || 0 }))
+  }
+
+  const inputClassNames = { inputWrapper: 'bg-gray-50 dark:bg-gray-700' }
+  const mhz = <span className="text-xs text-gray-500 dark:text-gray-400">MHz</span>
+
   return (
-    <div>
-      <h2 className="text-2xl font-bold mb-4">Performance Analysis</h2>
-      <p>View antenna performance charts here.</p>
+    <div className="space-y-6 mt-6">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Sweep settings */}
+        <Card className="bg-white dark:bg-gray-800">
+          <CardBody className="space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+              Frequency Sweep
+            </h2>
+            <div className="grid grid-cols-3 gap-3">
+              <Input
+                size="sm"
+                type="number"
+                label="Start"
+                value={sweep.startFrequency.toString()}
+                onValueChange={value => updateSweep('startFrequency', value)}
+                endContent={mhz}
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Stop"
+                value={sweep.stopFrequency.toString()}
+                onValueChange={value => updateSweep('stopFrequency', value)}
+                endContent={mhz}
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Step"
+                value={sweep.stepFrequency.toString()}
+                onValueChange={value => updateSweep('stepFrequency', value)}
+                endContent={mhz}
+                classNames={inputClassNames}
+              />
+            </div>
+            <div className="flex items-center gap-3">
+              <Button
+                color="primary"
+                size="sm"
+                startContent={!isSweeping ? <PlayIcon className="w-4 h-4" /> : undefined}
+                isLoading={isSweeping}
+                isDisabled={elements.length === 0 || !isSweepValid}
+                onPress={() => runSweep(sweep)}
+              >
+                {isSweeping ? 'Sweeping...' : 'Run Sweep'}
+              </Button>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {isSweepValid
+                  ? `${pointCount} frequency points`
+                  : `Invalid sweep (1–${MAX_SWEEP_POINTS} points, stop ≥ start)`}
+              </span>
+            </div>
+          </CardBody>
+        </Card>
+
+        {/* Bandwidth thresholds and result */}
+        <Card className="bg-white dark:bg-gray-800">
+          <CardBody className="space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+              Usable Bandwidth
+            </h2>
+            <div className="grid grid-cols-2 gap-3">
+              <Input
+                size="sm"
+                type="number"
+                label="Max VSWR"
+                value={thresholds.maxVswr.toString()}
+                onValueChange={value => updateThreshold('maxVswr', value)}
+                classNames={inputClassNames}
+              />
+              <Input
+                size="sm"
+                type="number"
+                label="Min F/B"
+                value={thresholds.minFrontToBack.toString()}
+                onValueChange={value => updateThreshold('minFrontToBack', value)}
+                endContent={<span className="text-xs text-gray-500 dark:text-gray-400">dB</span>}
+                classNames={inputClassNames}
+              />
+            </div>
+            <div className="text-sm font-mono text-gray-800 dark:text-gray-200">
+              {!sweepResults ? (
+                <p className="text-gray-500 dark:text-gray-400 font-sans">
+                  Run a sweep to evaluate the bandwidth.
+                </p>
+              ) : usableBandwidth ? (
+                <>
+                  <div>
+                    Band: {usableBandwidth.startFrequency.toFixed(3)} –{' '}
+                    {usableBandwidth.stopFrequency.toFixed(3)} MHz
+                  </div>
+                  <div>
+                    Width: {usableBandwidth.bandwidth.toFixed(3)} MHz (
+                    {usableBandwidth.fractionalBandwidth.toFixed(2)} %)
+                  </div>
+                </>
+              ) : (
+                <p className="text-red-600 dark:text-red-400 font-sans">
+                  No frequency in the sweep meets both thresholds.
+                </p>
+              )}
+            </div>
+          </CardBody>
+        </Card>
+      </div>
+
+      {/* Charts */}
+      <Card className="bg-white dark:bg-gray-800">
+        <CardBody>
+          {isSweeping ? (
+            <div className="flex items-center justify-center gap-3 p-6 text-gray-600 dark:text-gray-400">
+              <Spinner color="primary" />
+              <p className="font-medium">Running frequency sweep...</p>
+            </div>
+          ) : sweepError ? (
+            <div className="p-4 rounded-lg bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-700 text-sm text-red-700 dark:text-red-200">
+              {sweepError}
+            </div>
+          ) : sweepResults ? (
+            <SweepCharts
+              points={sweepResults.points}
+              maxVswr={thresholds.maxVswr}
+              usableBandwidth={usableBandwidth}
+            />
+          ) : (
+            <div className="flex items-center justify-center h-48 text-gray-500 dark:text-gray-400">
+              <div className="text-center">
+                <ChartBarIcon className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                <p>
+                  {elements.length === 0
+                    ? 'Create an antenna design first.'
+                    : 'Sweep results will be plotted here.'}
+                </p>
+              </div>
+            </div>
+          )}
+        </CardBody>
+      </Card>
     </div>
   )
-} 
\ No newline at end of file
+}
@@ -1,109 +1,359 @@
 import { create } from 'zustand'
 import type { PresetElement } from '@/types/antenna/presets'
-import { simulateAntenna, type AntennaParams } from '@/utils/nec2c'
+import type { NECData } from '@/types/antenna/fileFormats'
+import type {
+  AntennaParams,
+  BoomParams,
+  FarFieldGrid,
+  FeedParams,
+  FrequencySweep,
+  InstallationParams,
+} from '@/utils/nec2c'
+import { getNEC2WorkerPool, isAbortError } from '@/utils/nec2cWorkerPool'
 import { useSimulationStore } from '../simulation.store'
-import { runGeneticAlgorithm, type OptimizationTarget } from '@/utils/antenna/optimizer'
+import {
+  DEFAULT_OPTIMIZER_SETTINGS,
+  formatOptimizerEvent,
+  runOptimizer,
+  type OptimizerSettings,
+} from '@/utils/antenna/optimizer'
+import {
+  DEFAULT_INSTALLATION,
+  GROUND_PRESETS,
+  type GroundParams,
+} from '@/utils/antenna/installation'
 
 interface AntennaState {
   // Design parameters
   frequency: number
   elements: PresetElement[]
   selectedPresetId?: string
+  importedDeck: NECData | null // last imported NEC deck, mapped to a Yagi or not
+  boom: BoomParams | null // boom model, off by default
+  feed: FeedParams // reference impedance, driven element type and matching network
+  ground: GroundParams // free space by default
+  installation: InstallationParams // height, polarization and stacking
+  isSolvingMatch: boolean
+  matchError: string | null
+
+  // Simulation settings
+  farFieldGrid: FarFieldGrid | null // full-sphere pattern request, off by default
+  optimizerSettings: OptimizerSettings
 
   // Actions
   setFrequency: (frequency: number) => void
   setElements: (elements: PresetElement[]) => void
   setSelectedPresetId: (id?: string) => void
+  setImportedDeck: (deck: NECData | null) => void
+  setBoom: (boom: BoomParams | null) => void
+  setFeed: (feed: FeedParams) => void
+  setGround: (ground: GroundParams) => void
+  setInstallation: (installation: InstallationParams) => void
+  solveMatch: () => Promise<void>
+  setFarFieldGrid: (grid: FarFieldGrid | null) => void
+  setOptimizerSettings: (settings: OptimizerSettings) => void
   resetDesign: () => void
   runSimulation: () => Promise<void>
-  runOptimization: (target: OptimizationTarget) => Promise<void>
+  runSweep: (sweep: FrequencySweep) => Promise<void>
+  runOptimization: () => Promise<void>
+  cancelOptimization: () => void
+}
+
+// Rapid edits (e.g. typing in the parameter form) are coalesced into one run
+const SIMULATION_DEBOUNCE_MS = 300
+
+let simulationTimer: ReturnType<typeof setTimeout> | undefined
+let resolvePendingSimulation: (() => void) | undefined
+// Incremented per run so results of superseded simulations are discarded
+let simulationRequestId = 0
+let sweepController: AbortController | null = null
+let optimizationController: AbortController | null = null
+let matchController: AbortController | null = null
+
+/**
+ * Drop a debounced simulation that has not started and ignore the result of
+ * one that is still running
+ */
+function cancelPendingSimulation() {
+  clearTimeout(simulationTimer)
+  resolvePendingSimulation?.()
+  resolvePendingSimulation = undefined
+  simulationRequestId++
+}
+
+/**
+ * Stop a running sweep and drop the sweep results, which belong to the
+ * design as it was before an edit
+ */
+function invalidateSweep() {
+  sweepController?.abort()
+  sweepController = null
+  const { clearSweepResults, setIsSweeping } = useSimulationStore.getState()
+  clearSweepResults()
+  setIsSweeping(false)
 }
 
 const defaultDesign = {
   frequency: 146, // 2m band default
   elements: [] as PresetElement[],
   selectedPresetId: undefined,
+  importedDeck: null as NECData | null,
+  boom: null as BoomParams | null,
+  feed: { referenceImpedance: 50 } as FeedParams,
+  ground: GROUND_PRESETS['free-space'].ground,
+  installation: DEFAULT_INSTALLATION,
+}
+
+/**
+ * Simulation input for the current design
+ */
+function getAntennaParams(state: AntennaState): AntennaParams {
+  return {
+    frequency: state.frequency,
+    elements: state.elements,
+    ...state.ground,
+    boom: state.boom ?? undefined,
+    feed: state.feed,
+    installation: state.installation,
+  }
 }
 
 export const useAntennaStore = create<AntennaState>((set, get) => ({
   ...defaultDesign,
+  farFieldGrid: null,
+  optimizerSettings: DEFAULT_OPTIMIZER_SETTINGS,
+  isSolvingMatch: false,
+  matchError: null,
 
   setFrequency: frequency => {
     set({ frequency })
+    invalidateSweep()
     get().runSimulation()
   },
 
   setElements: elements => {
     set({ elements })
+    invalidateSweep()
     get().runSimulation()
   },
 
   setSelectedPresetId: selectedPresetId => set({ selectedPresetId }),
 
+  setImportedDeck: importedDeck => set({ importedDeck }),
+
+  setBoom: boom => {
+    set({ boom })
+    invalidateSweep()
+    get().runSimulation()
+  },
+
+  setFeed: feed => {
+    set({ feed, matchError: null })
+    invalidateSweep()
+    get().runSimulation()
+  },
+
+  setGround: ground => {
+    set({ ground })
+    invalidateSweep()
+    get().runSimulation()
+  },
+
+  setInstallation: installation => {
+    set({ installation })
+    invalidateSweep()
+    get().runSimulation()
+  },
+
+  solveMatch: async () => {
+    const { elements, feed } = get()
+    if (elements.length === 0 || !feed.match) return
+
+    // Solving again replaces a solve still running
+    matchController?.abort()
+    const controller = new AbortController()
+    matchController = controller
+    set({ isSolvingMatch: true, matchError: null })
+
+    try {
+      const match = await getNEC2WorkerPool().solveMatch(getAntennaParams(get()), controller.signal)
+      get().setFeed({ ...get().feed, match })
+    } catch (err) {
+      if (isAbortError(err)) return
+      console.error('❌ Match solve error:', err)
+      set({ matchError: err instanceof Error ? err.message : 'Unknown match error' })
+    } finally {
+      if (matchController === controller) {
+        matchController = null
+        set({ isSolvingMatch: false })
+      }
+    }
+  },
+
+  setFarFieldGrid: farFieldGrid => {
+    set({ farFieldGrid })
+    get().runSimulation()
+  },
+
+  setOptimizerSettings: optimizerSettings => set({ optimizerSettings }),
+
   resetDesign: () => {
-    set(defaultDesign)
+    cancelPendingSimulation()
+    matchController?.abort()
+    set({ ...defaultDesign, matchError: null })
+    invalidateSweep()
+    useSimulationStore.getState().setIsLoading(false)
     useSimulationStore.getState().clearResults()
+    useSimulationStore.getState().setParetoFront([])
   },
 
-  runSimulation: async () => {
-    const { frequency, elements } = get()
-    console.log('🔄 Starting simulation:', { frequency, elementCount: elements.length })
+  runSimulation: () => {
+    const { elements } = get()
+
+    cancelPendingSimulation()
 
     if (elements.length === 0) {
       console.log('❌ No elements, clearing results')
+      useSimulationStore.getState().setIsLoading(false)
       useSimulationStore.getState().clearResults()
+      return Promise.resolve()
+    }
+
+    useSimulationStore.getState().setIsLoading(true)
+
+    return new Promise<void>(resolve => {
+      resolvePendingSimulation = resolve
+      simulationTimer = setTimeout(async () => {
+        resolvePendingSimulation = undefined
+        const { frequency, elements, farFieldGrid } = get()
+        const requestId = ++simulationRequestId
+        const { setResults, setError } = useSimulationStore.getState()
+        console.log('🔄 Starting simulation:', { frequency, elementCount: elements.length })
+
+        try {
+          const antennaParams = getAntennaParams(get())
+          const results = await getNEC2WorkerPool().simulate(antennaParams, {
+            farFieldGrid: farFieldGrid ?? undefined,
+          })
+          if (requestId === simulationRequestId) {
+            console.log('✅ Simulation complete:', results)
+            setResults(results, antennaParams)
+          }
+        } catch (err) {
+          if (requestId === simulationRequestId) {
+            console.error('❌ Simulation error:', err)
+            setError(err instanceof Error ? err.message : 'Unknown simulation error')
+          }
+        }
+        resolve()
+      }, SIMULATION_DEBOUNCE_MS)
+    })
+  },
+
+  runSweep: async sweep => {
+    const { elements } = get()
+    const { setIsSweeping, setSweepResults, setSweepError, clearSweepResults } =
+      useSimulationStore.getState()
+
+    if (elements.length === 0) {
+      clearSweepResults()
       return
     }
 
-    const { setIsLoading, setResults, setError } = useSimulationStore.getState()
-    setIsLoading(true)
+    // A new sweep replaces any sweep still running
+    sweepController?.abort()
+    const controller = new AbortController()
+    sweepController = controller
+    setIsSweeping(true)
 
     try {
-      const antennaParams: AntennaParams = {
-        frequency,
-        elements,
-        groundType: 'none', // Or get this from state if configurable
-      }
-      console.log('📡 Running antenna simulation...')
-      const results = await simulateAntenna(antennaParams)
-      console.log('✅ Simulation complete:', results)
-      setResults(results)
+      const antennaParams = getAntennaParams(get())
+      console.log('📈 Running frequency sweep:', sweep)
+      const sweepResults = await getNEC2WorkerPool().simulateSweep(
+        antennaParams,
+        sweep,
+        controller.signal
+      )
+      setSweepResults(sweepResults, antennaParams)
     } catch (err) {
-      console.error('❌ Simulation error:', err)
-      setError(err instanceof Error ? err.message : 'Unknown simulation error')
+      if (isAbortError(err)) return
+      console.error('❌ Sweep error:', err)
+      setSweepError(err instanceof Error ? err.message : 'Unknown sweep error')
+    } finally {
+      if (sweepController === controller) sweepController = null
     }
   },
 
-  runOptimization: async target => {
-    console.log('🚀 Optimization started with target:', target)
-    const { setOptimizing, addOptimizationLog, clearOptimizationLog } =
-      useSimulationStore.getState()
-    const { frequency, elements, setElements: setOptimizedElements } = get()
+  runOptimization: async () => {
+    const {
+      setOptimizing,
+      addOptimizationLog,
+      addOptimizationGeneration,
+      setParetoFront,
+      clearOptimizationProgress,
+    } = useSimulationStore.getState()
+    const {
+      frequency,
+      elements,
+      boom,
+      feed,
+      ground,
+      installation,
+      optimizerSettings,
+      setElements: setOptimizedElements,
+    } = get()
+    console.log('🚀 Optimization started:', optimizerSettings)
 
     if (elements.length === 0) {
       addOptimizationLog('Cannot optimize an empty design.')
       return
     }
 
-    clearOptimizationLog()
+    // The front is shown against the objectives of this run, not later settings
+    clearOptimizationProgress(optimizerSettings.objectives)
     setOptimizing(true)
+    const controller = new AbortController()
+    optimizationController = controller
 
     try {
-      const bestElements = await runGeneticAlgorithm({
+      const { best, front } = await runOptimizer({
+        ...optimizerSettings,
         initialElements: elements,
         frequency,
-        target,
-        onProgress: addOptimizationLog,
+        boom: boom ?? undefined,
+        feed,
+        ground,
+        installation,
+        onEvent: event => {
+          addOptimizationLog(formatOptimizerEvent(event))
+          if (event.type === 'generation') addOptimizationGeneration(event)
+        },
+        signal: controller.signal,
       })
 
-      // 최적화된 결과로 상태 업데이트
-      setOptimizedElements(bestElements)
+      addOptimizationLog('Optimization finished.')
+      if (best.violation > 0) {
+        addOptimizationLog('⚠️ No design met every constraint; showing the closest one.')
+      }
+      // 추천 설계를 적용하고, 파레토 프런트는 다른 설계를 고를 수 있도록 남김
+      setParetoFront(front)
+      setOptimizedElements(best.elements)
     } catch (error) {
+      if (isAbortError(error)) {
+        // 취소 시 원래 설계를 그대로 유지
+        addOptimizationLog('Optimization cancelled.')
+        return
+      }
       const errorMessage = error instanceof Error ? error.message : 'Unknown optimization error'
       addOptimizationLog(`❌ Optimization failed: ${errorMessage}`)
       console.error('Optimization process error:', error)
     } finally {
+      optimizationController = null
       setOptimizing(false)
     }
   },
+
+  cancelOptimization: () => {
+    optimizationController?.abort()
+  },
 }))
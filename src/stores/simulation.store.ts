@@ -1,32 +1,76 @@
 import { create } from 'zustand'
-import type { SimulationResults } from '@/utils/nec2c'
+import type { AntennaParams, SimulationResults, SweepResults } from '@/utils/nec2c'
+import type {
+  OptimizationCandidate,
+  OptimizationObjective,
+  OptimizerGeneration,
+} from '@/utils/antenna/optimizer'
 
 interface SimulationState {
   results: SimulationResults | null
+  resultsParams: AntennaParams | null // design the results were simulated for
   isLoading: boolean
   error: string | null
+  sweepResults: SweepResults | null
+  sweepParams: AntennaParams | null // design the sweep was run for
+  isSweeping: boolean
+  sweepError: string | null
   isOptimizing: boolean
   optimizationLog: string[]
-  setResults: (results: SimulationResults) => void
+  optimizationHistory: OptimizerGeneration[] // one entry per generation of the current run
+  paretoFront: OptimizationCandidate[] // designs to pick from after a run
+  paretoObjectives: OptimizationObjective[] // the objectives the run was scored on
+  setResults: (results: SimulationResults, params: AntennaParams) => void
   setIsLoading: (isLoading: boolean) => void
   setError: (error: string | null) => void
   clearResults: () => void
+  setSweepResults: (sweepResults: SweepResults, params: AntennaParams) => void
+  setIsSweeping: (isSweeping: boolean) => void
+  setSweepError: (sweepError: string | null) => void
+  clearSweepResults: () => void
   setOptimizing: (isOptimizing: boolean) => void
   addOptimizationLog: (log: string) => void
   clearOptimizationLog: () => void
+  addOptimizationGeneration: (generation: OptimizerGeneration) => void
+  setParetoFront: (paretoFront: OptimizationCandidate[]) => void
+  clearOptimizationProgress: (objectives?: OptimizationObjective[]) => void
 }
 
 export const useSimulationStore = create<SimulationState>((set, get) => ({
   results: null,
+  resultsParams: null,
   isLoading: false,
   error: null,
+  sweepResults: null,
+  sweepParams: null,
+  isSweeping: false,
+  sweepError: null,
   isOptimizing: false,
   optimizationLog: [],
-  setResults: results => set({ results, isLoading: false, error: null }),
+  optimizationHistory: [],
+  paretoFront: [],
+  paretoObjectives: [],
+  setResults: (results, resultsParams) =>
+    set({ results, resultsParams, isLoading: false, error: null }),
   setIsLoading: isLoading => set({ isLoading }),
   setError: error => set({ error, isLoading: false }),
-  clearResults: () => set({ results: null, error: null }),
+  clearResults: () => set({ results: null, resultsParams: null, error: null }),
+  setSweepResults: (sweepResults, sweepParams) =>
+    set({ sweepResults, sweepParams, isSweeping: false, sweepError: null }),
+  setIsSweeping: isSweeping => set({ isSweeping }),
+  setSweepError: sweepError => set({ sweepError, isSweeping: false }),
+  clearSweepResults: () => set({ sweepResults: null, sweepParams: null, sweepError: null }),
   setOptimizing: isOptimizing => set({ isOptimizing }),
   addOptimizationLog: log => set({ optimizationLog: [...get().optimizationLog, log] }),
   clearOptimizationLog: () => set({ optimizationLog: [] }),
+  addOptimizationGeneration: generation =>
+    set({ optimizationHistory: [...get().optimizationHistory, generation] }),
+  setParetoFront: paretoFront => set({ paretoFront }),
+  clearOptimizationProgress: (objectives = []) =>
+    set({
+      optimizationLog: [],
+      optimizationHistory: [],
+      paretoFront: [],
+      paretoObjectives: objectives,
+    }),
 }))
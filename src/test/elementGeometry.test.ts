@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest'
+import type { AntennaParams, BoomParams } from '../utils/nec2c'
+import {
+  buildYagiGeometry,
+  formatWireCard,
+  getBoomCorrection,
+  getElementSections,
+  getMeanDiameter,
+} from '../utils/antenna/elementGeometry'
+import { exportAntennaFile } from '../utils/antenna/fileFormats'
+import { parseNECDeck, recognizeYagi } from '../utils/antenna/necDeck'
+
+const telescoping = [
+  { length: 500, diameter: 20 },
+  { length: 500, diameter: 16 },
+  { length: 400, diameter: 12 },
+]
+
+const params: AntennaParams = {
+  frequency: 50.15,
+  elements: [
+    { type: 'reflector', position: -1200, length: 3000, diameter: 12, sections: telescoping },
+    { type: 'driven', position: 0, length: 2850, diameter: 12, sections: telescoping },
+    { type: 'director', position: 1000, length: 2700, diameter: 12 },
+  ],
+  groundType: 'none',
+}
+
+const boom = (overrides: Partial<BoomParams>): BoomParams => ({
+  diameter: 40,
+  material: 'aluminum',
+  mounting: 'bonded',
+  model: 'correction',
+  ...overrides,
+})
+
+describe('Element sections', () => {
+  it('should extend the tip tube to the element length', () => {
+    expect(getElementSections(params.elements[0])).toEqual([
+      { length: 500, diameter: 20 },
+      { length: 500, diameter: 16 },
+      { length: 500, diameter: 12 },
+    ])
+  })
+
+  it('should drop tubes beyond the tip', () => {
+    expect(getElementSections({ length: 1500, diameter: 12, sections: telescoping })).toEqual([
+      { length: 500, diameter: 20 },
+      { length: 250, diameter: 16 },
+    ])
+  })
+
+  it('should average the diameter over the length', () => {
+    expect(getMeanDiameter(params.elements[0])).toBeCloseTo(16)
+    expect(getMeanDiameter(params.elements[2])).toBe(12)
+  })
+})
+
+describe('Yagi geometry', () => {
+  it('should keep plain elements as one wire each', () => {
+    const { wires, feed } = buildYagiGeometry({
+      ...params,
+      elements: params.elements.map(e => ({ ...e, sections: undefined })),
+    })
+
+    expect(wires.map(formatWireCard)).toEqual([
+      'GW 1 21 -1.2000 -1.5000 0.0000 -1.2000 1.5000 0.0000 0.006000',
+      'GW 2 21 0.0000 -1.4250 0.0000 0.0000 1.4250 0.0000 0.006000',
+      'GW 3 21 1.0000 -1.3500 0.0000 1.0000 1.3500 0.0000 0.006000',
+    ])
+    expect(feed).toEqual({ tag: 2, segment: 11 })
+  })
+
+  it('should mirror telescoping tubes and feed the center segment', () => {
+    const { wires, feed } = buildYagiGeometry(params)
+    const driven = wires.filter(w => w.tag === 2)
+
+    expect(driven.map(w => [w.start[1], w.end[1], w.diameter])).toEqual([
+      [-1425, -1000, 12],
+      [-1000, -500, 16],
+      [-500, 500, 20],
+      [500, 1000, 16],
+      [1000, 1425, 12],
+    ])
+    expect(driven[2].segments % 2).toBe(1)
+    const before = driven[0].segments + driven[1].segments
+    expect(feed).toEqual({ tag: 2, segment: before + (driven[2].segments + 1) / 2 })
+  })
+
+  it('should join bonded elements to the boom wire', () => {
+    const geometry = buildYagiGeometry({ ...params, boom: boom({ model: 'explicit' }) })
+    const boomWires = geometry.wires.filter(w => w.tag === geometry.boomTag)
+
+    expect(geometry.boomTag).toBe(4)
+    expect(geometry.boomConductivity).toBe(2.5e7)
+    expect(boomWires.map(w => [w.start[0], w.end[0]])).toEqual([[-1200, 1000]])
+    // Parasitic halves meet the boom axis; the driven element is insulated above it
+    expect(geometry.wires.filter(w => w.tag === 1).some(w => w.end[1] === 0)).toBe(true)
+    expect(geometry.wires.filter(w => w.tag === 2).every(w => w.start[2] === 30)).toBe(true)
+  })
+
+  it('should split the boom wire where bonded elements join it', () => {
+    const geometry = buildYagiGeometry({
+      ...params,
+      elements: [
+        ...params.elements,
+        { type: 'director', position: 400, length: 2750, diameter: 12 },
+      ],
+      boom: boom({ model: 'explicit' }),
+    })
+    const spans = geometry.wires
+      .filter(w => w.tag === geometry.boomTag)
+      .map(w => [w.start[0], w.end[0]])
+
+    expect(spans).toEqual([
+      [-1200, 400],
+      [400, 1000],
+    ])
+  })
+
+  it('should write the boom load into the NEC deck', () => {
+    const { content } = exportAntennaFile(
+      { ...params, boom: boom({ model: 'explicit', material: 'steel' }) },
+      { format: 'nec' }
+    )
+    expect(content).toContain('LD 5 4 0 0 6000000')
+  })
+})
+
+describe('Boom correction', () => {
+  it('should follow the bonded correction curve', () => {
+    // 20 mm boom at 432 MHz is 0.029 wavelengths
+    const correction = getBoomCorrection(boom({ diameter: 20 }), 432, 'director')
+    expect(correction).toBeCloseTo(11.9, 1)
+  })
+
+  it('should scale with the element mounting', () => {
+    const bonded = getBoomCorrection(boom({}), 144, 'director')
+
+    expect(getBoomCorrection(boom({ mounting: 'insulated' }), 144, 'director')).toBe(bonded / 2)
+    expect(getBoomCorrection(boom({}), 144, 'driven')).toBe(bonded / 2)
+    expect(getBoomCorrection(boom({ mounting: 'on-boom' }), 144, 'director')).toBe(0)
+    expect(getBoomCorrection(boom({ material: 'nonconductive' }), 144, 'director')).toBe(0)
+    expect(getBoomCorrection(boom({ model: 'explicit' }), 144, 'director')).toBe(0)
+  })
+
+  it('should shorten the simulated elements', () => {
+    const plain = { ...params, elements: [params.elements[2]] }
+    const correction = getBoomCorrection(boom({}), params.frequency, 'director')
+    const [wire] = buildYagiGeometry({ ...plain, boom: boom({}) }).wires
+
+    expect(wire.end[1] - wire.start[1]).toBeCloseTo(2700 - correction)
+  })
+})
+
+describe('Telescoping elements in files', () => {
+  it('should keep sections and boom in JSON', () => {
+    const withBoom = { ...params, boom: boom({}) }
+    const { content } = exportAntennaFile(withBoom, { format: 'json' })
+    expect(JSON.parse(content).antenna).toEqual(withBoom)
+  })
+
+  it('should write the average diameter to yc6', () => {
+    const { content } = exportAntennaFile(params, { format: 'yc6' })
+    expect(content).toContain('3.000000      -1.20000000      0.016')
+  })
+
+  it('should recognize stepped elements in a NEC deck', () => {
+    const deck = [
+      'CE',
+      'GW 1 5 0 -1.5 0 0 -1 0 0.006',
+      'GW 1 7 0 -1 0 0 1 0 0.01',
+      'GW 1 5 0 1 0 0 1.5 0 0.006',
+      'GW 2 11 0.8 -1.4 0 0.8 1.4 0 0.006',
+      'GE 0',
+      'EX 0 1 9 0 1 0',
+      'FR 0 1 0 0 50 0',
+      'EN',
+    ].join('\n')
+    const { params: yagi, warnings } = recognizeYagi(parseNECDeck(deck).data)
+
+    expect(warnings).toEqual([])
+    expect(yagi!.elements[0].sections).toEqual([
+      { length: 1000, diameter: 20 },
+      { length: 500, diameter: 12 },
+    ])
+    expect(yagi!.elements[1].sections).toBeUndefined()
+  })
+})
@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest'
+import { NEC2Engine, type AntennaParams, type FeedParams, type Impedance } from '../utils/nec2c'
+import { buildYagiGeometry } from '../utils/antenna/elementGeometry'
+import {
+  formatMatchCards,
+  getParallelWireImpedance,
+  getSeriesComponent,
+  solveHairpin,
+} from '../utils/antenna/feedMatch'
+import { exportAntennaFile } from '../utils/antenna/fileFormats'
+
+const base: AntennaParams = {
+  frequency: 146,
+  elements: [
+    { type: 'reflector', position: -310, length: 1020, diameter: 10 },
+    { type: 'driven', position: 0, length: 980, diameter: 10 },
+    { type: 'director', position: 200, length: 920, diameter: 10 },
+  ],
+  groundType: 'none',
+}
+
+const withFeed = (feed: FeedParams): AntennaParams => ({ ...base, feed })
+
+const hairpin = {
+  type: 'hairpin' as const,
+  spacing: 30,
+  wireDiameter: 4,
+  length: 0,
+  seriesReactance: 0,
+}
+
+const gamma = {
+  type: 'gamma' as const,
+  rodDiameter: 4,
+  spacing: 40,
+  rodLength: 150,
+  capacitance: 0,
+}
+
+// Trimmed nec2c output with the input parameters table only
+const inputTable = (r: string, x: string) => `
+                        --------- ANTENNA INPUT PARAMETERS ---------
+  TAG   SEG       VOLTAGE (VOLTS)         CURRENT (AMPS)         IMPEDANCE (OHMS)        ADMITTANCE (MHOS)     POWER
+  No:   No:     REAL      IMAGINARY     REAL      IMAGINARY     REAL      IMAGINARY    REAL       IMAGINARY   (WATTS)
+    2    11  1.0000E+00  0.0000E+00  1.3333E-02  0.0000E+00  ${r} ${x}  1.3333E-02  0.0000E+00  6.6667E-03
+`
+
+describe('Hairpin match', () => {
+  it('should solve the stub and series reactance as an L network', () => {
+    const solved = solveHairpin({ resistance: 17.781, reactance: -1.2823 }, 144.2, 50, hairpin)
+
+    expect(solved).toEqual({ ...hairpin, length: 37.7, seriesReactance: -22.7 })
+  })
+
+  it('should not solve a feed resistance above the reference impedance', () => {
+    expect(solveHairpin({ resistance: 60, reactance: -10 }, 144.2, 50, hairpin)).toBeNull()
+  })
+
+  it('should terminate the stub on the dummy wire and add the series load', () => {
+    const params = withFeed({
+      referenceImpedance: 50,
+      match: { ...hairpin, length: 37.7, seriesReactance: -22.7 },
+    })
+    const geometry = buildYagiGeometry(params)
+    const [tl, ld] = formatMatchCards(geometry, params)
+
+    expect(geometry.dummy).toEqual({ tag: 4, segment: 1 })
+    expect(tl).toBe(
+      `TL 2 11 4 1 ${getParallelWireImpedance(30, 4).toFixed(2)} 0.03770 0 0 1.0000E+10 0`
+    )
+    const { capacitance } = getSeriesComponent(-22.7, 146)
+    expect(ld).toBe(`LD 0 2 11 11 0 0.0000E+0 ${capacitance.toExponential(4).toUpperCase()}`)
+  })
+})
+
+describe('Feed geometry', () => {
+  it('should join the unfed conductor of a folded dipole at the tips', () => {
+    const { wires, feed } = buildYagiGeometry(
+      withFeed({ referenceImpedance: 200, folded: { spacing: 50, diameter: 10 } })
+    )
+    const driven = wires.filter(w => w.tag === 2)
+
+    expect(driven.map(w => [w.start[1], w.start[2], w.end[1], w.end[2]])).toEqual([
+      [-490, 0, 490, 0],
+      [490, 0, 490, 50],
+      [490, 50, -490, 50],
+      [-490, 50, -490, 0],
+    ])
+    expect(feed).toEqual({ tag: 2, segment: 11 })
+  })
+
+  it('should feed a gamma match between the element center and the rod', () => {
+    const { wires, feed } = buildYagiGeometry(withFeed({ referenceImpedance: 50, match: gamma }))
+    const driven = wires.filter(w => w.tag === 2)
+    const spans = driven.map(w => [w.start[0], w.start[1], w.end[0], w.end[1]])
+
+    expect(spans).toEqual([
+      [0, -490, 0, 0],
+      [0, 0, 0, 150],
+      [0, 150, 0, 490],
+      [0, 0, 40, 0],
+      [40, 0, 40, 150],
+      [40, 150, 0, 150],
+    ])
+    const before = driven.slice(0, 3).reduce((sum, w) => sum + w.segments, 0)
+    expect(feed).toEqual({ tag: 2, segment: before + 1 })
+    expect(driven[3].segments).toBe(1)
+  })
+
+  it('should write the gamma capacitor on the feed segment', () => {
+    const params = withFeed({ referenceImpedance: 50, match: { ...gamma, capacitance: 25 } })
+    const geometry = buildYagiGeometry(params)
+    const { segment } = geometry.feed
+
+    expect(formatMatchCards(geometry, params)).toEqual([
+      `LD 0 2 ${segment} ${segment} 0 0.0000E+0 2.5000E-11`,
+    ])
+  })
+})
+
+describe('Reference impedance', () => {
+  it('should compute VSWR against the reference impedance', () => {
+    const engine = new NEC2Engine()
+    const output = inputTable('7.5000E+01', '0.0000E+00')
+
+    expect(engine['parseNECOutput'](output).vswr).toBeCloseTo(1.5)
+    const results = engine['parseNECOutput'](output, {}, 75)
+    expect(results.vswr).toBeCloseTo(1)
+    expect(results.referenceImpedance).toBe(75)
+  })
+
+  it('should reject an invalid feed before running NEC', async () => {
+    const engine = new NEC2Engine()
+
+    await expect(engine.simulate(withFeed({ referenceImpedance: 0 }))).rejects.toMatchObject({
+      code: 'BAD_FEED',
+    })
+    await expect(
+      engine.simulate(
+        withFeed({ referenceImpedance: 50, folded: { spacing: 50, diameter: 10 }, match: gamma })
+      )
+    ).rejects.toMatchObject({ code: 'BAD_FEED' })
+    await expect(
+      engine.simulate(withFeed({ referenceImpedance: 50, match: { ...gamma, rodLength: 490 } }))
+    ).rejects.toMatchObject({ code: 'BAD_FEED' })
+  })
+
+  it('should keep the feed in JSON files', () => {
+    const params = withFeed({
+      referenceImpedance: 28,
+      folded: { spacing: 50, diameter: 10 },
+      match: { ...hairpin, length: 37.7, seriesReactance: -22.7 },
+    })
+    const { content } = exportAntennaFile(params, { format: 'json' })
+
+    expect(JSON.parse(content).antenna).toEqual(params)
+  })
+})
+
+describe('Match solver', () => {
+  it('should lengthen the gamma rod until the feed resistance reaches the reference', async () => {
+    const engine = new NEC2Engine()
+    const rodLengths: number[] = []
+    // Resistance rising linearly with the rod, crossing 50 Ω at 400 mm
+    engine['simulateInputImpedance'] = async (params: AntennaParams): Promise<Impedance> => {
+      const match = params.feed?.match
+      const rodLength = match?.type === 'gamma' ? match.rodLength : 0
+      rodLengths.push(rodLength)
+      return { resistance: 10 + rodLength / 10, reactance: 30 }
+    }
+
+    const solved = await engine.solveMatch(withFeed({ referenceImpedance: 50, match: gamma }))
+
+    expect(solved.type).toBe('gamma')
+    if (solved.type !== 'gamma') return
+    expect(Math.abs(solved.rodLength - 400)).toBeLessThan(2.5)
+    expect(solved.capacitance).toBeCloseTo(36.3, 1)
+    expect(rodLengths.length).toBeLessThanOrEqual(24)
+  })
+
+  it('should report a gamma rod that cannot reach the reference impedance', async () => {
+    const engine = new NEC2Engine()
+    engine['simulateInputImpedance'] = async () => ({ resistance: 20, reactance: 30 })
+
+    await expect(
+      engine.solveMatch(withFeed({ referenceImpedance: 50, match: gamma }))
+    ).rejects.toMatchObject({ code: 'MATCH_UNREACHABLE' })
+  })
+
+  it('should solve a hairpin from the bare driven element', async () => {
+    const engine = new NEC2Engine()
+    engine['runNEC'] = async (deck: string) => {
+      expect(deck).not.toMatch(/^TL /m)
+      return inputTable('1.7781E+01', '-1.2823E+00')
+    }
+
+    const solved = await engine.solveMatch({
+      ...withFeed({ referenceImpedance: 50, match: hairpin }),
+      frequency: 144.2,
+    })
+
+    expect(solved).toEqual({ ...hairpin, length: 37.7, seriesReactance: -22.7 })
+  })
+})
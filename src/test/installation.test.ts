@@ -0,0 +1,243 @@
+import { describe, it, expect } from 'vitest'
+import { NEC2Engine, type AntennaParams, type InstallationParams } from '../utils/nec2c'
+import {
+  buildArrayGeometry,
+  findGroundPreset,
+  formatGroundCard,
+  formatStructureCards,
+  GROUND_PRESETS,
+} from '../utils/antenna/installation'
+import { exportAntennaFile } from '../utils/antenna/fileFormats'
+import { parseNECDeck, recognizeYagi } from '../utils/antenna/necDeck'
+
+const yagi: AntennaParams = {
+  frequency: 145,
+  elements: [
+    { type: 'reflector', position: -180, length: 1030, diameter: 8 },
+    { type: 'driven', position: 0, length: 980, diameter: 10 },
+    { type: 'director', position: 176, length: 930, diameter: 8 },
+  ],
+  groundType: 'none',
+}
+
+const installed = (installation: InstallationParams, ground = GROUND_PRESETS.average.ground) => ({
+  ...yagi,
+  ...ground,
+  installation,
+})
+
+const cards = (params: AntennaParams, mnemonic: string) =>
+  formatStructureCards(params).filter(card => card.startsWith(`${mnemonic} `))
+
+describe('Ground', () => {
+  it('should write the dielectric constant before the conductivity', () => {
+    expect(formatGroundCard(GROUND_PRESETS.average.ground)).toBe('GN 2 0 0 0 13 0.005')
+    expect(formatGroundCard(GROUND_PRESETS['sea-water'].ground)).toBe('GN 2 0 0 0 81 5')
+    expect(formatGroundCard(GROUND_PRESETS.perfect.ground)).toBe('GN 1')
+    expect(formatGroundCard(GROUND_PRESETS['free-space'].ground)).toBeUndefined()
+  })
+
+  it('should find the preset of a ground', () => {
+    expect(findGroundPreset(GROUND_PRESETS.good.ground)).toBe('good')
+    expect(findGroundPreset({ groundType: 'none' })).toBe('free-space')
+    expect(
+      findGroundPreset({ groundType: 'real', groundConductivity: 0.01, groundDielectric: 15 })
+    ).toBeUndefined()
+  })
+
+  it('should keep the free-space deck of a single Yagi', () => {
+    const structure = formatStructureCards(yagi)
+
+    expect(structure).toContain('GE 0')
+    expect(structure).toContain('EX 0 2 11 0 1 0')
+    expect(structure.some(card => /^(GM|GN) /.test(card))).toBe(false)
+  })
+
+  it('should lift the array to its height over ground', () => {
+    const structure = formatStructureCards(installed({ height: 12.5, polarization: 'horizontal' }))
+
+    expect(structure.slice(-4)).toEqual([
+      'GM 0 0 0 0 0 0 0 12.5 0',
+      'GE 1',
+      'EX 0 2 11 0 1 0',
+      'GN 2 0 0 0 13 0.005',
+    ])
+  })
+})
+
+describe('Polarization', () => {
+  it('should stand the elements upright', () => {
+    const { wires } = buildArrayGeometry(installed({ height: 10, polarization: 'vertical' }))
+
+    expect(wires[0].start).toEqual([-180, 0, -515])
+    expect(wires[0].end).toEqual([-180, 0, 515])
+  })
+
+  it('should feed the vertical plane of a cross Yagi in quadrature', () => {
+    const params = installed({
+      height: 10,
+      polarization: 'cross',
+      crossOffset: 100,
+      crossPhase: 90,
+    })
+    const { copies } = buildArrayGeometry(params)
+
+    expect(copies.map(c => c.wires.map(w => w.tag))).toEqual([
+      [1, 2, 3],
+      [4, 5, 6],
+    ])
+    expect(copies[1].wires[1].start).toEqual([100, 0, -490])
+    expect(cards(params, 'EX')).toEqual(['EX 0 2 11 0 1 0', 'EX 0 5 11 0 0 1'])
+  })
+})
+
+describe('Stacked arrays', () => {
+  const box: InstallationParams = {
+    height: 10,
+    polarization: 'horizontal',
+    stack: {
+      rows: 2,
+      columns: 2,
+      verticalSpacing: 1150,
+      horizontalSpacing: 1200,
+      phases: [0, 0, 0, 180],
+    },
+  }
+
+  it('should place the bays of a box around the array center', () => {
+    const { copies } = buildArrayGeometry(installed(box))
+
+    expect(copies.map(c => c.offset)).toEqual([
+      [0, -600, -575],
+      [0, 600, -575],
+      [0, -600, 575],
+      [0, 600, 575],
+    ])
+    expect(copies[3].feed).toEqual({ tag: 11, segment: 11 })
+  })
+
+  it('should give each bay its source, phasing and matching network', () => {
+    const params: AntennaParams = {
+      ...installed(box),
+      feed: {
+        referenceImpedance: 50,
+        match: { type: 'hairpin', spacing: 20, wireDiameter: 4, length: 100, seriesReactance: 0 },
+      },
+    }
+
+    expect(cards(params, 'EX')).toEqual([
+      'EX 0 2 11 0 1 0',
+      'EX 0 6 11 0 1 0',
+      'EX 0 10 11 0 1 0',
+      'EX 0 14 11 0 -1 0',
+    ])
+    // Every bay's hairpin ends on its own termination wire
+    expect(cards(params, 'TL').map(card => card.split(' ').slice(1, 5).join(' '))).toEqual([
+      '2 11 4 1',
+      '6 11 8 1',
+      '10 11 12 1',
+      '14 11 16 1',
+    ])
+  })
+
+  it('should export the whole array to a NEC file', () => {
+    const { content } = exportAntennaFile(installed(box), { format: 'nec' })
+
+    expect(content.match(/^GW /gm)).toHaveLength(12)
+    expect(content).toContain('GM 0 0 0 0 0 0 0 10 0\nGE 1\n')
+    expect(content).toContain('GN 2 0 0 0 13 0.005\nFR 0 1 0 0 145 0\n')
+  })
+})
+
+describe('Installation checks', () => {
+  const simulate = (params: AntennaParams) => new NEC2Engine().simulate(params)
+
+  it('should reject bays that overlap', async () => {
+    const params = installed({
+      height: 10,
+      polarization: 'horizontal',
+      stack: { rows: 1, columns: 2, verticalSpacing: 0, horizontalSpacing: 800 },
+    })
+    await expect(simulate(params)).rejects.toMatchObject({ code: 'BAD_INSTALLATION' })
+  })
+
+  it('should reject an array that reaches the ground', async () => {
+    const params = installed({ height: 0.4, polarization: 'vertical' })
+    await expect(simulate(params)).rejects.toThrow(/0\.52 m below its center/)
+  })
+
+  it('should reject a cross Yagi without offset planes', async () => {
+    const params = installed({ height: 10, polarization: 'cross', crossOffset: 0 })
+    await expect(simulate(params)).rejects.toMatchObject({ code: 'BAD_INSTALLATION' })
+  })
+})
+
+describe('Take-off angle and stacking gain', () => {
+  const row = (theta: number, phi: number, gain: number) =>
+    `   ${theta.toFixed(2)}   ${phi.toFixed(2)}   -999.99   ${gain.toFixed(2)}   ${gain.toFixed(2)}` +
+    '   0.0000   90.00 LINEAR  0.0000E+00   0.00  1.0000E+00   0.00'
+  const table = (rows: string[]) => `RADIATION PATTERNS\n${rows.join('\n')}\n`
+  // Elevation cut with a low main lobe 3° above the horizon
+  const elevation = (peak: number) =>
+    table([row(-87, 180, -10), row(0, 0, -5), row(60, 0, 8), row(87, 0, peak), row(90, 0, -90)])
+
+  it('should take the azimuth cut at the elevation of the main lobe', async () => {
+    const engine = new NEC2Engine()
+    const decks: string[] = []
+    engine['runNEC'] = async (deck: string) => {
+      decks.push(deck)
+      const bays = deck.match(/^EX /gm)!.length
+      const peak = bays > 1 ? 19.1 : 16.1
+      return deck.includes('RP 0 1 361')
+        ? table([row(87, 0, peak), row(87, 90, -20), row(87, 180, 0)]) + elevation(peak)
+        : elevation(peak)
+    }
+
+    const results = await engine.simulate(
+      installed({
+        height: 10,
+        polarization: 'horizontal',
+        stack: { rows: 2, columns: 1, verticalSpacing: 2000, horizontalSpacing: 0 },
+      })
+    )
+
+    expect(results.takeOffAngle).toBe(3)
+    expect(decks[1]).toContain('RP 0 1 361 1000 87 0 0 1\n')
+    expect(results.frontToBackRatio).toBeCloseTo(19.1)
+    expect(results.patternMetrics?.maxDirection).toEqual({ theta: 87, phi: 0, gainDb: 19.1 })
+    // The single bay runs last, at the same height
+    expect(decks[2].match(/^EX /gm)).toHaveLength(1)
+    expect(decks[2]).toContain('GM 0 0 0 0 0 0 0 10 0\n')
+    expect(results.stackingGain).toBeCloseTo(3)
+  })
+
+  it('should request elevation cuts in a sweep over ground', () => {
+    const deck = new NEC2Engine()['generateNECInput'](
+      installed({ height: 10, polarization: 'horizontal' }),
+      { startFrequency: 144, stopFrequency: 146, stepFrequency: 1 }
+    )
+    expect(deck).toContain('FR 0 3 0 0 144 1\nRP 0 91 3 1000 0 0 1 90\nEN')
+  })
+})
+
+describe('Imported installations', () => {
+  it('should read the height and polarization of a deck over ground', () => {
+    const deck = [
+      'CE',
+      'GW 1 11 -0.2 0 -0.5 -0.2 0 0.5 0.004',
+      'GW 2 11 0 0 -0.49 0 0 0.49 0.005',
+      'GW 3 11 0.2 0 -0.46 0.2 0 0.46 0.004',
+      'GM 0 0 0 0 0 0 0 8 0',
+      'GE 1',
+      'EX 0 2 6 0 1 0',
+      'GN 2 0 0 0 13 0.005',
+      'FR 0 1 0 0 145 0',
+      'EN',
+    ].join('\n')
+    const { params, warnings } = recognizeYagi(parseNECDeck(deck).data)
+
+    expect(warnings).toEqual([])
+    expect(params?.installation).toEqual({ height: 8, polarization: 'vertical' })
+    expect(findGroundPreset(params!)).toBe('average')
+  })
+})
@@ -0,0 +1,347 @@
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'fs'
+import path from 'path'
+import { File as NodeFile } from 'node:buffer'
+import type { AntennaParams, SimulationResults, SweepResults } from '../utils/nec2c'
+import { exportAntennaFile, parseAntennaFile } from '../utils/antenna/fileFormats'
+import { serializeNECDeck } from '../utils/antenna/necDeck'
+import { getAWGDiameter } from '../utils/antenna/eznec'
+import { GROUND_PRESETS } from '../utils/antenna/installation'
+import { isSameDesign } from '../utils/antenna/resultExport'
+
+const sampleDir = path.resolve(__dirname, '../../sample_files')
+const readSample = (name: string) => readFileSync(path.join(sampleDir, name), 'utf8')
+// jsdom's File cannot be read as text; Node's can
+const parse = (content: string, name: string) =>
+  parseAntennaFile(new NodeFile([content], name) as unknown as File)
+const parseSample = (name: string) => parse(readSample(name), name)
+const cards = (deck: string, mnemonic: string) =>
+  deck.split('\n').filter(line => line.startsWith(`${mnemonic} `))
+
+const yagi: AntennaParams = {
+  frequency: 145,
+  elements: [
+    { type: 'reflector', position: -180, length: 1030, diameter: 8, segments: 21 },
+    { type: 'driven', position: 0, length: 980, diameter: 10, segments: 21 },
+    { type: 'director', position: 176, length: 930, diameter: 8, segments: 21 },
+  ],
+  groundType: 'none',
+}
+
+describe('MMANA-GAL files', () => {
+  it('should read the sample as a Yagi', async () => {
+    const result = await parseSample('3el_uda_sample.maa')
+
+    expect(result.success).toBe(true)
+    expect(result.warnings).toBeUndefined()
+    expect(result.data).toEqual({ ...yagi, feed: { referenceImpedance: 50 } })
+    expect(result.metadata).toMatchObject({
+      name: '3 el Uda 145 MHz',
+      originalFormat: 'maa',
+      comments: ['3-element Yagi-Uda for the 2 m band'],
+    })
+  })
+
+  it('should read wavelength units, automatic segmentation, loads and ground', async () => {
+    const result = await parseSample('3el_nbs_wavelength.maa')
+    const deck = serializeNECDeck(result.necDeck!)
+
+    // λ is 2 m; automatic segmentation is 80 segments per λ, rounded up to odd
+    expect(result.data?.elements).toEqual([
+      { type: 'reflector', position: -400, length: 964, diameter: 17, segments: 39 },
+      { type: 'driven', position: 0, length: 884, diameter: 17, segments: 37 },
+      { type: 'director', position: 400, length: 848, diameter: 17, segments: 35 },
+    ])
+    expect(result.data?.installation).toEqual({ height: 10, polarization: 'horizontal' })
+    expect(result.data).toMatchObject({
+      ...GROUND_PRESETS.average.ground,
+      feed: { referenceImpedance: 75 },
+    })
+    expect(cards(deck, 'EX')).toEqual(['EX 0 2 19 0 1 0'])
+    expect(cards(deck, 'LD')).toEqual(['LD 4 2 19 19 0 -12.5'])
+    expect(result.warnings).toEqual([
+      'MMANA-GAL files do not store the soil; average ground was assumed.',
+      'LD loads (e.g. wire conductivity) were left out.',
+    ])
+  })
+
+  it('should round-trip the sample', async () => {
+    const first = await parseSample('3el_uda_sample.maa')
+    const { content, filename } = exportAntennaFile(first.data!, {
+      format: 'maa',
+      filename: '3el_uda_copy.maa',
+    })
+    const second = await parse(content, filename)
+
+    expect(second.data).toEqual(first.data)
+  })
+
+  it('should round-trip a design over ground', async () => {
+    const params: AntennaParams = {
+      ...yagi,
+      ...GROUND_PRESETS.perfect.ground,
+      installation: { height: 12.5, polarization: 'vertical' },
+      feed: { referenceImpedance: 28 },
+    }
+    const { content } = exportAntennaFile(params, { format: 'maa' })
+
+    expect(content).toContain('*** G/H/M/R/AzEl/X ***\n1,\t12.5,\t0,\t28,\t120,\t60,\t0.0\n')
+    expect((await parse(content, 'design.maa')).data).toEqual(params)
+  })
+
+  it('should write a source and gamma capacitor for every bay', async () => {
+    const params: AntennaParams = {
+      ...yagi,
+      ...GROUND_PRESETS.average.ground,
+      installation: {
+        height: 10,
+        polarization: 'horizontal',
+        stack: {
+          rows: 2,
+          columns: 1,
+          verticalSpacing: 2000,
+          horizontalSpacing: 0,
+          phases: [0, 180],
+        },
+      },
+      feed: {
+        referenceImpedance: 50,
+        match: {
+          type: 'gamma',
+          rodDiameter: 6,
+          spacing: 40,
+          rodLength: 150,
+          capacitance: 39,
+        },
+      },
+    }
+    const { content } = exportAntennaFile(params, { format: 'maa' })
+    const { necDeck } = await parse(content, 'gamma.maa')
+    const deck = serializeNECDeck(necDeck!)
+
+    // Each gamma feed is the one-segment wire from the element to the rod
+    const feeds = cards(deck, 'EX').map(card => card.split(' ').slice(2, 4).join(' '))
+    expect(feeds).toHaveLength(2)
+    expect(cards(deck, 'EX')[1]).toMatch(/ -1 0$/)
+    expect(cards(deck, 'LD').map(card => card.split(' ').slice(2, 4).join(' '))).toEqual(feeds)
+    expect(cards(deck, 'LD')[0]).toMatch(/ 0 0 3\.9e-11$/)
+    expect(deck).toContain('GM 0 0 0 0 0 0 0 10 0\n')
+  })
+})
+
+describe('EZNEC files', () => {
+  it('should read the sample like the same antenna in MMANA-GAL', async () => {
+    const result = await parseSample('3el_uda_sample.ez')
+    const mmana = await parseSample('3el_uda_sample.maa')
+
+    expect(result.success).toBe(true)
+    expect(result.warnings).toBeUndefined()
+    expect(result.data).toEqual({ ...mmana.data, feed: undefined })
+    expect(result.necDeck?.wires).toEqual(mmana.necDeck?.wires)
+    expect(result.metadata).toMatchObject({ name: '3 el Uda 145 MHz', originalFormat: 'ez' })
+  })
+
+  it('should convert feet, AWG gauges, loads and real ground', async () => {
+    const description = [
+      'EZNEC ver. 5.0',
+      '',
+      '2 m dipole     10/19/2026     9:15:00 AM',
+      '',
+      '--------------- ANTENNA DESCRIPTION ---------------',
+      'Frequency = 146 MHz.',
+      'Ground type is Real, high accuracy analysis.',
+      '',
+      '--------------- WIRES ---------------',
+      'Wire Conn.--- End 1 (x,y,z : ft)  Conn.--- End 2 (x,y,z : ft)   Dia(in) Segs',
+      '1             0, -1.6,   30               0,  1.6,  30     #12   11',
+      '2   W1E2      0,  1.6,   30     Ground    0,  1.6,   0    0.25    9',
+      '',
+      '--------------- SOURCES ---------------',
+      'Source    Wire      Wire #/Pct From End 1   Ampl.(V, A)  Phase(Deg.)  Type',
+      '          Seg.     Actual      (Specified)',
+      '1          6     1 / 50.00   ( 1 / 50.00)      1.000        0.000      I',
+      '',
+      '--------------- LOADS ---------------',
+      'Load      Wire      Wire #/Pct From End 1    R (Ohms)     X (Ohms)',
+      '          Seg.     Actual      (Specified)',
+      '1          1     2 / 5.56    ( 2 / 5.00)        10          -20',
+      '',
+      '--------------- TRANSMISSION LINES ---------------',
+      'Line  Wire #/% From End 1  Wire #/% From End 1  Length  Z0  VF  Rev/Norm',
+      '1     1 / 50.00            2 / 50.00            10 ft   50  0.66  N',
+      '',
+      '--------------- MEDIA ---------------',
+      'Medium  Conductivity  Diel. Const.  Height  X Coord.',
+      '           (mS/m)                     (ft)     (ft)',
+      '1           2             10            0        0',
+      '2           5             13            0       50',
+    ].join('\n')
+    const result = await parse(description, 'dipole.ez')
+    const deck = serializeNECDeck(result.necDeck!)
+
+    expect(cards(deck, 'GW')).toEqual([
+      `GW 1 11 0 -0.48768 9.144 0 0.48768 9.144 ${Number((getAWGDiameter(12) / 2000).toFixed(7))}`,
+      'GW 2 9 0 0.48768 9.144 0 0.48768 0 0.003175',
+    ])
+    expect(getAWGDiameter(12)).toBeCloseTo(2.053, 3)
+    expect(cards(deck, 'EX')).toEqual(['EX 0 1 6 0 1 0'])
+    expect(cards(deck, 'LD')).toEqual(['LD 4 2 1 1 10 -20'])
+    expect(cards(deck, 'GN')).toEqual(['GN 2 0 0 0 10 0.002'])
+    expect(result.metadata?.name).toBe('2 m dipole')
+    expect(result.warnings?.[0]).toBe('EZNEC transmission lines were left out.')
+    expect(result.warnings).toContain('EZNEC ground has 2 media; only medium 1 was used.')
+  })
+
+  it('should take the soil from the MEDIA table', async () => {
+    const result = await parseSample('3el_uda_ground.ez')
+    const deck = serializeNECDeck(result.necDeck!)
+
+    expect(result.success).toBe(true)
+    expect(result.warnings).toBeUndefined()
+    expect(cards(deck, 'GN')).toEqual(['GN 2 0 0 0 13 0.005'])
+    expect(result.necDeck?.wires.map(w => w.z1)).toEqual([10, 10, 10])
+  })
+})
+
+describe('Result exports', () => {
+  const sweep: SweepResults = {
+    sweep: { startFrequency: 144, stopFrequency: 146, stepFrequency: 1 },
+    points: [
+      { frequency: 144, impedance: [31.2, -18.4] },
+      { frequency: 145, impedance: [48.7, 2.1] },
+      { frequency: 146, impedance: [72.5, 35.9] },
+    ].map(({ frequency, impedance: [resistance, reactance] }) => ({
+      frequency,
+      gain: 7.5,
+      frontToBackRatio: 15,
+      inputImpedance: { resistance, reactance },
+      vswr: 1,
+    })),
+  }
+
+  const point = (angle: number, gainDb: number, vertical?: number, horizontal?: number) => ({
+    angle,
+    gainDb,
+    phase: 0,
+    ...(vertical !== undefined && { verticalGainDb: vertical }),
+    ...(horizontal !== undefined && { horizontalGainDb: horizontal }),
+  })
+  const results = {
+    frequency: 145,
+    patterns: {
+      horizontal: [
+        point(0, 7.52, -40.1, 7.52),
+        point(90, -12.3, -38, -12.31),
+        point(180, -8.07, -45.5, -8.07),
+        // NEC's sentinel where a component does not radiate
+        point(270, -12.3, -999.99, -12.3),
+      ],
+      vertical: [point(0, 7.52), point(45, 1.9), point(90, -20.25)],
+    },
+  } as SimulationResults
+
+  it('should write S11 of a sweep as Touchstone', () => {
+    const { content, filename, mimeType } = exportAntennaFile(yagi, {
+      format: 's1p',
+      filename: '3el_uda_sweep.s1p',
+      results: { sweep },
+    })
+
+    expect(filename).toBe('3el_uda_sweep.s1p')
+    expect(mimeType).toBe('text/plain')
+    expect(content).toBe(readSample('3el_uda_sweep.s1p'))
+  })
+
+  it('should read the impedances back from the Touchstone sample', () => {
+    const lines = readSample('3el_uda_sweep.s1p').split('\n')
+    const z0 = Number(
+      lines
+        .find(line => line.startsWith('#'))!
+        .split(' ')
+        .pop()
+    )
+    const rows = lines.filter(line => /^\d/.test(line)).map(line => line.split(' ').map(Number))
+
+    rows.forEach(([frequency, real, imaginary], i) => {
+      // Z = Z0 (1 + S) / (1 - S)
+      const denominator = (1 - real) ** 2 + imaginary ** 2
+      const resistance = (z0 * (1 - real ** 2 - imaginary ** 2)) / denominator
+      const reactance = (z0 * 2 * imaginary) / denominator
+
+      expect(frequency).toBe(sweep.points[i].frequency)
+      expect(resistance).toBeCloseTo(sweep.points[i].inputImpedance.resistance, 3)
+      expect(reactance).toBeCloseTo(sweep.points[i].inputImpedance.reactance, 3)
+    })
+  })
+
+  it('should use the chosen reference impedance', () => {
+    const { content } = exportAntennaFile(yagi, {
+      format: 's1p',
+      results: { sweep },
+      referenceImpedance: 72.5,
+    })
+    expect(content).toContain('# MHz S RI R 72.5\n')
+    expect(content).toContain('\n146.000000 0.057758 0.233286\n')
+    expect(() => exportAntennaFile(yagi, { format: 's1p' })).toThrow(
+      'Run a frequency sweep before exporting Touchstone data.'
+    )
+  })
+
+  it('should round-trip the pattern cuts through CSV', () => {
+    const { content, mimeType } = exportAntennaFile(yagi, {
+      format: 'csv',
+      results: { simulation: results },
+    })
+    const [header, ...rows] = readSample('3el_uda_pattern.csv').trim().split('\n')
+    const cell = (value: string) => (value === '' ? undefined : Number(value))
+    const cuts = { azimuth: [] as object[], elevation: [] as object[] }
+    rows.forEach(row => {
+      const [cut, frequency, angle, total, vertical, horizontal] = row.split(',')
+      expect(Number(frequency)).toBe(145)
+      cuts[cut as keyof typeof cuts].push(
+        point(Number(angle), cell(total)!, cell(vertical), cell(horizontal))
+      )
+    })
+
+    expect(mimeType).toBe('text/csv')
+    expect(content).toBe(readSample('3el_uda_pattern.csv'))
+    expect(header).toBe(
+      'Cut,Frequency (MHz),Angle (deg),Total (dBi),Vertical (dBi),Horizontal (dBi)'
+    )
+    expect(cuts).toEqual({
+      azimuth: [...results.patterns.horizontal.slice(0, 3), point(270, -12.3, undefined, -12.3)],
+      elevation: results.patterns.vertical,
+    })
+    expect(() => exportAntennaFile(yagi, { format: 'csv' })).toThrow(
+      'Run a simulation before exporting pattern cuts.'
+    )
+  })
+
+  it('should tell results of the current design from stale ones', () => {
+    // As the store records it, with an unset boom and copied arrays
+    const recorded: AntennaParams = {
+      ...yagi,
+      elements: yagi.elements.map(e => ({ ...e })),
+      boom: undefined,
+    }
+
+    expect(isSameDesign(recorded, yagi)).toBe(true)
+    expect(isSameDesign(null, yagi)).toBe(false)
+    expect(isSameDesign(recorded, { ...yagi, frequency: 146 })).toBe(false)
+    expect(
+      isSameDesign(recorded, {
+        ...yagi,
+        elements: yagi.elements.map((e, i) => (i === 1 ? { ...e, length: 985 } : e)),
+      })
+    ).toBe(false)
+    expect(isSameDesign(recorded, { ...yagi, elements: yagi.elements.slice(0, 2) })).toBe(false)
+    expect(isSameDesign(recorded, { ...yagi, feed: { referenceImpedance: 50 } })).toBe(false)
+  })
+
+  it('should not import result files', async () => {
+    const result = await parse(readSample('3el_uda_sweep.s1p'), '3el_uda_sweep.s1p')
+
+    expect(result.success).toBe(false)
+    expect(result.error).toBe('Unsupported file format. Expected: .yc6, .nec, .json, .maa, .ez')
+  })
+})
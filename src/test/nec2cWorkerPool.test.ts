@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import type { AntennaParams, SimulationResults } from '../utils/nec2c'
+import {
+  NEC2WorkerPool,
+  isAbortError,
+  type NEC2WorkerRequest,
+  type NEC2WorkerResponse,
+} from '../utils/nec2cWorkerPool'
+
+// Stand-in for a simulation worker: records requests and replies on demand
+class FakeWorker {
+  static instances: FakeWorker[] = []
+  onmessage: ((event: { data: NEC2WorkerResponse }) => void) | null = null
+  onerror: ((event: { message: string; preventDefault: () => void }) => void) | null = null
+  requests: NEC2WorkerRequest[] = []
+  terminated = false
+
+  constructor() {
+    FakeWorker.instances.push(this)
+  }
+
+  postMessage(request: NEC2WorkerRequest) {
+    this.requests.push(request)
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+
+  reply(result: Partial<SimulationResults>) {
+    const { id } = this.requests[this.requests.length - 1]
+    this.onmessage?.({ data: { id, ok: true, result: result as SimulationResults } })
+  }
+}
+
+const params: AntennaParams = {
+  frequency: 146,
+  elements: [{ type: 'driven', position: 0, length: 980, diameter: 10 }],
+  groundType: 'none',
+}
+
+describe('NEC2 worker pool', () => {
+  beforeEach(() => {
+    FakeWorker.instances = []
+    vi.stubGlobal('Worker', FakeWorker)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('should queue jobs beyond the pool size', async () => {
+    const pool = new NEC2WorkerPool(2)
+    const jobs = [1, 2, 3].map(() => pool.simulate(params))
+
+    expect(FakeWorker.instances).toHaveLength(2)
+    expect(pool.getStatus()).toEqual({ workers: 2, busy: 2, queued: 1 })
+
+    FakeWorker.instances[0].reply({ gain: 1 })
+    expect(FakeWorker.instances[0].requests).toHaveLength(2)
+    FakeWorker.instances[1].reply({ gain: 2 })
+    FakeWorker.instances[0].reply({ gain: 3 })
+
+    const results = await Promise.all(jobs)
+    expect(results.map(r => r.gain)).toEqual([1, 2, 3])
+    expect(pool.getStatus()).toEqual({ workers: 2, busy: 0, queued: 0 })
+  })
+
+  it('should remove an aborted job from the queue', async () => {
+    const pool = new NEC2WorkerPool(1)
+    const running = pool.simulate(params)
+    const controller = new AbortController()
+    const queued = pool.simulate(params, {}, controller.signal)
+
+    controller.abort()
+    await expect(queued).rejects.toSatisfy(isAbortError)
+    expect(FakeWorker.instances[0].terminated).toBe(false)
+
+    FakeWorker.instances[0].reply({ gain: 5 })
+    await expect(running).resolves.toEqual({ gain: 5 })
+  })
+
+  it('should terminate the worker of an aborted running job', async () => {
+    const pool = new NEC2WorkerPool(1)
+    const controller = new AbortController()
+    const running = pool.simulate(params, {}, controller.signal)
+    const next = pool.simulate(params)
+
+    controller.abort()
+    await expect(running).rejects.toSatisfy(isAbortError)
+    expect(FakeWorker.instances[0].terminated).toBe(true)
+
+    // The queued job moves to a fresh worker
+    expect(FakeWorker.instances).toHaveLength(2)
+    FakeWorker.instances[1].reply({ gain: 7 })
+    await expect(next).resolves.toEqual({ gain: 7 })
+  })
+
+  it('should reject immediately when the signal is already aborted', async () => {
+    const pool = new NEC2WorkerPool(1)
+    const controller = new AbortController()
+    controller.abort()
+
+    await expect(pool.simulate(params, {}, controller.signal)).rejects.toSatisfy(isAbortError)
+    expect(FakeWorker.instances).toHaveLength(0)
+  })
+
+  it('should report engine errors from the worker', async () => {
+    const pool = new NEC2WorkerPool(1)
+    const job = pool.simulate(params)
+    const worker = FakeWorker.instances[0]
+    worker.onmessage?.({
+      data: {
+        id: worker.requests[0].id,
+        ok: false,
+        error: { message: 'No antenna elements defined', code: 'NO_ELEMENTS' },
+      },
+    })
+
+    await expect(job).rejects.toMatchObject({ code: 'NO_ELEMENTS' })
+  })
+})
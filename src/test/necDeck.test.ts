@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest'
+import { readFileSync, readdirSync } from 'fs'
+import path from 'path'
+import {
+  evaluateExpression,
+  parseNECDeck,
+  recognizeYagi,
+  serializeNECDeck,
+} from '../utils/antenna/necDeck'
+import { NEC2Engine } from '../utils/nec2c'
+import { NEC_CONTROL_CARDS, NEC_GEOMETRY_CARDS, type NECCard } from '../types/antenna/fileFormats'
+
+const inputDir = path.resolve(__dirname, '../nec2c/Input')
+const corpus = readdirSync(inputDir).filter(name => !name.endsWith('.plt'))
+const readDeck = (name: string) => readFileSync(path.join(inputDir, name), 'utf8')
+
+type CardFields = { mnemonic: string; text?: string; fields?: (number | string)[] }
+
+const knownCards = new Set<string>([...NEC_GEOMETRY_CARDS, ...NEC_CONTROL_CARDS, 'CM', 'CE', 'SY'])
+
+/**
+ * Cards of a deck as written, read line by line without the parser: text
+ * cards keep their text, other cards their numbers and expressions
+ */
+function readCardFields(content: string): { cards: CardFields[]; trailer?: string } {
+  const lines = content.replace(/\r\n?/g, '\n').split('\n')
+  const cards: CardFields[] = []
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim()
+    const mnemonic = line.slice(0, 2).toUpperCase()
+    if (!knownCards.has(mnemonic)) continue
+
+    if (mnemonic === 'CM' || mnemonic === 'CE' || mnemonic === 'SY') {
+      cards.push({ mnemonic, text: line.slice(2) })
+      continue
+    }
+    const fields = line
+      .slice(2)
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(token => (Number.isFinite(Number(token)) ? Number(token) : token))
+    cards.push({ mnemonic, fields })
+
+    if (mnemonic === 'EN') {
+      const trailer = lines
+        .slice(i + 1)
+        .join('\n')
+        .trimEnd()
+      return { cards, ...(trailer && { trailer }) }
+    }
+  }
+  return { cards }
+}
+
+// Parsed cards in the same form, expressions as written
+const toCardFields = (cards: NECCard[]): CardFields[] =>
+  cards.map(({ mnemonic, text, fields }) =>
+    text !== undefined
+      ? { mnemonic, text }
+      : { mnemonic, fields: fields.map(f => f.expression ?? f.value) }
+  )
+
+describe('NEC deck round trip', () => {
+  it.each(corpus)('should round-trip %s', name => {
+    const content = readDeck(name)
+    const original = readCardFields(content)
+    const first = parseNECDeck(content).data
+    const text = serializeNECDeck(first)
+    const second = parseNECDeck(text).data
+
+    // Both the parsed deck and the written one against the file itself
+    expect(toCardFields(first.cards)).toEqual(original.cards)
+    expect(readCardFields(text)).toEqual(original)
+    expect(toCardFields(second.cards)).toEqual(original.cards)
+    expect(second.trailer).toBe(original.trailer)
+
+    expect(second.symbols).toEqual(first.symbols)
+    expect(second.wires).toEqual(first.wires)
+    expect(serializeNECDeck(second)).toBe(text)
+  })
+})
+
+describe('NEC deck parser', () => {
+  it('should resolve SY expressions and keep them for serialization', () => {
+    const deck = [
+      'CM dipole with symbols',
+      'CE',
+      "SY len=0.98, h=len/2 ' half length",
+      'SY r=0.005',
+      'GW 1 21 0 -h 0 0 h 0 r',
+      'GE 0',
+      'EX 0 1 11 0 1 0',
+      'FR 0 1 0 0 146 0',
+      'EN',
+    ].join('\n')
+
+    const { data, warnings } = parseNECDeck(deck)
+    expect(warnings).toEqual([])
+    expect(data.symbols).toEqual({ len: 0.98, h: 0.49, r: 0.005 })
+    expect(data.wires[0]).toMatchObject({ y1: -0.49, y2: 0.49, radius: 0.005 })
+
+    const kept = serializeNECDeck(data)
+    expect(kept).toContain('SY len=0.98')
+    expect(kept).toContain('GW 1 21 0 -h 0 0 h 0 r')
+
+    const resolved = serializeNECDeck(data, { resolveSymbols: true })
+    expect(resolved).not.toContain('SY')
+    expect(resolved).toContain('GW 1 21 0 -0.49 0 0 0.49 0 0.005')
+  })
+
+  it('should evaluate functions in degrees', () => {
+    expect(evaluateExpression('2^3^2', {})).toBe(512)
+    expect(evaluateExpression('sin(30)*2', {})).toBeCloseTo(1)
+    expect(evaluateExpression('-sqr(a)+pi', { a: 4 })).toBeCloseTo(Math.PI - 2)
+  })
+
+  it('should apply GM copies and GX reflections', () => {
+    const deck = [
+      'CE',
+      'GW 1 5 0 -1 0 0 1 0 0.01',
+      'GM 1 2 0 0 0 0.5 0 0 1',
+      'GX 10 100',
+      'GE 0',
+      'EN',
+    ].join('\n')
+
+    const wires = parseNECDeck(deck).data.wires
+    expect(wires.map(w => w.tag)).toEqual([1, 2, 3, 11, 12, 13])
+    expect(wires.map(w => w.x1)).toEqual([0, 0.5, 1, -0, -0.5, -1])
+  })
+
+  it('should scale geometry with GS', () => {
+    const { params } = recognizeYagi(parseNECDeck(readDeck('19el_432_tonna.nec')).data)
+    const driven = params!.elements.filter(e => e.type === 'driven')
+
+    expect(params!.elements).toHaveLength(19)
+    expect(driven).toHaveLength(1)
+    expect(driven[0].length).toBeCloseTo(320)
+    expect(driven[0].position).toBe(0)
+  })
+
+  it('should warn about missing cards', () => {
+    const { warnings } = parseNECDeck('GW 1 5 0 0 0 0 0 1 0.001\nXX 1\nFR 0 1 0 0 10')
+    expect(warnings).toEqual([
+      "Line 2: unknown card 'XX' ignored",
+      'Deck has no GE card',
+      'Deck has no EN card',
+    ])
+  })
+})
+
+describe('Yagi recognition', () => {
+  it('should report the boom and loads of a Tonna deck', () => {
+    const { warnings } = recognizeYagi(parseNECDeck(readDeck('19el_432_tonna.nec')).data)
+    expect(warnings.some(w => /boom/i.test(w))).toBe(true)
+  })
+
+  it.each(['9elX2b_tonna.nec', 'LPA9.nec'])('should refuse to map %s', name => {
+    const { params, warnings } = recognizeYagi(parseNECDeck(readDeck(name)).data)
+    expect(params).toBeUndefined()
+    expect(warnings[0]).toMatch(/^Cannot map this deck to a Yagi-Uda design/)
+  })
+})
+
+describe('Deck output', () => {
+  it('should take F/B from the azimuth cut when a deck requests several patterns', () => {
+    const row = (theta: string, phi: string, gain: string) =>
+      `   ${theta}   ${phi}   -999.99   ${gain}   ${gain}   0.0000   0.00 LINEAR  0.0000E+00   0.00  1.0000E+00   0.00`
+    const output = `
+                               --------- FREQUENCY --------
+                                FREQUENCY : 1.4410E+02 MHz
+                             ---------- RADIATION PATTERNS -----------
+${row('0.00', '0.00', '-10.00')}
+${row('90.00', '0.00', '12.00')}
+                             ---------- RADIATION PATTERNS -----------
+${row('90.00', '0.00', '11.50')}
+${row('90.00', '90.00', '-5.00')}
+${row('90.00', '180.00', '-8.50')}
+`
+    const engine = new NEC2Engine()
+    const [point] = engine['parseSweepOutput'](output)
+
+    expect(point.frequency).toBe(144.1)
+    expect(point.gain).toBe(12)
+    expect(point.frontToBackRatio).toBe(20)
+  })
+})
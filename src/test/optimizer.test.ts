@@ -0,0 +1,309 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import type { PresetElement } from '../types/antenna/presets'
+import type { AntennaParams, FrequencySweep, SweepPoint } from '../utils/nec2c'
+import {
+  AntennaOptimizer,
+  DEFAULT_OPTIMIZER_SETTINGS,
+  aggregateMetric,
+  getTargetObjectives,
+  runOptimizer,
+  type OptimizerEvent,
+  type OptimizerOptions,
+} from '../utils/antenna/optimizer'
+import { dominates, getCrowdingDistances, sortNondominated } from '../utils/antenna/pareto'
+import { createRandom } from '../utils/antenna/random'
+import { useAntennaStore } from '../stores/antenna/antennaStore'
+import { useSimulationStore } from '../stores/simulation.store'
+
+const { simulateSweep } = vi.hoisted(() => ({ simulateSweep: vi.fn() }))
+
+vi.mock('../utils/nec2cWorkerPool', async importOriginal => ({
+  ...(await importOriginal<typeof import('../utils/nec2cWorkerPool')>()),
+  getNEC2WorkerPool: () => ({ simulateSweep }),
+}))
+
+const elements: PresetElement[] = [
+  { type: 'reflector', position: -200, length: 1000, diameter: 10 },
+  { type: 'driven', position: 0, length: 980, diameter: 10 },
+  { type: 'director', position: 300, length: 900, diameter: 10 },
+]
+
+/**
+ * Smooth stand-in for NEC: gain peaks at a 1040 mm reflector, F/B at a
+ * 250 mm reflector spacing, and VSWR at a 970 mm driven element. Gain falls
+ * off away from 146 MHz so band objectives differ from single-frequency ones.
+ */
+function fakeSweep(params: AntennaParams, sweep: FrequencySweep) {
+  const [reflector, driven, director] = params.elements
+  const count = Math.round((sweep.stopFrequency - sweep.startFrequency) / sweep.stepFrequency) + 1
+  const points: SweepPoint[] = Array.from({ length: count }, (_, i) => {
+    const frequency = sweep.startFrequency + i * sweep.stepFrequency
+    return {
+      frequency,
+      gain:
+        8 -
+        ((reflector.length - 1040) / 100) ** 2 -
+        ((director.position - 400) / 500) ** 2 -
+        Math.abs(frequency - 146),
+      frontToBackRatio: 20 - ((driven.position - reflector.position - 250) / 50) ** 2,
+      inputImpedance: { resistance: 50, reactance: 0 },
+      vswr: 1 + Math.abs(driven.length - 970) / 20,
+    }
+  })
+  return Promise.resolve({ sweep, points })
+}
+
+const options = (overrides: Partial<OptimizerOptions> = {}): OptimizerOptions => ({
+  initialElements: elements,
+  frequency: 146,
+  populationSize: 12,
+  generations: 6,
+  seed: 42,
+  ...overrides,
+})
+
+beforeEach(() => {
+  simulateSweep.mockReset()
+  simulateSweep.mockImplementation(fakeSweep)
+})
+
+describe('Seedable random numbers', () => {
+  it('should repeat a sequence for the same seed', () => {
+    const a = createRandom(7)
+    const b = createRandom(7)
+    const values = Array.from({ length: 5 }, () => a())
+
+    expect(values).toEqual(Array.from({ length: 5 }, () => b()))
+    expect(values.every(v => v >= 0 && v < 1)).toBe(true)
+    expect(createRandom(8)()).not.toBe(values[0])
+  })
+})
+
+describe('Pareto ranking', () => {
+  const point = (objectives: number[], violation = 0) => ({ objectives, violation })
+
+  it('should prefer feasible points and smaller violations', () => {
+    expect(dominates(point([2, 2]), point([1, 2]))).toBe(true)
+    expect(dominates(point([2, 1]), point([1, 2]))).toBe(false)
+    expect(dominates(point([0, 0]), point([5, 5], 1))).toBe(true)
+    expect(dominates(point([0, 0], 0.5), point([5, 5], 1))).toBe(true)
+  })
+
+  it('should sort points into fronts', () => {
+    const points = [point([1, 1]), point([3, 1]), point([1, 3]), point([2, 2]), point([0, 0])]
+    expect(sortNondominated(points)).toEqual([[1, 2, 3], [0], [4]])
+  })
+
+  it('should keep the extremes of a front', () => {
+    const distances = getCrowdingDistances([point([0, 4]), point([1, 3]), point([4, 0])])
+    expect(distances[0]).toBe(Infinity)
+    expect(distances[2]).toBe(Infinity)
+    expect(distances[1]).toBeCloseTo(2)
+  })
+})
+
+describe('Design constraints', () => {
+  const repair = (overrides: Partial<OptimizerOptions>, design: PresetElement[]) =>
+    new AntennaOptimizer(options(overrides))['repair'](design)
+
+  it('should keep elements in order and apart', () => {
+    const crossed = [
+      { ...elements[0], position: 100 },
+      { ...elements[1], position: 50 },
+      { ...elements[2], position: 10 },
+    ]
+    const positions = repair({ constraints: { minSpacing: 40 } }, crossed).map(e => e.position)
+
+    // The driven element stays put and the others are pushed outwards
+    expect(positions).toEqual([-40, 0, 40])
+  })
+
+  it('should shorten the boom above the minimum spacing', () => {
+    const design = repair({ constraints: { minSpacing: 50, maxBoomLength: 300 } }, elements)
+    const positions = design.map(e => e.position)
+
+    expect(positions[2] - positions[0]).toBeCloseTo(300)
+    expect(positions[1]).toBe(0)
+    // Gaps of 200 and 300 mm become 50 + 150k and 50 + 250k
+    expect(positions[0]).toBeCloseTo(-(50 + 150 * 0.5))
+  })
+
+  it('should hold bounds and the locked driven element', () => {
+    const design = repair(
+      {
+        constraints: {
+          lockDriven: true,
+          lengthRange: 5,
+          elementBounds: [{}, {}, { maxPosition: 250 }],
+        },
+      },
+      elements.map(e => ({ ...e, length: e.length * 1.2, position: e.position * 1.2 }))
+    )
+
+    expect(design.map(e => e.length)).toEqual([1050, 980, 945])
+    expect(design[2].position).toBe(250)
+  })
+
+  it('should reject a boom too short for the spacing', () => {
+    expect(
+      () => new AntennaOptimizer(options({ constraints: { minSpacing: 200, maxBoomLength: 300 } }))
+    ).toThrow(/boom cannot hold/)
+  })
+})
+
+describe('Objectives', () => {
+  const points = [8, 6, 7].map((gain, i) => ({
+    frequency: 145 + i,
+    gain,
+    frontToBackRatio: 20,
+    inputImpedance: { resistance: 50, reactance: 0 },
+    vswr: [1.5, 2.5, 1.1][i],
+  }))
+
+  it('should take the worst case or the mean over the band', () => {
+    expect(aggregateMetric(points, 'gain', 'worst')).toBe(6)
+    expect(aggregateMetric(points, 'gain', 'mean')).toBe(7)
+    expect(aggregateMetric(points, 'vswr', 'worst')).toBe(2.5)
+  })
+
+  it('should evaluate every design across the band in one sweep', async () => {
+    const band = { startFrequency: 145, stopFrequency: 147, stepFrequency: 1 }
+    const { best } = await runOptimizer(options({ band, generations: 1 }))
+
+    expect(simulateSweep.mock.calls.every(([, sweep]) => sweep === band)).toBe(true)
+    // Worst-case gain is at the band edges, 1 dB below the center
+    const center = { startFrequency: 146, stopFrequency: 146, stepFrequency: 1 }
+    const { points } = await fakeSweep(
+      { frequency: 146, elements: best.elements, groundType: 'none' },
+      center
+    )
+    expect(best.performance.gain).toBeCloseTo(points[0].gain - 1)
+  })
+})
+
+describe('Optimizer runs', () => {
+  // Best of the starting design and two variations of it
+  const initialScore = async () => {
+    const { best } = await runOptimizer(options({ generations: 1, populationSize: 3 }))
+    return best.score
+  }
+
+  it('should reproduce a run from its seed', async () => {
+    const events: OptimizerEvent[] = []
+    const first = await runOptimizer(options({ onEvent: event => events.push(event) }))
+    const second = await runOptimizer(options())
+
+    expect(second.best).toEqual(first.best)
+    expect(events[0]).toEqual({ type: 'start', algorithm: 'ga', seed: 42, generations: 6 })
+    const generations = events.filter(e => e.type === 'generation')
+    expect(generations.map(e => e.type === 'generation' && e.generation)).toEqual([
+      1, 2, 3, 4, 5, 6,
+    ])
+  })
+
+  it('should report the seed it chose', async () => {
+    const events: OptimizerEvent[] = []
+    const { seed } = await runOptimizer(
+      options({ seed: undefined, generations: 1, onEvent: event => events.push(event) })
+    )
+
+    expect(events[0]).toMatchObject({ type: 'start', seed })
+  })
+
+  it('should improve the design with the genetic algorithm', async () => {
+    const baseline = await initialScore()
+    const { best } = await runOptimizer(options({ generations: 10, populationSize: 20 }))
+
+    expect(best.score).toBeGreaterThan(baseline)
+  })
+
+  it('should refine the design with Nelder-Mead', async () => {
+    const baseline = await initialScore()
+    const { best } = await runOptimizer(
+      options({
+        algorithm: 'nelder-mead',
+        generations: 30,
+        constraints: { maxBoomLength: 450 },
+      })
+    )
+
+    expect(best.score).toBeGreaterThan(baseline)
+    // With a 450 mm boom the best is F/B 20 dB at a 250 mm reflector spacing
+    // and the director 200 mm out: 0.6 * (8 - 0.16) + 0.4 * 20
+    expect(best.score).toBeCloseTo(12.704, 1)
+    const positions = best.elements.map(e => e.position)
+    expect(positions[2] - positions[0]).toBeLessThanOrEqual(450 + 1e-9)
+  })
+
+  it('should return a Pareto front of trade-offs with NSGA-II', async () => {
+    const { front, best } = await runOptimizer(
+      options({
+        algorithm: 'nsga2',
+        generations: 8,
+        populationSize: 16,
+        objectives: [
+          { metric: 'gain', aggregate: 'worst', weight: 1 },
+          { metric: 'frontToBackRatio', aggregate: 'worst', weight: 1 },
+        ],
+        constraints: {},
+      })
+    )
+
+    expect(front.length).toBeGreaterThan(1)
+    expect(front[0]).toBe(best)
+    const points = front.map(c => ({ objectives: c.objectives, violation: c.violation }))
+    expect(sortNondominated(points)).toHaveLength(1)
+  })
+
+  it('should flag designs above the VSWR limit', async () => {
+    const { best } = await runOptimizer(
+      options({ generations: 1, populationSize: 3, constraints: { maxVswr: 1, lockDriven: true } })
+    )
+
+    // The locked 980 mm driven element gives VSWR 1.5
+    expect(best.violation).toBeCloseTo(0.5)
+  })
+
+  it('should stop when cancelled', async () => {
+    const controller = new AbortController()
+    const run = runOptimizer(
+      options({
+        signal: controller.signal,
+        onEvent: event => event.type === 'generation' && controller.abort(),
+      })
+    )
+
+    await expect(run).rejects.toMatchObject({ code: 'ABORTED' })
+  })
+})
+
+describe('Optimization in the design store', () => {
+  it('should keep the objectives of the run with its Pareto front', async () => {
+    const objectives = getTargetObjectives('balanced')
+    useAntennaStore.setState({
+      frequency: 146,
+      elements,
+      optimizerSettings: {
+        ...DEFAULT_OPTIMIZER_SETTINGS,
+        algorithm: 'nsga2',
+        objectives,
+        populationSize: 8,
+        generations: 2,
+        seed: 42,
+      },
+    })
+    await useAntennaStore.getState().runOptimization()
+
+    useAntennaStore.getState().setOptimizerSettings({
+      ...DEFAULT_OPTIMIZER_SETTINGS,
+      objectives: getTargetObjectives('gain'),
+    })
+
+    const { paretoFront, paretoObjectives } = useSimulationStore.getState()
+    expect(paretoFront.length).toBeGreaterThan(0)
+    expect(paretoObjectives).toEqual(objectives)
+    expect(paretoFront[0].objectives).toHaveLength(paretoObjectives.length)
+    // Drops the simulation scheduled for the applied design
+    useAntennaStore.getState().resetDesign()
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest'
+import { NEC2Engine, type FarFieldPattern, type PatternData } from '../utils/nec2c'
+import {
+  calculateFrontToRear,
+  calculatePlaneMetrics,
+  findMaxDirection,
+} from '../utils/antenna/patternMetrics'
+
+// Azimuth cut with a cos^2 main lobe at 0° and a -20 dB back lobe at 180°
+const azimuthCut = (): PatternData[] =>
+  Array.from({ length: 361 }, (_, angle) => {
+    const c = Math.cos((angle * Math.PI) / 180)
+    const power = c > 0 ? c ** 2 : 0.01 * c ** 2
+    return { angle, gainDb: 10 + 10 * Math.log10(Math.max(power, 1e-6)), phase: 0 }
+  })
+
+describe('Pattern metrics', () => {
+  it('should compute the -3 dB beamwidth of the main lobe', () => {
+    const { beamwidth } = calculatePlaneMetrics(azimuthCut())
+    // cos^2 falls to half power at ±45°
+    expect(beamwidth).toBeCloseTo(90, 0)
+  })
+
+  it('should report the back lobe as the first sidelobe', () => {
+    const { firstSidelobeLevel } = calculatePlaneMetrics(azimuthCut())
+    expect(firstSidelobeLevel).toBeCloseTo(-20, 1)
+  })
+
+  it('should leave the beamwidth open when the cut never drops 3 dB', () => {
+    const flat = Array.from({ length: 91 }, (_, angle) => ({ angle, gainDb: 2, phase: 0 }))
+    expect(calculatePlaneMetrics(flat).beamwidth).toBeNull()
+  })
+
+  it('should average the rear half of the azimuth cut for F/R', () => {
+    const cut = azimuthCut()
+    const maxDirection = findMaxDirection(cut, [])
+    expect(maxDirection).toEqual({ theta: 90, phi: 0, gainDb: 10 })
+    // Rear half averages 0.01 * cos^2 -> 0.005 of the peak power (-23 dB)
+    expect(calculateFrontToRear(cut, maxDirection)).toBeCloseTo(23.01, 1)
+  })
+
+  it('should use the full grid for the direction of maximum gain', () => {
+    const farField: FarFieldPattern = {
+      thetaStep: 45,
+      phiStep: 90,
+      points: [
+        { theta: 45, phi: 90, totalGainDb: 8 },
+        { theta: 90, phi: 0, totalGainDb: 6 },
+        { theta: 90, phi: 180, totalGainDb: -4 },
+      ].map(p => ({
+        ...p,
+        verticalGainDb: p.totalGainDb,
+        horizontalGainDb: -999.99,
+        polarization: { axialRatio: 0, tilt: 0, sense: 'linear' as const },
+      })),
+    }
+    expect(findMaxDirection([], [], farField)).toEqual({ theta: 45, phi: 90, gainDb: 8 })
+  })
+
+  it('should request and parse a full-sphere grid', () => {
+    const engine = new NEC2Engine()
+    const params = {
+      frequency: 146,
+      elements: [{ type: 'driven' as const, position: 0, length: 980, diameter: 10 }],
+      groundType: 'none' as const,
+    }
+    const deck = engine['generateNECInput'](params, undefined, {
+      farFieldGrid: { thetaStep: 5, phiStep: 5 },
+    })
+    expect(deck).toContain('RP 0 37 72 1000 0 0 5 5\n')
+
+    const table = `
+ ---- ANGLES -----     ----- POWER GAINS -----       ---- POLARIZATION ----   ---- E(THETA) ----    ----- E(PHI) ------
+  THETA      PHI       VERTC    HORIZ    TOTAL       AXIAL      TILT  SENSE   MAGNITUDE    PHASE    MAGNITUDE     PHASE
+   90.00      0.00   -999.99     7.51     7.51      0.0000    -90.00 LINEAR  0.0000E+00      0.00  3.2722E+00   -160.58
+   85.00      5.00     -3.20     7.40     7.79      0.1250     80.00 RIGHT   1.1000E-01     10.00  3.2000E+00   -160.00
+`
+    const output = `RADIATION PATTERNS${table}RADIATION PATTERNS${table}RADIATION PATTERNS${table}`
+    const results = engine['parseNECOutput'](output, { farFieldGrid: { thetaStep: 5, phiStep: 5 } })
+
+    expect(results.farField?.points).toHaveLength(2)
+    expect(results.farField?.points[1]).toEqual({
+      theta: 85,
+      phi: 5,
+      verticalGainDb: -3.2,
+      horizontalGainDb: 7.4,
+      totalGainDb: 7.79,
+      polarization: { axialRatio: 0.125, tilt: 80, sense: 'right' },
+    })
+    expect(results.patternMetrics?.maxDirection).toEqual({ theta: 85, phi: 5, gainDb: 7.79 })
+  })
+})
@@ -0,0 +1,164 @@
+import { describe, it, expect, vi } from 'vitest'
+import { NEC2Engine, getSweepPointCount, type AntennaParams, type SweepPoint } from '../utils/nec2c'
+import { calculateUsableBandwidth, createDefaultSweep } from '../utils/antenna/sweep'
+import { useAntennaStore } from '../stores/antenna/antennaStore'
+import { useSimulationStore } from '../stores/simulation.store'
+import { GROUND_PRESETS } from '../utils/antenna/installation'
+
+const params: AntennaParams = {
+  frequency: 146,
+  elements: [
+    { type: 'reflector', position: -310, length: 1020, diameter: 10 },
+    { type: 'driven', position: 0, length: 980, diameter: 10 },
+    { type: 'director', position: 200, length: 920, diameter: 10 },
+  ],
+  groundType: 'none',
+}
+
+// Trimmed nec2c output for one step of a frequency sweep
+const sweepBlock = (frequency: string, r: string, x: string, front: string, back: string) => `
+                               --------- FREQUENCY --------
+                                FREQUENCY : ${frequency} MHz
+                                WAVELENGTH: 2.0819E+00 Mtr
+
+                        --------- ANTENNA INPUT PARAMETERS ---------
+  TAG   SEG       VOLTAGE (VOLTS)         CURRENT (AMPS)         IMPEDANCE (OHMS)        ADMITTANCE (MHOS)     POWER
+  No:   No:     REAL      IMAGINARY     REAL      IMAGINARY     REAL      IMAGINARY    REAL       IMAGINARY   (WATTS)
+    2    32  1.0000E+00  0.0000E+00  2.5351E-02  1.7059E-02  ${r} ${x}  2.5351E-02  1.7059E-02  1.2675E-02
+
+                             ---------- RADIATION PATTERNS -----------
+
+ ---- ANGLES -----     ----- POWER GAINS -----       ---- POLARIZATION ----   ---- E(THETA) ----    ----- E(PHI) ------
+  THETA      PHI       VERTC    HORIZ    TOTAL       AXIAL      TILT  SENSE   MAGNITUDE    PHASE    MAGNITUDE     PHASE
+ DEGREES   DEGREES        DB       DB       DB       RATIO   DEGREES            VOLTS/M   DEGREES     VOLTS/M   DEGREES
+   90.00      0.00   -999.99  ${front}  ${front}      0.0000    -90.00 LINEAR  0.0000E+00      0.00  2.0324E+00    -91.10
+   90.00     90.00   -999.99   -30.00   -30.00      0.0000    -90.00 LINEAR  0.0000E+00      0.00  2.0324E+00    -91.10
+   90.00    180.00   -999.99  ${back}  ${back}      0.0000    -90.00 LINEAR  1.3868E-23    150.24  2.6623E-01    -29.76
+`
+
+describe('Frequency sweep', () => {
+  it('should count sweep points inclusively', () => {
+    expect(
+      getSweepPointCount({ startFrequency: 144, stopFrequency: 148, stepFrequency: 0.1 })
+    ).toBe(41)
+    expect(getSweepPointCount({ startFrequency: 146, stopFrequency: 146, stepFrequency: 1 })).toBe(
+      1
+    )
+  })
+
+  it('should emit a start/step FR card for a sweep', () => {
+    const engine = new NEC2Engine()
+    const deck = engine['generateNECInput'](params, {
+      startFrequency: 144,
+      stopFrequency: 148,
+      stepFrequency: 0.5,
+    })
+
+    expect(deck).toContain('FR 0 9 0 0 144 0.5\n')
+    expect(deck.match(/^RP /gm)).toHaveLength(1)
+    expect(deck.trim().endsWith('EN')).toBe(true)
+  })
+
+  it('should keep the single-frequency FR card without a sweep', () => {
+    const engine = new NEC2Engine()
+    expect(engine['generateNECInput'](params)).toContain('FR 0 1 0 0 146 0\n')
+  })
+
+  it('should parse one point per frequency', () => {
+    const engine = new NEC2Engine()
+    const output =
+      sweepBlock('1.4400E+02', '2.7152E+01', '-1.8271E+01', '7.35', '-10.30') +
+      sweepBlock('1.4600E+02', '5.0000E+01', '0.0000E+00', '7.77', '-13.35')
+
+    const points = engine['parseSweepOutput'](output)
+
+    expect(points).toHaveLength(2)
+    expect(points[0].frequency).toBe(144)
+    expect(points[0].inputImpedance).toEqual({ resistance: 27.152, reactance: -18.271 })
+    expect(points[0].gain).toBeCloseTo(7.35)
+    expect(points[0].frontToBackRatio).toBeCloseTo(17.65)
+    expect(points[1].frequency).toBe(146)
+    expect(points[1].vswr).toBeCloseTo(1)
+  })
+})
+
+describe('Usable bandwidth', () => {
+  const point = (frequency: number, vswr: number, frontToBackRatio: number): SweepPoint => ({
+    frequency,
+    gain: 7,
+    frontToBackRatio,
+    inputImpedance: { resistance: 50, reactance: 0 },
+    vswr,
+  })
+
+  it('should return the widest span meeting both thresholds', () => {
+    const points = [
+      point(144, 1.5, 20),
+      point(145, 2.5, 20),
+      point(146, 1.2, 18),
+      point(147, 1.4, 16),
+      point(148, 1.9, 12),
+    ]
+
+    const bandwidth = calculateUsableBandwidth(points, { maxVswr: 2, minFrontToBack: 15 })
+
+    expect(bandwidth).not.toBeNull()
+    expect(bandwidth?.startFrequency).toBe(146)
+    expect(bandwidth?.stopFrequency).toBe(147)
+    expect(bandwidth?.bandwidth).toBe(1)
+  })
+
+  it('should return null when no point qualifies', () => {
+    const points = [point(144, 3, 20), point(145, 1.5, 5)]
+    expect(calculateUsableBandwidth(points, { maxVswr: 2, minFrontToBack: 15 })).toBeNull()
+  })
+
+  it('should center the default sweep on the design frequency', () => {
+    const sweep = createDefaultSweep(146)
+    expect((sweep.startFrequency + sweep.stopFrequency) / 2).toBeCloseTo(146)
+    expect(getSweepPointCount(sweep)).toBe(21)
+  })
+})
+
+describe('Sweep results of an edited design', () => {
+  const edits: [string, () => void][] = [
+    ['frequency', () => useAntennaStore.getState().setFrequency(145)],
+    ['elements', () => useAntennaStore.getState().setElements(params.elements)],
+    ['boom', () => useAntennaStore.getState().setBoom(null)],
+    ['feed', () => useAntennaStore.getState().setFeed({ referenceImpedance: 75 })],
+    ['ground', () => useAntennaStore.getState().setGround(GROUND_PRESETS.average.ground)],
+    [
+      'installation',
+      () => useAntennaStore.getState().setInstallation({ height: 10, polarization: 'vertical' }),
+    ],
+  ]
+
+  it.each(edits)('should drop the sweep when the %s changes', (_, edit) => {
+    // The edit schedules a simulation; reset the design before it starts
+    vi.useFakeTimers()
+    useSimulationStore.getState().setSweepResults(
+      {
+        sweep: createDefaultSweep(146),
+        points: [
+          {
+            frequency: 146,
+            gain: 7,
+            frontToBackRatio: 18,
+            inputImpedance: { resistance: 50, reactance: 0 },
+            vswr: 1,
+          },
+        ],
+      },
+      params
+    )
+    useSimulationStore.getState().setIsSweeping(true)
+
+    edit()
+
+    expect(useSimulationStore.getState().sweepResults).toBeNull()
+    expect(useSimulationStore.getState().sweepParams).toBeNull()
+    expect(useSimulationStore.getState().isSweeping).toBe(false)
+    useAntennaStore.getState().resetDesign()
+    vi.useRealTimers()
+  })
+})
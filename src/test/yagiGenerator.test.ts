@@ -0,0 +1,253 @@
+import { describe, it, expect } from 'vitest'
+import type { BoomParams } from '../utils/nec2c'
+import { getBoomCorrection } from '../utils/antenna/elementGeometry'
+import {
+  generateYagi,
+  getDiameterCorrection,
+  type YagiGeneratorParams,
+} from '../utils/antenna/yagiGenerator'
+
+// One wavelength is 1000 mm, so table values in λ read as mm
+const ONE_METER = 299.792458
+
+const generate = (overrides: Partial<YagiGeneratorParams>) =>
+  generateYagi({
+    method: 'nbs',
+    frequency: ONE_METER,
+    elementDiameter: 8.5,
+    ...overrides,
+  })
+
+const lengths = (overrides: Partial<YagiGeneratorParams>) =>
+  generate(overrides).elements.map(e => e.length)
+
+// NBS TN-688 Table 1, for d/λ = 0.0085 with the reflector 0.2 λ behind the
+// driven element: boom, reflector and director lengths, director spacing (λ)
+// and gain (dBd)
+const TN688_TABLE = [
+  { boom: 0.4, reflector: 0.482, directors: [0.424], spacing: 0.2, gain: 7.1 },
+  { boom: 0.8, reflector: 0.482, directors: [0.428, 0.424, 0.428], spacing: 0.2, gain: 9.2 },
+  {
+    boom: 1.2,
+    reflector: 0.482,
+    directors: [0.428, 0.42, 0.42, 0.428],
+    spacing: 0.25,
+    gain: 10.2,
+  },
+  {
+    boom: 2.2,
+    reflector: 0.482,
+    directors: [0.432, 0.415, 0.407, 0.398, 0.39, 0.39, 0.39, 0.39, 0.398, 0.407],
+    spacing: 0.2,
+    gain: 12.25,
+  },
+  {
+    boom: 3.2,
+    reflector: 0.482,
+    directors: [
+      0.428, 0.42, 0.407, 0.398, 0.394, 0.39, 0.386, 0.386, 0.386, 0.386, 0.386, 0.386, 0.386,
+      0.386, 0.386,
+    ],
+    spacing: 0.2,
+    gain: 13.4,
+  },
+  {
+    boom: 4.2,
+    reflector: 0.475,
+    directors: [0.424, 0.424, 0.42, 0.407, 0.403, 0.398, 0.394, 0.39, 0.39, 0.39, 0.39, 0.39, 0.39],
+    spacing: 0.308,
+    gain: 14.2,
+  },
+]
+
+describe('NBS TN-688 designs', () => {
+  it.each(TN688_TABLE)('should reproduce the $boom λ design', table => {
+    const design = generate({ elementCount: table.directors.length + 2 })
+    const [reflector, driven, ...directors] = design.elements
+
+    expect(design.elements.map(e => e.type)).toEqual([
+      'reflector',
+      'driven',
+      ...Array(table.directors.length).fill('director'),
+    ])
+    expect(reflector.length).toBeCloseTo(table.reflector * 1000, 0)
+    expect(reflector.position).toBeCloseTo(-200, 0)
+    directors.forEach((director, i) => {
+      expect(director.length).toBeCloseTo(table.directors[i] * 1000, 0)
+      expect(director.position).toBeCloseTo((i + 1) * table.spacing * 1000, 0)
+    })
+    // TN-688 leaves the driven element to the feed
+    expect(driven.length).toBeGreaterThan(435)
+    expect(driven.length).toBeLessThan(450)
+    expect(design.boomLength).toBeCloseTo(table.boom * 1000, -1)
+    expect(design.referenceGain).toBe(table.gain)
+    expect(design.notes).toEqual([
+      'Driven element tuned to resonance in NEC-2; TN-688 does not give its length.',
+    ])
+    expect(design.warnings).toEqual([])
+  })
+
+  it('should pick the design closest to the target boom', () => {
+    expect(generate({ boomLength: 3000 }).elements).toHaveLength(17)
+    expect(generate({ boomLength: 900 }).boomLength).toBe(800)
+  })
+
+  it('should scale the 5-element design to 432 MHz', () => {
+    // 0.0085 λ elements are 5.9 mm at 432 MHz
+    const design = generate({ frequency: 432, elementCount: 5, elementDiameter: 5.9 })
+
+    expect(design.elements.map(e => e.length)).toEqual([334.5, 307.4, 297, 294.2, 297])
+    expect(design.elements.map(e => e.position)).toEqual([-138.8, 0, 138.8, 277.6, 416.4])
+  })
+
+  it('should reject an element count the tables do not have', () => {
+    expect(() => generate({ elementCount: 7 })).toThrow(
+      'NBS TN-688 has no 7-element design. Choose 3, 5, 6, 12, 15 or 17 elements.'
+    )
+  })
+})
+
+describe('DL6WU designs', () => {
+  const dl6wu = (overrides: Partial<YagiGeneratorParams>) =>
+    generate({ method: 'dl6wu', ...overrides })
+
+  it('should space the directors out to 0.4 λ', () => {
+    expect(dl6wu({ elementCount: 16 }).elements.map(e => e.position)).toEqual([
+      -200, 0, 75, 255, 470, 720, 1000, 1300, 1615, 1945, 2290, 2650, 3025, 3415, 3815, 4215,
+    ])
+  })
+
+  it('should taper the directors with the logarithm of their number', () => {
+    const design = dl6wu({ elementCount: 22 })
+    const directors = design.elements.slice(2).map(e => e.length)
+
+    expect(design.elements.slice(0, 2).map(e => e.length)).toEqual([482, 480])
+    expect(directors[0]).toBe(444)
+    expect(directors[9]).toBe(399)
+    expect(directors.every((length, i) => i === 0 || length < directors[i - 1])).toBe(true)
+    expect(design.referenceGain).toBeUndefined()
+  })
+
+  it("should note that only the spacing is DL6WU's", () => {
+    expect(dl6wu({ elementCount: 16 }).notes).toEqual([
+      "Element lengths are this generator's NEC-2 fit, not the DL6WU formula; only the spacing is DL6WU's.",
+    ])
+  })
+
+  it('should add directors until the boom is closest to the target', () => {
+    const design = dl6wu({ boomLength: 4000 })
+
+    expect(design.elements).toHaveLength(15)
+    expect(design.boomLength).toBe(4015)
+  })
+
+  it('should point short designs to NBS', () => {
+    expect(dl6wu({ elementCount: 5 }).warnings).toEqual([
+      'DL6WU is a long-Yagi method; NBS designs do better below 6 elements.',
+    ])
+    expect(() => dl6wu({ elementCount: 2 })).toThrow('DL6WU designs have 3 to 50 elements.')
+  })
+})
+
+describe('Corrections', () => {
+  // Lengths (λ) at which an isolated element of the given d/λ has the
+  // self-reactance of the 0.0085 λ element in NEC-2 (21 segments), computed
+  // off the points of the generator's table
+  const EQUAL_REACTANCE = [
+    { diameter: 0.0012, reference: 0.43, length: 0.4581 },
+    { diameter: 0.0025, reference: 0.482, length: 0.488 },
+    { diameter: 0.0025, reference: 0.424, length: 0.4463 },
+    { diameter: 0.0025, reference: 0.39, length: 0.4224 },
+    { diameter: 0.007, reference: 0.405, length: 0.4108 },
+    { diameter: 0.016, reference: 0.475, length: 0.4708 },
+    { diameter: 0.016, reference: 0.398, length: 0.3703 },
+  ]
+
+  it.each(EQUAL_REACTANCE)(
+    'should move a $reference λ element to $length λ at $diameter λ',
+    ({ diameter, reference, length }) => {
+      expect((reference + getDiameterCorrection(diameter, reference)) * 1000).toBeCloseTo(
+        length * 1000,
+        0
+      )
+    }
+  )
+
+  it('should lengthen thin elements and shorten thick ones, directors most', () => {
+    expect(getDiameterCorrection(0.0085, 0.424)).toBe(0)
+
+    const thin = lengths({ elementCount: 3, elementDiameter: 2 })
+    const thick = lengths({ elementCount: 3, elementDiameter: 15 })
+    const table = lengths({ elementCount: 3 })
+    thin.forEach((length, i) => expect(length).toBeGreaterThan(table[i]))
+    thick.forEach((length, i) => expect(length).toBeLessThan(table[i]))
+    expect(thin[2] - table[2]).toBeGreaterThan(thin[0] - table[0])
+    expect(table[2] - thick[2]).toBeGreaterThan(table[0] - thick[0])
+  })
+
+  it('should note the corrections that are not from the published method', () => {
+    const boom: BoomParams = {
+      diameter: 25,
+      material: 'aluminum',
+      mounting: 'insulated',
+      model: 'correction',
+    }
+
+    expect(generate({ elementCount: 3, elementDiameter: 2, boom }).notes.slice(1)).toEqual([
+      'Lengths corrected to 0.0020 λ elements in NEC-2, not with the TN-688 diameter correction.',
+      'Boom correction is an estimate, not the TN-688 boom correction.',
+    ])
+    expect(
+      generate({ method: 'dl6wu', elementCount: 8, elementDiameter: 2, boom }).notes.slice(1)
+    ).toEqual([
+      'Lengths corrected to 0.0020 λ elements in NEC-2, not with the DL6WU diameter correction.',
+      'Boom correction is an estimate, not the DL6WU boom correction.',
+    ])
+    // Elements on top of the boom need no boom correction
+    expect(generate({ elementCount: 3, boom: { ...boom, mounting: 'on-boom' } }).notes).toEqual(
+      generate({ elementCount: 3 }).notes
+    )
+  })
+
+  it('should warn outside the diameters the correction covers', () => {
+    const { warnings } = generate({ elementCount: 3, elementDiameter: 50 })
+
+    expect(warnings).toEqual([
+      'Element diameter is 0.0500 λ; the diameter correction only covers 0.001 to 0.02 λ.',
+    ])
+    // Held at the 0.02 λ correction
+    expect(lengths({ elementCount: 3, elementDiameter: 50 })).toEqual(
+      lengths({ elementCount: 3, elementDiameter: 20 })
+    )
+  })
+
+  it('should add the boom correction to the built lengths', () => {
+    const boom: BoomParams = {
+      diameter: 25,
+      material: 'aluminum',
+      mounting: 'bonded',
+      model: 'correction',
+    }
+    const bonded = getBoomCorrection(boom, ONE_METER, 'director')
+    const driven = getBoomCorrection(boom, ONE_METER, 'driven')
+
+    const [reflector, drivenLength, director] = lengths({ elementCount: 3 })
+
+    expect(lengths({ elementCount: 3, boom })).toEqual([
+      reflector + Math.round(bonded * 10) / 10,
+      drivenLength + Math.round(driven * 10) / 10,
+      director + Math.round(bonded * 10) / 10,
+    ])
+    // A boom modelled in NEC still needs the longer elements when built
+    expect(lengths({ elementCount: 3, boom: { ...boom, model: 'explicit' } })).toEqual(
+      lengths({ elementCount: 3, boom })
+    )
+    expect(lengths({ elementCount: 3, boom: { ...boom, material: 'nonconductive' } })).toEqual(
+      lengths({ elementCount: 3 })
+    )
+  })
+
+  it('should require an element count or a boom length', () => {
+    expect(() => generate({})).toThrow('Either an element count or a boom length is required.')
+  })
+})
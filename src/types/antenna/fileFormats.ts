@@ -1,11 +1,11 @@
 // File format types for antenna design import/export
 
-import { AntennaParams } from '@/utils/nec2c'
+import { AntennaParams, SimulationResults, SweepResults } from '@/utils/nec2c'
 
 /**
- * Supported file formats for antenna design files
+ * Supported file formats for antenna design files and simulation results
  */
-export type SupportedFileFormat = 'yc6' | 'nec' | 'json'
+export type SupportedFileFormat = 'yc6' | 'nec' | 'json' | 'maa' | 'ez' | 's1p' | 'csv'
 
 /**
  * File format metadata
@@ -15,6 +15,9 @@ export interface FileFormatInfo {
   name: string
   description: string
   mimeType: string
+  canImport: boolean
+  canExport: boolean
+  content: 'design' | 'results' // result formats are written from simulation results
 }
 
 /**
@@ -26,21 +29,76 @@ export const FILE_FORMATS: Record<SupportedFileFormat, FileFormatInfo> = {
     name: 'YagiCAD',
     description: 'YagiCAD antenna design file',
     mimeType: 'application/octet-stream',
+    canImport: true,
+    canExport: true,
+    content: 'design',
   },
   nec: {
     extension: '.nec',
     name: 'NEC',
     description: 'Numerical Electromagnetics Code input file',
     mimeType: 'text/plain',
+    canImport: true,
+    canExport: true,
+    content: 'design',
   },
   json: {
     extension: '.json',
     name: 'OpenUda JSON',
     description: 'OpenUda internal antenna design format',
     mimeType: 'application/json',
+    canImport: true,
+    canExport: true,
+    content: 'design',
+  },
+  maa: {
+    extension: '.maa',
+    name: 'MMANA-GAL',
+    description: 'MMANA-GAL antenna file',
+    mimeType: 'text/plain',
+    canImport: true,
+    canExport: true,
+    content: 'design',
+  },
+  ez: {
+    extension: '.ez',
+    name: 'EZNEC',
+    description: 'EZNEC antenna description (wire table text)',
+    mimeType: 'text/plain',
+    canImport: true,
+    canExport: false,
+    content: 'design',
+  },
+  s1p: {
+    extension: '.s1p',
+    name: 'Touchstone',
+    description: 'Touchstone S11 of a frequency sweep',
+    mimeType: 'text/plain',
+    canImport: false,
+    canExport: true,
+    content: 'results',
+  },
+  csv: {
+    extension: '.csv',
+    name: 'Pattern CSV',
+    description: 'Azimuth and elevation pattern cuts as CSV',
+    mimeType: 'text/csv',
+    canImport: false,
+    canExport: true,
+    content: 'results',
   },
 }
 
+/**
+ * Formats that can be read, and written, in registry order
+ */
+export const IMPORT_FORMATS = (Object.keys(FILE_FORMATS) as SupportedFileFormat[]).filter(
+  format => FILE_FORMATS[format].canImport
+)
+export const EXPORT_FORMATS = (Object.keys(FILE_FORMATS) as SupportedFileFormat[]).filter(
+  format => FILE_FORMATS[format].canExport
+)
+
 /**
  * YagiCAD .yc6 file structure
  */
@@ -59,14 +117,81 @@ export interface YagiCADElement {
 }
 
 /**
- * NEC file structure (simplified)
+ * NEC card mnemonics. Geometry cards come before GE, program control cards
+ * after it. SY is the 4nec2 symbol card, which nec2c itself does not accept.
+ */
+export const NEC_GEOMETRY_CARDS = [
+  'GW',
+  'GX',
+  'GR',
+  'GS',
+  'GE',
+  'GM',
+  'SP',
+  'SM',
+  'GA',
+  'SC',
+  'GH',
+  'GF',
+  'GC',
+] as const
+
+export const NEC_CONTROL_CARDS = [
+  'FR',
+  'LD',
+  'GN',
+  'EX',
+  'NT',
+  'TL',
+  'XQ',
+  'GD',
+  'RP',
+  'NX',
+  'PT',
+  'KH',
+  'NE',
+  'NH',
+  'PQ',
+  'EK',
+  'CP',
+  'PL',
+  'EN',
+  'WG',
+] as const
+
+export type NECGeometryCard = (typeof NEC_GEOMETRY_CARDS)[number]
+export type NECControlCard = (typeof NEC_CONTROL_CARDS)[number]
+export type NECCardMnemonic = 'CM' | 'CE' | 'SY' | NECGeometryCard | NECControlCard
+
+/**
+ * Numeric card field. Geometry cards start with 2 integer fields and control
+ * cards with 4; the remaining fields are floats.
+ */
+export interface NECField {
+  value: number
+  expression?: string // source text when the field is an SY expression
+}
+
+export interface NECCard {
+  mnemonic: NECCardMnemonic
+  fields: NECField[] // as many as were written; missing fields read as 0
+  text?: string // raw text after the mnemonic of CM, CE and SY cards
+}
+
+/**
+ * NEC deck. `cards` holds the whole deck in source order; the other fields
+ * are derived from it.
  */
 export interface NECData {
-  frequency: number
-  wires: NECWire[]
-  excitation?: NECExcitation
+  frequency: number // MHz, from the first FR card
+  wires: NECWire[] // straight wires in meters, after GM/GX/GR/GS
+  excitation?: NECExcitation // first excitation
+  excitations: NECExcitation[]
   ground?: NECGround
   comments: string[]
+  cards: NECCard[]
+  symbols: Record<string, number> // SY values
+  trailer?: string // text after EN, ignored by nec2c
 }
 
 export interface NECWire {
@@ -79,19 +204,27 @@ export interface NECWire {
   y2: number
   z2: number
   radius: number
+  taper?: NECWireTaper // GC card following a GW with zero radius
+}
+
+export interface NECWireTaper {
+  lengthRatio: number // ratio of adjacent segment lengths
+  startRadius: number
+  endRadius: number
 }
 
 export interface NECExcitation {
+  type: number // EX I1, 0 = applied voltage source
   wireTag: number
   segment: number
-  voltage: number
-  phase: number
+  voltage: number // magnitude
+  phase: number // degrees
 }
 
 export interface NECGround {
   type: 'perfect' | 'real' | 'none'
-  conductivity?: number
-  dielectric?: number
+  conductivity?: number // S/m
+  dielectric?: number // relative permittivity
 }
 
 /**
@@ -122,6 +255,7 @@ export interface FileParseResult {
   metadata?: Record<string, unknown>
   error?: string
   warnings?: string[]
+  necDeck?: NECData // imported NEC deck, kept so it can be simulated as-is
 }
 
 /**
@@ -136,6 +270,11 @@ export interface FileExportOptions {
     author?: string
   }
   includeSimulationResults?: boolean
+  referenceImpedance?: number // ohms, Touchstone S11 reference; the design's by default
+  results?: {
+    simulation?: SimulationResults | null // for pattern CSV
+    sweep?: SweepResults | null // for Touchstone
+  }
 }
 
 /**
@@ -2,6 +2,8 @@
  * Antenna preset type definitions
  */
 
+import type { ElementSection } from '@/utils/nec2c'
+
 export interface AntennaPreset {
   id: string
   name: string
@@ -17,6 +19,7 @@ export interface PresetElement {
   position: number // Position relative to driven element (mm)
   length: number // Element length (mm)
   diameter: number // Element diameter (mm)
+  sections?: ElementSection[] // Telescoping tubes from the boom outwards (mm)
 }
 
 export interface AntennaDesignParams {
@@ -24,4 +27,4 @@ export interface AntennaDesignParams {
   elements: PresetElement[]
   boomLength?: number
   boomDiameter?: number
-} 
\ No newline at end of file
+}
@@ -0,0 +1,331 @@
+/**
+ * Yagi element and boom geometry
+ *
+ * Builds the straight NEC wires of a Yagi-Uda design. Telescoping sections
+ * become one wire per tube, mirrored about the boom. A metal boom is either
+ * folded into a length correction or modelled as wires of its own.
+ * Element lengths are as built; with the correction model the simulated
+ * free-space element is shorter by the boom correction. Dimensions in mm.
+ */
+
+import type {
+  AntennaElement,
+  AntennaParams,
+  BoomMaterial,
+  BoomMounting,
+  BoomParams,
+  ElementSection,
+} from '../nec2c'
+
+type Point = [number, number, number]
+
+export interface YagiWire {
+  tag: number
+  segments: number
+  start: Point // mm
+  end: Point // mm
+  diameter: number // mm
+}
+
+export interface YagiGeometry {
+  wires: YagiWire[]
+  feed: { tag: number; segment: number } // source segment: driven element center or gamma feed
+  boomTag?: number // set when the boom is modelled explicitly
+  boomConductivity?: number // S/m
+  dummy?: { tag: number; segment: number } // far end of the hairpin stub
+}
+
+// One tube of an element half, from and to in mm from the boom
+interface Tube extends ElementSection {
+  from: number
+  to: number
+}
+
+const DEFAULT_SEGMENTS = 21
+
+// S/m. NEC's LD 5 card has no permeability, so steel is approximated by its
+// conductivity alone.
+export const BOOM_CONDUCTIVITY: Record<BoomMaterial, number> = {
+  aluminum: 2.5e7,
+  steel: 6.0e6,
+  nonconductive: 0,
+}
+
+// Correction for elements through a metal boom in electrical contact, as a
+// fraction of the boom diameter versus the boom diameter in wavelengths. An
+// estimate, not a published curve: check critical designs with the explicit
+// boom model.
+const BONDED_CORRECTION_CURVE: [number, number][] = [
+  [0, 0],
+  [0.005, 0.15],
+  [0.01, 0.3],
+  [0.02, 0.5],
+  [0.03, 0.61],
+  [0.04, 0.67],
+  [0.05, 0.7],
+]
+
+const MOUNTING_FACTOR: Record<BoomMounting, number> = {
+  bonded: 1,
+  insulated: 0.5, // roughly half the bonded correction
+  'on-boom': 0, // the insulators keep the element clear of the boom
+}
+
+function interpolate(curve: [number, number][], x: number): number {
+  if (x <= curve[0][0]) return curve[0][1]
+  for (let i = 1; i < curve.length; i++) {
+    const [x1, y1] = curve[i]
+    if (x <= x1) {
+      const [x0, y0] = curve[i - 1]
+      return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0)
+    }
+  }
+  return curve[curve.length - 1][1]
+}
+
+const isMetalBoom = (boom: BoomParams | undefined): boom is BoomParams =>
+  !!boom && BOOM_CONDUCTIVITY[boom.material] > 0
+
+/**
+ * Length a built element needs beyond its free-space length because of the
+ * boom (mm). Only applies to the correction model. Driven elements count as
+ * insulated, since their feed point cannot be bonded to the boom.
+ */
+export function getBoomCorrection(
+  boom: BoomParams | undefined,
+  frequency: number,
+  type: AntennaElement['type']
+): number {
+  if (!isMetalBoom(boom) || boom.model !== 'correction') return 0
+
+  const mounting = type === 'driven' && boom.mounting === 'bonded' ? 'insulated' : boom.mounting
+  const wavelength = (299792458 / (frequency * 1e6)) * 1000 // mm
+  const fraction = interpolate(BONDED_CORRECTION_CURVE, boom.diameter / wavelength)
+  return boom.diameter * fraction * MOUNTING_FACTOR[mounting]
+}
+
+/**
+ * Tubes of one element half from the boom outwards. The outermost tube is
+ * trimmed or extended to reach the tip; tubes beyond the tip are dropped.
+ * An element without sections is a single tube of its own diameter.
+ */
+export function getElementSections(
+  element: Pick<AntennaElement, 'length' | 'diameter' | 'sections'>,
+  length = element.length
+): ElementSection[] {
+  const half = length / 2
+  const sections = (element.sections ?? []).filter(
+    (s, i, all) => s.length > 0 || i === all.length - 1
+  )
+  if (sections.length === 0) return [{ length: half, diameter: element.diameter }]
+
+  const result: ElementSection[] = []
+  let covered = 0
+  for (let i = 0; i < sections.length; i++) {
+    const { diameter } = sections[i]
+    if (i === sections.length - 1 || covered + sections[i].length >= half) {
+      result.push({ length: half - covered, diameter })
+      break
+    }
+    result.push(sections[i])
+    covered += sections[i].length
+  }
+  return result
+}
+
+/**
+ * Length-weighted mean diameter, for formats with one diameter per element
+ */
+export function getMeanDiameter(
+  element: Pick<AntennaElement, 'length' | 'diameter' | 'sections'>
+): number {
+  const sections = getElementSections(element)
+  const half = sections.reduce((sum, s) => sum + s.length, 0)
+  if (!(half > 0)) return sections[0].diameter
+  return sections.reduce((sum, s) => sum + s.diameter * s.length, 0) / half
+}
+
+/**
+ * Split the tube containing `y` so that a wire end falls on it
+ */
+function splitTubes(tubes: Tube[], y: number): Tube[] {
+  return tubes.flatMap(tube =>
+    y > tube.from && y < tube.to
+      ? [
+          { ...tube, to: y },
+          { ...tube, from: y },
+        ]
+      : [tube]
+  )
+}
+
+/**
+ * Wires of all elements, tagged 1..n in element order, followed by the boom
+ * wires when the boom is modelled explicitly and the hairpin termination.
+ * Folded-dipole conductors and gamma rods share the driven element's tag.
+ */
+export function buildYagiGeometry(params: AntennaParams): YagiGeometry {
+  const { elements, boom, feed: feedParams, frequency } = params
+  const explicitBoom =
+    isMetalBoom(boom) && boom.model === 'explicit' && elements.length > 1 ? boom : undefined
+  const match = feedParams?.match
+  const drivenIndex = Math.max(
+    0,
+    elements.findIndex(e => e.type === 'driven')
+  )
+  const wires: YagiWire[] = []
+  const bondedPositions: number[] = []
+  let feed = { tag: drivenIndex + 1, segment: 1 }
+  let drivenCenter: Point = [elements[drivenIndex]?.position ?? 0, 0, 0]
+
+  elements.forEach((element, index) => {
+    const tag = index + 1
+    const isDriven = index === drivenIndex
+    const length = element.length - getBoomCorrection(boom, frequency, element.type)
+    const sections = getElementSections(element, length)
+    const segments = element.segments || DEFAULT_SEGMENTS
+    const bonded = explicitBoom?.mounting === 'bonded' && element.type !== 'driven'
+    const gamma = isDriven && match?.type === 'gamma' ? match : undefined
+    const folded = isDriven && !gamma ? feedParams?.folded : undefined
+    // NEC cannot run a wire through another, so elements that are not bonded
+    // (including insulated through-boom ones) sit just clear of the boom surface
+    const z = explicitBoom && !bonded ? (explicitBoom.diameter + sections[0].diameter) / 2 : 0
+    const at = (y: number): Point => [element.position, y, z]
+    const count = () => wires.filter(w => w.tag === tag).reduce((sum, w) => sum + w.segments, 0)
+    if (isDriven) drivenCenter = at(0)
+
+    // Spread the segments over the tubes in proportion to their length
+    const segmentsFor = (tubeLength: number) =>
+      Math.max(1, Math.round((segments * tubeLength) / length))
+    const bounds = sections.reduce((acc, s) => [...acc, acc[acc.length - 1] + s.length], [0])
+    const tubes = sections.map((s, i) => ({ from: bounds[i], to: bounds[i + 1], ...s }))
+    const tip = bounds[bounds.length - 1]
+    const tube = ({ from, to, diameter }: Tube): YagiWire => ({
+      tag,
+      segments: segmentsFor(to - from),
+      start: at(from),
+      end: at(to),
+      diameter,
+    })
+
+    if (sections.length === 1 && !bonded && !gamma) {
+      // A plain element stays one wire with its own segment count
+      wires.push({ ...tube(tubes[0]), segments, start: at(-tip) })
+      if (isDriven) feed = { tag, segment: Math.floor(segments / 2) + 1 }
+    } else {
+      // Left half tip first and running inwards, so segment numbers increase
+      // across the element
+      for (const t of tubes.slice(1).reverse()) {
+        wires.push({ ...tube(t), start: at(-t.to), end: at(-t.from) })
+      }
+
+      if (bonded || gamma) {
+        // Two halves meeting the boom wire or the gamma feed in a junction,
+        // the right half also broken where the gamma strap joins it
+        wires.push({ ...tube(tubes[0]), start: at(-bounds[1]), end: at(0) })
+        const right = gamma ? splitTubes(tubes, gamma.rodLength) : tubes
+        right.forEach(t => wires.push(tube(t)))
+        if (bonded) bondedPositions.push(element.position)
+      } else {
+        const before = count()
+        let centerSegments = segmentsFor(2 * sections[0].length)
+        if (centerSegments % 2 === 0) centerSegments++ // odd, so one segment sits on the center
+        wires.push({ ...tube(tubes[0]), segments: centerSegments, start: at(-bounds[1]) })
+        if (isDriven) feed = { tag, segment: before + (centerSegments + 1) / 2 }
+        tubes.slice(1).forEach(t => wires.push(tube(t)))
+      }
+    }
+
+    if (folded) {
+      // Unfed conductor above the element, joined to its tips
+      const above = (y: number): Point => [element.position, y, z + folded.spacing]
+      const conductor = { tag, diameter: folded.diameter }
+      wires.push({ ...conductor, segments: 1, start: at(tip), end: above(tip) })
+      wires.push({ ...conductor, segments, start: above(tip), end: above(-tip) })
+      wires.push({ ...conductor, segments: 1, start: above(-tip), end: at(-tip) })
+    }
+
+    if (gamma) {
+      // Feed from the element center to the rod, which runs towards the
+      // directors' side of the element and is strapped to it at its far end.
+      // NEC-2 handles this closely spaced loop only roughly: the impedance it
+      // gives is what the match is solved against, but its gain reads low.
+      const beside = (y: number): Point => [element.position + gamma.spacing, y, z]
+      const rod = { tag, diameter: gamma.rodDiameter }
+      feed = { tag, segment: count() + 1 }
+      wires.push({ ...rod, segments: 1, start: at(0), end: beside(0) })
+      wires.push({
+        ...rod,
+        segments: segmentsFor(gamma.rodLength),
+        start: beside(0),
+        end: beside(gamma.rodLength),
+      })
+      wires.push({ ...rod, segments: 1, start: beside(gamma.rodLength), end: at(gamma.rodLength) })
+    }
+  })
+
+  const geometry: YagiGeometry = { wires, feed }
+  let nextTag = elements.length + 1
+
+  if (explicitBoom) {
+    // Boom along X from the rearmost to the foremost element, split where
+    // bonded elements join it
+    const boomTag = nextTag++
+    const positions = elements.map(e => e.position)
+    const stops = Array.from(
+      new Set([Math.min(...positions), ...bondedPositions, Math.max(...positions)])
+    ).sort((a, b) => a - b)
+    const driven = elements[drivenIndex]
+    const segmentLength = driven.length / (driven.segments || DEFAULT_SEGMENTS)
+
+    for (let i = 0; i + 1 < stops.length; i++) {
+      wires.push({
+        tag: boomTag,
+        segments: Math.max(1, Math.round((stops[i + 1] - stops[i]) / segmentLength)),
+        start: [stops[i], 0, 0],
+        end: [stops[i + 1], 0, 0],
+        diameter: explicitBoom.diameter,
+      })
+    }
+    geometry.boomTag = boomTag
+    geometry.boomConductivity = BOOM_CONDUCTIVITY[explicitBoom.material]
+  }
+
+  if (match?.type === 'hairpin') {
+    // A NEC network needs a segment at either end. The hairpin stub ends on a
+    // short, thin wire far above the antenna, where it draws no current.
+    const wavelength = (299792458 / (frequency * 1e6)) * 1000 // mm
+    const [x, , z] = drivenCenter
+    const dummy = { tag: nextTag++, segment: 1 }
+    wires.push({
+      tag: dummy.tag,
+      segments: 1,
+      start: [x, 0, z + 10 * wavelength],
+      end: [x + wavelength / 100, 0, z + 10 * wavelength],
+      diameter: wavelength / 5000,
+    })
+    geometry.dummy = dummy
+  }
+
+  return geometry
+}
+
+const meters = (mm: number) => (mm / 1000).toFixed(4)
+
+/**
+ * GW card of one wire, coordinates in meters
+ */
+export function formatWireCard(wire: YagiWire): string {
+  const [x1, y1, z1] = wire.start.map(meters)
+  const [x2, y2, z2] = wire.end.map(meters)
+  const radius = (wire.diameter / 2000).toFixed(6)
+  return `GW ${wire.tag} ${wire.segments} ${x1} ${y1} ${z1} ${x2} ${y2} ${z2} ${radius}`
+}
+
+/**
+ * LD card giving the boom wires the conductivity of their material
+ */
+export function formatBoomLoadCard(geometry: YagiGeometry): string | undefined {
+  if (geometry.boomTag === undefined) return undefined
+  return `LD 5 ${geometry.boomTag} 0 0 ${geometry.boomConductivity}`
+}
@@ -0,0 +1,221 @@
+/**
+ * EZNEC .ez antenna descriptions
+ *
+ * Reads the text EZNEC prints for an antenna: the frequency and ground
+ * lines, then sections headed by dashed rules (`------ WIRES ------`). The
+ * wire table header names the coordinate and diameter units, e.g.
+ * `End 1 (x,y,z : ft)` and `Dia(in)`; diameters may also be AWG gauges
+ * (#14). Connection columns (W2E1, Ground) are skipped since NEC joins
+ * wires whose ends meet. Sources and loads are placed on the segment the
+ * table names. Transmission lines have no NEC equivalent here and are left
+ * out. Real ground takes its constants from the MEDIA table, whose columns
+ * are named in its header (`Medium  Conductivity  Diel. Const.  Height`)
+ * with the units on the next line.
+ *
+ * Like .maa files, descriptions are read into a NEC deck with one tag per
+ * wire.
+ */
+
+import { formatGroundCard, GROUND_PRESETS } from './installation'
+
+export interface EZNECConversion {
+  title: string
+  deck: string // NEC deck text
+  warnings: string[]
+}
+
+// Meters per unit of the wire table
+const UNITS: Record<string, number> = { m: 1, cm: 0.01, mm: 0.001, ft: 0.3048, in: 0.0254 }
+
+const SECTION_PATTERN = /^-{3,}\s*(.+?)\s*-{3,}$/
+const CONNECTION_PATTERN = /^(W\d+E[12]|Ground)$/i
+// Number, wire segment, wire / percent, optional (specified), then the values
+const PLACEMENT_PATTERN =
+  /^(\d+)\s+(\d+)\s+(\d+)\s*\/\s*[\d.]+\s*(?:\(\s*\d+\s*\/\s*[\d.]+\s*\))?\s+(.+)$/
+
+const formatNumber = (value: number, digits = 7) => String(Number(value.toFixed(digits)) || 0)
+
+/**
+ * Diameter of an AWG gauge (mm)
+ */
+export function getAWGDiameter(gauge: number): number {
+  return 0.127 * Math.pow(92, (36 - gauge) / 39)
+}
+
+/**
+ * Meters per unit of a wire table header, wavelengths included
+ */
+function getUnitScale(unit: string, wavelength: number): number {
+  const key = unit.toLowerCase()
+  if (key === 'wl') return wavelength
+  const scale = UNITS[key]
+  if (scale === undefined) throw new Error(`Unknown EZNEC unit '${unit}'.`)
+  return scale
+}
+
+/**
+ * Conductivity (S/m) and dielectric constant of each row of the MEDIA table
+ */
+function parseMedia(lines: string[]): { conductivity: number; dielectric: number }[] {
+  const headerIndex = lines.findIndex(line => /conductivity/i.test(line) && /diel/i.test(line))
+  if (headerIndex < 0) return []
+  // Column names are one or two words apart by two or more spaces
+  const columns = lines[headerIndex].split(/\s{2,}/)
+  const conductivityColumn = columns.findIndex(name => /conductivity/i.test(name))
+  const dielectricColumn = columns.findIndex(name => /diel/i.test(name))
+  const conductivityScale = /\(\s*mS\/m\s*\)/i.test(lines[headerIndex + 1] ?? '') ? 1e-3 : 1
+
+  return lines
+    .slice(headerIndex + 1)
+    .filter(line => /^\d/.test(line))
+    .map(line => {
+      const values = line.split(/[\s,]+/).map(parseFloat)
+      const conductivity = values[conductivityColumn] * conductivityScale
+      const dielectric = values[dielectricColumn]
+      if (!(conductivity >= 0) || !(dielectric >= 1)) {
+        throw new Error(`Invalid EZNEC medium row '${line}'.`)
+      }
+      return { conductivity, dielectric }
+    })
+}
+
+/**
+ * Convert an EZNEC antenna description to a NEC deck
+ */
+export function convertEZNECToNEC(content: string): EZNECConversion {
+  const lines = content.split(/\r?\n/).map(line => line.trim())
+  const warnings: string[] = []
+
+  const sections = new Map<string, string[]>()
+  const header: string[] = []
+  let current = header
+  for (const line of lines) {
+    const section = SECTION_PATTERN.exec(line)
+    if (section) {
+      current = []
+      sections.set(section[1].toUpperCase(), current)
+    } else if (line) {
+      current.push(line)
+    }
+  }
+
+  // Title line after the program version, without the date and time
+  const titleLine = header.find(line => !/^EZNEC/i.test(line)) ?? ''
+  const title = titleLine.replace(/\s{2,}\d{1,2}\/\d{1,2}\/\d{2,4}.*$/, '') || 'EZNEC antenna'
+
+  const description = [...header, ...(sections.get('ANTENNA DESCRIPTION') ?? [])].join('\n')
+  const frequencyMatch = /Frequency\s*=\s*([\d.]+)\s*MHz/i.exec(description)
+  if (!frequencyMatch) {
+    throw new Error('Invalid EZNEC file: no frequency.')
+  }
+  const frequency = parseFloat(frequencyMatch[1])
+  const wavelength = 299.792458 / frequency // m
+
+  const wireLines = sections.get('WIRES')
+  const tableHeader = wireLines?.find(line => /\(x,y,z\s*:/i.test(line))
+  if (!wireLines || !tableHeader) {
+    throw new Error('Invalid EZNEC file: missing wire table.')
+  }
+  const coordinateScale = getUnitScale(/\(x,y,z\s*:\s*(\w+)\)/i.exec(tableHeader)![1], wavelength)
+  const diameterUnit = /Dia\s*\((\w+)\)/i.exec(tableHeader)?.[1] ?? 'mm'
+  const diameterScale = getUnitScale(diameterUnit, wavelength)
+
+  const cards = [`CM ${title}`, 'CE']
+  const wireSegments: number[] = []
+  for (const line of wireLines.filter(line => /^\d/.test(line))) {
+    const values = line
+      .split(/[\s,]+/)
+      .slice(1)
+      .filter(token => !CONNECTION_PATTERN.test(token))
+    if (values.length < 8) {
+      throw new Error(`Invalid EZNEC wire row '${line}': expected 8 values.`)
+    }
+    const coordinates = values.slice(0, 6).map(v => parseFloat(v) * coordinateScale)
+    const diameter = values[6].startsWith('#')
+      ? getAWGDiameter(parseFloat(values[6].slice(1))) / 1000
+      : parseFloat(values[6]) * diameterScale
+    const segments = parseInt(values[7])
+    if ([...coordinates, diameter, segments].some(isNaN)) {
+      throw new Error(`Invalid EZNEC wire row '${line}'.`)
+    }
+    wireSegments.push(segments)
+    const fields = [...coordinates, diameter / 2].map(v => formatNumber(v))
+    cards.push(`GW ${wireSegments.length} ${segments} ${fields.join(' ')}`)
+  }
+  if (wireSegments.length === 0) {
+    throw new Error('Invalid EZNEC file: the wire table is empty.')
+  }
+
+  // Absolute heights: the wire table already places the antenna over ground
+  const groundMatch = /Ground type is ([^.\n]+)/i.exec(description)
+  const groundText = groundMatch?.[1].toLowerCase() ?? 'free space'
+  const ground = groundText.startsWith('real')
+    ? 'real'
+    : groundText.startsWith('perfect')
+      ? 'perfect'
+      : 'none'
+  cards.push(`GE ${ground === 'none' ? 0 : 1}`)
+
+  // Rows of a source or load table: tag, segment and the remaining columns
+  const placements = (name: string) =>
+    (sections.get(name) ?? []).flatMap(line => {
+      const match = PLACEMENT_PATTERN.exec(line)
+      if (!match) return []
+      const tag = parseInt(match[3])
+      const segment = parseInt(match[2])
+      if (tag < 1 || tag > wireSegments.length || segment < 1 || segment > wireSegments[tag - 1]) {
+        throw new Error(`Invalid EZNEC ${name.toLowerCase()} row '${line}'.`)
+      }
+      return [{ tag, segment, values: match[4].split(/\s+/) }]
+    })
+
+  const sources = placements('SOURCES')
+  if (sources.filter(s => /I$/i.test(s.values[2] ?? '')).length > 1) {
+    warnings.push('EZNEC current sources were read as voltage sources; their phasing may differ.')
+  }
+  for (const { tag, segment, values } of sources) {
+    const amplitude = parseFloat(values[0]) || 1
+    const phase = (parseFloat(values[1]) || 0) * (Math.PI / 180)
+    cards.push(
+      `EX 0 ${tag} ${segment} 0 ${formatNumber(amplitude * Math.cos(phase), 4)} ` +
+        formatNumber(amplitude * Math.sin(phase), 4)
+    )
+  }
+
+  // R/X loads, or series RLC loads when the table has L and C columns
+  const loadHeader = sections.get('LOADS')?.find(line => /R\s*\(Ohms\)/i.test(line)) ?? ''
+  const isRLC = /L\s*\(uH\)/i.test(loadHeader)
+  for (const { tag, segment, values } of placements('LOADS')) {
+    const [a, b, c] = values.map(parseFloat)
+    cards.push(
+      isRLC
+        ? `LD 0 ${tag} ${segment} ${segment} ${a || 0} ${formatNumber((b || 0) * 1e-6, 12)} ` +
+            formatNumber((c || 0) * 1e-12, 18)
+        : `LD 4 ${tag} ${segment} ${segment} ${a || 0} ${b || 0}`
+    )
+  }
+
+  if ((sections.get('TRANSMISSION LINES') ?? []).some(line => /^\d/.test(line))) {
+    warnings.push('EZNEC transmission lines were left out.')
+  }
+
+  if (ground === 'real') {
+    // Medium 1 is the ground under the antenna; NEC has no further media here
+    const media = parseMedia(sections.get('MEDIA') ?? [])
+    if (media.length > 0) {
+      const [{ conductivity, dielectric }] = media
+      cards.push(`GN 2 0 0 0 ${dielectric} ${formatNumber(conductivity)}`)
+      if (media.length > 1) {
+        warnings.push(`EZNEC ground has ${media.length} media; only medium 1 was used.`)
+      }
+    } else {
+      cards.push(formatGroundCard(GROUND_PRESETS.average.ground)!)
+      warnings.push('No ground constants found; average ground was assumed.')
+    }
+  } else if (ground === 'perfect') {
+    cards.push('GN 1')
+  }
+  cards.push(`FR 0 1 0 0 ${frequency} 0`, 'EN')
+
+  return { title, deck: cards.join('\n'), warnings }
+}
@@ -0,0 +1,106 @@
+/**
+ * Feed matching networks
+ *
+ * Solves hairpin (beta) matches from the feed-point impedance of the driven
+ * element and writes the NEC cards that model a match. A hairpin is a TL
+ * stub plus an optional LD series load; a gamma match is modelled as wires
+ * (see elementGeometry) with its capacitor as an LD load.
+ */
+
+import type { HairpinMatch, Impedance, AntennaParams } from '../nec2c'
+import type { YagiGeometry } from './elementGeometry'
+
+// Shorted end of a transmission line, as a shunt admittance in siemens
+const SHORT_CIRCUIT_ADMITTANCE = 1e10
+
+const angularFrequency = (frequency: number) => 2 * Math.PI * frequency * 1e6
+const wavenumber = (frequency: number) => angularFrequency(frequency) / 299792458
+
+/**
+ * Characteristic impedance of an air-spaced line of two equal round wires
+ * (ohms). Spacing is center-to-center, in the same unit as the diameter.
+ */
+export function getParallelWireImpedance(spacing: number, diameter: number): number {
+  return 120 * Math.acosh(spacing / diameter)
+}
+
+/**
+ * Hairpin stub and series reactance that match the given driven element
+ * impedance to the reference impedance. The hairpin is an L network: the
+ * element supplies the series capacitive reactance and the stub the shunt
+ * inductance. Returns null when the feed resistance is not below the
+ * reference, where a hairpin cannot step the impedance up.
+ */
+export function solveHairpin(
+  feedImpedance: Impedance,
+  frequency: number,
+  referenceImpedance: number,
+  match: HairpinMatch
+): HairpinMatch | null {
+  const { resistance, reactance } = feedImpedance
+  if (!(resistance > 0) || resistance >= referenceImpedance) return null
+
+  const q = Math.sqrt(referenceImpedance / resistance - 1)
+  const shuntReactance = referenceImpedance / q
+  const stubImpedance = getParallelWireImpedance(match.spacing, match.wireDiameter)
+  const length = Math.atan(shuntReactance / stubImpedance) / wavenumber(frequency) // m
+
+  return {
+    ...match,
+    length: roundSolved(length * 1000),
+    seriesReactance: roundSolved(-resistance * q - reactance),
+  }
+}
+
+/**
+ * Capacitor (F) or inductor (H) with the given reactance at the frequency
+ */
+export function getSeriesComponent(
+  reactance: number,
+  frequency: number
+): { inductance: number; capacitance: number } {
+  const omega = angularFrequency(frequency)
+  return reactance < 0
+    ? { inductance: 0, capacitance: -1 / (omega * reactance) }
+    : { inductance: reactance / omega, capacitance: 0 }
+}
+
+// Solved values are kept to the precision a match can be built to
+export const roundSolved = (value: number) => Math.round(value * 10) / 10
+
+const exponent = (value: number) => value.toExponential(4).toUpperCase()
+
+/**
+ * LD and TL cards of the design's matching network. Segments are relative
+ * to their tag, as NEC expects when a tag is given.
+ */
+export function formatMatchCards(geometry: YagiGeometry, params: AntennaParams): string[] {
+  const match = params.feed?.match
+  const { tag, segment } = geometry.feed
+  // LD 0 is a series RLC load; a zero L or C leaves that component out
+  const seriesLoad = (inductance: number, capacitance: number) =>
+    `LD 0 ${tag} ${segment} ${segment} 0 ${exponent(inductance)} ${exponent(capacitance)}`
+
+  if (match?.type === 'gamma') {
+    return match.capacitance > 0 ? [seriesLoad(0, match.capacitance * 1e-12)] : []
+  }
+
+  if (match?.type === 'hairpin' && geometry.dummy) {
+    const stubImpedance = getParallelWireImpedance(match.spacing, match.wireDiameter)
+    const cards = [
+      `TL ${tag} ${segment} ${geometry.dummy.tag} ${geometry.dummy.segment} ` +
+        `${stubImpedance.toFixed(2)} ${(match.length / 1000).toFixed(5)} 0 0 ` +
+        `${exponent(SHORT_CIRCUIT_ADMITTANCE)} 0`,
+    ]
+    if (match.seriesReactance !== 0) {
+      const { inductance, capacitance } = getSeriesComponent(
+        match.seriesReactance,
+        params.frequency
+      )
+      cards.push(seriesLoad(inductance, capacitance))
+    }
+    return cards
+  }
+
+  return []
+}
@@ -8,7 +8,14 @@ import {
   OpenUdaDesign,
   DroppedFileInfo,
   FILE_FORMATS,
+  IMPORT_FORMATS,
 } from '@/types/antenna/fileFormats'
+import { parseNECDeck, recognizeYagi } from './necDeck'
+import { getMeanDiameter } from './elementGeometry'
+import { formatStructureCards } from './installation'
+import { convertMMANAToNEC, formatMMANAFile } from './mmana'
+import { convertEZNECToNEC } from './eznec'
+import { formatPatternCSV, formatTouchstone } from './resultExport'
 
 /**
  * Detect file format from file extension or content
@@ -23,6 +30,14 @@ export function detectFileFormat(file: File): SupportedFileFormat | 'unknown' {
       return 'nec'
     case 'json':
       return 'json'
+    case 'maa':
+      return 'maa'
+    case 'ez':
+      return 'ez'
+    case 's1p':
+      return 's1p'
+    case 'csv':
+      return 'csv'
     default:
       return 'unknown'
   }
@@ -46,12 +61,12 @@ export function createDroppedFileInfo(file: File): DroppedFileInfo {
 export async function parseAntennaFile(file: File): Promise<FileParseResult> {
   const format = detectFileFormat(file)
 
-  if (format === 'unknown') {
+  if (format === 'unknown' || !FILE_FORMATS[format].canImport) {
     return {
       success: false,
-      error: `Unsupported file format. Expected: ${Object.values(FILE_FORMATS)
-        .map(f => f.extension)
-        .join(', ')}`,
+      error: `Unsupported file format. Expected: ${IMPORT_FORMATS.map(
+        f => FILE_FORMATS[f].extension
+      ).join(', ')}`,
     }
   }
 
@@ -65,6 +80,10 @@ export async function parseAntennaFile(file: File): Promise<FileParseResult> {
         return parseNECFile(text)
       case 'json':
         return parseJSONFile(text)
+      case 'maa':
+        return parseMMANAFile(text)
+      case 'ez':
+        return parseEZNECFile(text)
       default:
         return {
           success: false,
@@ -263,7 +282,7 @@ function parseYagiCADFile(content: string): FileParseResult {
     const antennaParams: AntennaParams = {
       frequency,
       elements,
-      groundType: 'perfect',
+      groundType: 'none', // YagiCAD designs are free-space models
     }
 
     const metadata = {
@@ -297,90 +316,89 @@ function parseYagiCADFile(content: string): FileParseResult {
 }
 
 /**
- * Parse NEC .nec file
+ * Parse NEC .nec file. The whole deck is kept; it is also mapped to a Yagi
+ * design when its geometry and excitation allow it.
  */
 function parseNECFile(content: string): FileParseResult {
   try {
-    const lines = content.split('\n').map(line => line.trim())
-    const elements: AntennaElement[] = []
-    let frequency = 146 // default frequency
-    const warnings: string[] = []
-
-    for (const line of lines) {
-      if (line.startsWith('CM') || line.startsWith('CE')) {
-        // Comment lines - extract frequency if mentioned
-        const freqMatch = line.match(/(\d+(?:\.\d+)?)\s*MHz/i)
-        if (freqMatch) {
-          frequency = parseFloat(freqMatch[1])
-        }
-        continue
-      }
-
-      // Parse GW (wire geometry) lines
-      if (line.startsWith('GW')) {
-        const parts = line.split(/\s+/)
-        if (parts.length >= 8) {
-          try {
-            const tag = parseInt(parts[1])
-            const segments = parseInt(parts[2])
-            const x1 = parseFloat(parts[3])
-            const y1 = parseFloat(parts[4])
-            const y2 = parseFloat(parts[7])
-            const radius = parseFloat(parts[8])
-
-            // Calculate element properties
-            const length = Math.abs(y2 - y1)
-            const position = x1
-            const diameter = radius * 2
-
-            const element: AntennaElement = {
-              type: tag === 1 ? 'reflector' : tag === 2 ? 'driven' : 'director',
-              position,
-              length,
-              diameter,
-              segments,
-            }
-
-            elements.push(element)
-          } catch {
-            warnings.push(`Could not parse wire geometry: ${line}`)
-          }
-        }
-      }
-
-      // Parse FR (frequency) lines
-      if (line.startsWith('FR')) {
-        const parts = line.split(/\s+/)
-        if (parts.length >= 6) {
-          frequency = parseFloat(parts[5])
-        }
-      }
+    return parseDeck(content, 'nec')
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to parse NEC file: ${error instanceof Error ? error.message : 'Unknown error'}`,
     }
+  }
+}
 
-    if (elements.length === 0) {
-      return {
-        success: false,
-        error: 'No antenna elements found in NEC file',
-      }
+/**
+ * Parse MMANA-GAL .maa file, by way of the NEC deck it describes
+ */
+function parseMMANAFile(content: string): FileParseResult {
+  try {
+    const { deck, title, referenceImpedance, comments, warnings } = convertMMANAToNEC(content)
+    const result = parseDeck(deck, 'maa', warnings)
+    if (result.data && referenceImpedance !== undefined) {
+      result.data.feed = { referenceImpedance }
     }
-
-    const antennaParams: AntennaParams = {
-      frequency,
-      elements,
-      groundType: 'perfect',
+    return { ...result, metadata: { ...result.metadata, name: title, comments } }
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to parse MMANA-GAL file: ${error instanceof Error ? error.message : 'Unknown error'}`,
     }
+  }
+}
 
+/**
+ * Parse EZNEC .ez antenna description, by way of the NEC deck it describes
+ */
+function parseEZNECFile(content: string): FileParseResult {
+  try {
+    const { deck, title, warnings } = convertEZNECToNEC(content)
+    const result = parseDeck(deck, 'ez', warnings)
+    return { ...result, metadata: { ...result.metadata, name: title } }
+  } catch (error) {
     return {
-      success: true,
-      data: antennaParams,
-      warnings: warnings.length > 0 ? warnings : undefined,
+      success: false,
+      error: `Failed to parse EZNEC file: ${error instanceof Error ? error.message : 'Unknown error'}`,
     }
-  } catch (error) {
+  }
+}
+
+/**
+ * Parse a NEC deck and map it to a Yagi design where possible. Warnings of
+ * the conversion to NEC come first.
+ */
+function parseDeck(
+  content: string,
+  originalFormat: SupportedFileFormat,
+  conversionWarnings: string[] = []
+): FileParseResult {
+  const { data: deck, warnings: parseWarnings } = parseNECDeck(content)
+
+  if (deck.wires.length === 0) {
+    const warnings = [...conversionWarnings, ...parseWarnings]
     return {
       success: false,
-      error: `Failed to parse NEC file: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      error: `No antenna elements found in ${FILE_FORMATS[originalFormat].name} file`,
+      warnings: warnings.length > 0 ? warnings : undefined,
     }
   }
+
+  const { params, warnings: yagiWarnings } = recognizeYagi(deck)
+  const warnings = [...conversionWarnings, ...parseWarnings, ...yagiWarnings]
+
+  return {
+    success: true,
+    data: params,
+    necDeck: deck,
+    metadata: {
+      name: deck.comments[0],
+      originalFormat,
+      comments: deck.comments,
+    },
+    warnings: warnings.length > 0 ? warnings : undefined,
+  }
 }
 
 /**
@@ -433,6 +451,21 @@ export function exportAntennaFile(
     case 'json':
       content = generateJSONFile(antennaParams, options)
       break
+    case 'maa':
+      content = formatMMANAFile(
+        antennaParams,
+        options.metadata?.name || 'OpenUda Yagi-Uda Antenna Design'
+      )
+      break
+    case 's1p':
+      content = generateTouchstoneFile(antennaParams, options)
+      break
+    case 'csv':
+      if (!options.results?.simulation) {
+        throw new Error('Run a simulation before exporting pattern cuts.')
+      }
+      content = formatPatternCSV(options.results.simulation)
+      break
     default:
       throw new Error(`Unsupported export format: ${options.format}`)
   }
@@ -478,7 +511,8 @@ function generateYagiCADFile(antennaParams: AntennaParams): string {
   antennaParams.elements.forEach(element => {
     const length = (element.length / 1000).toFixed(6) // Convert mm to m
     const position = (element.position / 1000).toFixed(8) // Convert mm to m
-    const diameter = (element.diameter / 1000).toFixed(3) // Convert mm to m
+    // YagiCAD has one diameter per element, so telescoping tubes are averaged
+    const diameter = (getMeanDiameter(element) / 1000).toFixed(3) // Convert mm to m
     const segments = element.segments || 21
 
     // Element type flag: 1 for driven element, 0 for others (reflector/director)
@@ -532,41 +566,8 @@ function generateNECFile(antennaParams: AntennaParams, metadata?: Record<string,
   lines.push(`CM Frequency: ${antennaParams.frequency} MHz`)
   lines.push(`CE`)
 
-  // Wire geometry
-  // Convert mm to meters for NEC format
-  antennaParams.elements.forEach((element, index) => {
-    const tag = index + 1
-    const segments = element.segments || 21
-    const position = element.position / 1000 // Convert mm to m
-    const length = element.length / 1000 // Convert mm to m
-    const diameter = element.diameter / 1000 // Convert mm to m
-    const halfLength = length / 2
-    const radius = diameter / 2
-
-    lines.push(
-      `GW ${tag} ${segments} ${position.toFixed(4)} ${(-halfLength).toFixed(4)} 0 ` +
-        `${position.toFixed(4)} ${halfLength.toFixed(4)} 0 ${radius.toFixed(6)}`
-    )
-  })
-
-  // End geometry
-  lines.push('GE 0')
-
-  // Find driven element
-  const drivenIndex = antennaParams.elements.findIndex(e => e.type === 'driven') || 0
-  const drivenSegment = Math.floor((antennaParams.elements[drivenIndex].segments || 21) / 2) + 1
-
-  // Excitation
-  lines.push(`EX 0 ${drivenIndex + 1} ${drivenSegment} 0 1 0`)
-
-  // Ground
-  if (antennaParams.groundType === 'perfect') {
-    lines.push('GN 1')
-  } else if (antennaParams.groundType === 'real') {
-    const conductivity = antennaParams.groundConductivity || 0.005
-    const dielectric = antennaParams.groundDielectric || 13
-    lines.push(`GN 2 0 0 0 ${conductivity} ${dielectric}`)
-  }
+  // Wires of every bay, sources, loads, matching networks and ground
+  lines.push(...formatStructureCards(antennaParams))
 
   // Frequency
   lines.push(`FR 0 1 0 0 ${antennaParams.frequency} 0`)
@@ -577,6 +578,24 @@ function generateNECFile(antennaParams: AntennaParams, metadata?: Record<string,
   return lines.join('\n')
 }
 
+/**
+ * Generate Touchstone .s1p file content from the sweep in the export options
+ */
+function generateTouchstoneFile(antennaParams: AntennaParams, options: FileExportOptions): string {
+  const sweep = options.results?.sweep
+  if (!sweep) {
+    throw new Error('Run a frequency sweep before exporting Touchstone data.')
+  }
+  const referenceImpedance =
+    options.referenceImpedance ?? antennaParams.feed?.referenceImpedance ?? 50
+
+  return formatTouchstone(sweep, referenceImpedance, [
+    'OpenUda Yagi-Uda Antenna Design',
+    ...(options.metadata?.name ? [`Name: ${options.metadata.name}`] : []),
+    `S11 at the feed point, ${sweep.points.length} frequencies`,
+  ])
+}
+
 /**
  * Generate OpenUda JSON file content
  */
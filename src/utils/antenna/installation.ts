@@ -0,0 +1,218 @@
+/**
+ * Antenna installation: height over ground, polarization and stacked arrays
+ *
+ * The Yagi built by elementGeometry is copied once per bay, and for a cross
+ * Yagi once more per bay for the vertical plane. Every copy keeps its own
+ * tags and source, so the deck reads like a hand-written stacked array:
+ * wires per bay, one EX card per bay carrying its phasing, and a GM card
+ * lifting the whole array to the mounting height. Dimensions in mm, the
+ * height in m.
+ */
+
+import type { AntennaParams, InstallationParams, StackParams } from '../nec2c'
+import {
+  buildYagiGeometry,
+  formatBoomLoadCard,
+  formatWireCard,
+  type YagiGeometry,
+  type YagiWire,
+} from './elementGeometry'
+import { formatMatchCards } from './feedMatch'
+
+type Point = [number, number, number]
+
+export type GroundParams = Pick<
+  AntennaParams,
+  'groundType' | 'groundConductivity' | 'groundDielectric'
+>
+
+export type GroundPreset = 'free-space' | 'perfect' | 'poor' | 'average' | 'good' | 'sea-water'
+
+// Conductivity in S/m and relative permittivity of the usual NEC ground classes
+export const GROUND_PRESETS: Record<GroundPreset, { label: string; ground: GroundParams }> = {
+  'free-space': { label: 'Free space', ground: { groundType: 'none' } },
+  perfect: { label: 'Perfect ground', ground: { groundType: 'perfect' } },
+  poor: {
+    label: 'Poor soil (city, rocky)',
+    ground: { groundType: 'real', groundConductivity: 0.002, groundDielectric: 13 },
+  },
+  average: {
+    label: 'Average soil',
+    ground: { groundType: 'real', groundConductivity: 0.005, groundDielectric: 13 },
+  },
+  good: {
+    label: 'Good soil (pasture, farmland)',
+    ground: { groundType: 'real', groundConductivity: 0.0303, groundDielectric: 20 },
+  },
+  'sea-water': {
+    label: 'Sea water',
+    ground: { groundType: 'real', groundConductivity: 5, groundDielectric: 81 },
+  },
+}
+
+// Used over ground when a design does not say how it is mounted
+export const DEFAULT_INSTALLATION: InstallationParams = {
+  height: 10,
+  polarization: 'horizontal',
+}
+
+// Real ground without its constants falls back to average soil
+const DEFAULT_CONDUCTIVITY = 0.005
+const DEFAULT_DIELECTRIC = 13
+
+export const hasGround = (params: GroundParams) =>
+  params.groundType === 'perfect' || params.groundType === 'real'
+
+export const getInstallation = (params: AntennaParams) =>
+  params.installation ?? DEFAULT_INSTALLATION
+
+export const getBayCount = (stack?: StackParams) => (stack ? stack.rows * stack.columns : 1)
+
+/**
+ * Preset matching a ground exactly, e.g. to show an imported ground in the
+ * preset list. Undefined for any other real ground.
+ */
+export function findGroundPreset(ground: GroundParams): GroundPreset | undefined {
+  if (!hasGround(ground)) return 'free-space'
+  return (Object.keys(GROUND_PRESETS) as GroundPreset[]).find(preset => {
+    const candidate = GROUND_PRESETS[preset].ground
+    return (
+      candidate.groundType === ground.groundType &&
+      candidate.groundConductivity === ground.groundConductivity &&
+      candidate.groundDielectric === ground.groundDielectric
+    )
+  })
+}
+
+// One copy of the Yagi in the array
+export interface ArrayCopy {
+  bay: number // index in StackParams.phases
+  offset: Point // mm from the array center
+  vertical: boolean // elements turned about the boom into the vertical plane
+  phase: number // degrees
+}
+
+/**
+ * Every copy of the Yagi an installation needs, bays bottom row first and
+ * from -Y to +Y, with the vertical plane of a cross Yagi after the
+ * horizontal one of the same bay
+ */
+export function getArrayCopies(installation: InstallationParams): ArrayCopy[] {
+  const { polarization, stack } = installation
+  const rows = stack?.rows ?? 1
+  const columns = stack?.columns ?? 1
+  const copies: ArrayCopy[] = []
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const bay = row * columns + column
+      const y = (column - (columns - 1) / 2) * (stack?.horizontalSpacing ?? 0)
+      const z = (row - (rows - 1) / 2) * (stack?.verticalSpacing ?? 0)
+      const phase = stack?.phases?.[bay] ?? 0
+
+      if (polarization !== 'vertical') {
+        copies.push({ bay, offset: [0, y, z], vertical: false, phase })
+      }
+      if (polarization === 'vertical') {
+        copies.push({ bay, offset: [0, y, z], vertical: true, phase })
+      } else if (polarization === 'cross') {
+        const x = installation.crossOffset ?? 0
+        copies.push({
+          bay,
+          offset: [x, y, z],
+          vertical: true,
+          phase: phase + (installation.crossPhase ?? 0),
+        })
+      }
+    }
+  }
+  return copies
+}
+
+export interface ArrayGeometry {
+  copies: (YagiGeometry & ArrayCopy)[]
+  wires: YagiWire[] // of all copies, in tag order
+}
+
+/**
+ * Wires of the whole array. Copy n takes the tags of the single Yagi plus
+ * n times its highest tag.
+ */
+export function buildArrayGeometry(params: AntennaParams): ArrayGeometry {
+  const yagi = buildYagiGeometry(params)
+  const tagCount = Math.max(...yagi.wires.map(w => w.tag))
+
+  const copies = getArrayCopies(getInstallation(params)).map((copy, index) => {
+    const shift = (tag: number) => tag + index * tagCount
+    // A quarter turn about the boom takes the elements from Y to Z
+    const place = ([x, y, z]: Point): Point => {
+      const [dx, dy, dz] = copy.offset
+      return copy.vertical ? [x + dx, dy - z, dz + y] : [x + dx, y + dy, z + dz]
+    }
+    return {
+      ...yagi,
+      ...copy,
+      wires: yagi.wires.map(w => ({
+        ...w,
+        tag: shift(w.tag),
+        start: place(w.start),
+        end: place(w.end),
+      })),
+      feed: { ...yagi.feed, tag: shift(yagi.feed.tag) },
+      ...(yagi.boomTag !== undefined && { boomTag: shift(yagi.boomTag) }),
+      ...(yagi.dummy && { dummy: { ...yagi.dummy, tag: shift(yagi.dummy.tag) } }),
+    }
+  })
+
+  return { copies, wires: copies.flatMap(c => c.wires) }
+}
+
+const voltage = (value: number) => String(Number(value.toFixed(4)))
+
+/**
+ * EX card of a unit voltage source with the given phase
+ */
+export function formatSourceCard(feed: { tag: number; segment: number }, phase = 0): string {
+  const angle = (phase * Math.PI) / 180
+  return `EX 0 ${feed.tag} ${feed.segment} 0 ${voltage(Math.cos(angle))} ${voltage(Math.sin(angle))}`
+}
+
+/**
+ * GN card of the ground, or undefined in free space. Real ground is the
+ * Sommerfeld-Norton model, dielectric constant before conductivity.
+ */
+export function formatGroundCard(params: GroundParams): string | undefined {
+  if (params.groundType === 'perfect') return 'GN 1'
+  if (params.groundType !== 'real') return undefined
+  const dielectric = params.groundDielectric || DEFAULT_DIELECTRIC
+  const conductivity = params.groundConductivity || DEFAULT_CONDUCTIVITY
+  return `GN 2 0 0 0 ${dielectric} ${conductivity}`
+}
+
+/**
+ * Structure cards of a design, from the wires to the ground: GW, GM, GE,
+ * then EX, LD and TL per copy, and GN. Frequency and pattern requests are
+ * left to the caller.
+ */
+export function formatStructureCards(params: AntennaParams): string[] {
+  const { copies, wires } = buildArrayGeometry(params)
+  const ground = hasGround(params)
+  const cards = wires.map(formatWireCard)
+
+  if (ground) {
+    // Move every wire up to the mounting height
+    cards.push(`GM 0 0 0 0 0 0 0 ${getInstallation(params).height} 0`)
+  }
+  cards.push(`GE ${ground ? 1 : 0}`)
+
+  copies.forEach(copy => cards.push(formatSourceCard(copy.feed, copy.phase)))
+  copies.forEach(copy => {
+    const boomLoad = formatBoomLoadCard(copy)
+    if (boomLoad) cards.push(boomLoad)
+    cards.push(...formatMatchCards(copy, params))
+  })
+
+  const groundCard = formatGroundCard(params)
+  if (groundCard) cards.push(groundCard)
+  return cards
+}
@@ -0,0 +1,276 @@
+/**
+ * MMANA-GAL .maa files
+ *
+ * An .maa file is plain text: the title, a '*' line and the frequency, then
+ * sections headed `*** Wires ***`, `*** Source ***`, `*** Load ***`,
+ * `*** Segmentation ***` and `*** G/H/M/R/AzEl/X ***`, and free text after
+ * `### Comment ###`. Wire rows are X1, Y1, Z1, X2, Y2, Z2, R, Seg in meters
+ * with R the wire radius; a value written with a w (w0.25 or 0.25w) is in
+ * wavelengths. Sources and loads sit on a pulse named after the wire and
+ * its beginning, center or end: w2c is the center of wire 2.
+ *
+ * Files are read into a NEC deck with one tag per wire, so they go through
+ * the same Yagi recognition as .nec files.
+ */
+
+import type { AntennaParams } from '../nec2c'
+import {
+  buildArrayGeometry,
+  formatGroundCard,
+  getInstallation,
+  GROUND_PRESETS,
+  hasGround,
+} from './installation'
+
+export interface MMANAConversion {
+  title: string
+  deck: string // NEC deck text
+  referenceImpedance?: number // ohms, the R the file computes SWR against
+  comments: string[]
+  warnings: string[]
+}
+
+// Load row types
+const LOAD_LC = 0 // L (µH), C (pF), Q; a zero L or C leaves that part out
+const LOAD_RX = 1 // R, X (ohms)
+
+// Ground codes of the G/H/M/R/AzEl/X row
+const GROUND_CODES = { none: 0, perfect: 1, real: 2 } as const
+
+// Segmentation row MMANA-GAL writes for new files: DM1, DM2, SC, EC
+const DEFAULT_SEGMENTATION = '800,\t80,\t2.0,\t2'
+const DEFAULT_DM2 = 80
+
+const SECTION_PATTERN = /^\*{3}\s*(.+?)\s*\*{3}$/
+const COMMENT_PATTERN = /^#{3}\s*Comment\s*#{3}$/i
+const PULSE_PATTERN = /^w(\d+)([bce])$/i
+
+const splitRow = (line: string) =>
+  line
+    .trim()
+    .split(/[\s,]+/)
+    .filter(Boolean)
+
+// Shortest exact form of a rounded value, -0 written as 0
+const formatNumber = (value: number, digits = 6) => String(Number(value.toFixed(digits)) || 0)
+
+/**
+ * Read a value that may be written in wavelengths
+ */
+function parseLength(token: string, wavelength: number): number {
+  const match = /^w(.+)$/i.exec(token) ?? /^(.+?)w$/i.exec(token)
+  const value = parseFloat(match ? match[1] : token)
+  if (isNaN(value)) throw new Error(`'${token}' is not a number.`)
+  return match ? value * wavelength : value
+}
+
+/**
+ * Segment of a wire a pulse name points to
+ */
+function getPulseSegment(position: string, segments: number): number {
+  if (position === 'b') return 1
+  if (position === 'e') return segments
+  return Math.floor(segments / 2) + 1
+}
+
+/**
+ * Convert an .maa file to a NEC deck
+ */
+export function convertMMANAToNEC(content: string): MMANAConversion {
+  const lines = content.split(/\r?\n/).map(line => line.trim())
+  const warnings: string[] = []
+
+  const sections = new Map<string, string[]>()
+  const comments: string[] = []
+  let current: string[] | undefined
+  let inComment = false
+  for (const line of lines.slice(3)) {
+    const section = SECTION_PATTERN.exec(line)
+    if (COMMENT_PATTERN.test(line)) {
+      inComment = true
+    } else if (inComment) {
+      if (line) comments.push(line)
+    } else if (section) {
+      current = []
+      sections.set(section[1].toLowerCase(), current)
+    } else if (line && current) {
+      current.push(line)
+    }
+  }
+
+  const title = lines[0] || 'MMANA-GAL antenna'
+  const frequency = parseFloat(lines[2])
+  if (!(frequency > 0)) {
+    throw new Error('Invalid MMANA-GAL file: no frequency on the third line.')
+  }
+  const wavelength = 299.792458 / frequency // m
+
+  const wireRows = sections.get('wires')
+  if (!wireRows || wireRows.length < 2) {
+    throw new Error('Invalid MMANA-GAL file: missing wire table.')
+  }
+  const wireCount = parseInt(wireRows[0])
+  const segmentation = splitRow(sections.get('segmentation')?.[0] ?? '').map(parseFloat)
+  const dm2 = segmentation[1] > 0 ? segmentation[1] : DEFAULT_DM2
+
+  const cards = [`CM ${title}`, ...comments.map(c => `CM ${c}`), 'CE']
+  const wireSegments: number[] = []
+  for (const row of wireRows.slice(1, wireCount + 1)) {
+    const values = splitRow(row)
+    if (values.length < 8) {
+      throw new Error(`Invalid MMANA-GAL wire row '${row}': expected 8 values.`)
+    }
+    const [x1, y1, z1, x2, y2, z2, radius] = values.slice(0, 7).map(v => parseLength(v, wavelength))
+    const length = Math.hypot(x2 - x1, y2 - y1, z2 - z1)
+    // Automatic segmentation (Seg below 1) is approximated by a uniform DM2
+    // segments per wavelength, odd so a center pulse exists
+    let segments = parseInt(values[7])
+    if (!(segments >= 1)) {
+      segments = Math.max(1, Math.ceil((length / wavelength) * dm2))
+      if (segments % 2 === 0) segments++
+    }
+    wireSegments.push(segments)
+    const tag = wireSegments.length
+    const coordinates = [x1, y1, z1, x2, y2, z2, radius].map(v => formatNumber(v, 7))
+    cards.push(`GW ${tag} ${segments} ${coordinates.join(' ')}`)
+  }
+  if (wireSegments.length === 0) {
+    throw new Error('Invalid MMANA-GAL file: the wire table is empty.')
+  }
+
+  // G/H/M/R/AzEl/X: ground, height, material, SWR reference, then view settings
+  const [groundCode, height, , reference] = splitRow(sections.get('g/h/m/r/azel/x')?.[0] ?? '').map(
+    parseFloat
+  )
+  const ground = groundCode === GROUND_CODES.real ? 'real' : groundCode > 0 ? 'perfect' : 'none'
+  if (ground !== 'none' && height > 0) {
+    // The height lifts the whole antenna, as GM does
+    cards.push(`GM 0 0 0 0 0 0 0 ${height} 0`)
+  }
+  cards.push(`GE ${ground === 'none' ? 0 : 1}`)
+
+  const pulse = (name: string) => {
+    const match = PULSE_PATTERN.exec(name)
+    const wire = match ? parseInt(match[1]) : 0
+    if (!match || wire < 1 || wire > wireSegments.length) {
+      throw new Error(`Invalid MMANA-GAL pulse '${name}'.`)
+    }
+    return { tag: wire, segment: getPulseSegment(match[2].toLowerCase(), wireSegments[wire - 1]) }
+  }
+
+  const sourceRows = sections.get('source') ?? []
+  for (const row of sourceRows.slice(1, parseInt(sourceRows[0]) + 1)) {
+    const [name, phaseText, voltageText] = splitRow(row)
+    const phase = (parseFloat(phaseText) || 0) * (Math.PI / 180)
+    const voltage = parseFloat(voltageText) || 1
+    const { tag, segment } = pulse(name)
+    cards.push(
+      `EX 0 ${tag} ${segment} 0 ${formatNumber(voltage * Math.cos(phase), 4)} ` +
+        formatNumber(voltage * Math.sin(phase), 4)
+    )
+  }
+
+  const loadRows = sections.get('load') ?? []
+  for (const row of loadRows.slice(1, parseInt(loadRows[0]) + 1)) {
+    const [name, typeText, ...values] = splitRow(row)
+    const [a, b] = values.map(parseFloat)
+    const { tag, segment } = pulse(name)
+    if (parseInt(typeText) === LOAD_LC) {
+      // Q is left out; the components are lossless
+      const henries = formatNumber((a || 0) * 1e-6, 12)
+      const farads = formatNumber((b || 0) * 1e-12, 18)
+      cards.push(`LD 0 ${tag} ${segment} ${segment} 0 ${henries} ${farads}`)
+    } else if (parseInt(typeText) === LOAD_RX) {
+      cards.push(`LD 4 ${tag} ${segment} ${segment} ${a || 0} ${b || 0}`)
+    } else {
+      warnings.push(`Load on ${name} has an unknown type and was left out.`)
+    }
+  }
+
+  if (ground === 'real') {
+    // The file does not carry the soil constants
+    cards.push(formatGroundCard(GROUND_PRESETS.average.ground)!)
+    warnings.push('MMANA-GAL files do not store the soil; average ground was assumed.')
+  } else if (ground === 'perfect') {
+    cards.push('GN 1')
+  }
+  cards.push(`FR 0 1 0 0 ${frequency} 0`, 'EN')
+
+  return {
+    title,
+    deck: cards.join('\n'),
+    ...(reference > 0 && { referenceImpedance: reference }),
+    comments,
+    warnings,
+  }
+}
+
+/**
+ * Write a design as an .maa file. Every wire of the array is written in
+ * meters; matching networks MMANA-GAL cannot model are noted in the
+ * comment.
+ */
+export function formatMMANAFile(params: AntennaParams, title: string): string {
+  const { copies } = buildArrayGeometry(params)
+  const match = params.feed?.match
+  const meters = (mm: number) => formatNumber(mm / 1000)
+
+  // The far end of a hairpin stub is only there for the NEC network
+  const wires = copies.flatMap(c => c.wires.filter(w => w.tag !== c.dummy?.tag))
+  const rows = wires.map(w =>
+    [...w.start.map(meters), ...w.end.map(meters), formatNumber(w.diameter / 2000, 7), w.segments]
+      .map(String)
+      .join(',\t')
+  )
+
+  // Pulse of each copy's feed: the wire holding that segment of the tag
+  const pulses = copies.map(({ feed }) => {
+    let remaining = feed.segment
+    const index = wires.findIndex(w => {
+      if (w.tag !== feed.tag) return false
+      if (remaining <= w.segments) return true
+      remaining -= w.segments
+      return false
+    })
+    const segments = wires[index].segments
+    const position =
+      remaining === 1 && segments > 1 ? 'b' : remaining === segments && segments > 1 ? 'e' : 'c'
+    return `w${index + 1}${position}`
+  })
+
+  const loads =
+    match?.type === 'gamma' && match.capacitance > 0
+      ? pulses.map(p => `${p},\t${LOAD_LC},\t0.0,\t${formatNumber(match.capacitance)},\t0.0`)
+      : []
+
+  const notes: string[] = []
+  if (match?.type === 'hairpin') {
+    notes.push('Hairpin match not included: MMANA-GAL has no transmission line stubs.')
+  }
+
+  const ground = hasGround(params) ? (params.groundType ?? 'none') : 'none'
+  const height = ground === 'none' ? 0 : getInstallation(params).height
+
+  return [
+    title,
+    '*',
+    formatNumber(params.frequency),
+    '*** Wires ***',
+    String(rows.length),
+    ...rows,
+    '*** Source ***',
+    `${pulses.length},\t1`,
+    ...pulses.map((p, i) => `${p},\t${formatNumber(copies[i].phase, 4)},\t1.0`),
+    '*** Load ***',
+    `${loads.length},\t1`,
+    ...loads,
+    '*** Segmentation ***',
+    DEFAULT_SEGMENTATION,
+    '*** G/H/M/R/AzEl/X ***',
+    `${GROUND_CODES[ground]},\t${formatNumber(height)},\t0,\t${params.feed?.referenceImpedance ?? 50},\t120,\t60,\t0.0`,
+    '### Comment ###',
+    'Exported from OpenUda',
+    ...notes,
+    '',
+  ].join('\n')
+}
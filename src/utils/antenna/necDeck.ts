@@ -0,0 +1,870 @@
+/**
+ * NEC deck parser and serializer
+ *
+ * Reads every card nec2c accepts plus the 4nec2 SY symbol card, resolves the
+ * straight-wire geometry (including GM, GX, GR and GS transforms) and writes
+ * decks back out. Fields are tokenized the way nec2c reads them: separated by
+ * spaces, tabs or commas, with missing trailing fields read as 0.
+ */
+
+import {
+  NEC_CONTROL_CARDS,
+  NEC_GEOMETRY_CARDS,
+  type NECCard,
+  type NECCardMnemonic,
+  type NECData,
+  type NECExcitation,
+  type NECField,
+  type NECGround,
+  type NECWire,
+} from '@/types/antenna/fileFormats'
+import type { AntennaElement, AntennaParams, ElementSection, Polarization } from '@/utils/nec2c'
+
+export interface NECDeckParseResult {
+  data: NECData
+  warnings: string[]
+}
+
+export interface NECSerializeOptions {
+  // Write evaluated numbers instead of SY expressions and drop SY cards and
+  // trailing text, so nec2c can run the deck
+  resolveSymbols?: boolean
+}
+
+export interface YagiRecognitionResult {
+  params?: AntennaParams // undefined when the deck cannot be mapped to a Yagi
+  warnings: string[]
+}
+
+const GEOMETRY_CARDS = new Set<string>(NEC_GEOMETRY_CARDS)
+const CONTROL_CARDS = new Set<string>(NEC_CONTROL_CARDS)
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/
+const NEC_DEFAULT_FREQUENCY = 299.8 // MHz, used by nec2c when there is no FR card
+const DEG = Math.PI / 180
+
+const integerFieldCount = (mnemonic: NECCardMnemonic) => (GEOMETRY_CARDS.has(mnemonic) ? 2 : 4)
+
+/**
+ * Integer field I1, I2, ... of a card (1-based)
+ */
+export function integerField(card: NECCard, index: number): number {
+  return Math.trunc(card.fields[index - 1]?.value ?? 0)
+}
+
+/**
+ * Float field F1, F2, ... of a card (1-based)
+ */
+export function floatField(card: NECCard, index: number): number {
+  return card.fields[integerFieldCount(card.mnemonic) + index - 1]?.value ?? 0
+}
+
+// --- SY expressions ---
+
+// Trigonometric functions take and return degrees, as in 4nec2
+const FUNCTIONS: Record<string, (x: number) => number> = {
+  sin: x => Math.sin(x * DEG),
+  cos: x => Math.cos(x * DEG),
+  tan: x => Math.tan(x * DEG),
+  atn: x => Math.atan(x) / DEG,
+  atan: x => Math.atan(x) / DEG,
+  sqr: Math.sqrt,
+  sqrt: Math.sqrt,
+  exp: Math.exp,
+  log: Math.log,
+  log10: Math.log10,
+  abs: Math.abs,
+  int: Math.trunc,
+  sgn: Math.sign,
+}
+
+const CONSTANTS: Record<string, number> = { pi: Math.PI }
+
+function tokenizeExpression(expression: string): string[] {
+  const tokens: string[] = []
+  const pattern = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|([A-Za-z_]\w*)|([-+*/^()]))/y
+  let index = 0
+
+  while (index < expression.length) {
+    if (!expression.slice(index).trim()) break
+    pattern.lastIndex = index
+    const match = pattern.exec(expression)
+    if (!match) {
+      throw new Error(`Unexpected character '${expression.slice(index).trim()[0]}'`)
+    }
+    tokens.push(match[1] ?? match[2] ?? match[3])
+    index = pattern.lastIndex
+  }
+  return tokens
+}
+
+/**
+ * Evaluate an SY expression: numbers, symbols, + - * / ^, parentheses and the
+ * 4nec2 functions (sin, cos, tan, atn, sqr, exp, log, log10, abs, int, sgn).
+ */
+export function evaluateExpression(expression: string, symbols: Record<string, number>): number {
+  const tokens = tokenizeExpression(expression)
+  let position = 0
+
+  const peek = () => tokens[position]
+  const next = () => tokens[position++]
+  const expect = (token: string) => {
+    if (next() !== token) throw new Error(`Expected '${token}' in '${expression}'`)
+  }
+
+  const parseSum = (): number => {
+    let value = parseProduct()
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseProduct() : value - parseProduct()
+    }
+    return value
+  }
+
+  const parseProduct = (): number => {
+    let value = parseUnary()
+    while (peek() === '*' || peek() === '/') {
+      value = next() === '*' ? value * parseUnary() : value / parseUnary()
+    }
+    return value
+  }
+
+  const parseUnary = (): number => {
+    if (peek() === '-') {
+      next()
+      return -parseUnary()
+    }
+    if (peek() === '+') {
+      next()
+      return parseUnary()
+    }
+    return parsePower()
+  }
+
+  // Right-associative: 2^3^2 = 2^9
+  const parsePower = (): number => {
+    const base = parsePrimary()
+    if (peek() === '^') {
+      next()
+      return Math.pow(base, parseUnary())
+    }
+    return base
+  }
+
+  const parsePrimary = (): number => {
+    const token = next()
+    if (token === undefined) throw new Error(`Unexpected end of '${expression}'`)
+
+    if (token === '(') {
+      const value = parseSum()
+      expect(')')
+      return value
+    }
+    if (NUMBER_PATTERN.test(token)) return parseFloat(token)
+
+    if (/^[A-Za-z_]/.test(token)) {
+      if (peek() === '(') {
+        const fn = FUNCTIONS[token.toLowerCase()]
+        if (!fn) throw new Error(`Unknown function '${token}'`)
+        next()
+        const argument = parseSum()
+        expect(')')
+        return fn(argument)
+      }
+      if (token in symbols) return symbols[token]
+      if (token.toLowerCase() in CONSTANTS) return CONSTANTS[token.toLowerCase()]
+      throw new Error(`Unknown symbol '${token}'`)
+    }
+
+    throw new Error(`Unexpected '${token}' in '${expression}'`)
+  }
+
+  const value = parseSum()
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${tokens[position]}' in '${expression}'`)
+  }
+  return value
+}
+
+// --- Parsing ---
+
+function parseSymbols(
+  text: string,
+  symbols: Record<string, number>,
+  lineNumber: number,
+  warnings: string[]
+): void {
+  // 4nec2 allows a trailing ' comment after the definitions
+  const definitions = text.split("'")[0]
+  for (const assignment of definitions.split(',')) {
+    if (!assignment.trim()) continue
+
+    const match = assignment.match(/^\s*([A-Za-z_]\w*)\s*=\s*(.+?)\s*$/)
+    if (!match) {
+      warnings.push(`Line ${lineNumber}: cannot read symbol definition '${assignment.trim()}'`)
+      continue
+    }
+
+    try {
+      symbols[match[1]] = evaluateExpression(match[2], symbols)
+    } catch (error) {
+      warnings.push(`Line ${lineNumber}: ${error instanceof Error ? error.message : error}`)
+    }
+  }
+}
+
+function parseFields(
+  text: string,
+  symbols: Record<string, number>,
+  lineNumber: number,
+  warnings: string[]
+): NECField[] {
+  return text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(token => {
+      if (NUMBER_PATTERN.test(token)) return { value: parseFloat(token) }
+
+      try {
+        return { value: evaluateExpression(token, symbols), expression: token }
+      } catch (error) {
+        warnings.push(`Line ${lineNumber}: ${error instanceof Error ? error.message : error}`)
+        return { value: 0, expression: token }
+      }
+    })
+}
+
+/**
+ * Parse a NEC deck. Problems are reported as warnings; the parser never
+ * rejects a deck, so whatever it contains is kept.
+ */
+export function parseNECDeck(content: string): NECDeckParseResult {
+  const warnings: string[] = []
+  const cards: NECCard[] = []
+  const symbols: Record<string, number> = {}
+  const lines = content.replace(/\r\n?/g, '\n').split('\n')
+  let geometryEnded = false
+  let hasEnd = false
+  let trailer: string | undefined
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim()
+    const lineNumber = i + 1
+    if (!line) continue
+
+    const mnemonic = line.slice(0, 2).toUpperCase() as NECCardMnemonic
+    const rest = line.slice(2)
+
+    if (mnemonic === 'CM' || mnemonic === 'CE') {
+      cards.push({ mnemonic, fields: [], text: rest })
+      continue
+    }
+    if (mnemonic === 'SY') {
+      parseSymbols(rest, symbols, lineNumber, warnings)
+      cards.push({ mnemonic, fields: [], text: rest })
+      continue
+    }
+
+    if (!GEOMETRY_CARDS.has(mnemonic) && !CONTROL_CARDS.has(mnemonic)) {
+      warnings.push(`Line ${lineNumber}: unknown card '${line.slice(0, 2)}' ignored`)
+      continue
+    }
+    if (GEOMETRY_CARDS.has(mnemonic) && geometryEnded) {
+      warnings.push(`Line ${lineNumber}: geometry card ${mnemonic} after GE`)
+    }
+
+    const card: NECCard = { mnemonic, fields: parseFields(rest, symbols, lineNumber, warnings) }
+    const integerCount = Math.min(integerFieldCount(mnemonic), card.fields.length)
+    for (let k = 0; k < integerCount; k++) {
+      if (!Number.isInteger(card.fields[k].value)) {
+        warnings.push(`Line ${lineNumber}: ${mnemonic} field I${k + 1} is not an integer`)
+      }
+    }
+    cards.push(card)
+
+    if (mnemonic === 'GE') geometryEnded = true
+    if (mnemonic === 'EN') {
+      hasEnd = true
+      const remaining = lines
+        .slice(i + 1)
+        .join('\n')
+        .trimEnd()
+      if (remaining) trailer = remaining
+      break
+    }
+  }
+
+  if (cards.some(c => GEOMETRY_CARDS.has(c.mnemonic)) && !geometryEnded) {
+    warnings.push('Deck has no GE card')
+  }
+  if (!hasEnd) {
+    warnings.push('Deck has no EN card')
+  }
+
+  const frequencyCard = cards.find(c => c.mnemonic === 'FR')
+  if (!frequencyCard) {
+    warnings.push(`Deck has no FR card; nec2c runs at ${NEC_DEFAULT_FREQUENCY} MHz`)
+  }
+
+  const excitations = cards.filter(c => c.mnemonic === 'EX').map(parseExcitation)
+
+  return {
+    data: {
+      frequency: frequencyCard ? getCenterFrequency(frequencyCard) : NEC_DEFAULT_FREQUENCY,
+      wires: resolveWires(cards),
+      excitation: excitations[0],
+      excitations,
+      ground: parseGround(cards),
+      comments: cards
+        .filter(c => c.mnemonic === 'CM' || c.mnemonic === 'CE')
+        .map(c => c.text!.trim())
+        .filter(Boolean),
+      cards,
+      symbols,
+      trailer,
+    },
+    warnings,
+  }
+}
+
+/**
+ * Center of the frequency range of an FR card (linear or multiplicative steps)
+ */
+function getCenterFrequency(card: NECCard): number {
+  const steps = Math.max(1, integerField(card, 2)) - 1
+  const start = floatField(card, 1)
+  const increment = floatField(card, 2)
+
+  const center =
+    integerField(card, 1) === 1
+      ? start * Math.pow(increment > 0 ? increment : 1, steps / 2)
+      : start + (increment * steps) / 2
+  // Drop floating-point noise such as 7.0249999999999995
+  return parseFloat(center.toPrecision(12))
+}
+
+function parseExcitation(card: NECCard): NECExcitation {
+  const real = floatField(card, 1)
+  const imaginary = floatField(card, 2)
+  return {
+    type: integerField(card, 1),
+    wireTag: integerField(card, 2),
+    segment: integerField(card, 3),
+    voltage: Math.hypot(real, imaginary),
+    phase: Math.atan2(imaginary, real) / DEG,
+  }
+}
+
+function parseGround(cards: NECCard[]): NECGround | undefined {
+  const card = cards.find(c => c.mnemonic === 'GN')
+  if (!card) return undefined
+
+  switch (integerField(card, 1)) {
+    case -1:
+      return { type: 'none' }
+    case 1:
+      return { type: 'perfect' }
+    default:
+      return { type: 'real', dielectric: floatField(card, 1), conductivity: floatField(card, 2) }
+  }
+}
+
+// --- Geometry ---
+
+type Vector = [number, number, number]
+
+const withTag = (tag: number, increment: number) => (tag === 0 ? 0 : tag + increment)
+
+function mapWire(wire: NECWire, transform: (p: Vector) => Vector, tag: number): NECWire {
+  const [x1, y1, z1] = transform([wire.x1, wire.y1, wire.z1])
+  const [x2, y2, z2] = transform([wire.x2, wire.y2, wire.z2])
+  return { ...wire, tag, x1, y1, z1, x2, y2, z2 }
+}
+
+/**
+ * GM: rotate about X, Y, Z (degrees) then translate, in place or as copies
+ */
+function moveWires(wires: NECWire[], card: NECCard): NECWire[] {
+  const tagIncrement = integerField(card, 1)
+  const repeats = integerField(card, 2)
+  const [rox, roy, roz] = [1, 2, 3].map(n => floatField(card, n) * DEG)
+  const [xs, ys, zs] = [4, 5, 6].map(n => floatField(card, n))
+  const startTag = Math.trunc(floatField(card, 7) + 0.5)
+
+  const [sps, cps] = [Math.sin(rox), Math.cos(rox)]
+  const [sth, cth] = [Math.sin(roy), Math.cos(roy)]
+  const [sph, cph] = [Math.sin(roz), Math.cos(roz)]
+  const transform = ([x, y, z]: Vector): Vector => [
+    x * cph * cth + y * (cph * sth * sps - sph * cps) + z * (cph * sth * cps + sph * sps) + xs,
+    x * sph * cth + y * (sph * sth * sps + cph * cps) + z * (sph * sth * cps - cph * sps) + ys,
+    -x * sth + y * cth * sps + z * cth * cps + zs,
+  ]
+
+  // Everything from the first wire with the given tag onwards is moved
+  const start = Math.max(0, startTag === 0 ? 0 : wires.findIndex(w => w.tag === startTag))
+  let source = wires.slice(start)
+
+  if (repeats === 0) {
+    return [
+      ...wires.slice(0, start),
+      ...source.map(w => mapWire(w, transform, withTag(w.tag, tagIncrement))),
+    ]
+  }
+
+  const result = [...wires]
+  for (let i = 0; i < repeats; i++) {
+    source = source.map(w => mapWire(w, transform, withTag(w.tag, tagIncrement)))
+    result.push(...source)
+  }
+  return result
+}
+
+/**
+ * GX: reflect in the XY, XZ and YZ planes (in that order, as nec2c does),
+ * doubling the tag increment after each reflection
+ */
+function reflectWires(wires: NECWire[], card: NECCard): NECWire[] {
+  const planes = integerField(card, 2)
+  const flags = {
+    x: Math.floor(planes / 100) % 10 !== 0,
+    y: Math.floor(planes / 10) % 10 !== 0,
+    z: planes % 10 !== 0,
+  }
+  const mirrors: [boolean, (p: Vector) => Vector][] = [
+    [flags.z, ([x, y, z]) => [x, y, -z]],
+    [flags.y, ([x, y, z]) => [x, -y, z]],
+    [flags.x, ([x, y, z]) => [-x, y, z]],
+  ]
+
+  let increment = integerField(card, 1)
+  let result = wires
+  for (const [enabled, mirror] of mirrors) {
+    if (!enabled) continue
+    result = [...result, ...result.map(w => mapWire(w, mirror, withTag(w.tag, increment)))]
+    increment *= 2
+  }
+  return result
+}
+
+/**
+ * GR: repeat the structure around the Z axis to form NR copies in total
+ */
+function rotateWires(wires: NECWire[], card: NECCard): NECWire[] {
+  const tagIncrement = integerField(card, 1)
+  const copies = integerField(card, 2)
+  const angle = (2 * Math.PI) / Math.max(1, copies)
+  const [cs, ss] = [Math.cos(angle), Math.sin(angle)]
+  const rotate = ([x, y, z]: Vector): Vector => [x * cs - y * ss, x * ss + y * cs, z]
+
+  const result = [...wires]
+  let previous = wires
+  for (let i = 1; i < copies; i++) {
+    previous = previous.map(w => mapWire(w, rotate, withTag(w.tag, tagIncrement)))
+    result.push(...previous)
+  }
+  return result
+}
+
+function scaleWires(wires: NECWire[], factor: number): NECWire[] {
+  return wires.map(w => ({
+    ...w,
+    x1: w.x1 * factor,
+    y1: w.y1 * factor,
+    z1: w.z1 * factor,
+    x2: w.x2 * factor,
+    y2: w.y2 * factor,
+    z2: w.z2 * factor,
+    radius: w.radius * factor,
+    taper: w.taper && {
+      ...w.taper,
+      startRadius: w.taper.startRadius * factor,
+      endRadius: w.taper.endRadius * factor,
+    },
+  }))
+}
+
+/**
+ * Straight wires of the structure. Arcs, helices and patches (GA, GH, SP, SM)
+ * are not included.
+ */
+function resolveWires(cards: NECCard[]): NECWire[] {
+  let wires: NECWire[] = []
+
+  for (let i = 0; i < cards.length; i++) {
+    const card = cards[i]
+
+    switch (card.mnemonic) {
+      case 'GW': {
+        const wire: NECWire = {
+          tag: integerField(card, 1),
+          segments: integerField(card, 2),
+          x1: floatField(card, 1),
+          y1: floatField(card, 2),
+          z1: floatField(card, 3),
+          x2: floatField(card, 4),
+          y2: floatField(card, 5),
+          z2: floatField(card, 6),
+          radius: floatField(card, 7),
+        }
+        const taper = cards[i + 1]
+        if (wire.radius === 0 && taper?.mnemonic === 'GC') {
+          wire.taper = {
+            lengthRatio: floatField(taper, 1),
+            startRadius: floatField(taper, 2),
+            endRadius: floatField(taper, 3),
+          }
+        }
+        wires.push(wire)
+        break
+      }
+      case 'GM':
+        wires = moveWires(wires, card)
+        break
+      case 'GX':
+        wires = reflectWires(wires, card)
+        break
+      case 'GR':
+        wires = rotateWires(wires, card)
+        break
+      case 'GS':
+        wires = scaleWires(wires, floatField(card, 1))
+        break
+      case 'GE':
+        return wires
+    }
+  }
+  return wires
+}
+
+// --- Serialization ---
+
+// String(-0) is '0'; keep the sign so mirrored coordinates survive a round trip
+const formatNumber = (value: number) => (Object.is(value, -0) ? '-0' : String(value))
+
+/**
+ * Write a deck back out, one card per line. Comment text, SY expressions and
+ * text after EN are kept as written; numbers are written in their shortest
+ * exact form.
+ */
+export function serializeNECDeck(data: NECData, options: NECSerializeOptions = {}): string {
+  const { resolveSymbols = false } = options
+  const lines: string[] = []
+
+  for (const card of data.cards) {
+    if (card.text !== undefined) {
+      if (!(resolveSymbols && card.mnemonic === 'SY')) {
+        lines.push(card.mnemonic + card.text)
+      }
+      continue
+    }
+
+    const integerCount = integerFieldCount(card.mnemonic)
+    const fields = card.fields.map((field, index) => {
+      if (!resolveSymbols) return field.expression ?? formatNumber(field.value)
+      // nec2c rejects a decimal point in an integer field
+      return index < integerCount ? String(Math.trunc(field.value)) : formatNumber(field.value)
+    })
+    lines.push([card.mnemonic, ...fields].join(' '))
+  }
+
+  if (data.trailer !== undefined && !resolveSymbols) {
+    lines.push(data.trailer)
+  }
+  return lines.join('\n') + '\n'
+}
+
+// --- Yagi recognition ---
+
+interface WireGroup {
+  wires: NECWire[]
+  tags: number[]
+  direction: Vector // unit vector
+  center: Vector
+  length: number // m
+  radius: number // m, length-weighted mean
+  segments: number
+  tapered: boolean
+}
+
+const sub = (a: Vector, b: Vector): Vector => [a[0] - b[0], a[1] - b[1], a[2] - b[2]]
+const dot = (a: Vector, b: Vector) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+const norm = (a: Vector) => Math.hypot(...a)
+const crossNorm = (a: Vector, b: Vector) =>
+  Math.hypot(a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0])
+
+const wireStart = (w: NECWire): Vector => [w.x1, w.y1, w.z1]
+const wireEnd = (w: NECWire): Vector => [w.x2, w.y2, w.z2]
+const wireRadius = (w: NECWire) =>
+  w.taper ? (w.taper.startRadius + w.taper.endRadius) / 2 : w.radius
+
+const ENDPOINT_TOLERANCE = 1e-6 // m
+const PARALLEL_TOLERANCE = 1e-3 // sine of the angle between wires
+
+// Round away floating-point noise from unit conversion (0.1 µm)
+const toMillimeters = (meters: number) => Math.round(meters * 1e7) / 1e4
+
+/**
+ * Join collinear wires that touch end to end, e.g. the tube sections of a
+ * tapered element
+ */
+function groupWires(wires: NECWire[]): WireGroup[] {
+  const parent = wires.map((_, i) => i)
+  const find = (i: number): number => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+
+  const directions = wires.map(w => {
+    const d = sub(wireEnd(w), wireStart(w))
+    const length = norm(d)
+    return (length > 0 ? d.map(c => c / length) : [0, 0, 0]) as Vector
+  })
+
+  for (let i = 0; i < wires.length; i++) {
+    for (let j = i + 1; j < wires.length; j++) {
+      if (crossNorm(directions[i], directions[j]) > PARALLEL_TOLERANCE) continue
+      const touches = [wireStart(wires[i]), wireEnd(wires[i])].some(a =>
+        [wireStart(wires[j]), wireEnd(wires[j])].some(b => norm(sub(a, b)) < ENDPOINT_TOLERANCE)
+      )
+      if (touches) parent[find(i)] = find(j)
+    }
+  }
+
+  const members = new Map<number, number[]>()
+  wires.forEach((_, i) => members.set(find(i), [...(members.get(find(i)) ?? []), i]))
+
+  return Array.from(members.values()).map(indices => {
+    const groupWires = indices.map(i => wires[i])
+    const direction = directions[indices[0]]
+    const origin = wireStart(groupWires[0])
+    const offsets = groupWires.flatMap(w => [
+      dot(sub(wireStart(w), origin), direction),
+      dot(sub(wireEnd(w), origin), direction),
+    ])
+    const [min, max] = [Math.min(...offsets), Math.max(...offsets)]
+    const lengths = groupWires.map(w => norm(sub(wireEnd(w), wireStart(w))))
+    const totalLength = lengths.reduce((sum, l) => sum + l, 0)
+    const radii = groupWires.map(wireRadius)
+
+    return {
+      wires: groupWires,
+      tags: Array.from(new Set(groupWires.map(w => w.tag))),
+      direction,
+      center: origin.map((c, k) => c + direction[k] * ((min + max) / 2)) as Vector,
+      length: max - min,
+      radius:
+        totalLength > 0
+          ? radii.reduce((sum, r, k) => sum + r * lengths[k], 0) / totalLength
+          : radii[0],
+      segments: groupWires.reduce((sum, w) => sum + w.segments, 0),
+      tapered: groupWires.some(w => w.taper) || radii.some(r => r !== radii[0]),
+    }
+  })
+}
+
+/**
+ * Telescoping tubes of a stepped element, from its center outwards (mm).
+ * Undefined unless both halves step the same way and no tube is tapered.
+ */
+function getSections(g: WireGroup): ElementSection[] | undefined {
+  if (g.wires.some(w => w.taper)) return undefined
+
+  const origin = g.center
+  const spans = g.wires.map(w => {
+    const [a, b] = [wireStart(w), wireEnd(w)].map(p => dot(sub(p, origin), g.direction))
+    return { from: Math.min(a, b), to: Math.max(a, b), radius: w.radius }
+  })
+  const half = (side: 1 | -1) => {
+    const tubes = spans
+      .map(s => ({
+        from: Math.max(0, side === 1 ? s.from : -s.to),
+        to: side === 1 ? s.to : -s.from,
+        radius: s.radius,
+      }))
+      .filter(t => t.to - t.from > ENDPOINT_TOLERANCE)
+      .sort((a, b) => a.from - b.from)
+    // Adjacent wires of the same radius are one tube
+    return tubes.reduce<typeof tubes>((merged, t) => {
+      const last = merged[merged.length - 1]
+      if (last && last.radius === t.radius) last.to = t.to
+      else merged.push({ ...t })
+      return merged
+    }, [])
+  }
+
+  const [right, left] = [half(1), half(-1)]
+  const mirrored =
+    right.length === left.length &&
+    right.every(
+      (t, i) => t.radius === left[i].radius && Math.abs(t.to - left[i].to) < ENDPOINT_TOLERANCE
+    )
+  if (!mirrored || right.length < 2) return undefined
+
+  return right.map(t => ({
+    length: toMillimeters(t.to - t.from),
+    diameter: toMillimeters(2 * t.radius),
+  }))
+}
+
+const formatTags = (groups: WireGroup[]) => groups.flatMap(g => g.tags).join(', ')
+
+/**
+ * Map a deck to Yagi-Uda elements by geometry and excitation: parallel
+ * straight elements centered on one boom line, exactly one of them driven.
+ * Decks that do not fit (stacked bays, crossed elements, helices...) return
+ * no parameters and say why.
+ */
+export function recognizeYagi(data: NECData): YagiRecognitionResult {
+  const warnings: string[] = []
+  const fail = (reason: string): YagiRecognitionResult => ({
+    warnings: [`Cannot map this deck to a Yagi-Uda design: ${reason}`, ...warnings],
+  })
+
+  const curved = data.cards.filter(c => ['GA', 'GH', 'SP', 'SM', 'GF'].includes(c.mnemonic))
+  if (curved.length > 0) {
+    const kinds = Array.from(new Set(curved.map(c => c.mnemonic))).join(', ')
+    return fail(`it contains arcs, helices or patches (${kinds}).`)
+  }
+  if (data.wires.length === 0) {
+    return fail('it has no wires.')
+  }
+
+  // Elements are the largest set of mutually parallel wire groups
+  const groups = groupWires(data.wires)
+  const parallelSets = groups.map(g =>
+    groups.filter(other => crossNorm(g.direction, other.direction) <= PARALLEL_TOLERANCE)
+  )
+  const elements = parallelSets.reduce((best, set) => (set.length > best.length ? set : best))
+  const elementDirection = elements[0].direction
+  const others = groups.filter(g => !elements.includes(g))
+
+  // Boom axis through the element centers
+  const first = elements[0].center
+  const farthest = elements.reduce((best, g) =>
+    norm(sub(g.center, first)) > norm(sub(best.center, first)) ? g : best
+  )
+  const span = norm(sub(farthest.center, first))
+  const boomAxis = (span > 0 ? sub(farthest.center, first).map(c => c / span) : [1, 0, 0]) as Vector
+  const meanLength = elements.reduce((sum, g) => sum + g.length, 0) / elements.length
+  const lineTolerance = 0.02 * meanLength
+  const distanceFromBoom = (p: Vector) => {
+    const offset = sub(p, first)
+    return norm(sub(offset, boomAxis.map(c => c * dot(offset, boomAxis)) as Vector))
+  }
+
+  if (elements.some(g => distanceFromBoom(g.center) > lineTolerance)) {
+    return fail('the element centers do not lie on one boom line (stacked or multi-bay array?).')
+  }
+  if (span > 0 && Math.abs(dot(boomAxis, elementDirection)) > 0.05) {
+    return fail('the elements are not perpendicular to the boom.')
+  }
+
+  // A wire along the boom line is the boom itself; anything else is not a Yagi
+  const booms = others.filter(
+    g =>
+      crossNorm(g.direction, boomAxis) <= PARALLEL_TOLERANCE &&
+      distanceFromBoom(g.center) <= lineTolerance
+  )
+  const foreign = others.filter(g => !booms.includes(g))
+  if (foreign.length > 0) {
+    return fail(
+      `wires ${formatTags(foreign)} are not parallel to the elements ` +
+        '(crossed or folded elements, feed lines?).'
+    )
+  }
+  if (booms.length > 0) {
+    warnings.push(`Boom wire (tag ${formatTags(booms)}) left out; the boom is not modelled.`)
+  }
+
+  // Exactly one element carries a voltage source
+  const sources = data.excitations.filter(e => e.type === 0 || e.type === 5)
+  if (sources.length === 0) {
+    return fail('it has no voltage source (EX type 0).')
+  }
+  const driven = Array.from(
+    new Set(sources.map(e => elements.find(g => g.tags.includes(e.wireTag))))
+  )
+  if (driven.includes(undefined)) {
+    return fail('a voltage source is not on an element.')
+  }
+  if (driven.length > 1) {
+    return fail(`${driven.length} elements are excited (phased or stacked array?).`)
+  }
+  const drivenGroup = driven[0]!
+
+  // Transmission lines between elements make a log-periodic style feed
+  const networks = data.cards.filter(c => c.mnemonic === 'TL' || c.mnemonic === 'NT')
+  const linkedElements = new Set(
+    networks
+      .flatMap(c => [integerField(c, 1), integerField(c, 3)])
+      .filter(tag => tag !== 0)
+      .map(tag => elements.find(g => g.tags.includes(tag)))
+      .filter(Boolean)
+  )
+  if (linkedElements.size > 1) {
+    return fail('transmission lines connect several elements (log-periodic feed?).')
+  }
+
+  // Orient the boom so the directors (shorter than the driven element) are in front
+  const offsets = elements.map(g => dot(sub(g.center, drivenGroup.center), boomAxis))
+  const meanSideLength = (side: number) => {
+    const lengths = elements.filter((_, i) => Math.sign(offsets[i]) === side).map(g => g.length)
+    return lengths.length > 0 ? lengths.reduce((a, b) => a + b) / lengths.length : undefined
+  }
+  const front = meanSideLength(1)
+  const back = meanSideLength(-1)
+  let reversed = false
+  if (front !== undefined && back !== undefined) {
+    reversed = front > back
+  } else if (front !== undefined) {
+    reversed = front > drivenGroup.length
+  } else if (back !== undefined) {
+    reversed = back < drivenGroup.length
+  }
+  const orientation = reversed ? -1 : 1
+
+  const sections = new Map(elements.filter(g => g.tapered).map(g => [g, getSections(g)]))
+  const yagiElements: AntennaElement[] = elements.map((g, i) => {
+    const position = offsets[i] * orientation
+    return {
+      type: g === drivenGroup ? 'driven' : position < 0 ? 'reflector' : 'director',
+      position: toMillimeters(position),
+      length: toMillimeters(g.length),
+      diameter: toMillimeters(2 * g.radius),
+      segments: g.segments,
+      ...(sections.get(g) && { sections: sections.get(g) }),
+    }
+  })
+  yagiElements.sort((a, b) => a.position - b.position)
+
+  elements
+    .filter(g => g.tapered && !sections.get(g))
+    .forEach(g =>
+      warnings.push(
+        `Element with tags ${g.tags.join(', ')} is tapered; ` +
+          `using its average diameter of ${toMillimeters(2 * g.radius)} mm.`
+      )
+    )
+
+  if (data.cards.some(c => c.mnemonic === 'LD')) {
+    warnings.push('LD loads (e.g. wire conductivity) were left out.')
+  }
+  if (networks.length > 0) {
+    warnings.push('Transmission lines and networks (TL/NT cards) were left out.')
+  }
+  // The mounting height is that of the boom over ground; vertical elements
+  // make a vertically polarized installation
+  const ground = data.ground ?? { type: 'none' }
+  const polarization: Polarization = Math.abs(elementDirection[2]) > 0.5 ? 'vertical' : 'horizontal'
+  const installation =
+    ground.type !== 'none' || polarization === 'vertical'
+      ? { height: Math.round(drivenGroup.center[2] * 1000) / 1000, polarization }
+      : undefined
+
+  return {
+    params: {
+      frequency: data.frequency,
+      elements: yagiElements,
+      groundType: ground.type,
+      groundConductivity: ground.conductivity,
+      groundDielectric: ground.dielectric,
+      ...(installation && { installation }),
+    },
+    warnings,
+  }
+}
@@ -1,202 +1,648 @@
 import type { PresetElement } from '@/types/antenna/presets'
-import { simulateAntenna, type AntennaParams, type SimulationResults } from '../nec2c'
+import type {
+  AntennaParams,
+  BoomParams,
+  FeedParams,
+  FrequencySweep,
+  InstallationParams,
+  SweepPoint,
+} from '../nec2c'
+import { createAbortError, getNEC2WorkerPool, isAbortError } from '../nec2cWorkerPool'
+import type { GroundParams } from './installation'
+import { getCrowdingDistances, sortNondominated, type ParetoPoint } from './pareto'
+import { createRandom, createSeed, type Random } from './random'
 
 // --- 유전 알고리즘 상수 ---
-const POPULATION_SIZE = 50 // 한 세대의 개체 수
-const NUM_GENERATIONS = 30 // 총 세대 수
 const MUTATION_RATE = 0.05 // 돌연변이 확률 (5%)
 const MUTATION_AMOUNT = 0.1 // 돌연변이 시 변경량 (최대 10%)
 const ELITISM_COUNT = 2 // 다음 세대에 그대로 전달될 엘리트 개체 수
+const TOURNAMENT_SIZE = 5
+
+// --- Nelder-Mead 상수 ---
+const SIMPLEX_STEP = 0.02 // 초기 심플렉스 크기 (길이의 2%, 위치는 파장의 2%)
+const REFLECTION = 1
+const EXPANSION = 2
+const CONTRACTION = 0.5
+const SHRINK = 0.5
 
 // --- 타입 정의 ---
 export type OptimizationTarget = 'gain' | 'fbRatio' | 'balanced'
+export type OptimizerAlgorithm = 'ga' | 'nsga2' | 'nelder-mead'
+export type ObjectiveMetric = 'gain' | 'frontToBackRatio' | 'vswr'
+export type ObjectiveAggregate = 'worst' | 'mean'
 
-interface Individual {
+export interface OptimizationObjective {
+  metric: ObjectiveMetric
+  aggregate: ObjectiveAggregate // 대역 내 최악값 또는 평균
+  weight: number // 가중합(GA, Nelder-Mead)에서의 비중. NSGA-II는 최종 추천에만 사용
+}
+
+export interface ElementBounds {
+  minLength?: number // mm
+  maxLength?: number // mm
+  minPosition?: number // mm
+  maxPosition?: number // mm
+}
+
+// 소자 수는 항상 초기 설계와 같고, 소자끼리 순서가 바뀌지 않습니다.
+export interface OptimizerConstraints {
+  maxBoomLength?: number // 맨 뒤 소자부터 맨 앞 소자까지 (mm)
+  minSpacing?: number // 인접 소자 최소 간격 (mm, 기본 0.02λ)
+  maxVswr?: number // 대역 내 최악 VSWR 상한
+  lockDriven?: boolean // 급전 소자 길이 고정 (위치는 항상 고정)
+  lengthRange?: number // 초기 길이 대비 허용 범위 (±%)
+  elementBounds?: ElementBounds[] // 소자별 범위 (설계의 소자 순서)
+}
+
+// 설정 화면에서 고르는 값들. 설계와 무관하게 저장됩니다.
+export interface OptimizerSettings {
+  algorithm: OptimizerAlgorithm
+  objectives: OptimizationObjective[]
+  band?: FrequencySweep // 평가 주파수 (없으면 설계 주파수 한 점)
+  constraints: OptimizerConstraints
+  populationSize: number // Nelder-Mead는 사용하지 않음
+  generations: number // Nelder-Mead에서는 반복 횟수
+  seed?: number // 없으면 새로 만들고 시작 이벤트로 알려줌
+}
+
+// 대역 내 최악값
+export interface BandPerformance {
+  gain: number // dBi
+  frontToBackRatio: number // dB
+  vswr: number
+}
+
+export interface OptimizationCandidate {
   elements: PresetElement[]
-  fitness: number
-  results?: SimulationResults
+  performance: BandPerformance
+  objectives: number[] // 목표 순서의 값 (dBi, dB, VSWR 그대로)
+  score: number // 가중합 (클수록 좋음)
+  violation: number // 제약 위반량, 0이면 만족
+}
+
+export interface OptimizerGeneration {
+  generation: number // 1부터
+  generations: number
+  evaluations: number // 지금까지의 시뮬레이션 횟수
+  best: OptimizationCandidate
+  meanScore: number // 제약을 만족하는 개체의 평균 점수
+  front: OptimizationCandidate[] // 현재 파레토 프런트
 }
 
-export interface OptimizerOptions {
+export type OptimizerEvent =
+  | { type: 'start'; algorithm: OptimizerAlgorithm; seed: number; generations: number }
+  | ({ type: 'generation' } & OptimizerGeneration)
+
+export interface OptimizationResult {
+  seed: number
+  best: OptimizationCandidate // 가중합 기준 추천 설계
+  front: OptimizationCandidate[] // 최종 파레토 프런트 (점수 내림차순)
+}
+
+export interface OptimizerOptions extends Partial<OptimizerSettings> {
   initialElements: PresetElement[]
   frequency: number
-  target: OptimizationTarget
-  onProgress: (log: string) => void
+  boom?: BoomParams // 붐 모델 (없으면 붐 영향 무시)
+  feed?: FeedParams // 급전 방식과 정합 회로 (VSWR 기준 임피던스 포함)
+  ground?: GroundParams // 지면 (없으면 자유 공간)
+  installation?: InstallationParams // 설치 높이, 편파, 스태킹 배열
+  onEvent?: (event: OptimizerEvent) => void
+  signal?: AbortSignal // 취소 시 NEC2Error('ABORTED')로 reject
+}
+
+interface Individual {
+  elements: PresetElement[]
+  result?: OptimizationCandidate
+}
+
+type EvaluatedIndividual = Required<Individual>
+
+const TARGET_OBJECTIVES: Record<OptimizationTarget, OptimizationObjective[]> = {
+  gain: [{ metric: 'gain', aggregate: 'worst', weight: 1 }],
+  fbRatio: [{ metric: 'frontToBackRatio', aggregate: 'worst', weight: 1 }],
+  // 이득과 F/B 비율에 가중치를 두어 합산
+  balanced: [
+    { metric: 'gain', aggregate: 'worst', weight: 0.6 },
+    { metric: 'frontToBackRatio', aggregate: 'worst', weight: 0.4 },
+  ],
+}
+
+/**
+ * 기존 최적화 목표(최대 이득, 최대 F/B, 균형)에 해당하는 목표 목록
+ */
+export function getTargetObjectives(target: OptimizationTarget): OptimizationObjective[] {
+  return TARGET_OBJECTIVES[target].map(objective => ({ ...objective }))
+}
+
+export const DEFAULT_OPTIMIZER_SETTINGS: OptimizerSettings = {
+  algorithm: 'ga',
+  objectives: getTargetObjectives('balanced'),
+  constraints: { maxVswr: 3 },
+  populationSize: 50,
+  generations: 30,
 }
 
-// --- 핵심 유전 알고리즘 클래스 ---
+// VSWR은 작을수록 좋으므로 부호를 뒤집어 최대화 문제로 만듭니다.
+const metricSense = (metric: ObjectiveMetric) => (metric === 'vswr' ? -1 : 1)
+
+/**
+ * 대역의 각 주파수 결과를 목표 값 하나로 요약
+ */
+export function aggregateMetric(
+  points: SweepPoint[],
+  metric: ObjectiveMetric,
+  aggregate: ObjectiveAggregate
+): number {
+  const values = points.map(point => point[metric])
+  if (aggregate === 'mean') return values.reduce((sum, v) => sum + v, 0) / values.length
+  return metricSense(metric) > 0 ? Math.min(...values) : Math.max(...values)
+}
+
+/**
+ * 제약 위반이 적은 쪽, 같으면 점수가 높은 쪽이 앞에 오도록 정렬
+ */
+export function compareCandidates(a: OptimizationCandidate, b: OptimizationCandidate): number {
+  if (a.violation !== b.violation) return a.violation < b.violation ? -1 : 1
+  if (a.score === b.score) return 0
+  return a.score > b.score ? -1 : 1
+}
+
+const toParetoPoint = (
+  candidate: OptimizationCandidate,
+  objectives: OptimizationObjective[]
+): ParetoPoint => ({
+  objectives: candidate.objectives.map((value, i) => value * metricSense(objectives[i].metric)),
+  violation: candidate.violation,
+})
+
+const clamp = (value: number, min = -Infinity, max = Infinity) =>
+  Math.min(max, Math.max(min, value))
+
+const formatCandidate = ({ performance }: OptimizationCandidate) =>
+  `Gain: ${performance.gain.toFixed(2)} dBi, F/B: ${performance.frontToBackRatio.toFixed(
+    2
+  )} dB, VSWR: ${performance.vswr.toFixed(2)}`
+
+const ALGORITHM_LABELS: Record<OptimizerAlgorithm, string> = {
+  ga: 'genetic algorithm',
+  nsga2: 'NSGA-II',
+  'nelder-mead': 'Nelder-Mead',
+}
+
+/**
+ * 최적화 이벤트를 로그 한 줄로 표시
+ */
+export function formatOptimizerEvent(event: OptimizerEvent): string {
+  if (event.type === 'start') {
+    return `Starting ${ALGORITHM_LABELS[event.algorithm]} (seed ${event.seed})...`
+  }
+  const front = event.front.length > 1 ? `, Pareto front: ${event.front.length} designs` : ''
+  return (
+    `Generation ${event.generation} / ${event.generations}: best score ${event.best.score.toFixed(
+      3
+    )} (${formatCandidate(event.best)})` + front
+  )
+}
+
+// --- 핵심 최적화 클래스 ---
 export class AntennaOptimizer {
-  private population: Individual[] = []
   private options: OptimizerOptions
+  private settings: OptimizerSettings
+  private random: Random = Math.random
+  private evaluations = 0
+  private readonly band: FrequencySweep
+  private readonly drivenIndex: number
+  private readonly order: number[] // 초기 위치 순서의 소자 인덱스
+  private readonly minSpacing: number
+  private readonly wavelength: number // mm
 
   constructor(options: OptimizerOptions) {
+    const { initialElements, frequency } = options
+    const defaults = DEFAULT_OPTIMIZER_SETTINGS
     this.options = options
+    this.settings = {
+      algorithm: options.algorithm ?? defaults.algorithm,
+      objectives: options.objectives ?? defaults.objectives,
+      band: options.band,
+      constraints: options.constraints ?? defaults.constraints,
+      populationSize: options.populationSize ?? defaults.populationSize,
+      generations: options.generations ?? defaults.generations,
+      seed: options.seed,
+    }
+    this.band = this.settings.band ?? {
+      startFrequency: frequency,
+      stopFrequency: frequency,
+      stepFrequency: 1,
+    }
+    this.drivenIndex = Math.max(
+      0,
+      initialElements.findIndex(e => e.type === 'driven')
+    )
+    this.order = initialElements
+      .map((_, i) => i)
+      .sort((a, b) => initialElements[a].position - initialElements[b].position)
+    this.wavelength = (299792458 / (frequency * 1e6)) * 1000
+    this.minSpacing = this.settings.constraints.minSpacing ?? this.wavelength * 0.02
+
+    if (this.settings.objectives.length === 0) {
+      throw new Error('At least one optimization objective is required.')
+    }
+    if (!(this.settings.generations >= 1) || !(this.settings.populationSize > ELITISM_COUNT)) {
+      throw new Error(
+        `The optimizer needs at least one generation and more than ${ELITISM_COUNT} individuals.`
+      )
+    }
+    const { maxBoomLength } = this.settings.constraints
+    if (
+      maxBoomLength !== undefined &&
+      maxBoomLength < (initialElements.length - 1) * this.minSpacing
+    ) {
+      throw new Error(
+        `A ${maxBoomLength} mm boom cannot hold ${initialElements.length} elements ` +
+          `${this.minSpacing.toFixed(0)} mm apart.`
+      )
+    }
   }
 
-  public async run(): Promise<PresetElement[]> {
+  public async run(): Promise<OptimizationResult> {
     // 이전 로그 기록을 지워 메모리 부담을 줄입니다.
     console.clear()
-    this.options.onProgress('Initializing population...')
-    this.initializePopulation()
-
-    for (let i = 0; i < NUM_GENERATIONS; i++) {
-      this.options.onProgress(`--- Generation ${i + 1} / ${NUM_GENERATIONS} ---`)
-      await this.evaluatePopulation()
-
-      // 적합도 순으로 정렬 (내림차순)
-      this.population.sort((a, b) => b.fitness - a.fitness)
-
-      const bestIndividual = this.population[0]
-      this.options.onProgress(
-        `Best Fitness: ${bestIndividual.fitness.toFixed(4)} (Gain: ${bestIndividual.results?.gain.toFixed(
-          2
-        )} dBi, F/B: ${bestIndividual.results?.frontToBackRatio.toFixed(2)} dB, VSWR: ${bestIndividual.results?.vswr.toFixed(
-          2
-        )})`
-      )
+    const seed = this.settings.seed ?? createSeed()
+    this.random = createRandom(seed)
+    this.evaluations = 0
+    const { algorithm, generations } = this.settings
+    this.options.onEvent?.({ type: 'start', algorithm, seed, generations })
 
-      if (i < NUM_GENERATIONS - 1) {
-        this.createNewGeneration()
-      }
+    let final: EvaluatedIndividual[]
+    switch (algorithm) {
+      case 'nsga2':
+        final = await this.runNSGA2()
+        break
+      case 'nelder-mead':
+        final = await this.runNelderMead()
+        break
+      default:
+        final = await this.runGeneticAlgorithm()
     }
 
-    this.options.onProgress('Optimization finished.')
-    const finalBest = this.population[0]
-    this.options.onProgress(
-      `Final best design found. Gain: ${finalBest.results?.gain.toFixed(
-        2
-      )} dBi, F/B Ratio: ${finalBest.results?.frontToBackRatio.toFixed(2)} dB`
-    )
+    const front = this.getFront(final)
+    return { seed, best: front[0], front }
+  }
 
-    const bestElements = finalBest.elements
-    // --- 명시적 메모리 해제 ---
-    // 최적화 완료 후 거대한 population 배열을 비워서 GC가 메모리를 쉽게 회수하도록 돕습니다.
-    this.population = []
+  // --- 유전 알고리즘 ---
+  private async runGeneticAlgorithm(): Promise<EvaluatedIndividual[]> {
+    const { generations, populationSize } = this.settings
+    let population = this.initializePopulation()
 
-    return bestElements
-  }
+    for (let i = 0; i < generations; i++) {
+      this.throwIfAborted()
+      const evaluated = await this.evaluatePopulation(population)
 
-  private initializePopulation(): void {
-    this.population = []
-    for (let i = 0; i < POPULATION_SIZE; i++) {
-      // 첫 번째 개체는 원본, 나머지는 약간 변형된 버전
-      const newElements =
-        i === 0
-          ? this.options.initialElements
-          : this.options.initialElements.map(el => ({
-              ...el,
-              length: el.length * (1 + (Math.random() - 0.5) * MUTATION_AMOUNT),
-              position: el.position * (1 + (Math.random() - 0.5) * MUTATION_AMOUNT),
-            }))
-      this.population.push({ elements: newElements, fitness: 0 })
+      // 적합도 순으로 정렬 (제약 만족 우선, 점수 내림차순)
+      evaluated.sort((a, b) => compareCandidates(a.result, b.result))
+      this.emitGeneration(i, evaluated)
+
+      if (i === generations - 1) return evaluated
+
+      // 1. 엘리티즘 (Elitism)
+      population = evaluated.slice(0, ELITISM_COUNT)
+      // 2. 교차 및 돌연변이
+      while (population.length < populationSize) {
+        const parent1 = this.tournamentSelection(evaluated)
+        const parent2 = this.tournamentSelection(evaluated)
+        population.push({ elements: this.mutate(this.crossover(parent1, parent2)) })
+      }
     }
+    return []
   }
 
-  private async evaluatePopulation(): Promise<void> {
-    // 병렬 실행 시 WebAssembly 모듈의 내부 상태 충돌로 인해 순차적으로 실행합니다.
-    // 이는 안정성을 보장하지만, 최적화 속도는 다소 느려질 수 있습니다.
-    for (const individual of this.population) {
-      const params: AntennaParams = {
-        frequency: this.options.frequency,
-        elements: individual.elements,
-        groundType: 'none',
-      }
-      try {
-        const results = await simulateAntenna(params)
-        individual.results = results
-        individual.fitness = this.calculateFitness(results)
-      } catch (error) {
-        console.error('Simulation failed for individual:', error)
-        individual.fitness = -Infinity // 시뮬레이션 실패 시 최악의 점수 부여
-      }
+  private tournamentSelection(population: EvaluatedIndividual[]): PresetElement[] {
+    let best = population[Math.floor(this.random() * population.length)]
+    for (let i = 1; i < TOURNAMENT_SIZE; i++) {
+      const individual = population[Math.floor(this.random() * population.length)]
+      if (compareCandidates(individual.result, best.result) < 0) best = individual
     }
+    return best.elements
   }
 
-  private calculateFitness(results: SimulationResults): number {
-    let fitness = 0
-    const { gain, frontToBackRatio, vswr } = results
+  // --- NSGA-II (파레토 최적화) ---
+  private async runNSGA2(): Promise<EvaluatedIndividual[]> {
+    const { generations, populationSize, objectives } = this.settings
+    let population = await this.evaluatePopulation(this.initializePopulation())
+    let ranks = new Map<EvaluatedIndividual, { rank: number; crowding: number }>()
 
-    switch (this.options.target) {
-      case 'gain':
-        fitness = gain
-        break
-      case 'fbRatio':
-        fitness = frontToBackRatio
-        break
-      case 'balanced':
-        // 이득과 F/B 비율에 가중치를 두어 합산
-        // 정규화 없이 간단한 가중치 합으로 시작
-        fitness = gain * 0.6 + frontToBackRatio * 0.4
-        break
+    // 부모와 자식을 합친 뒤 프런트 순, 같은 프런트 안에서는 밀집 거리 순으로 선택
+    const select = (pool: EvaluatedIndividual[]) => {
+      const fronts = sortNondominated(pool.map(ind => toParetoPoint(ind.result, objectives)))
+      const survivors: EvaluatedIndividual[] = []
+      ranks = new Map()
+      fronts.forEach((front, rank) => {
+        if (survivors.length >= populationSize) return
+        const members = front.map(i => pool[i])
+        const distances = getCrowdingDistances(
+          members.map(ind => toParetoPoint(ind.result, objectives))
+        )
+        members
+          .map((ind, i) => ({ ind, crowding: distances[i] }))
+          .sort((a, b) => b.crowding - a.crowding)
+          .slice(0, populationSize - survivors.length)
+          .forEach(({ ind, crowding }) => {
+            ranks.set(ind, { rank, crowding })
+            survivors.push(ind)
+          })
+      })
+      return survivors
     }
 
-    // VSWR 페널티: VSWR이 3을 초과하면 급격히 페널티 부여
-    if (vswr > 3.0) {
-      fitness *= 1 / (1 + (vswr - 3.0) * 2)
+    // 프런트 순위가 낮을수록, 같으면 밀집 거리가 클수록 우선
+    const tournament = () => {
+      const a = population[Math.floor(this.random() * population.length)]
+      const b = population[Math.floor(this.random() * population.length)]
+      const rankA = ranks.get(a)!
+      const rankB = ranks.get(b)!
+      if (rankA.rank !== rankB.rank) return rankA.rank < rankB.rank ? a : b
+      return rankA.crowding >= rankB.crowding ? a : b
     }
 
-    return fitness
+    population = select(population)
+    for (let i = 0; i < generations; i++) {
+      this.throwIfAborted()
+      if (i > 0) {
+        const offspring: Individual[] = []
+        while (offspring.length < populationSize) {
+          const child = this.crossover(tournament().elements, tournament().elements)
+          offspring.push({ elements: this.mutate(child) })
+        }
+        population = select([...population, ...(await this.evaluatePopulation(offspring))])
+      }
+      this.emitGeneration(i, population)
+    }
+    return population
   }
 
-  private createNewGeneration(): void {
-    const newPopulation: Individual[] = []
+  // --- Nelder-Mead (국소 개선) ---
+  private async runNelderMead(): Promise<EvaluatedIndividual[]> {
+    const { generations } = this.settings
+    const { initialElements } = this.options
 
-    // 1. 엘리티즘 (Elitism)
-    for (let i = 0; i < ELITISM_COUNT; i++) {
-      newPopulation.push(this.population[i])
+    // 변수: 고정되지 않은 소자의 길이와 위치
+    const genes: { index: number; key: 'length' | 'position'; step: number }[] = []
+    initialElements.forEach((element, index) => {
+      if (index !== this.drivenIndex || !this.settings.constraints.lockDriven) {
+        genes.push({ index, key: 'length', step: element.length * SIMPLEX_STEP })
+      }
+      if (index !== this.drivenIndex) {
+        genes.push({ index, key: 'position', step: this.wavelength * SIMPLEX_STEP })
+      }
+    })
+    const toElements = (x: number[]) => {
+      const elements = initialElements.map(e => ({ ...e }))
+      genes.forEach(({ index, key }, j) => (elements[index][key] = x[j]))
+      return this.repair(elements)
     }
-
-    // 2. 교차 및 돌연변이
-    while (newPopulation.length < POPULATION_SIZE) {
-      const parent1 = this.tournamentSelection()
-      const parent2 = this.tournamentSelection()
-      const childElements = this.crossover(parent1, parent2)
-      const mutatedChildElements = this.mutate(childElements)
-      newPopulation.push({ elements: mutatedChildElements, fitness: 0 })
+    const evaluatePoint = async (x: number[]) => {
+      const [evaluated] = await this.evaluatePopulation([{ elements: toElements(x) }])
+      return { x, ...evaluated }
     }
+    type Vertex = Awaited<ReturnType<typeof evaluatePoint>>
+    const better = (a: Vertex, b: Vertex) => compareCandidates(a.result, b.result) < 0
 
-    this.population = newPopulation
-  }
+    const x0 = genes.map(({ index, key }) => initialElements[index][key])
+    const start = [x0, ...genes.map((gene, j) => x0.map((v, k) => (k === j ? v + gene.step : v)))]
+    let simplex: Vertex[] = await Promise.all(start.map(evaluatePoint))
+
+    const along = (from: number[], to: number[], t: number) =>
+      from.map((v, k) => v + t * (to[k] - v))
 
-  private tournamentSelection(): PresetElement[] {
-    const tournamentSize = 5
-    let best = null
-    let bestFitness = -Infinity
+    for (let i = 0; i < generations; i++) {
+      this.throwIfAborted()
+      simplex.sort((a, b) => compareCandidates(a.result, b.result))
+      const worst = simplex[simplex.length - 1]
+      const rest = simplex.slice(0, -1)
+      const centroid = x0.map((_, k) => rest.reduce((sum, v) => sum + v.x[k], 0) / rest.length)
 
-    for (let i = 0; i < tournamentSize; i++) {
-      const individual = this.population[Math.floor(Math.random() * this.population.length)]
-      if (individual.fitness > bestFitness) {
-        best = individual
-        bestFitness = individual.fitness
+      const reflected = await evaluatePoint(along(centroid, worst.x, -REFLECTION))
+      if (better(reflected, simplex[0])) {
+        const expanded = await evaluatePoint(along(centroid, worst.x, -EXPANSION))
+        simplex[simplex.length - 1] = better(expanded, reflected) ? expanded : reflected
+      } else if (better(reflected, rest[rest.length - 1])) {
+        simplex[simplex.length - 1] = reflected
+      } else {
+        // 반사점이 충분히 좋지 않으면 수축, 그래도 안 되면 최선점 쪽으로 축소
+        const contracted = better(reflected, worst)
+          ? await evaluatePoint(along(centroid, reflected.x, CONTRACTION))
+          : await evaluatePoint(along(centroid, worst.x, CONTRACTION))
+        if (better(contracted, worst) && better(contracted, reflected)) {
+          simplex[simplex.length - 1] = contracted
+        } else {
+          const shrunk = await Promise.all(
+            rest.slice(1).map(v => evaluatePoint(along(simplex[0].x, v.x, SHRINK)))
+          )
+          simplex = [
+            simplex[0],
+            ...shrunk,
+            await evaluatePoint(along(simplex[0].x, worst.x, SHRINK)),
+          ]
+        }
       }
+
+      simplex.sort((a, b) => compareCandidates(a.result, b.result))
+      this.emitGeneration(i, simplex)
     }
-    return best!.elements
+    return simplex
+  }
+
+  // --- 공통 ---
+  private initializePopulation(): Individual[] {
+    const { initialElements } = this.options
+    return Array.from({ length: this.settings.populationSize }, (_, i) => ({
+      // 첫 번째 개체는 원본, 나머지는 약간 변형된 버전
+      elements: this.repair(
+        i === 0
+          ? initialElements
+          : initialElements.map(el => ({
+              ...el,
+              length: el.length * (1 + (this.random() - 0.5) * MUTATION_AMOUNT),
+              position: el.position * (1 + (this.random() - 0.5) * MUTATION_AMOUNT),
+            }))
+      ),
+    }))
   }
 
   private crossover(parent1: PresetElement[], parent2: PresetElement[]): PresetElement[] {
     // 단일점 교차
-    const crossoverPoint = Math.floor(Math.random() * parent1.length)
-    const childElements = parent1.slice(0, crossoverPoint).concat(parent2.slice(crossoverPoint))
-    return childElements
+    const crossoverPoint = Math.floor(this.random() * parent1.length)
+    return parent1.slice(0, crossoverPoint).concat(parent2.slice(crossoverPoint))
   }
 
   private mutate(elements: PresetElement[]): PresetElement[] {
-    return elements.map(el => {
-      let { length, position } = el
-      // 길이 돌연변이
-      if (Math.random() < MUTATION_RATE) {
-        length *= 1 + (Math.random() - 0.5) * MUTATION_AMOUNT
-      }
-      // 위치 돌연변이 (단, driven element의 위치는 0으로 고정)
-      if (el.type !== 'driven' && Math.random() < MUTATION_RATE) {
-        position *= 1 + (Math.random() - 0.5) * MUTATION_AMOUNT
-      }
+    return this.repair(
+      elements.map(el => {
+        let { length, position } = el
+        // 길이 돌연변이
+        if (this.random() < MUTATION_RATE) {
+          length *= 1 + (this.random() - 0.5) * MUTATION_AMOUNT
+        }
+        // 위치 돌연변이 (driven element의 위치는 repair에서 고정)
+        if (this.random() < MUTATION_RATE) {
+          position *= 1 + (this.random() - 0.5) * MUTATION_AMOUNT
+        }
+        return { ...el, length, position }
+      })
+    )
+  }
+
+  /**
+   * 기하 제약을 만족하도록 설계를 고칩니다. 소자 범위를 먼저 적용하고, 이후
+   * 간격과 붐 길이가 범위보다 우선합니다. 급전 소자를 기준으로 바깥쪽으로
+   * 밀어내므로 소자의 순서는 초기 설계와 같게 유지됩니다.
+   */
+  private repair(elements: PresetElement[]): PresetElement[] {
+    const { initialElements } = this.options
+    const { lockDriven, lengthRange, elementBounds = [], maxBoomLength } = this.settings.constraints
+    const s = this.minSpacing
+
+    const repaired = elements.map((el, i) => {
+      const initial = initialElements[i]
+      const bounds = elementBounds[i] ?? {}
+      const range = lengthRange !== undefined ? initial.length * (lengthRange / 100) : Infinity
+      let length = clamp(
+        el.length,
+        Math.max(bounds.minLength ?? 0, initial.length - range),
+        Math.min(bounds.maxLength ?? Infinity, initial.length + range)
+      )
+      if (i === this.drivenIndex && lockDriven) length = initial.length
+      const position =
+        i === this.drivenIndex
+          ? initial.position
+          : clamp(el.position, bounds.minPosition, bounds.maxPosition)
       return { ...el, length, position }
     })
+
+    // 급전 소자에서 바깥쪽으로 최소 간격 적용
+    const positions = this.order.map(i => repaired[i].position)
+    const d = this.order.indexOf(this.drivenIndex)
+    for (let k = d + 1; k < positions.length; k++) {
+      positions[k] = Math.max(positions[k], positions[k - 1] + s)
+    }
+    for (let k = d - 1; k >= 0; k--) {
+      positions[k] = Math.min(positions[k], positions[k + 1] - s)
+    }
+
+    // 붐이 너무 길면 최소 간격을 넘는 부분만 같은 비율로 줄임
+    const boomLength = positions[positions.length - 1] - positions[0]
+    if (maxBoomLength !== undefined && boomLength > maxBoomLength) {
+      const minimum = (positions.length - 1) * s
+      const ratio = (maxBoomLength - minimum) / (boomLength - minimum)
+      const gaps = positions.slice(1).map((p, k) => s + (p - positions[k] - s) * ratio)
+      for (let k = d + 1; k < positions.length; k++) positions[k] = positions[k - 1] + gaps[k - 1]
+      for (let k = d - 1; k >= 0; k--) positions[k] = positions[k + 1] - gaps[k]
+    }
+
+    this.order.forEach((index, k) => (repaired[index].position = positions[k]))
+    return repaired
+  }
+
+  private async evaluatePopulation(population: Individual[]): Promise<EvaluatedIndividual[]> {
+    // 워커 풀에서 개체들을 병렬로 시뮬레이션합니다. 대역 전체를 한 번에 계산합니다.
+    const pool = getNEC2WorkerPool()
+    await Promise.all(
+      population.map(async individual => {
+        if (individual.result) return
+        const params: AntennaParams = {
+          frequency: this.options.frequency,
+          elements: individual.elements,
+          groundType: 'none',
+          ...this.options.ground,
+          boom: this.options.boom,
+          feed: this.options.feed,
+          installation: this.options.installation,
+        }
+        try {
+          this.evaluations++
+          const { points } = await pool.simulateSweep(params, this.band, this.options.signal)
+          individual.result = this.scoreCandidate(individual.elements, points)
+        } catch (error) {
+          if (isAbortError(error)) throw error
+          console.error('Simulation failed for individual:', error)
+          // 시뮬레이션 실패 시 최악의 점수 부여
+          individual.result = {
+            elements: individual.elements,
+            performance: { gain: -Infinity, frontToBackRatio: -Infinity, vswr: Infinity },
+            objectives: this.settings.objectives.map(o => -Infinity * metricSense(o.metric)),
+            score: -Infinity,
+            violation: Infinity,
+          }
+        }
+      })
+    )
+    return population as EvaluatedIndividual[]
+  }
+
+  private scoreCandidate(elements: PresetElement[], points: SweepPoint[]): OptimizationCandidate {
+    const { objectives, constraints } = this.settings
+    const values = objectives.map(o => aggregateMetric(points, o.metric, o.aggregate))
+    const performance = {
+      gain: aggregateMetric(points, 'gain', 'worst'),
+      frontToBackRatio: aggregateMetric(points, 'frontToBackRatio', 'worst'),
+      vswr: aggregateMetric(points, 'vswr', 'worst'),
+    }
+    return {
+      elements,
+      performance,
+      objectives: values,
+      score: objectives.reduce(
+        (sum, o, i) => sum + o.weight * metricSense(o.metric) * values[i],
+        0
+      ),
+      violation:
+        constraints.maxVswr !== undefined ? Math.max(0, performance.vswr - constraints.maxVswr) : 0,
+    }
+  }
+
+  /**
+   * 중복을 제거한 파레토 프런트 (추천 순)
+   */
+  private getFront(population: EvaluatedIndividual[]): OptimizationCandidate[] {
+    const points = population.map(ind => toParetoPoint(ind.result, this.settings.objectives))
+    const [first = []] = sortNondominated(points)
+    const seen = new Set<string>()
+    return first
+      .map(i => population[i].result)
+      .filter(candidate => {
+        const key = candidate.objectives.join()
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+      .sort(compareCandidates)
+  }
+
+  private emitGeneration(index: number, population: EvaluatedIndividual[]): void {
+    const front = this.getFront(population)
+    const feasible = population.filter(
+      ind => ind.result.violation === 0 && Number.isFinite(ind.result.score)
+    )
+    const meanScore = feasible.length
+      ? feasible.reduce((sum, ind) => sum + ind.result.score, 0) / feasible.length
+      : NaN
+    this.options.onEvent?.({
+      type: 'generation',
+      generation: index + 1,
+      generations: this.settings.generations,
+      evaluations: this.evaluations,
+      best: front[0],
+      meanScore,
+      front,
+    })
+  }
+
+  private throwIfAborted(): void {
+    if (this.options.signal?.aborted) throw createAbortError()
   }
 }
 
-export async function runGeneticAlgorithm(options: OptimizerOptions): Promise<PresetElement[]> {
+export async function runOptimizer(options: OptimizerOptions): Promise<OptimizationResult> {
   const optimizer = new AntennaOptimizer(options)
   return optimizer.run()
 }
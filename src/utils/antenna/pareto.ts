@@ -0,0 +1,86 @@
+/**
+ * Pareto ranking for multi-objective optimization (NSGA-II)
+ *
+ * Every objective is maximized. Constraint violations follow Deb's rules: a
+ * feasible point dominates an infeasible one, and of two infeasible points
+ * the one with the smaller violation dominates.
+ */
+
+export interface ParetoPoint {
+  objectives: number[] // larger is better
+  violation: number // 0 when every constraint is met
+}
+
+/**
+ * Whether a is at least as good as b in every objective and better in one
+ */
+export function dominates(a: ParetoPoint, b: ParetoPoint): boolean {
+  if (a.violation > 0 || b.violation > 0) return a.violation < b.violation
+
+  let better = false
+  for (let i = 0; i < a.objectives.length; i++) {
+    if (a.objectives[i] < b.objectives[i]) return false
+    if (a.objectives[i] > b.objectives[i]) better = true
+  }
+  return better
+}
+
+/**
+ * Fast non-dominated sort. Returns indices into points, grouped by front;
+ * the first front holds the points nothing else dominates.
+ */
+export function sortNondominated(points: ParetoPoint[]): number[][] {
+  const dominatedBy = points.map(() => 0)
+  const dominating: number[][] = points.map(() => [])
+  const fronts: number[][] = [[]]
+
+  for (let p = 0; p < points.length; p++) {
+    for (let q = p + 1; q < points.length; q++) {
+      if (dominates(points[p], points[q])) {
+        dominating[p].push(q)
+        dominatedBy[q]++
+      } else if (dominates(points[q], points[p])) {
+        dominating[q].push(p)
+        dominatedBy[p]++
+      }
+    }
+    if (dominatedBy[p] === 0) fronts[0].push(p)
+  }
+
+  for (let i = 0; fronts[i].length > 0; i++) {
+    const next: number[] = []
+    for (const p of fronts[i]) {
+      for (const q of dominating[p]) {
+        if (--dominatedBy[q] === 0) next.push(q)
+      }
+    }
+    fronts.push(next)
+  }
+  return fronts.slice(0, -1)
+}
+
+/**
+ * Crowding distance of each point within one front. Boundary points get
+ * Infinity so that the extremes of the front are always kept.
+ */
+export function getCrowdingDistances(front: ParetoPoint[]): number[] {
+  const distances = front.map(() => 0)
+  if (front.length === 0) return distances
+
+  for (let m = 0; m < front[0].objectives.length; m++) {
+    const order = front
+      .map((_, i) => i)
+      .sort((a, b) => front[a].objectives[m] - front[b].objectives[m])
+    const low = front[order[0]].objectives[m]
+    const high = front[order[order.length - 1]].objectives[m]
+    distances[order[0]] = Infinity
+    distances[order[order.length - 1]] = Infinity
+    if (high === low) continue
+
+    for (let i = 1; i < order.length - 1; i++) {
+      const span = front[order[i + 1]].objectives[m] - front[order[i - 1]].objectives[m]
+      distances[order[i]] += span / (high - low)
+    }
+  }
+  return distances
+}
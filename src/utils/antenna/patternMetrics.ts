@@ -0,0 +1,252 @@
+/**
+ * Derived radiation pattern metrics: beamwidth, sidelobes, F/R and the
+ * direction of maximum radiation.
+ *
+ * For the horizontally polarized Yagi that OpenUda generates (boom along X,
+ * elements along Y), the azimuth cut (theta = 90) is the E-plane and the
+ * vertical cut through the boom (phi = 0/180) is the H-plane. Vertical
+ * elements swap the two, and over ground the azimuth cut is taken at the
+ * take-off angle instead of the horizon.
+ */
+
+import type { FarFieldPattern, PatternData, PatternMetrics, PlaneMetrics } from '@/utils/nec2c'
+
+// Where the principal-plane cuts were taken
+export interface PatternCuts {
+  azimuthTheta?: number // degrees, theta of the azimuth cut (90 at the horizon)
+  ePlane?: 'azimuth' | 'elevation' // elevation for vertically polarized elements
+}
+
+interface CutSample {
+  angle: number // degrees
+  gainDb: number // dB
+}
+
+interface NormalizedCut {
+  samples: CutSample[]
+  periodic: boolean // true when the cut closes on itself (covers 360 degrees)
+}
+
+const dbToPower = (db: number) => Math.pow(10, db / 10)
+
+/**
+ * Sort a cut by angle and drop the duplicated closing sample of a full circle
+ */
+function normalizeCut(cut: PatternData[]): NormalizedCut {
+  const samples = cut
+    .filter(p => isFinite(p.angle) && isFinite(p.gainDb))
+    .map(p => ({ angle: p.angle, gainDb: p.gainDb }))
+    .sort((a, b) => a.angle - b.angle)
+
+  if (samples.length < 2) return { samples, periodic: false }
+
+  const span = samples[samples.length - 1].angle - samples[0].angle
+  const periodic = span >= 359.999
+  if (periodic && Math.abs(span - 360) < 1e-6) {
+    samples.pop()
+  }
+  return { samples, periodic }
+}
+
+function findPeakIndex(samples: CutSample[]): number {
+  let peak = 0
+  samples.forEach((s, i) => {
+    if (s.gainDb > samples[peak].gainDb) peak = i
+  })
+  return peak
+}
+
+/**
+ * Walk a cut from the peak in one direction. Yields the sample index and the
+ * angular distance from the peak until the cut ends (or wraps back to the peak).
+ */
+function* walk(cut: NormalizedCut, start: number, direction: 1 | -1) {
+  const { samples, periodic } = cut
+  const n = samples.length
+  let distance = 0
+  let previous = start
+
+  for (let k = 1; k < n; k++) {
+    let index = start + direction * k
+    if (periodic) {
+      index = (index + n) % n
+    } else if (index < 0 || index >= n) {
+      return
+    }
+
+    let step = Math.abs(samples[index].angle - samples[previous].angle)
+    if (periodic && step > 180) step = 360 - step
+    distance += step
+
+    yield { index, previous, distance, step }
+    previous = index
+  }
+}
+
+/**
+ * Angular distance from the peak to the -3 dB point in one direction
+ */
+function halfPowerDistance(cut: NormalizedCut, peak: number, direction: 1 | -1): number | null {
+  const { samples } = cut
+  const threshold = samples[peak].gainDb - 3
+
+  for (const { index, previous, distance, step } of walk(cut, peak, direction)) {
+    const gain = samples[index].gainDb
+    if (gain <= threshold) {
+      const previousGain = samples[previous].gainDb
+      // Linear interpolation between the last sample above and the first below
+      const fraction =
+        previousGain === gain ? 1 : (previousGain - threshold) / (previousGain - gain)
+      return distance - step + fraction * step
+    }
+  }
+  return null
+}
+
+/**
+ * Peak gain of the first lobe next to the main lobe in one direction
+ */
+function firstSidelobe(cut: NormalizedCut, peak: number, direction: 1 | -1): number | null {
+  const { samples } = cut
+  let rising = false
+
+  for (const { index, previous } of walk(cut, peak, direction)) {
+    const gain = samples[index].gainDb
+    const previousGain = samples[previous].gainDb
+    if (!rising && gain > previousGain) {
+      rising = true // passed the null after the main lobe
+    } else if (rising && gain < previousGain) {
+      return previousGain
+    }
+  }
+  return null
+}
+
+/**
+ * -3 dB beamwidth and first sidelobe level of a single principal-plane cut
+ */
+export function calculatePlaneMetrics(cut: PatternData[]): PlaneMetrics {
+  const normalized = normalizeCut(cut)
+  if (normalized.samples.length < 3) {
+    return { beamwidth: null, firstSidelobeLevel: null }
+  }
+
+  const peak = findPeakIndex(normalized.samples)
+  const peakGain = normalized.samples[peak].gainDb
+
+  const left = halfPowerDistance(normalized, peak, -1)
+  const right = halfPowerDistance(normalized, peak, 1)
+  const beamwidth = left !== null && right !== null ? left + right : null
+
+  const sidelobes = [firstSidelobe(normalized, peak, -1), firstSidelobe(normalized, peak, 1)]
+    .filter((g): g is number => g !== null)
+    .map(g => g - peakGain)
+
+  return {
+    beamwidth,
+    firstSidelobeLevel: sidelobes.length > 0 ? Math.max(...sidelobes) : null,
+  }
+}
+
+const toRadians = (deg: number) => (deg * Math.PI) / 180
+
+function directionVector(theta: number, phi: number): [number, number, number] {
+  const t = toRadians(theta)
+  const p = toRadians(phi)
+  return [Math.sin(t) * Math.cos(p), Math.sin(t) * Math.sin(p), Math.cos(t)]
+}
+
+/**
+ * Direction of maximum gain, preferring the full grid when it is available
+ */
+export function findMaxDirection(
+  horizontal: PatternData[],
+  vertical: PatternData[],
+  farField?: FarFieldPattern,
+  azimuthTheta = 90
+): PatternMetrics['maxDirection'] {
+  let best = { theta: 90, phi: 0, gainDb: -Infinity }
+
+  if (farField && farField.points.length > 0) {
+    for (const p of farField.points) {
+      if (p.totalGainDb > best.gainDb) {
+        best = { theta: p.theta, phi: p.phi, gainDb: p.totalGainDb }
+      }
+    }
+    return best
+  }
+
+  for (const p of horizontal) {
+    if (p.gainDb > best.gainDb) best = { theta: azimuthTheta, phi: p.angle, gainDb: p.gainDb }
+  }
+  for (const p of vertical) {
+    if (p.gainDb > best.gainDb) {
+      // Negative theta in the vertical cut lies on the phi = 180 side
+      best =
+        p.angle < 0
+          ? { theta: -p.angle, phi: 180, gainDb: p.gainDb }
+          : { theta: p.angle, phi: 0, gainDb: p.gainDb }
+    }
+  }
+  return best
+}
+
+/**
+ * Front-to-rear ratio: maximum gain versus the power average over the rear
+ * hemisphere. Uses the solid-angle weighted full grid when available and the
+ * rear half of the azimuth cut otherwise.
+ */
+export function calculateFrontToRear(
+  horizontal: PatternData[],
+  maxDirection: PatternMetrics['maxDirection'],
+  farField?: FarFieldPattern
+): number {
+  const front = directionVector(maxDirection.theta, maxDirection.phi)
+  let powerSum = 0
+  let weightSum = 0
+
+  if (farField && farField.points.length > 0) {
+    for (const p of farField.points) {
+      const [x, y, z] = directionVector(p.theta, p.phi)
+      if (x * front[0] + y * front[1] + z * front[2] >= 0) continue
+      const weight = Math.sin(toRadians(p.theta))
+      powerSum += dbToPower(p.totalGainDb) * weight
+      weightSum += weight
+    }
+  }
+
+  if (weightSum === 0) {
+    const { samples, periodic } = normalizeCut(horizontal)
+    const peakAngle = samples.length > 0 ? samples[findPeakIndex(samples)].angle : 0
+    for (const s of periodic ? samples : []) {
+      let offset = Math.abs(s.angle - peakAngle) % 360
+      if (offset > 180) offset = 360 - offset
+      if (offset <= 90) continue
+      powerSum += dbToPower(s.gainDb)
+      weightSum += 1
+    }
+  }
+
+  if (weightSum === 0 || powerSum === 0) return 0
+  return maxDirection.gainDb - 10 * Math.log10(powerSum / weightSum)
+}
+
+/**
+ * All derived metrics for a simulated pattern
+ */
+export function calculatePatternMetrics(
+  horizontal: PatternData[],
+  vertical: PatternData[],
+  farField?: FarFieldPattern,
+  { azimuthTheta = 90, ePlane = 'azimuth' }: PatternCuts = {}
+): PatternMetrics {
+  const maxDirection = findMaxDirection(horizontal, vertical, farField, azimuthTheta)
+  const [e, h] = ePlane === 'azimuth' ? [horizontal, vertical] : [vertical, horizontal]
+
+  return {
+    ePlane: calculatePlaneMetrics(e),
+    hPlane: calculatePlaneMetrics(h),
+    frontToRearRatio: calculateFrontToRear(horizontal, maxDirection, farField),
+    maxDirection: isFinite(maxDirection.gainDb) ? maxDirection : { ...maxDirection, gainDb: 0 },
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Seedable pseudo-random numbers, so that a stochastic run can be repeated
+ */
+
+// Uniform number in [0, 1)
+export type Random = () => number
+
+/**
+ * Mulberry32 generator. The same seed always yields the same sequence.
+ */
+export function createRandom(seed: number): Random {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * A fresh 32-bit seed, for runs that were not given one
+ */
+export function createSeed(): number {
+  return Math.floor(Math.random() * 4294967296)
+}
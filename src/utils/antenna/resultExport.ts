@@ -0,0 +1,115 @@
+/**
+ * Simulation result exports
+ *
+ * Touchstone .s1p files carry the reflection coefficient of a frequency
+ * sweep for circuit simulators and VNA software; CSV files carry the
+ * azimuth and elevation pattern cuts for spreadsheets and plotting tools.
+ */
+
+import type { AntennaParams, SimulationResults, SweepResults } from '../nec2c'
+
+// Deep equality of plain data, with undefined fields read as missing ones
+function isSameData(a: unknown, b: unknown): boolean {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+  const x = a as Record<string, unknown>
+  const y = b as Record<string, unknown>
+  const keys = new Set([...Object.keys(x), ...Object.keys(y)])
+  return [...keys].every(key => isSameData(x[key], y[key]))
+}
+
+/**
+ * Whether results run for one design still describe another, so stale
+ * results are not exported as the current design's
+ */
+export function isSameDesign(resultParams: AntennaParams | null, design: AntennaParams): boolean {
+  return resultParams !== null && isSameData(resultParams, design)
+}
+
+/**
+ * Reflection coefficient of an impedance against a real reference
+ */
+export function getReflectionCoefficient(
+  resistance: number,
+  reactance: number,
+  referenceImpedance: number
+): { real: number; imaginary: number } {
+  // (Z - Z0) / (Z + Z0)
+  const a = resistance - referenceImpedance
+  const c = resistance + referenceImpedance
+  const denominator = c * c + reactance * reactance
+  return {
+    real: (a * c + reactance * reactance) / denominator,
+    imaginary: (reactance * c - a * reactance) / denominator,
+  }
+}
+
+/**
+ * Touchstone 1.0 file of S11 over a sweep, real and imaginary parts
+ */
+export function formatTouchstone(
+  sweep: SweepResults,
+  referenceImpedance: number,
+  comments: string[] = []
+): string {
+  if (sweep.points.length === 0) {
+    throw new Error('The frequency sweep has no points to export.')
+  }
+  if (!(referenceImpedance > 0)) {
+    throw new Error('Reference impedance must be positive.')
+  }
+
+  const rows = sweep.points.map(({ frequency, inputImpedance }) => {
+    const s11 = getReflectionCoefficient(
+      inputImpedance.resistance,
+      inputImpedance.reactance,
+      referenceImpedance
+    )
+    return `${frequency.toFixed(6)} ${s11.real.toFixed(6)} ${s11.imaginary.toFixed(6)}`
+  })
+
+  return [...comments.map(c => `! ${c}`), `# MHz S RI R ${referenceImpedance}`, ...rows, ''].join(
+    '\n'
+  )
+}
+
+// NEC prints -999.99 dB where a component does not radiate at all
+const NO_RADIATION = -999
+
+const decibels = (value?: number) =>
+  value === undefined || value <= NO_RADIATION ? '' : value.toFixed(2)
+
+/**
+ * CSV of the pattern cuts, one row per angle. Gains are in dBi; the vertical
+ * and horizontal components are empty when the results have none, and any
+ * gain is empty where NEC reports no radiation.
+ */
+export function formatPatternCSV(results: SimulationResults): string {
+  const cuts = [
+    ['azimuth', results.patterns.horizontal],
+    ['elevation', results.patterns.vertical],
+  ] as const
+  if (cuts.every(([, data]) => data.length === 0)) {
+    throw new Error('The simulation results have no pattern cuts to export.')
+  }
+
+  const rows = cuts.flatMap(([cut, data]) =>
+    data.map(point =>
+      [
+        cut,
+        results.frequency,
+        point.angle,
+        decibels(point.gainDb),
+        decibels(point.verticalGainDb),
+        decibels(point.horizontalGainDb),
+      ].join(',')
+    )
+  )
+
+  return [
+    'Cut,Frequency (MHz),Angle (deg),Total (dBi),Vertical (dBi),Horizontal (dBi)',
+    ...rows,
+    '',
+  ].join('\n')
+}
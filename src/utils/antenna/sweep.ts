@@ -0,0 +1,85 @@
+/**
+ * Frequency sweep helpers: default sweep ranges and usable-bandwidth analysis
+ */
+
+import type { FrequencySweep, SweepPoint } from '@/utils/nec2c'
+
+export interface BandwidthThresholds {
+  maxVswr: number // highest acceptable VSWR
+  minFrontToBack: number // lowest acceptable F/B ratio (dB)
+}
+
+export interface UsableBandwidth {
+  startFrequency: number // MHz
+  stopFrequency: number // MHz
+  bandwidth: number // MHz
+  fractionalBandwidth: number // percentage of the band center
+}
+
+export const DEFAULT_BANDWIDTH_THRESHOLDS: BandwidthThresholds = {
+  maxVswr: 2,
+  minFrontToBack: 15,
+}
+
+/**
+ * Build a sweep of ±2% around the design frequency with 21 points
+ */
+export function createDefaultSweep(frequency: number): FrequencySweep {
+  const span = frequency * 0.04
+  const stepFrequency = Number((span / 20).toPrecision(2))
+  const startFrequency = Number((frequency - stepFrequency * 10).toFixed(3))
+  return {
+    startFrequency,
+    stopFrequency: Number((startFrequency + stepFrequency * 20).toFixed(3)),
+    stepFrequency,
+  }
+}
+
+/**
+ * Check a single sweep point against the thresholds
+ */
+export function meetsThresholds(point: SweepPoint, thresholds: BandwidthThresholds): boolean {
+  return point.vswr <= thresholds.maxVswr && point.frontToBackRatio >= thresholds.minFrontToBack
+}
+
+/**
+ * Find the widest contiguous frequency span in which every sweep point meets
+ * the VSWR and F/B thresholds. Returns null when no point qualifies.
+ */
+export function calculateUsableBandwidth(
+  points: SweepPoint[],
+  thresholds: BandwidthThresholds
+): UsableBandwidth | null {
+  const sorted = [...points].sort((a, b) => a.frequency - b.frequency)
+
+  let best: UsableBandwidth | null = null
+  let runStart: number | null = null
+
+  const closeRun = (endIndex: number) => {
+    if (runStart === null) return
+    const startFrequency = sorted[runStart].frequency
+    const stopFrequency = sorted[endIndex].frequency
+    const bandwidth = stopFrequency - startFrequency
+    if (!best || bandwidth > best.bandwidth) {
+      const center = (startFrequency + stopFrequency) / 2
+      best = {
+        startFrequency,
+        stopFrequency,
+        bandwidth,
+        fractionalBandwidth: center > 0 ? (bandwidth / center) * 100 : 0,
+      }
+    }
+    runStart = null
+  }
+
+  sorted.forEach((point, index) => {
+    if (meetsThresholds(point, thresholds)) {
+      if (runStart === null) runStart = index
+    } else {
+      closeRun(index - 1)
+    }
+  })
+  closeRun(sorted.length - 1)
+
+  return best
+}
@@ -0,0 +1,337 @@
+/**
+ * Parametric Yagi-Uda generators
+ *
+ * Two design methods turn a frequency, a boom length or element count, and
+ * the element and boom diameters into a complete element list:
+ *
+ * - NBS Technical Note 688 (P. P. Viezbicke, "Yagi Antenna Design", 1976),
+ *   Table 1: six optimized designs with booms of 0.4 to 4.2 λ, for elements
+ *   of 0.0085 λ diameter
+ * - DL6WU (G. Hoch) long-Yagi spacing: directors spaced from 0.075 λ out to
+ *   0.4 λ, for Yagis of any length. The director lengths are not DL6WU's
+ *   formula; they taper with the logarithm of the director number, a fit of
+ *   this generator that gives 9.1 dBd on a 0.92 λ boom up to 19 dBd on 14 λ
+ *   in NEC-2.
+ *
+ * Neither method's diameter correction curves are used. Each length is
+ * instead moved to where an isolated element of the actual diameter has
+ * the self-reactance in NEC-2 of the 0.0085 λ element, which keeps the
+ * TN-688 designs within 0.15 dB of their NEC-2 gain from 0.002 to 0.015 λ.
+ * Lengths also include the boom correction of elementGeometry, an estimate
+ * rather than either method's boom correction, so they are
+ * as built. Positions are from the driven element, dimensions in mm. Every
+ * generated design lists the dimensions that are not from the publications
+ * in its notes, for the generator to show.
+ */
+
+import type { PresetElement } from '@/types/antenna/presets'
+import type { BoomParams } from '../nec2c'
+import { getBoomCorrection } from './elementGeometry'
+
+export type YagiDesignMethod = 'nbs' | 'dl6wu'
+
+export interface YagiGeneratorParams {
+  method: YagiDesignMethod
+  frequency: number // MHz
+  elementCount?: number // takes precedence over boomLength
+  boomLength?: number // mm, target from the reflector to the last director
+  elementDiameter: number // mm
+  boom?: BoomParams // boom the elements are mounted on, none when omitted
+}
+
+export interface GeneratedYagi {
+  elements: PresetElement[]
+  boomLength: number // mm
+  referenceGain?: number // dBd, published gain of an NBS design
+  notes: string[] // dimensions not taken from the published method
+  warnings: string[]
+}
+
+interface NBSDesign {
+  boomLength: number // λ
+  reflector: number // λ
+  tunedDriven: number // λ, not in TN-688: tuned to resonance in the array in NEC-2
+  directors: number[] // λ
+  spacing: number // λ between directors
+  gain: number // dBd
+}
+
+// NBS TN-688 designs for d/λ = 0.0085, reflector 0.2 λ behind the driven element
+const NBS_DESIGNS: NBSDesign[] = [
+  {
+    boomLength: 0.4,
+    reflector: 0.482,
+    tunedDriven: 0.448,
+    directors: [0.424],
+    spacing: 0.2,
+    gain: 7.1,
+  },
+  {
+    boomLength: 0.8,
+    reflector: 0.482,
+    tunedDriven: 0.443,
+    directors: [0.428, 0.424, 0.428],
+    spacing: 0.2,
+    gain: 9.2,
+  },
+  {
+    boomLength: 1.2,
+    reflector: 0.482,
+    tunedDriven: 0.443,
+    directors: [0.428, 0.42, 0.42, 0.428],
+    spacing: 0.25,
+    gain: 10.2,
+  },
+  {
+    boomLength: 2.2,
+    reflector: 0.482,
+    tunedDriven: 0.444,
+    directors: [0.432, 0.415, 0.407, 0.398, 0.39, 0.39, 0.39, 0.39, 0.398, 0.407],
+    spacing: 0.2,
+    gain: 12.25,
+  },
+  {
+    boomLength: 3.2,
+    reflector: 0.482,
+    tunedDriven: 0.443,
+    directors: [
+      0.428, 0.42, 0.407, 0.398, 0.394, 0.39, 0.386, 0.386, 0.386, 0.386, 0.386, 0.386, 0.386,
+      0.386, 0.386,
+    ],
+    spacing: 0.2,
+    gain: 13.4,
+  },
+  {
+    boomLength: 4.2,
+    reflector: 0.475,
+    tunedDriven: 0.438,
+    directors: [0.424, 0.424, 0.42, 0.407, 0.403, 0.398, 0.394, 0.39, 0.39, 0.39, 0.39, 0.39, 0.39],
+    spacing: 0.308,
+    gain: 14.2,
+  },
+]
+
+// DL6WU spacing of each director from the one before it (λ), 0.4 λ beyond
+const DL6WU_SPACINGS = [
+  0.075, 0.18, 0.215, 0.25, 0.28, 0.3, 0.315, 0.33, 0.345, 0.36, 0.375, 0.39, 0.4,
+]
+const DL6WU_REFLECTOR = 0.482
+// Director n is DL6WU_DIRECTOR - DL6WU_TAPER * log10(n) long (λ, at d/λ 0.0085)
+const DL6WU_DIRECTOR = 0.444
+const DL6WU_TAPER = 0.045
+// In NEC-2 the driven element of 8 to 40 element designs resonates at 0.472
+// to 0.49 λ; the feed designer matches what is left
+const DL6WU_DRIVEN = 0.48
+const DL6WU_MAX_ELEMENTS = 50
+
+const REFLECTOR_SPACING = 0.2 // λ, both methods
+
+// Element diameter (λ) of the TN-688 tables and the DL6WU fit
+const REFERENCE_DIAMETER = 0.0085
+
+// Lengths (λ) at the reference diameter the corrections are tabulated for
+const CORRECTION_LENGTHS = [0.36, 0.38, 0.4, 0.42, 0.44, 0.46, 0.48, 0.5]
+
+// Length change (λ) for each d/λ that keeps an isolated element at the
+// self-reactance it has at the reference diameter, for each of
+// CORRECTION_LENGTHS. Computed in NEC-2 with 21 segments per element, as the
+// designs are simulated; the thin-wire model does not hold above 0.02 λ.
+const DIAMETER_CORRECTIONS: [number, number[]][] = [
+  [0.001, [0.0591, 0.0506, 0.0421, 0.0338, 0.0256, 0.0175, 0.0096, 0.0018]],
+  [0.0015, [0.0522, 0.0446, 0.0371, 0.0297, 0.0225, 0.0154, 0.0084, 0.0016]],
+  [0.002, [0.0465, 0.0397, 0.033, 0.0264, 0.0199, 0.0136, 0.0075, 0.0014]],
+  [0.003, [0.037, 0.0315, 0.0261, 0.0209, 0.0157, 0.0107, 0.0058, 0.001]],
+  [0.004, [0.0289, 0.0246, 0.0203, 0.0162, 0.0121, 0.0082, 0.0044, 0.0007]],
+  [0.005, [0.0217, 0.0184, 0.0152, 0.012, 0.009, 0.006, 0.0032, 0.0004]],
+  [0.006, [0.0151, 0.0128, 0.0105, 0.0083, 0.0062, 0.0041, 0.0021, 0.0002]],
+  [REFERENCE_DIAMETER, [0, 0, 0, 0, 0, 0, 0, 0]],
+  [0.011, [-0.0141, -0.0117, -0.0094, -0.0073, -0.0052, -0.0033, -0.0015, 0.0003]],
+  [0.014, [-0.0311, -0.0253, -0.02, -0.0152, -0.0107, -0.0065, -0.0025, 0.0014]],
+  [0.017, [-0.0496, -0.0393, -0.0305, -0.0227, -0.0157, -0.0091, -0.0028, 0.0035]],
+  [0.02, [-0.0722, -0.0547, -0.0413, -0.03, -0.0201, -0.011, -0.0022, 0.0068]],
+]
+
+const getWavelength = (frequency: number) => (299792458 / (frequency * 1e6)) * 1000 // mm
+
+const round = (mm: number) => Math.round(mm * 10) / 10
+
+/**
+ * Value at x of a curve given by points at xs, linear between them and held
+ * at the ends. A logarithmic scale interpolates in log(x).
+ */
+function interpolate(xs: number[], ys: number[], x: number, logarithmic = false): number {
+  const scale = logarithmic ? Math.log : (v: number) => v
+  if (x <= xs[0]) return ys[0]
+  for (let i = 1; i < xs.length; i++) {
+    if (x <= xs[i]) {
+      const t = (scale(x) - scale(xs[i - 1])) / (scale(xs[i]) - scale(xs[i - 1]))
+      return ys[i - 1] + (ys[i] - ys[i - 1]) * t
+    }
+  }
+  return ys[ys.length - 1]
+}
+
+/**
+ * Length correction (λ) for an element of the given length at the reference
+ * diameter, built with the given d/λ. Interpolated on a logarithmic diameter
+ * scale and clamped to the ends of the table.
+ */
+export function getDiameterCorrection(diameter: number, length: number): number {
+  const corrections = DIAMETER_CORRECTIONS.map(([, row]) =>
+    interpolate(CORRECTION_LENGTHS, row, length)
+  )
+  return interpolate(
+    DIAMETER_CORRECTIONS.map(([d]) => d),
+    corrections,
+    diameter,
+    true
+  )
+}
+
+/**
+ * Positions of the directors of an n-element DL6WU Yagi (λ from the driven
+ * element)
+ */
+function getDL6WUPositions(elementCount: number): number[] {
+  const positions: number[] = []
+  let position = 0
+  for (let n = 0; n < elementCount - 2; n++) {
+    position += DL6WU_SPACINGS[Math.min(n, DL6WU_SPACINGS.length - 1)]
+    positions.push(position)
+  }
+  return positions
+}
+
+const getDL6WUBoomLength = (elementCount: number) =>
+  REFLECTOR_SPACING + (getDL6WUPositions(elementCount).pop() ?? 0)
+
+/**
+ * Element count whose boom comes closest to the target (λ)
+ */
+function findDL6WUElementCount(boomLength: number): number {
+  let count = 3
+  while (
+    count < DL6WU_MAX_ELEMENTS &&
+    Math.abs(getDL6WUBoomLength(count + 1) - boomLength) <
+      Math.abs(getDL6WUBoomLength(count) - boomLength)
+  ) {
+    count++
+  }
+  return count
+}
+
+/**
+ * NBS design with the given element count, or with the boom closest to the
+ * target (λ)
+ */
+function findNBSDesign(elementCount?: number, boomLength?: number): NBSDesign {
+  if (elementCount !== undefined) {
+    const design = NBS_DESIGNS.find(d => d.directors.length + 2 === elementCount)
+    if (!design) {
+      const counts = NBS_DESIGNS.map(d => d.directors.length + 2).sort((a, b) => a - b)
+      throw new Error(
+        `NBS TN-688 has no ${elementCount}-element design. Choose ${counts.slice(0, -1).join(', ')} or ${counts[counts.length - 1]} elements.`
+      )
+    }
+    return design
+  }
+  return NBS_DESIGNS.reduce((best, design) =>
+    Math.abs(design.boomLength - boomLength!) < Math.abs(best.boomLength - boomLength!)
+      ? design
+      : best
+  )
+}
+
+/**
+ * Element list of a Yagi designed with the given method
+ */
+export function generateYagi(params: YagiGeneratorParams): GeneratedYagi {
+  const { method, frequency, elementCount, boomLength, elementDiameter, boom } = params
+  if (!(frequency > 0)) throw new Error('Frequency must be positive.')
+  if (!(elementDiameter > 0)) throw new Error('Element diameter must be positive.')
+  if (elementCount === undefined && !(boomLength! > 0)) {
+    throw new Error('Either an element count or a boom length is required.')
+  }
+
+  const wavelength = getWavelength(frequency)
+  const warnings: string[] = []
+  const diameter = elementDiameter / wavelength
+  const [minDiameter] = DIAMETER_CORRECTIONS[0]
+  const [maxDiameter] = DIAMETER_CORRECTIONS[DIAMETER_CORRECTIONS.length - 1]
+  if (diameter < minDiameter || diameter > maxDiameter) {
+    warnings.push(
+      `Element diameter is ${diameter.toFixed(4)} λ; the diameter correction only covers ${minDiameter} to ${maxDiameter} λ.`
+    )
+  }
+
+  let reflector: number
+  let driven: number
+  let directors: { position: number; length: number }[]
+  let referenceGain: number | undefined
+  const notes: string[] = []
+  if (method === 'nbs') {
+    const design = findNBSDesign(elementCount, boomLength && boomLength / wavelength)
+    reflector = design.reflector
+    driven = design.tunedDriven
+    directors = design.directors.map((length, i) => ({
+      position: (i + 1) * design.spacing,
+      length,
+    }))
+    referenceGain = design.gain
+    notes.push('Driven element tuned to resonance in NEC-2; TN-688 does not give its length.')
+  } else {
+    const count = elementCount ?? findDL6WUElementCount(boomLength! / wavelength)
+    if (count < 3 || count > DL6WU_MAX_ELEMENTS || !Number.isInteger(count)) {
+      throw new Error(`DL6WU designs have 3 to ${DL6WU_MAX_ELEMENTS} elements.`)
+    }
+    if (count < 6) {
+      warnings.push('DL6WU is a long-Yagi method; NBS designs do better below 6 elements.')
+    }
+    reflector = DL6WU_REFLECTOR
+    driven = DL6WU_DRIVEN
+    directors = getDL6WUPositions(count).map((position, i) => ({
+      position,
+      length: DL6WU_DIRECTOR - DL6WU_TAPER * Math.log10(i + 1),
+    }))
+    notes.push(
+      "Element lengths are this generator's NEC-2 fit, not the DL6WU formula; only the spacing is DL6WU's."
+    )
+  }
+
+  // The boom correction applies to the built element whichever way the boom
+  // is simulated
+  const boomCorrection = (type: PresetElement['type']) =>
+    boom ? getBoomCorrection({ ...boom, model: 'correction' }, frequency, type) : 0
+  if (Math.abs(diameter / REFERENCE_DIAMETER - 1) > 0.01) {
+    notes.push(
+      `Lengths corrected to ${diameter.toFixed(4)} λ elements in NEC-2, not with the ${method === 'nbs' ? 'TN-688' : 'DL6WU'} diameter correction.`
+    )
+  }
+  if (boomCorrection('director') > 0 || boomCorrection('driven') > 0) {
+    notes.push(
+      `Boom correction is an estimate, not the ${method === 'nbs' ? 'TN-688' : 'DL6WU'} boom correction.`
+    )
+  }
+  const element = (type: PresetElement['type'], position: number, length: number) => ({
+    type,
+    position: round(position * wavelength),
+    length: round(
+      (length + getDiameterCorrection(diameter, length)) * wavelength + boomCorrection(type)
+    ),
+    diameter: elementDiameter,
+  })
+
+  const elements: PresetElement[] = [
+    element('reflector', -REFLECTOR_SPACING, reflector),
+    element('driven', 0, driven),
+    ...directors.map(d => element('director', d.position, d.length)),
+  ]
+
+  return {
+    elements,
+    boomLength: round(elements[elements.length - 1].position - elements[0].position),
+    referenceGain,
+    notes,
+    warnings,
+  }
+}
@@ -6,6 +6,16 @@
  * provides convenient methods for antenna simulation, and manages memory.
  */
 
+import { calculatePatternMetrics, type PatternCuts } from './antenna/patternMetrics'
+import { roundSolved, solveHairpin } from './antenna/feedMatch'
+import {
+  buildArrayGeometry,
+  formatStructureCards,
+  getBayCount,
+  getInstallation,
+  hasGround,
+} from './antenna/installation'
+
 // Type definitions for NEC2C module
 interface NEC2Module {
   ccall: (name: string, returnType: string | null, argTypes: string[], args: unknown[]) => number
@@ -35,6 +45,9 @@ export interface AntennaParams {
   groundType?: 'perfect' | 'real' | 'none'
   groundConductivity?: number
   groundDielectric?: number
+  boom?: BoomParams // no boom effect when omitted
+  feed?: FeedParams // 50 ohm split dipole without a matching network when omitted
+  installation?: InstallationParams // one horizontal Yagi when omitted
 }
 
 export interface AntennaElement {
@@ -43,22 +56,109 @@ export interface AntennaElement {
   length: number // mm
   diameter: number // mm
   segments?: number // wire segments (default: 21)
+  sections?: ElementSection[] // telescoping tubes, see below
+}
+
+// One tube of a telescoping element, mirrored on both sides of the boom.
+// Sections are listed from the boom outwards; the outermost one is trimmed
+// or extended so the element keeps its overall length.
+export interface ElementSection {
+  length: number // mm, along one half of the element
+  diameter: number // mm
+}
+
+export type BoomMaterial = 'aluminum' | 'steel' | 'nonconductive'
+
+// insulated: through the boom on insulators; bonded: through the boom with
+// electrical contact; on-boom: clamped on top of the boom on insulators
+export type BoomMounting = 'insulated' | 'bonded' | 'on-boom'
+
+export interface BoomParams {
+  diameter: number // mm
+  material: BoomMaterial
+  mounting: BoomMounting
+  model: 'correction' | 'explicit' // element length correction, or boom wires in the NEC model
+}
+
+// How the driven element is fed
+export interface FeedParams {
+  referenceImpedance: number // ohms, the z0 that VSWR is reported against
+  folded?: FoldedDipole // folded dipole instead of a split dipole
+  match?: FeedMatch // no matching network when omitted
+}
+
+export interface FoldedDipole {
+  spacing: number // mm, center-to-center from the fed conductor
+  diameter: number // mm, of the unfed conductor
+}
+
+// Hairpin (beta) match: a shorted parallel-wire stub across the feed point.
+// The driven element has to supply the series reactance; whatever it does
+// not is added as a series capacitor or inductor at the feed.
+export interface HairpinMatch {
+  type: 'hairpin'
+  spacing: number // mm, center-to-center
+  wireDiameter: number // mm
+  length: number // mm, solved
+  seriesReactance: number // ohms at the design frequency, solved
+}
+
+// Gamma match: a rod beside one half of the (unsplit) driven element, shorted
+// to it by a strap and fed from the boom through a series capacitor
+export interface GammaMatch {
+  type: 'gamma'
+  rodDiameter: number // mm
+  spacing: number // mm, center-to-center from the element
+  rodLength: number // mm from the element center to the strap, solved
+  capacitance: number // pF, solved
+}
+
+export type FeedMatch = HairpinMatch | GammaMatch
+
+export type Polarization = 'horizontal' | 'vertical' | 'cross'
+
+// Bays of a stacked array: rows above each other, columns side by side.
+// 2 or 4 bays in all, e.g. 2 x 1, 1 x 4 or a 2 x 2 box.
+export interface StackParams {
+  rows: number
+  columns: number
+  verticalSpacing: number // mm between rows
+  horizontalSpacing: number // mm between columns
+  phases?: number[] // degrees per bay, bottom row first and -Y to +Y; in phase when omitted
+}
+
+// How the antenna is mounted. Over a ground the array center is lifted to
+// the height; in free space the height is ignored.
+export interface InstallationParams {
+  height: number // m above ground
+  polarization: Polarization
+  crossOffset?: number // mm along the boom from the horizontal to the vertical elements
+  crossPhase?: number // degrees of the vertical feed against the horizontal; ±90 for circular
+  stack?: StackParams // a single bay when omitted
+}
+
+export interface Impedance {
+  resistance: number // ohms
+  reactance: number // ohms
 }
 
 // Simulation results interface
 export interface SimulationResults {
   gain: number // dBi
   frontToBackRatio: number // dB
-  inputImpedance: {
-    resistance: number // ohms
-    reactance: number // ohms
-  }
-  vswr: number
+  inputImpedance: Impedance // at the feed line after any matching network; first source of an array
+  feedImpedance?: Impedance // driven element alone; only when a match is modelled
+  vswr: number // against the reference impedance
+  referenceImpedance: number // ohms
   efficiency: number // percentage
   patterns: {
-    horizontal: PatternData[]
+    horizontal: PatternData[] // azimuth cut, at the take-off angle over ground
     vertical: PatternData[]
   }
+  farField?: FarFieldPattern // only when a far-field grid was requested
+  patternMetrics?: PatternMetrics
+  takeOffAngle?: number // degrees above the horizon of the main lobe; only over ground
+  stackingGain?: number // dB over one bay at the same installation; only for stacked arrays
   frequency: number // MHz
 }
 
@@ -66,8 +166,84 @@ export interface PatternData {
   angle: number // degrees
   gainDb: number // dB
   phase: number // degrees
+  verticalGainDb?: number // dB
+  horizontalGainDb?: number // dB
+  polarization?: PolarizationData
+}
+
+export interface PolarizationData {
+  axialRatio: number // 0 for linear polarization
+  tilt: number // degrees
+  sense: 'linear' | 'right' | 'left'
+}
+
+// Optional full theta/phi far-field request
+export interface FarFieldGrid {
+  thetaStep: number // degrees
+  phiStep: number // degrees
+}
+
+export interface FarFieldPoint {
+  theta: number // degrees from zenith
+  phi: number // degrees from +X
+  verticalGainDb: number // dB
+  horizontalGainDb: number // dB
+  totalGainDb: number // dB
+  polarization: PolarizationData
 }
 
+export interface FarFieldPattern {
+  thetaStep: number // degrees
+  phiStep: number // degrees
+  points: FarFieldPoint[]
+}
+
+// Beam metrics of one principal plane
+export interface PlaneMetrics {
+  beamwidth: number | null // -3 dB beamwidth in degrees, null if the lobe is not closed
+  firstSidelobeLevel: number | null // dB relative to the main lobe
+}
+
+export interface PatternMetrics {
+  ePlane: PlaneMetrics
+  hPlane: PlaneMetrics
+  frontToRearRatio: number // dB, front versus the power average over the rear hemisphere
+  maxDirection: {
+    theta: number // degrees
+    phi: number // degrees
+    gainDb: number // dBi
+  }
+}
+
+export interface SimulationOptions {
+  farFieldGrid?: FarFieldGrid
+}
+
+// Frequency sweep definition (start/stop/step FR card)
+export interface FrequencySweep {
+  startFrequency: number // MHz
+  stopFrequency: number // MHz
+  stepFrequency: number // MHz
+}
+
+// Results for a single frequency of a sweep
+export interface SweepPoint {
+  frequency: number // MHz
+  gain: number // dBi
+  frontToBackRatio: number // dB
+  inputImpedance: Impedance
+  vswr: number
+}
+
+// Frequency sweep results interface
+export interface SweepResults {
+  sweep: FrequencySweep
+  points: SweepPoint[]
+}
+
+// Upper bound on the number of frequencies in one sweep deck
+export const MAX_SWEEP_POINTS = 201
+
 // Error types
 export class NEC2Error extends Error {
   constructor(
@@ -79,6 +255,306 @@ export class NEC2Error extends Error {
   }
 }
 
+/**
+ * Number of frequencies covered by a sweep (start and stop inclusive)
+ */
+export function getSweepPointCount(sweep: FrequencySweep): number {
+  const span = sweep.stopFrequency - sweep.startFrequency
+  // Small tolerance so that e.g. 144..148 in 0.1 MHz steps includes 148
+  return Math.floor(span / sweep.stepFrequency + 1e-6) + 1
+}
+
+function validateSweep(sweep: FrequencySweep): void {
+  const { startFrequency, stopFrequency, stepFrequency } = sweep
+  if (!(startFrequency > 0) || !(stopFrequency >= startFrequency)) {
+    throw new NEC2Error('Sweep stop frequency must not be below the start frequency.', 'BAD_SWEEP')
+  }
+  if (!(stepFrequency > 0)) {
+    throw new NEC2Error('Sweep step must be greater than zero.', 'BAD_SWEEP')
+  }
+  if (getSweepPointCount(sweep) > MAX_SWEEP_POINTS) {
+    throw new NEC2Error(`Sweep exceeds ${MAX_SWEEP_POINTS} frequency points.`, 'BAD_SWEEP')
+  }
+}
+
+/**
+ * Extract the feed-point impedance from the "ANTENNA INPUT PARAMETERS" table
+ */
+function parseInputImpedance(text: string): Impedance | null {
+  // A more specific regex to capture impedance from the correct table row.
+  // This regex skips the 4 values for voltage and current before capturing impedance.
+  const impedanceMatch = text.match(
+    /ANTENNA INPUT PARAMETERS -+[\s\S]*?IMPEDANCE \(OHMS\)[\s\S]*?\n\s*\d+\s+\d+\s+(?:[-+]?\d*\.?\d+(?:[eE][-+]?\d+)?\s+){4}([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)\s+([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)/
+  )
+  if (!impedanceMatch) return null
+
+  return {
+    resistance: parseFloat(impedanceMatch[1]),
+    reactance: parseFloat(impedanceMatch[2]),
+  }
+}
+
+function validateFeed(params: AntennaParams): void {
+  const { feed } = params
+  if (!feed) return
+  if (!(feed.referenceImpedance > 0)) {
+    throw new NEC2Error('Reference impedance must be greater than zero.', 'BAD_FEED')
+  }
+  if (feed.match?.type === 'gamma') {
+    const driven = params.elements.find(e => e.type === 'driven')
+    if (feed.folded) {
+      throw new NEC2Error(
+        'A gamma match needs a plain driven element, not a folded dipole.',
+        'BAD_FEED'
+      )
+    }
+    if (!(feed.match.rodLength > 0) || !driven || feed.match.rodLength >= driven.length / 2) {
+      throw new NEC2Error('Gamma rod must be shorter than half the driven element.', 'BAD_FEED')
+    }
+  }
+}
+
+function validateInstallation(params: AntennaParams): void {
+  const { polarization, stack, crossOffset = 0 } = getInstallation(params)
+  const bays = getBayCount(stack)
+  if (stack) {
+    if (![1, 2, 4].includes(stack.rows) || ![1, 2, 4].includes(stack.columns) || bays > 4) {
+      throw new NEC2Error('A stacked array has 2 or 4 bays.', 'BAD_INSTALLATION')
+    }
+    if (stack.phases && stack.phases.length !== bays) {
+      throw new NEC2Error(`Give a phase for each of the ${bays} bays.`, 'BAD_INSTALLATION')
+    }
+  }
+  if (polarization === 'cross') {
+    if (params.boom?.model === 'explicit' && params.boom.material !== 'nonconductive') {
+      throw new NEC2Error(
+        'Boom wires would cut through the vertical elements of a cross Yagi. ' +
+          'Use the boom length correction instead.',
+        'BAD_INSTALLATION'
+      )
+    }
+    const thickest = Math.max(...params.elements.map(e => e.diameter))
+    if (!(Math.abs(crossOffset) > thickest)) {
+      throw new NEC2Error(
+        'Offset the vertical elements of a cross Yagi along the boom by more than the element diameter.',
+        'BAD_INSTALLATION'
+      )
+    }
+  }
+
+  const { copies } = buildArrayGeometry(params)
+  const extent = (copy: (typeof copies)[number], axis: 1 | 2) => {
+    const values = copy.wires
+      .filter(w => w.tag !== copy.dummy?.tag)
+      .flatMap(w => [w.start[axis], w.end[axis]])
+    return [Math.min(...values), Math.max(...values)]
+  }
+  const overlaps = (a: number[], b: number[]) => a[0] <= b[1] && b[0] <= a[1]
+  for (const a of copies) {
+    for (const b of copies) {
+      if (
+        a.bay < b.bay &&
+        overlaps(extent(a, 1), extent(b, 1)) &&
+        overlaps(extent(a, 2), extent(b, 2))
+      ) {
+        throw new NEC2Error(
+          'The bays of the stack overlap. Space them further apart.',
+          'BAD_INSTALLATION'
+        )
+      }
+    }
+  }
+
+  if (hasGround(params)) {
+    const depth = -Math.min(...copies.map(c => extent(c, 2)[0])) / 1000
+    if (!(getInstallation(params).height > depth)) {
+      throw new NEC2Error(
+        `The antenna reaches ${depth.toFixed(2)} m below its center, so mount it higher than that.`,
+        'BAD_INSTALLATION'
+      )
+    }
+  }
+}
+
+/**
+ * The same design as a single bay, for the stacking gain
+ */
+function withoutStack(params: AntennaParams): AntennaParams {
+  return { ...params, installation: { ...getInstallation(params), stack: undefined } }
+}
+
+/**
+ * Elevation of the main lobe above the horizon, from the front half of the
+ * elevation cut through the boom
+ */
+function findTakeOffAngle(vertical: PatternData[]): number {
+  const front = vertical.filter(p => p.angle >= 0)
+  if (front.length === 0) return 0
+  const peak = front.reduce((best, p) => (p.gainDb > best.gainDb ? p : best))
+  return 90 - peak.angle
+}
+
+/**
+ * The same design without its matching network, for the bare feed-point
+ * impedance of the driven element
+ */
+function withoutMatch(params: AntennaParams): AntennaParams {
+  return params.feed ? { ...params, feed: { ...params.feed, match: undefined } } : params
+}
+
+/**
+ * VSWR of a load impedance against a real reference impedance
+ */
+function calculateVSWR(resistance: number, reactance: number, z0 = 50): number {
+  const gamma = Math.sqrt(
+    ((resistance - z0) ** 2 + reactance ** 2) / ((resistance + z0) ** 2 + reactance ** 2)
+  )
+  return (1 + gamma) / (1 - gamma)
+}
+
+/**
+ * Parse the rows of a single "RADIATION PATTERNS" table into raw columns:
+ * THETA PHI VERTC HORIZ TOTAL AXIAL TILT SENSE E(THETA) E(PHI)
+ */
+function parsePatternRows(text: string | undefined): string[][] {
+  if (!text) return []
+  const rows: string[][] = []
+
+  for (const line of text.split('\n')) {
+    const values = line.trim().split(/\s+/)
+    if (values.length >= 10 && !isNaN(parseFloat(values[0]))) {
+      rows.push(values)
+    }
+  }
+  return rows
+}
+
+function parsePolarization(values: string[]): PolarizationData {
+  const sense = values[7]?.toLowerCase()
+  return {
+    axialRatio: parseFloat(values[5]) || 0,
+    tilt: parseFloat(values[6]) || 0,
+    sense: sense === 'right' || sense === 'left' ? sense : 'linear',
+  }
+}
+
+/**
+ * Parse a principal-plane cut from a "RADIATION PATTERNS" table
+ */
+function parsePatternTable(
+  text: string | undefined,
+  patternType: 'horizontal' | 'vertical'
+): PatternData[] {
+  return toPatternData(parsePatternRows(text), patternType)
+}
+
+function toPatternData(rows: string[][], patternType: 'horizontal' | 'vertical'): PatternData[] {
+  const angleIndex = patternType === 'horizontal' ? 1 : 0 // PHI for H, THETA for V
+  const phaseIndex = patternType === 'horizontal' ? 9 : 8 // E(PHI) for H, E(THETA) for V
+
+  return rows.map(values => ({
+    angle: parseFloat(values[angleIndex]),
+    gainDb: parseFloat(values[4]), // TOTAL GAIN in DB
+    phase: parseFloat(values[phaseIndex]) || 0,
+    verticalGainDb: parseFloat(values[2]),
+    horizontalGainDb: parseFloat(values[3]),
+    polarization: parsePolarization(values),
+  }))
+}
+
+/**
+ * Parse a full theta/phi grid from a "RADIATION PATTERNS" table
+ */
+function parseFarFieldTable(text: string | undefined, grid: FarFieldGrid): FarFieldPattern {
+  return {
+    thetaStep: grid.thetaStep,
+    phiStep: grid.phiStep,
+    points: parsePatternRows(text).map(values => ({
+      theta: parseFloat(values[0]),
+      phi: parseFloat(values[1]),
+      verticalGainDb: parseFloat(values[2]),
+      horizontalGainDb: parseFloat(values[3]),
+      totalGainDb: parseFloat(values[4]),
+      polarization: parsePolarization(values),
+    })),
+  }
+}
+
+/**
+ * F/B ratio from an azimuth cut: maximum gain versus the sample closest to
+ * the opposite direction.
+ */
+function calculateFrontToBack(pattern: PatternData[]): number {
+  if (pattern.length === 0) return 0
+
+  let maxGain = -Infinity
+  let frontAngle = 0
+  // Find angle of maximum gain
+  pattern.forEach(p => {
+    if (p.gainDb > maxGain) {
+      maxGain = p.gainDb
+      frontAngle = p.angle
+    }
+  })
+
+  const backAngle = (frontAngle + 180) % 360
+
+  // Find the closest point to the ideal back angle
+  let backPoint: PatternData | null = null
+  let minAngleDiff = Infinity
+
+  for (const p of pattern) {
+    const angleDiff = Math.abs(p.angle - backAngle)
+    if (angleDiff < minAngleDiff) {
+      minAngleDiff = angleDiff
+      backPoint = p
+    }
+  }
+
+  if (!backPoint) {
+    console.warn(`Could not find back lobe gain near angle ${backAngle}. F/B set to 0.`)
+    return 0
+  }
+  return maxGain - backPoint.gainDb
+}
+
+/**
+ * Peak gain and F/B over every "RADIATION PATTERNS" table of one frequency.
+ * Imported decks may request several RP cuts, so F/B is taken from the table
+ * with the most azimuth samples, at the elevation of its strongest lobe.
+ */
+function summarizePatternTables(block: string): { gain: number; frontToBackRatio: number } {
+  const tables = block
+    .split('RADIATION PATTERNS')
+    .slice(1)
+    .map(text => parsePatternRows(text))
+
+  let gain = -Infinity
+  let azimuthTable: string[][] = []
+  let azimuthCount = 0
+
+  for (const rows of tables) {
+    rows.forEach(values => (gain = Math.max(gain, parseFloat(values[4]))))
+    const phiCount = new Set(rows.map(values => values[1])).size
+    if (phiCount > azimuthCount) {
+      azimuthTable = rows
+      azimuthCount = phiCount
+    }
+  }
+
+  let frontToBackRatio = 0
+  // F/B needs an azimuth cut; a single vertical cut has no back direction
+  if (azimuthCount >= 3) {
+    const peak = azimuthTable.reduce((best, values) =>
+      parseFloat(values[4]) > parseFloat(best[4]) ? values : best
+    )
+    const cut = azimuthTable.filter(values => values[0] === peak[0])
+    frontToBackRatio = calculateFrontToBack(toPatternData(cut, 'horizontal'))
+  }
+
+  return { gain: isFinite(gain) ? gain : 0, frontToBackRatio }
+}
+
 /**
  * NEC2C WebAssembly Engine Manager
  */
@@ -174,9 +650,9 @@ export class NEC2Engine {
   }
 
   /**
-   * Generate NEC input file content from antenna parameters
+   * Comment lines and structure cards of a design, up to the FR card
    */
-  private generateNECInput(params: AntennaParams): string {
+  private generateStructureInput(params: AntennaParams): string {
     let necInput = ''
 
     // Header
@@ -184,60 +660,63 @@ export class NEC2Engine {
     necInput += `CM Frequency: ${params.frequency} MHz\n`
     necInput += `CE\n`
 
-    // Wire geometry
-    let wireNum = 1
-    for (const element of params.elements) {
-      const segments = element.segments || 21
-      // Convert mm to meters for NEC format
-      const position = element.position / 1000
-      const length = element.length / 1000
-      const diameter = element.diameter / 1000
-      const halfLength = length / 2
-
-      // Wire along Y-axis at position X
-      necInput += `GW ${wireNum} ${segments} ${position.toFixed(4)} ${(-halfLength).toFixed(4)} 0 `
-      necInput += `${position.toFixed(4)} ${halfLength.toFixed(4)} 0 ${(diameter / 2).toFixed(6)}\n`
-      wireNum++
-    }
-
-    // End geometry
-    necInput += `GE 0\n`
-
-    // Find driven element (usually the longest or specified)
-    let drivenElementIndex = 0
-    for (let i = 0; i < params.elements.length; i++) {
-      if (params.elements[i].type === 'driven') {
-        drivenElementIndex = i
-        break
-      }
+    // Wires of every bay, sources, boom loads, matching networks and ground
+    for (const card of formatStructureCards(params)) {
+      necInput += `${card}\n`
     }
 
-    // Excitation (voltage source on driven element)
-    const drivenSegment = Math.floor((params.elements[drivenElementIndex].segments || 21) / 2) + 1
-    necInput += `EX 0 ${drivenElementIndex + 1} ${drivenSegment} 0 1 0\n`
+    return necInput
+  }
+
+  /**
+   * Generate NEC input file content from antenna parameters.
+   * When a sweep is given, a start/step FR card is emitted instead of the
+   * single-frequency one. Over ground the azimuth cut is taken at the given
+   * take-off angle rather than at the horizon.
+   */
+  private generateNECInput(
+    params: AntennaParams,
+    sweep?: FrequencySweep,
+    options: SimulationOptions = {},
+    takeOffAngle = 0
+  ): string {
+    let necInput = this.generateStructureInput(params)
+    const ground = hasGround(params)
+
+    if (sweep) {
+      // Frequency sweep: FR 0 <count> 0 0 <start> <step>
+      const pointCount = getSweepPointCount(sweep)
+      necInput += `FR 0 ${pointCount} 0 0 ${sweep.startFrequency} ${sweep.stepFrequency}\n`
+
+      // Only the first RP card after a multi-frequency FR card is evaluated at
+      // every frequency. In free space the horizontal cut gives gain and F/B;
+      // over ground the horizon is a null, so elevation cuts to the front,
+      // side and back are requested instead.
+      if (ground) {
+        necInput += `RP 0 91 3 1000 0 0 1 90\n`
+      } else {
+        necInput += `RP 0 1 361 1000 90 0 0 1\n`
+      }
+      necInput += `EN\n`
 
-    // Ground
-    if (params.groundType === 'perfect') {
-      necInput += `GN 1\n`
-    } else if (params.groundType === 'real') {
-      const conductivity = params.groundConductivity || 0.005
-      const dielectric = params.groundDielectric || 13
-      necInput += `GN 2 0 0 0 ${conductivity} ${dielectric}\n`
+      return necInput
     }
 
     // Frequency
     necInput += `FR 0 1 0 0 ${params.frequency} 0\n`
 
     // Radiation pattern requests
-    // Horizontal pattern: Theta=90, Phi sweep 0-360 deg, 1-deg steps
-    necInput += `RP 0 1 361 1000 90 0 0 1\n`
-    // Vertical pattern: Phi=0, Theta sweep based on ground presence
-    if (params.groundType === 'none') {
-      // Full vertical plane for free space
-      necInput += `RP 0 181 1 1000 0 0 1 0\n`
-    } else {
-      // Upper hemisphere only for ground plane
-      necInput += `RP 0 91 1 1000 0 0 1 0\n`
+    // Horizontal pattern: Phi sweep 0-360 deg, 1-deg steps, at Theta=90 in free space
+    necInput += `RP 0 1 361 1000 ${90 - takeOffAngle} 0 0 1\n`
+    necInput += `${this.formatElevationCard(ground)}\n`
+
+    // Optional full-sphere (or upper hemisphere over ground) grid
+    if (options.farFieldGrid) {
+      const { thetaStep, phiStep } = options.farFieldGrid
+      const thetaMax = ground ? 90 : 180
+      const thetaCount = Math.floor(thetaMax / thetaStep + 1e-6) + 1
+      const phiCount = Math.floor(360 / phiStep + 1e-6)
+      necInput += `RP 0 ${thetaCount} ${phiCount} 1000 0 0 ${thetaStep} ${phiStep}\n`
     }
 
     // End
@@ -246,16 +725,44 @@ export class NEC2Engine {
     return necInput
   }
 
+  /**
+   * Vertical pattern: Phi=0, Theta sweep based on ground presence.
+   * Negative theta continues the cut on the Phi=180 side, so the plane is closed.
+   */
+  private formatElevationCard(ground: boolean): string {
+    // Upper hemisphere only over ground, the full vertical plane in free space
+    return ground ? 'RP 0 181 1 1000 -90 0 1 0' : 'RP 0 361 1 1000 -180 0 1 0'
+  }
+
+  /**
+   * Deck for the elevation cut alone, which holds the main lobe of a Yagi
+   * both in free space and over ground
+   */
+  private generateElevationInput(params: AntennaParams): string {
+    return (
+      this.generateStructureInput(params) +
+      `FR 0 1 0 0 ${params.frequency} 0\n` +
+      `${this.formatElevationCard(hasGround(params))}\n` +
+      `EN\n`
+    )
+  }
+
   /**
    * Parse NEC output and extract simulation results
    */
-  private parseNECOutput(output: string): SimulationResults {
+  private parseNECOutput(
+    output: string,
+    options: SimulationOptions = {},
+    referenceImpedance = 50,
+    cuts: PatternCuts = {}
+  ): SimulationResults {
     const results: Partial<SimulationResults> & {
       patterns: { horizontal: PatternData[]; vertical: PatternData[] }
     } = {
       gain: 0,
       frontToBackRatio: 0,
       vswr: 0,
+      referenceImpedance,
       efficiency: 100, // Default to 100% for perfect conductors
       inputImpedance: { resistance: 0, reactance: 0 },
       patterns: {
@@ -265,56 +772,22 @@ export class NEC2Engine {
     }
 
     try {
-      // A more specific regex to capture impedance from the correct table row.
-      // This regex skips the 4 values for voltage and current before capturing impedance.
-      const impedanceMatch = output.match(
-        /ANTENNA INPUT PARAMETERS -+[\s\S]*?IMPEDANCE \(OHMS\)[\s\S]*?\n\s*\d+\s+\d+\s+(?:[-+]?\d*\.?\d+(?:[eE][-+]?\d+)?\s+){4}([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)\s+([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)/
-      )
-
-      if (impedanceMatch) {
-        const resistance = parseFloat(impedanceMatch[1])
-        const reactance = parseFloat(impedanceMatch[2])
-        results.inputImpedance = { resistance, reactance }
-
-        const z0 = 50 // 50-ohm system
-        const gamma = Math.sqrt(
-          ((resistance - z0) ** 2 + reactance ** 2) / ((resistance + z0) ** 2 + reactance ** 2)
+      const inputImpedance = parseInputImpedance(output)
+      if (inputImpedance) {
+        results.inputImpedance = inputImpedance
+        results.vswr = calculateVSWR(
+          inputImpedance.resistance,
+          inputImpedance.reactance,
+          referenceImpedance
         )
-        results.vswr = (1 + gamma) / (1 - gamma)
       }
 
       // Extract radiation patterns
       const patternSections = output.split('RADIATION PATTERNS')
       if (patternSections.length > 1) {
         // First pattern is horizontal (phi sweep), second is vertical (theta sweep)
-        const horizontalPatternText = patternSections[1]
-        const verticalPatternText = patternSections[2]
-
-        const parsePattern = (
-          text: string,
-          patternType: 'horizontal' | 'vertical'
-        ): PatternData[] => {
-          if (!text) return []
-          const lines = text.split('\n')
-          const patternData: PatternData[] = []
-          const angleIndex = patternType === 'horizontal' ? 1 : 0 // PHI for H, THETA for V
-          const phaseIndex = patternType === 'horizontal' ? 9 : 8 // E(PHI) for H, E(THETA) for V
-
-          for (const line of lines) {
-            const values = line.trim().split(/\s+/)
-            if (values.length >= 10 && !isNaN(parseFloat(values[0]))) {
-              patternData.push({
-                angle: parseFloat(values[angleIndex]),
-                gainDb: parseFloat(values[4]), // TOTAL GAIN in DB
-                phase: parseFloat(values[phaseIndex]) || 0,
-              })
-            }
-          }
-          return patternData
-        }
-
-        results.patterns.horizontal = parsePattern(horizontalPatternText, 'horizontal')
-        results.patterns.vertical = parsePattern(verticalPatternText, 'vertical')
+        results.patterns.horizontal = parsePatternTable(patternSections[1], 'horizontal')
+        results.patterns.vertical = parsePatternTable(patternSections[2], 'vertical')
 
         // Find max gain from both patterns
         let maxGain = -Infinity
@@ -322,39 +795,18 @@ export class NEC2Engine {
         results.patterns.vertical.forEach(p => (maxGain = Math.max(maxGain, p.gainDb)))
         results.gain = isFinite(maxGain) ? maxGain : 0
 
-        // More robust F/B ratio calculation from horizontal pattern
-        if (results.patterns.horizontal.length > 0) {
-          let hMaxGain = -Infinity
-          let frontAngle = 0
-          // Find angle of maximum gain
-          results.patterns.horizontal.forEach(p => {
-            if (p.gainDb > hMaxGain) {
-              hMaxGain = p.gainDb
-              frontAngle = p.angle
-            }
-          })
-
-          const backAngle = (frontAngle + 180) % 360
-
-          // Find the closest point to the ideal back angle
-          let backPoint: PatternData | null = null
-          let minAngleDiff = Infinity
-
-          for (const p of results.patterns.horizontal) {
-            const angleDiff = Math.abs(p.angle - backAngle)
-            if (angleDiff < minAngleDiff) {
-              minAngleDiff = angleDiff
-              backPoint = p
-            }
-          }
+        results.frontToBackRatio = calculateFrontToBack(results.patterns.horizontal)
 
-          if (backPoint) {
-            results.frontToBackRatio = hMaxGain - backPoint.gainDb
-          } else {
-            console.warn(`Could not find back lobe gain near angle ${backAngle}. F/B set to 0.`)
-            results.frontToBackRatio = 0
-          }
+        if (options.farFieldGrid) {
+          results.farField = parseFarFieldTable(patternSections[3], options.farFieldGrid)
         }
+
+        results.patternMetrics = calculatePatternMetrics(
+          results.patterns.horizontal,
+          results.patterns.vertical,
+          results.farField,
+          cuts
+        )
       }
 
       // Extract efficiency if available
@@ -379,10 +831,42 @@ export class NEC2Engine {
   }
 
   /**
-   * Run a simulation with the given antenna parameters.
-   * Ensures the module is loaded before running.
+   * Parse the output of a frequency sweep deck into one point per frequency
+   */
+  private parseSweepOutput(output: string, referenceImpedance = 50): SweepPoint[] {
+    const points: SweepPoint[] = []
+
+    // nec2c prints a "FREQUENCY" banner before the results of every step
+    const frequencyBlocks = output.split(/-+\s*FREQUENCY\s*-+/).slice(1)
+
+    for (const block of frequencyBlocks) {
+      const freqMatch = block.match(/FREQUENCY\s*:\s*([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)\s*MHz/i)
+      if (!freqMatch) continue
+
+      const inputImpedance = parseInputImpedance(block) ?? { resistance: 0, reactance: 0 }
+      const { gain, frontToBackRatio } = summarizePatternTables(block)
+
+      points.push({
+        frequency: parseFloat(freqMatch[1]),
+        gain,
+        frontToBackRatio,
+        inputImpedance,
+        vswr: calculateVSWR(
+          inputImpedance.resistance,
+          inputImpedance.reactance,
+          referenceImpedance
+        ),
+      })
+    }
+
+    return points
+  }
+
+  /**
+   * Write a deck to the virtual file system, run nec2c on it and return the
+   * raw output text. Input and output files are removed afterwards.
    */
-  async simulate(params: AntennaParams): Promise<SimulationResults> {
+  private async runNEC(necInput: string): Promise<string> {
     if (!this.isLoaded || !this.module) {
       console.log('NEC2C module not loaded, loading now...')
       await this.loadModule()
@@ -400,7 +884,6 @@ export class NEC2Engine {
     const inputFilename = `input_${uniqueId}.nec`
     const outputFilename = `output_${uniqueId}.out`
 
-    const necInput = this.generateNECInput(params)
     this.module.FS.writeFile(inputFilename, necInput)
 
     try {
@@ -448,10 +931,7 @@ export class NEC2Engine {
         throw new NEC2Error('NEC2C output file is empty.', 'EMPTY_OUTPUT')
       }
 
-      // Parse output
-      const simulationResults = this.parseNECOutput(output)
-      simulationResults.frequency = params.frequency
-      return simulationResults
+      return output
     } finally {
       // Cleanup
       try {
@@ -466,6 +946,209 @@ export class NEC2Engine {
     }
   }
 
+  /**
+   * Run a simulation with the given antenna parameters.
+   * Ensures the module is loaded before running. With a matching network the
+   * bare driven element is simulated as well, for its feed-point impedance.
+   * Over ground an elevation cut is run first for the take-off angle, and a
+   * stacked array is compared against one of its bays for the stacking gain.
+   */
+  async simulate(
+    params: AntennaParams,
+    options: SimulationOptions = {}
+  ): Promise<SimulationResults> {
+    validateFeed(params)
+    validateInstallation(params)
+
+    const takeOffAngle = hasGround(params)
+      ? findTakeOffAngle(await this.simulateElevation(params))
+      : undefined
+    const output = await this.runNEC(
+      this.generateNECInput(params, undefined, options, takeOffAngle)
+    )
+
+    // Parse output
+    const simulationResults = this.parseNECOutput(
+      output,
+      options,
+      params.feed?.referenceImpedance,
+      {
+        azimuthTheta: 90 - (takeOffAngle ?? 0),
+        ePlane: getInstallation(params).polarization === 'vertical' ? 'elevation' : 'azimuth',
+      }
+    )
+    simulationResults.frequency = params.frequency
+    if (takeOffAngle !== undefined) {
+      simulationResults.takeOffAngle = takeOffAngle
+    }
+    if (getBayCount(getInstallation(params).stack) > 1) {
+      const bay = await this.simulateElevation(withoutStack(params))
+      const bayGain = Math.max(...bay.map(p => p.gainDb))
+      simulationResults.stackingGain = simulationResults.gain - bayGain
+    }
+    if (params.feed?.match) {
+      simulationResults.feedImpedance = await this.simulateInputImpedance(withoutMatch(params))
+    }
+    return simulationResults
+  }
+
+  /**
+   * Elevation cut through the boom of a design
+   */
+  private async simulateElevation(params: AntennaParams): Promise<PatternData[]> {
+    const output = await this.runNEC(this.generateElevationInput(params))
+    const cut = parsePatternTable(output.split('RADIATION PATTERNS')[1], 'vertical')
+    if (cut.length === 0) {
+      throw new NEC2Error('No radiation pattern found in NEC2C output.', 'EMPTY_OUTPUT')
+    }
+    return cut
+  }
+
+  /**
+   * Run a frequency sweep with the given antenna parameters.
+   * The whole sweep is evaluated in a single nec2c run.
+   */
+  async simulateSweep(params: AntennaParams, sweep: FrequencySweep): Promise<SweepResults> {
+    validateSweep(sweep)
+    validateFeed(params)
+    validateInstallation(params)
+
+    const output = await this.runNEC(this.generateNECInput(params, sweep))
+    const points = this.parseSweepOutput(output, params.feed?.referenceImpedance)
+
+    if (points.length === 0) {
+      throw new NEC2Error('No frequency points found in NEC2C sweep output.', 'EMPTY_SWEEP')
+    }
+
+    return { sweep, points }
+  }
+
+  /**
+   * Run an imported NEC deck unchanged and summarize every frequency it
+   * computes. SY expressions must already be resolved; nec2c has no SY card.
+   */
+  async simulateDeck(deck: string, referenceImpedance = 50): Promise<SweepPoint[]> {
+    const points = this.parseSweepOutput(await this.runNEC(deck), referenceImpedance)
+
+    if (points.length === 0) {
+      throw new NEC2Error('No results found in NEC2C output for this deck.', 'EMPTY_OUTPUT')
+    }
+
+    return points
+  }
+
+  /**
+   * Solve the component values of the design's matching network from the
+   * simulated feed-point impedance. A hairpin is solved directly; the gamma
+   * rod is lengthened until the resistance at the feed reaches the reference
+   * impedance, then the capacitor cancels the remaining reactance.
+   */
+  async solveMatch(params: AntennaParams): Promise<FeedMatch> {
+    validateFeed(withoutMatch(params))
+    validateInstallation(params)
+    const feed = params.feed
+    const match = feed?.match
+    if (!feed || !match) {
+      throw new NEC2Error('The design has no matching network to solve.', 'BAD_FEED')
+    }
+    const z0 = feed.referenceImpedance
+
+    if (match.type === 'hairpin') {
+      const feedImpedance = await this.simulateInputImpedance(withoutMatch(params))
+      const solved = solveHairpin(feedImpedance, params.frequency, z0, match)
+      if (!solved) {
+        throw new NEC2Error(
+          `A hairpin match needs a feed resistance below ${z0} Ω, but the driven element ` +
+            `has ${feedImpedance.resistance.toFixed(1)} Ω. Shorten the driven element or use a gamma match.`,
+          'MATCH_UNREACHABLE'
+        )
+      }
+      return solved
+    }
+
+    if (feed.folded) {
+      throw new NEC2Error(
+        'A gamma match needs a plain driven element, not a folded dipole.',
+        'BAD_FEED'
+      )
+    }
+    const driven = params.elements.find(e => e.type === 'driven')
+    if (!driven) {
+      throw new NEC2Error('The design has no driven element.', 'BAD_FEED')
+    }
+    const impedanceAt = (rodLength: number) =>
+      this.simulateInputImpedance({
+        ...params,
+        feed: { ...feed, match: { ...match, rodLength, capacitance: 0 } },
+      })
+
+    // The feed resistance rises with the rod length up to a peak; step out to
+    // the first length past the reference impedance, then bisect
+    const maxLength = 0.9 * (driven.length / 2)
+    const steps = 12
+    let low = 0
+    let high = 0
+    let highImpedance: Impedance | null = null
+    for (let i = 1; i <= steps; i++) {
+      const rodLength = (maxLength * i) / steps
+      const impedance = await impedanceAt(rodLength)
+      if (impedance.resistance >= z0) {
+        high = rodLength
+        highImpedance = impedance
+        break
+      }
+      low = rodLength
+    }
+    if (!highImpedance) {
+      throw new NEC2Error(
+        `The gamma rod cannot raise the feed resistance to ${z0} Ω. ` +
+          'Try a thinner rod or a wider spacing.',
+        'MATCH_UNREACHABLE'
+      )
+    }
+
+    let rodLength = high
+    let impedance = highImpedance
+    for (let i = 0; i < 12 && Math.abs(impedance.resistance - z0) > 0.005 * z0; i++) {
+      const middle = (low + high) / 2
+      const middleImpedance = await impedanceAt(middle)
+      if (middleImpedance.resistance >= z0) {
+        high = middle
+      } else {
+        low = middle
+      }
+      rodLength = middle
+      impedance = middleImpedance
+    }
+
+    // The series capacitor can only cancel an inductive remainder
+    if (!(impedance.reactance > 0)) {
+      throw new NEC2Error(
+        'The gamma section is capacitive at this rod length, so no series capacitor can match it. ' +
+          'Lengthen the driven element or use a hairpin match.',
+        'MATCH_UNREACHABLE'
+      )
+    }
+    const capacitance = 1 / (2 * Math.PI * params.frequency * 1e6 * impedance.reactance)
+
+    return {
+      ...match,
+      rodLength: roundSolved(rodLength),
+      capacitance: roundSolved(capacitance * 1e12),
+    }
+  }
+
+  /**
+   * Input impedance seen by the source of a design at its design frequency
+   */
+  private async simulateInputImpedance(params: AntennaParams): Promise<Impedance> {
+    const impedance = parseInputImpedance(await this.runNEC(this.generateNECInput(params)))
+    if (!impedance) {
+      throw new NEC2Error('No input impedance found in NEC2C output.', 'EMPTY_OUTPUT')
+    }
+    return impedance
+  }
+
   /**
    * Test engine with simple dipole antenna
    */
@@ -525,12 +1208,16 @@ export const nec2Engine = new NEC2Engine()
  * This is crucial for stability, especially when running multiple simulations
  * in sequence, as in the optimizer.
  * @param params - The antenna parameters for the simulation.
+ * @param options - Optional extra output requests such as a far-field grid.
  * @returns A promise that resolves with the simulation results.
  */
-export async function simulateAntenna(params: AntennaParams): Promise<SimulationResults> {
+export async function simulateAntenna(
+  params: AntennaParams,
+  options: SimulationOptions = {}
+): Promise<SimulationResults> {
   try {
     // The simulate method will internally handle loading if needed.
-    const results = await nec2Engine.simulate(params)
+    const results = await nec2Engine.simulate(params, options)
     return results
   } catch (error) {
     console.error('An error occurred during the simulateAntenna lifecycle:', error)
@@ -542,6 +1229,27 @@ export async function simulateAntenna(params: AntennaParams): Promise<Simulation
   }
 }
 
+/**
+ * Runs a frequency sweep of an antenna design using the NEC2 engine.
+ * Follows the same load/unload lifecycle as `simulateAntenna`.
+ * @param params - The antenna parameters for the simulation.
+ * @param sweep - Start, stop and step frequencies in MHz.
+ * @returns A promise that resolves with one result point per frequency.
+ */
+export async function simulateAntennaSweep(
+  params: AntennaParams,
+  sweep: FrequencySweep
+): Promise<SweepResults> {
+  try {
+    return await nec2Engine.simulateSweep(params, sweep)
+  } catch (error) {
+    console.error('An error occurred during the simulateAntennaSweep lifecycle:', error)
+    throw error
+  } finally {
+    nec2Engine.unload()
+  }
+}
+
 // Test function
 export async function testNEC2Engine(): Promise<boolean> {
   if (!nec2Engine.getStatus().loaded) {
@@ -0,0 +1,289 @@
+/**
+ * NEC2C Web Worker Pool
+ *
+ * Runs simulations off the main thread in a pool of workers, each holding its
+ * own nec2c WebAssembly instance that stays loaded between jobs. Jobs are
+ * queued and dispatched to the next idle worker, so independent simulations
+ * (e.g. an optimizer population) run in parallel. Every job accepts an
+ * AbortSignal for cancellation.
+ */
+
+import {
+  NEC2Engine,
+  NEC2Error,
+  type AntennaParams,
+  type FeedMatch,
+  type FrequencySweep,
+  type SimulationOptions,
+  type SimulationResults,
+  type SweepPoint,
+  type SweepResults,
+} from './nec2c'
+
+// Job payloads as sent to a worker
+type NEC2WorkerJob =
+  | { type: 'simulate'; params: AntennaParams; options?: SimulationOptions }
+  | { type: 'sweep'; params: AntennaParams; sweep: FrequencySweep }
+  | { type: 'deck'; deck: string; referenceImpedance?: number }
+  | { type: 'match'; params: AntennaParams }
+
+export type NEC2WorkerResult = SimulationResults | SweepResults | SweepPoint[] | FeedMatch
+
+export type NEC2WorkerRequest = NEC2WorkerJob & { id: number }
+
+export type NEC2WorkerResponse =
+  | { id: number; ok: true; result: NEC2WorkerResult }
+  | { id: number; ok: false; error: { message: string; code?: string } }
+
+interface QueuedJob {
+  request: NEC2WorkerRequest
+  resolve: (result: NEC2WorkerResult) => void
+  reject: (error: Error) => void
+  signal?: AbortSignal
+  onAbort?: () => void
+}
+
+interface PoolSlot {
+  worker: Worker
+  job: QueuedJob | null
+}
+
+/**
+ * Error used to reject cancelled jobs
+ */
+export function createAbortError(): NEC2Error {
+  return new NEC2Error('Simulation aborted.', 'ABORTED')
+}
+
+export function isAbortError(error: unknown): boolean {
+  return error instanceof NEC2Error && error.code === 'ABORTED'
+}
+
+/**
+ * One worker per spare core, keeping a core free for the UI
+ */
+export function getDefaultPoolSize(): number {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2
+  return Math.max(1, Math.min(8, cores - 1))
+}
+
+const isWorkerSupported = () => typeof Worker !== 'undefined'
+
+export class NEC2WorkerPool {
+  private slots: PoolSlot[] = []
+  private queue: QueuedJob[] = []
+  private nextJobId = 1
+  private fallbackEngine: NEC2Engine | null = null
+
+  constructor(private readonly size: number = getDefaultPoolSize()) {}
+
+  /**
+   * Simulate an antenna at its design frequency
+   */
+  simulate(
+    params: AntennaParams,
+    options: SimulationOptions = {},
+    signal?: AbortSignal
+  ): Promise<SimulationResults> {
+    return this.enqueue({ type: 'simulate', params, options }, signal) as Promise<SimulationResults>
+  }
+
+  /**
+   * Run a frequency sweep of an antenna
+   */
+  simulateSweep(
+    params: AntennaParams,
+    sweep: FrequencySweep,
+    signal?: AbortSignal
+  ): Promise<SweepResults> {
+    return this.enqueue({ type: 'sweep', params, sweep }, signal) as Promise<SweepResults>
+  }
+
+  /**
+   * Run a raw NEC deck as-is, one result per computed frequency
+   */
+  simulateDeck(
+    deck: string,
+    referenceImpedance?: number,
+    signal?: AbortSignal
+  ): Promise<SweepPoint[]> {
+    return this.enqueue({ type: 'deck', deck, referenceImpedance }, signal) as Promise<SweepPoint[]>
+  }
+
+  /**
+   * Solve the component values of a design's matching network
+   */
+  solveMatch(params: AntennaParams, signal?: AbortSignal): Promise<FeedMatch> {
+    return this.enqueue({ type: 'match', params }, signal) as Promise<FeedMatch>
+  }
+
+  /**
+   * Get pool status
+   */
+  getStatus(): { workers: number; busy: number; queued: number } {
+    return {
+      workers: this.slots.length,
+      busy: this.slots.filter(s => s.job !== null).length,
+      queued: this.queue.length,
+    }
+  }
+
+  /**
+   * Reject every pending job and stop all workers
+   */
+  terminate(): void {
+    const pending = [...this.queue, ...this.slots.flatMap(s => (s.job ? [s.job] : []))]
+    this.queue = []
+    this.slots.forEach(s => s.worker.terminate())
+    this.slots = []
+    for (const job of pending) {
+      this.detachSignal(job)
+      job.reject(createAbortError())
+    }
+  }
+
+  private enqueue(job: NEC2WorkerJob, signal?: AbortSignal): Promise<NEC2WorkerResult> {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError())
+    }
+    if (!isWorkerSupported()) {
+      return this.runOnMainThread(job, signal)
+    }
+
+    return new Promise((resolve, reject) => {
+      const queued: QueuedJob = {
+        request: { ...job, id: this.nextJobId++ },
+        resolve,
+        reject,
+        signal,
+      }
+      if (signal) {
+        queued.onAbort = () => this.abortJob(queued)
+        signal.addEventListener('abort', queued.onAbort, { once: true })
+      }
+      this.queue.push(queued)
+      this.dispatch()
+    })
+  }
+
+  private dispatch(): void {
+    while (this.queue.length > 0) {
+      const slot = this.slots.find(s => s.job === null) ?? this.spawnWorker()
+      if (!slot) return
+
+      const job = this.queue.shift()!
+      slot.job = job
+      slot.worker.postMessage(job.request)
+    }
+  }
+
+  private spawnWorker(): PoolSlot | null {
+    if (this.slots.length >= this.size) return null
+
+    const worker = new Worker(new URL('../workers/nec2c.worker.ts', import.meta.url), {
+      type: 'module',
+    })
+    const slot: PoolSlot = { worker, job: null }
+    worker.onmessage = (event: MessageEvent<NEC2WorkerResponse>) =>
+      this.handleResponse(slot, event.data)
+    worker.onerror = event => {
+      event.preventDefault()
+      this.handleCrash(slot, event.message)
+    }
+
+    this.slots.push(slot)
+    return slot
+  }
+
+  private handleResponse(slot: PoolSlot, response: NEC2WorkerResponse): void {
+    const job = slot.job
+    if (!job || job.request.id !== response.id) return
+
+    slot.job = null
+    this.detachSignal(job)
+    if (response.ok) {
+      job.resolve(response.result)
+    } else {
+      job.reject(new NEC2Error(response.error.message, response.error.code))
+    }
+    this.dispatch()
+  }
+
+  private handleCrash(slot: PoolSlot, message: string): void {
+    const job = slot.job
+    this.removeSlot(slot)
+    if (job) {
+      this.detachSignal(job)
+      job.reject(new NEC2Error(`Simulation worker crashed: ${message}`, 'WORKER_CRASHED'))
+    }
+    this.dispatch()
+  }
+
+  private abortJob(job: QueuedJob): void {
+    const queuedIndex = this.queue.indexOf(job)
+    if (queuedIndex >= 0) {
+      this.queue.splice(queuedIndex, 1)
+    } else {
+      // nec2c cannot be interrupted mid-run, so a running job is cancelled by
+      // terminating its worker. The next job spawns a fresh one.
+      const slot = this.slots.find(s => s.job === job)
+      if (!slot) return
+      this.removeSlot(slot)
+    }
+
+    this.detachSignal(job)
+    job.reject(createAbortError())
+    this.dispatch()
+  }
+
+  private removeSlot(slot: PoolSlot): void {
+    slot.worker.terminate()
+    this.slots = this.slots.filter(s => s !== slot)
+  }
+
+  private detachSignal(job: QueuedJob): void {
+    if (job.signal && job.onAbort) {
+      job.signal.removeEventListener('abort', job.onAbort)
+    }
+  }
+
+  /**
+   * Environments without Web Worker support (e.g. the test runner) share a
+   * single engine on the main thread.
+   */
+  private async runOnMainThread(
+    job: NEC2WorkerJob,
+    signal?: AbortSignal
+  ): Promise<NEC2WorkerResult> {
+    this.fallbackEngine ??= new NEC2Engine()
+    let result: NEC2WorkerResult
+    switch (job.type) {
+      case 'sweep':
+        result = await this.fallbackEngine.simulateSweep(job.params, job.sweep)
+        break
+      case 'deck':
+        result = await this.fallbackEngine.simulateDeck(job.deck, job.referenceImpedance)
+        break
+      case 'match':
+        result = await this.fallbackEngine.solveMatch(job.params)
+        break
+      default:
+        result = await this.fallbackEngine.simulate(job.params, job.options)
+    }
+
+    if (signal?.aborted) {
+      throw createAbortError()
+    }
+    return result
+  }
+}
+
+let sharedPool: NEC2WorkerPool | null = null
+
+/**
+ * Shared pool instance, created on first use
+ */
+export function getNEC2WorkerPool(): NEC2WorkerPool {
+  sharedPool ??= new NEC2WorkerPool()
+  return sharedPool
+}
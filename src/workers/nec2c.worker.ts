@@ -0,0 +1,51 @@
+/**
+ * NEC2C Simulation Worker
+ *
+ * Each worker owns one single-threaded nec2c WebAssembly instance that stays
+ * loaded between jobs. Jobs arrive from `NEC2WorkerPool` one at a time.
+ */
+
+import { NEC2Engine, NEC2Error } from '@/utils/nec2c'
+import type {
+  NEC2WorkerRequest,
+  NEC2WorkerResponse,
+  NEC2WorkerResult,
+} from '@/utils/nec2cWorkerPool'
+
+const engine = new NEC2Engine()
+
+const respond = (response: NEC2WorkerResponse) => self.postMessage(response)
+
+self.onmessage = async (event: MessageEvent<NEC2WorkerRequest>) => {
+  const request = event.data
+
+  try {
+    let result: NEC2WorkerResult
+    switch (request.type) {
+      case 'sweep':
+        result = await engine.simulateSweep(request.params, request.sweep)
+        break
+      case 'deck':
+        result = await engine.simulateDeck(request.deck, request.referenceImpedance)
+        break
+      case 'match':
+        result = await engine.solveMatch(request.params)
+        break
+      default:
+        result = await engine.simulate(request.params, request.options)
+    }
+
+    respond({ id: request.id, ok: true, result })
+  } catch (error) {
+    // A failed run may leave the module in an undefined state; reload it for the next job.
+    engine.unload()
+    respond({
+      id: request.id,
+      ok: false,
+      error: {
+        message: error instanceof Error ? error.message : 'Unknown worker error',
+        code: error instanceof NEC2Error ? error.code : undefined,
+      },
+    })
+  }
+}
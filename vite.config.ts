@@ -61,6 +61,10 @@ export default defineConfig(({ mode }) => {
         '@/assets': path.resolve(__dirname, './src/assets'),
       },
     },
+    worker: {
+      // Simulation workers are ES modules so they can share the engine code
+      format: 'es',
+    },
     optimizeDeps: {
       include: ['react', 'react-dom'],
     },